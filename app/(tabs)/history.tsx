@@ -0,0 +1,202 @@
+import React, { useCallback, useRef, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  TouchableOpacity,
+  FlatList,
+  RefreshControl,
+  ActivityIndicator,
+} from 'react-native';
+import { router, useFocusEffect } from 'expo-router';
+import { listAnalyses } from '../../lib/firebase';
+import { describeFunctionsError } from '../../lib/errorMessages';
+import type { SavedAnalysisSummary } from '@/types/pupilAnalysis';
+
+const PAGE_SIZE = 20;
+
+interface AnalysesResponse {
+  success: boolean;
+  data: {
+    analyses: SavedAnalysisSummary[];
+    nextPageToken: string | null;
+  };
+}
+
+const formatDate = (iso: string | null) => (iso ? new Date(iso).toLocaleString() : 'Unknown date');
+
+const describeStats = (analysis: SavedAnalysisSummary) => {
+  const { stats } = analysis;
+  if (!stats) {
+    return 'No pupil series';
+  }
+
+  const means = [stats.left && `L ${stats.left.mean.toFixed(2)}`, stats.right && `R ${stats.right.mean.toFixed(2)}`]
+    .filter(Boolean)
+    .join(' · ');
+  return `${means || 'No diameters'} · ${stats.frameCount} frames · ${stats.blinkCount} blinks`;
+};
+
+export default function HistoryScreen() {
+  const [analyses, setAnalyses] = useState<SavedAnalysisSummary[]>([]);
+  const [nextPageToken, setNextPageToken] = useState<string | null>(null);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [hasLoaded, setHasLoaded] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  // onEndReached can fire several times for the same page
+  const loadingMore = useRef(false);
+
+  const fetchPage = async (pageToken?: string) =>
+    ((await listAnalyses({ pageSize: PAGE_SIZE, pageToken })).data as AnalysesResponse).data;
+
+  const refresh = useCallback(async () => {
+    setIsRefreshing(true);
+    try {
+      const page = await fetchPage();
+      setAnalyses(page.analyses);
+      setNextPageToken(page.nextPageToken);
+      setError(null);
+    } catch (refreshError) {
+      console.error('Failed to load analysis history:', refreshError);
+      setError(describeFunctionsError(refreshError));
+    } finally {
+      setIsRefreshing(false);
+      setHasLoaded(true);
+    }
+  }, []);
+
+  const loadMore = async () => {
+    if (!nextPageToken || loadingMore.current) {
+      return;
+    }
+
+    loadingMore.current = true;
+    setIsLoadingMore(true);
+    try {
+      const page = await fetchPage(nextPageToken);
+      setAnalyses((current) => [...current, ...page.analyses]);
+      setNextPageToken(page.nextPageToken);
+    } catch (loadError) {
+      console.error('Failed to load more analyses:', loadError);
+      setError(describeFunctionsError(loadError));
+    } finally {
+      loadingMore.current = false;
+      setIsLoadingMore(false);
+    }
+  };
+
+  // Reload whenever the tab is shown, so new and deleted analyses show up
+  useFocusEffect(
+    useCallback(() => {
+      refresh();
+    }, [refresh])
+  );
+
+  const renderItem = ({ item }: { item: SavedAnalysisSummary }) => (
+    <TouchableOpacity style={styles.item} onPress={() => router.push(`/analysis/${item.analysisId}`)}>
+      <Text style={styles.itemDate}>{formatDate(item.createdAt)}</Text>
+      <Text style={styles.itemSummary} numberOfLines={2}>{item.summary}</Text>
+      <Text style={styles.itemStats}>{describeStats(item)}</Text>
+      <Text style={styles.itemParams}>
+        {item.params.tv_model} · {item.params.pupil_selection} · blink detection {item.params.blink_detection ? 'on' : 'off'}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <FlatList
+        data={analyses}
+        keyExtractor={(item) => item.analysisId}
+        renderItem={renderItem}
+        contentContainerStyle={styles.listContent}
+        refreshControl={<RefreshControl refreshing={isRefreshing} onRefresh={refresh} />}
+        onEndReached={loadMore}
+        onEndReachedThreshold={0.5}
+        ListHeaderComponent={
+          <View style={styles.header}>
+            <Text style={styles.title}>History</Text>
+            <Text style={styles.subtitle}>Your saved pupil analyses</Text>
+            {error && <Text style={styles.errorText}>{error}</Text>}
+          </View>
+        }
+        ListEmptyComponent={
+          hasLoaded && !error ? (
+            <Text style={styles.emptyText}>No analyses yet. Completed analyses are saved here automatically.</Text>
+          ) : null
+        }
+        ListFooterComponent={isLoadingMore ? <ActivityIndicator style={styles.footer} /> : null}
+      />
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  listContent: {
+    padding: 20,
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  title: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 18,
+    color: '#666',
+    textAlign: 'center',
+  },
+  item: {
+    backgroundColor: '#fff',
+    padding: 16,
+    borderRadius: 12,
+    marginBottom: 12,
+  },
+  itemDate: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 4,
+  },
+  itemSummary: {
+    fontSize: 14,
+    color: '#666',
+    lineHeight: 20,
+    marginBottom: 4,
+  },
+  itemStats: {
+    fontSize: 13,
+    color: '#007AFF',
+    marginBottom: 2,
+  },
+  itemParams: {
+    fontSize: 12,
+    color: '#888',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#888',
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  footer: {
+    marginVertical: 16,
+  },
+  errorText: {
+    color: '#ff4444',
+    fontSize: 14,
+    lineHeight: 20,
+    marginTop: 12,
+    textAlign: 'center',
+  },
+});
@@ -1,5 +1,6 @@
 import * as FileSystem from 'expo-file-system';
-import React, { useState } from 'react';
+import { Audio, AVPlaybackStatus } from 'expo-av';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import {
   Alert,
   SafeAreaView,
@@ -10,109 +11,240 @@ import {
   TouchableOpacity,
   StyleSheet,
   ActivityIndicator,
-  Dimensions
+  GestureResponderEvent,
 } from 'react-native';
+import { generateTTS } from '../../lib/firebase';
+import { describeFunctionsError } from '../../lib/errorMessages';
 
 // Define types for our data structures
 interface HistoryItem {
   id: number;
   text: string;
-  voice: string;
-  speed: number;
+  exaggeration: number;
+  temperature: number;
+  /** As reported by generateTTS; long-form text reports the random seed it picked for 0 */
+  seed: number;
+  cfgw: number;
   uri: string;
   timestamp: string;
 }
 
-const { width } = Dimensions.get('window');
+interface TTSResponse {
+  success: boolean;
+  data?: {
+    audioUrl: string;
+    metadata?: { seed?: number };
+  };
+}
+
+interface PlaybackState {
+  uri: string;
+  isPlaying: boolean;
+  positionMillis: number;
+  durationMillis: number;
+}
+
+// generateTTS splits longer text into chunks itself
+const MAX_TEXT_LENGTH = 5000;
+const MAX_HISTORY_ITEMS = 10;
+const SEEK_STEP_MILLIS = 5000;
+
+// Generated audio is kept in the document directory so history entries stay playable
+const TTS_DIRECTORY = `${FileSystem.documentDirectory}tts/`;
+const HISTORY_FILE = `${TTS_DIRECTORY}history.json`;
+
+// Chatterbox's parameter ranges, as in the Space's own UI
+const PARAMETERS = {
+  exaggeration: { label: 'Exaggeration', default: 0.5, min: 0.25, max: 2, step: 0.05 },
+  temperature: { label: 'Temperature', default: 0.8, min: 0.05, max: 5, step: 0.05 },
+  cfgw: { label: 'CFG / Pace', default: 0.5, min: 0.2, max: 1, step: 0.05 },
+};
+
+type Parameter = keyof typeof PARAMETERS;
+
+const loadHistory = async (): Promise<HistoryItem[]> => {
+  const fileInfo = await FileSystem.getInfoAsync(HISTORY_FILE);
+  if (!fileInfo.exists) {
+    return [];
+  }
+
+  const items: HistoryItem[] = JSON.parse(await FileSystem.readAsStringAsync(HISTORY_FILE));
+  // Files can be cleared by the OS or the user, drop entries that lost theirs
+  const available = await Promise.all(items.map(async (item) => (await FileSystem.getInfoAsync(item.uri)).exists));
+  return items.filter((item, i) => available[i]);
+};
+
+const saveHistory = (items: HistoryItem[]) =>
+  FileSystem.writeAsStringAsync(HISTORY_FILE, JSON.stringify(items));
+
+const formatTime = (millis: number) => {
+  const seconds = Math.floor(millis / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
 
 function TTSScreen() {
   const [text, setText] = useState<string>('');
   const [isGenerating, setIsGenerating] = useState<boolean>(false);
-  const [isPlaying, setIsPlaying] = useState<boolean>(false);
-  const [voice, setVoice] = useState<string>('alloy');
-  const [speed, setSpeed] = useState<number>(1.0);
+  const [settings, setSettings] = useState<Record<Parameter, number>>({
+    exaggeration: PARAMETERS.exaggeration.default,
+    temperature: PARAMETERS.temperature.default,
+    cfgw: PARAMETERS.cfgw.default,
+  });
+  const [seed, setSeed] = useState<string>('0');
   const [audioUri, setAudioUri] = useState<string | null>(null);
   const [history, setHistory] = useState<HistoryItem[]>([]);
+  const [playback, setPlayback] = useState<PlaybackState | null>(null);
+  const [progressWidth, setProgressWidth] = useState(0);
+  const soundRef = useRef<Audio.Sound | null>(null);
+  const loadedUri = useRef<string | null>(null);
+
+  useEffect(() => {
+    Audio.setAudioModeAsync({ playsInSilentModeIOS: true })
+      .catch((error) => console.error('Failed to set audio mode:', error));
+
+    loadHistory()
+      .then(setHistory)
+      .catch((error) => console.error('Failed to load TTS history:', error));
+
+    return () => {
+      soundRef.current?.unloadAsync();
+    };
+  }, []);
+
+  const adjustSetting = (parameter: Parameter, direction: 1 | -1) => {
+    const { min, max, step } = PARAMETERS[parameter];
+    const value = Math.round((settings[parameter] + direction * step) * 100) / 100;
+    setSettings({ ...settings, [parameter]: Math.min(Math.max(value, min), max) });
+  };
+
+  const onPlaybackStatus = useCallback((uri: string) => (status: AVPlaybackStatus) => {
+    if (!status.isLoaded) {
+      if (status.error) {
+        console.error('Playback error:', status.error);
+      }
+      return;
+    }
+
+    setPlayback({
+      uri,
+      isPlaying: status.isPlaying,
+      positionMillis: status.positionMillis,
+      durationMillis: status.durationMillis || 0,
+    });
+  }, []);
+
+  // Load `uri` unless it is already loaded
+  const loadSound = async (uri: string) => {
+    if (soundRef.current && loadedUri.current === uri) {
+      return soundRef.current;
+    }
+
+    await soundRef.current?.unloadAsync();
+    soundRef.current = null;
+    loadedUri.current = null;
 
-  // Available voices (OpenAI TTS voices)
-  const voices = [
-    { label: 'Alloy (Neutral)', value: 'alloy' },
-    { label: 'Echo (Male)', value: 'echo' },
-    { label: 'Fable (British)', value: 'fable' },
-    { label: 'Onyx (Deep Male)', value: 'onyx' },
-    { label: 'Nova (Female)', value: 'nova' },
-    { label: 'Shimmer (Soft Female)', value: 'shimmer' },
-  ];
-
-  // Mock TTS generation for demo purposes
-  const generateTTS = async () => {
+    const { sound } = await Audio.Sound.createAsync({ uri }, { progressUpdateIntervalMillis: 250 }, onPlaybackStatus(uri));
+    soundRef.current = sound;
+    loadedUri.current = uri;
+    return sound;
+  };
+
+  const generateSpeech = async () => {
+    const seedValue = Number(seed || 0);
     if (!text.trim()) {
       Alert.alert('Error', 'Please enter some text to convert to speech');
       return;
     }
+    if (!Number.isInteger(seedValue) || seedValue < 0) {
+      Alert.alert('Invalid Seed', 'The seed must be a whole number, or 0 for a random one');
+      return;
+    }
 
     setIsGenerating(true);
-    
+
     try {
-      // Simulate API call delay
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      // Create a mock audio file
-      const fileName = `tts_${Date.now()}.mp3`;
-      const fileUri = `${FileSystem.documentDirectory}${fileName}`;
-      
-      // For demo, we'll create an empty file
-      await FileSystem.writeAsStringAsync(fileUri, '', {
-        encoding: FileSystem.EncodingType.UTF8,
-      });
-
-      setAudioUri(fileUri);
-      
+      const response = (await generateTTS({
+        text_input: text.trim(),
+        exaggeration_input: settings.exaggeration,
+        temperature_input: settings.temperature,
+        seed_num_input: seedValue,
+        cfgw_input: settings.cfgw,
+      })).data as TTSResponse;
+
+      if (!response.data?.audioUrl) {
+        throw new Error('No audio was generated');
+      }
+
+      // The returned URL expires, so keep a local copy for replaying from history
+      await FileSystem.makeDirectoryAsync(TTS_DIRECTORY, { intermediates: true });
+      const id = Date.now();
+      const { uri, status } = await FileSystem.downloadAsync(response.data.audioUrl, `${TTS_DIRECTORY}tts_${id}.wav`);
+      if (status !== 200) {
+        throw new Error(`Failed to download the generated audio (HTTP ${status})`);
+      }
+
+      setAudioUri(uri);
+
       // Add to history
       const historyItem: HistoryItem = {
-        id: Date.now(),
+        id,
         text: text.trim(),
-        voice,
-        speed,
-        uri: fileUri,
+        exaggeration: settings.exaggeration,
+        temperature: settings.temperature,
+        seed: response.data.metadata?.seed ?? seedValue,
+        cfgw: settings.cfgw,
+        uri,
         timestamp: new Date().toLocaleString()
       };
-      
-      setHistory(prev => [historyItem, ...prev.slice(0, 9)]); // Keep last 10
-      
-      Alert.alert('Demo Mode', 'TTS generation simulated successfully! In a real app, this would generate actual audio.');
-      
+
+      const updated = [historyItem, ...history];
+      const kept = updated.slice(0, MAX_HISTORY_ITEMS);
+      await Promise.all(updated.slice(MAX_HISTORY_ITEMS).map((item) =>
+        FileSystem.deleteAsync(item.uri, { idempotent: true })));
+      await saveHistory(kept);
+      setHistory(kept);
+
+      await playAudio(uri);
     } catch (error) {
       console.error('TTS Error:', error);
-      Alert.alert('TTS Error', 'Failed to generate speech. Please try again.');
+      Alert.alert('TTS Error', describeFunctionsError(error));
     } finally {
       setIsGenerating(false);
     }
   };
 
-  // Play audio (demo mode)
-  const playAudio = async (_uri: string) => {
+  // Play from the start, or resume when `uri` is the paused audio
+  const playAudio = async (uri: string) => {
     try {
-      setIsPlaying(true);
-      
-      // Simulate playback duration
-      setTimeout(() => {
-        setIsPlaying(false);
-      }, 3000);
-      
-      Alert.alert('Demo Mode', 'Audio playback simulated! In a real app, this would play the generated speech.');
-      
+      const sound = await loadSound(uri);
+      // Start over once the end was reached
+      const status = await sound.getStatusAsync();
+      if (status.isLoaded && status.durationMillis && status.positionMillis >= status.durationMillis) {
+        await sound.setPositionAsync(0);
+      }
+      await sound.playAsync();
+      setAudioUri(uri);
     } catch (error) {
       console.error('Error playing audio:', error);
       Alert.alert('Error', 'Failed to play audio');
-      setIsPlaying(false);
     }
   };
 
-  // Stop audio (demo mode)
-  const stopAudio = async () => {
-    setIsPlaying(false);
-    Alert.alert('Demo Mode', 'Audio playback stopped!');
+  const pauseAudio = async () => {
+    await soundRef.current?.pauseAsync();
+  };
+
+  const seekTo = async (positionMillis: number) => {
+    if (!soundRef.current || !playback) {
+      return;
+    }
+    await soundRef.current.setPositionAsync(Math.min(Math.max(positionMillis, 0), playback.durationMillis));
+  };
+
+  const seekToTouch = (event: GestureResponderEvent) => {
+    if (playback && progressWidth) {
+      seekTo((event.nativeEvent.locationX / progressWidth) * playback.durationMillis);
+    }
   };
 
   // Clear text
@@ -120,6 +252,8 @@ function TTSScreen() {
     setText('');
   };
 
+  const current = playback && playback.uri === audioUri ? playback : null;
+
   return (
     <SafeAreaView style={styles.container}>
       <ScrollView style={styles.scrollView} contentContainerStyle={styles.scrollContent}>
@@ -138,58 +272,46 @@ function TTSScreen() {
             onChangeText={setText}
             multiline
             numberOfLines={4}
-            maxLength={1000}
+            maxLength={MAX_TEXT_LENGTH}
           />
           <View style={styles.textInfo}>
-            <Text style={styles.charCount}>{text.length}/1000 characters</Text>
+            <Text style={styles.charCount}>{text.length}/{MAX_TEXT_LENGTH} characters</Text>
             <TouchableOpacity onPress={clearText} style={styles.clearButton}>
               <Text style={styles.clearButtonText}>Clear</Text>
             </TouchableOpacity>
           </View>
         </View>
 
-        {/* Voice Selection */}
-        <View style={styles.section}>
-          <Text style={styles.sectionTitle}>Voice: {voice}</Text>
-          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.voiceScroll}>
-            {voices.map((v) => (
-              <TouchableOpacity
-                key={v.value}
-                style={[styles.voiceButton, voice === v.value && styles.voiceButtonActive]}
-                onPress={() => setVoice(v.value)}
-              >
-                <Text style={[styles.voiceButtonText, voice === v.value && styles.voiceButtonTextActive]}>
-                  {v.label}
-                </Text>
+        {/* Voice Parameters */}
+        {(Object.keys(PARAMETERS) as Parameter[]).map((parameter) => (
+          <View key={parameter} style={styles.section}>
+            <Text style={styles.sectionTitle}>{PARAMETERS[parameter].label}: {settings[parameter].toFixed(2)}</Text>
+            <View style={styles.speedContainer}>
+              <TouchableOpacity style={styles.speedButton} onPress={() => adjustSetting(parameter, -1)}>
+                <Text style={styles.speedButtonText}>-</Text>
               </TouchableOpacity>
-            ))}
-          </ScrollView>
-        </View>
+              <Text style={styles.speedValue}>{settings[parameter].toFixed(2)}</Text>
+              <TouchableOpacity style={styles.speedButton} onPress={() => adjustSetting(parameter, 1)}>
+                <Text style={styles.speedButtonText}>+</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        ))}
 
-        {/* Speed Control */}
         <View style={styles.section}>
-          <Text style={styles.sectionTitle}>Speed: {speed.toFixed(1)}x</Text>
-          <View style={styles.speedContainer}>
-            <TouchableOpacity
-              style={styles.speedButton}
-              onPress={() => setSpeed(Math.max(0.5, speed - 0.1))}
-            >
-              <Text style={styles.speedButtonText}>-</Text>
-            </TouchableOpacity>
-            <Text style={styles.speedValue}>{speed.toFixed(1)}x</Text>
-            <TouchableOpacity
-              style={styles.speedButton}
-              onPress={() => setSpeed(Math.min(2.0, speed + 0.1))}
-            >
-              <Text style={styles.speedButtonText}>+</Text>
-            </TouchableOpacity>
-          </View>
+          <Text style={styles.sectionTitle}>Seed (0 = random)</Text>
+          <TextInput
+            style={styles.seedInput}
+            value={seed}
+            onChangeText={setSeed}
+            keyboardType="number-pad"
+          />
         </View>
 
         {/* Generate Button */}
         <TouchableOpacity
           style={[styles.generateButton, (isGenerating || !text.trim()) && styles.generateButtonDisabled]}
-          onPress={generateTTS}
+          onPress={generateSpeech}
           disabled={isGenerating || !text.trim()}
         >
           {isGenerating ? (
@@ -203,15 +325,44 @@ function TTSScreen() {
         {audioUri && (
           <View style={styles.section}>
             <Text style={styles.sectionTitle}>Audio Controls</Text>
+            <TouchableOpacity
+              style={styles.progressTrack}
+              onLayout={(event) => setProgressWidth(event.nativeEvent.layout.width)}
+              onPress={seekToTouch}
+              disabled={!current}
+              activeOpacity={1}
+            >
+              <View
+                style={[
+                  styles.progressFill,
+                  { width: `${current?.durationMillis ? (current.positionMillis / current.durationMillis) * 100 : 0}%` },
+                ]}
+              />
+            </TouchableOpacity>
+            <Text style={styles.progressText}>
+              {formatTime(current?.positionMillis || 0)} / {formatTime(current?.durationMillis || 0)}
+            </Text>
             <View style={styles.audioControls}>
               <TouchableOpacity
-                style={[styles.audioButton, isPlaying && styles.audioButtonActive]}
-                onPress={() => isPlaying ? stopAudio() : playAudio(audioUri)}
+                style={styles.seekButton}
+                onPress={() => current && seekTo(current.positionMillis - SEEK_STEP_MILLIS)}
+              >
+                <Text style={styles.audioButtonText}>-5s</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.audioButton, current?.isPlaying && styles.audioButtonActive]}
+                onPress={() => current?.isPlaying ? pauseAudio() : playAudio(audioUri)}
               >
                 <Text style={styles.audioButtonText}>
-                  {isPlaying ? 'Stop' : 'Play'}
+                  {current?.isPlaying ? 'Pause' : 'Play'}
                 </Text>
               </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.seekButton}
+                onPress={() => current && seekTo(current.positionMillis + SEEK_STEP_MILLIS)}
+              >
+                <Text style={styles.audioButtonText}>+5s</Text>
+              </TouchableOpacity>
             </View>
           </View>
         )}
@@ -220,13 +371,13 @@ function TTSScreen() {
         {history.length > 0 && (
           <View style={styles.section}>
             <Text style={styles.sectionTitle}>Recent Generations</Text>
-            {history.slice(0, 3).map((item) => (
+            {history.map((item) => (
               <View key={item.id} style={styles.historyItem}>
                 <Text style={styles.historyText} numberOfLines={2}>
                   {item.text}
                 </Text>
                 <Text style={styles.historyMeta}>
-                  {item.voice} • {item.speed}x • {item.timestamp}
+                  exag {item.exaggeration} • temp {item.temperature} • cfgw {item.cfgw} • seed {item.seed} • {item.timestamp}
                 </Text>
                 <TouchableOpacity
                   style={styles.historyPlayButton}
@@ -308,28 +459,13 @@ const styles = StyleSheet.create({
     fontSize: 12,
     fontWeight: '500',
   },
-  voiceScroll: {
-    marginTop: 5,
-  },
-  voiceButton: {
-    paddingHorizontal: 15,
-    paddingVertical: 8,
-    backgroundColor: '#fff',
-    borderRadius: 20,
-    marginRight: 10,
+  seedInput: {
     borderWidth: 1,
     borderColor: '#ddd',
-  },
-  voiceButtonActive: {
-    backgroundColor: '#007AFF',
-    borderColor: '#007AFF',
-  },
-  voiceButtonText: {
-    fontSize: 14,
-    color: '#333',
-  },
-  voiceButtonTextActive: {
-    color: '#fff',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 16,
+    backgroundColor: '#fff',
   },
   speedContainer: {
     flexDirection: 'row',
@@ -372,9 +508,27 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: '600',
   },
+  progressTrack: {
+    height: 8,
+    backgroundColor: '#e0e0e0',
+    borderRadius: 4,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: '100%',
+    backgroundColor: '#007AFF',
+  },
+  progressText: {
+    fontSize: 12,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 5,
+    marginBottom: 10,
+  },
   audioControls: {
     flexDirection: 'row',
     justifyContent: 'center',
+    gap: 10,
   },
   audioButton: {
     backgroundColor: '#28a745',
@@ -385,6 +539,12 @@ const styles = StyleSheet.create({
   audioButtonActive: {
     backgroundColor: '#dc3545',
   },
+  seekButton: {
+    backgroundColor: '#6c757d',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderRadius: 8,
+  },
   audioButtonText: {
     color: '#fff',
     fontSize: 16,
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import {
   View,
   Text,
@@ -9,10 +9,33 @@ import {
   Alert,
   ActivityIndicator,
   Image,
+  TextInput,
 } from 'react-native';
 import * as DocumentPicker from 'expo-document-picker';
 import * as FileSystem from 'expo-file-system';
-import { generatePupilAnalysis, testConnection } from '../../lib/firebase';
+import { router, useLocalSearchParams } from 'expo-router';
+import { FunctionsError } from 'firebase/functions';
+import {
+  cancelPupilAnalysis,
+  generatePupilSequence,
+  getPupilAnalysisStatus,
+  getUsage,
+  submitPupilAnalysis,
+  testConnection,
+  uploadVideoForAnalysis,
+} from '../../lib/firebase';
+import { describeFunctionsError, getErrorMessage } from '../../lib/errorMessages';
+import { getMimeType } from '../../lib/mediaTypes';
+import { PupilChart } from '@/components/PupilChart';
+import type {
+  AnalysisProgress,
+  CleaningReport,
+  EventResponse,
+  PupilEyeStats,
+  PupilSeries,
+  SequenceImageResult,
+} from '@/types/pupilAnalysis';
+import type { Usage } from '@/types/usage';
 
 interface AnalysisResult {
   success: boolean;
@@ -20,7 +43,12 @@ interface AnalysisResult {
     analysisUrl?: string;
     results?: any;
     summary?: string;
+    pupilData?: PupilSeries | null;
+    eventResponses?: EventResponse[] | null;
+    /** Per-photo results of a sequence */
+    images?: SequenceImageResult[];
     metadata?: {
+      mediaType?: 'video' | 'image' | 'image-sequence';
       timestamp: string;
       processingTime?: number;
       workingEndpoint?: string;
@@ -29,39 +57,281 @@ interface AnalysisResult {
   error?: string;
 }
 
+interface PickedMedia {
+  uri: string;
+  mimeType: string;
+}
+
+// Photo formats the analysis service decodes; several photos are analysed as a timed sequence
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const DEFAULT_SEQUENCE_INTERVAL_MS = '500';
+
+type JobStatus = 'queued' | 'processing' | 'done' | 'failed' | 'cancelled';
+
+interface JobResponse {
+  success: boolean;
+  data?: {
+    jobId: string;
+    status: JobStatus;
+    result?: AnalysisResult['data'] | null;
+    error?: string | null;
+    errorType?: string | null;
+    progress?: AnalysisProgress | null;
+  };
+}
+
+// The active job is persisted so the user can leave the screen and come back to it
+const ACTIVE_JOB_FILE = `${FileSystem.documentDirectory}pupil-analysis-job.json`;
+// The worker writes progress at most every 2 seconds
+const JOB_POLL_INTERVAL_MS = 3000;
+
+const saveActiveJob = (jobId: string) =>
+  FileSystem.writeAsStringAsync(ACTIVE_JOB_FILE, JSON.stringify({ jobId }));
+
+const clearActiveJob = () =>
+  FileSystem.deleteAsync(ACTIVE_JOB_FILE, { idempotent: true });
+
+const loadActiveJob = async (): Promise<string | null> => {
+  const fileInfo = await FileSystem.getInfoAsync(ACTIVE_JOB_FILE);
+  if (!fileInfo.exists) {
+    return null;
+  }
+  const { jobId } = JSON.parse(await FileSystem.readAsStringAsync(ACTIVE_JOB_FILE));
+  return jobId || null;
+};
+
+const describeProgress = (progress: AnalysisProgress | null) => {
+  if (!progress) {
+    return 'Waiting for the analysis service...';
+  }
+
+  const eta = progress.etaSeconds !== null ? ` · about ${progress.etaSeconds}s left` : '';
+
+  if (progress.stage === 'queued') {
+    const position = progress.queuePosition !== null
+      ? `Position ${progress.queuePosition + 1}${progress.queueSize ? ` of ${progress.queueSize}` : ''} in queue`
+      : 'Waiting in queue';
+    return `${position}${eta}`;
+  }
+
+  const percent = progress.progress !== null ? ` ${Math.round(progress.progress * 100)}%` : '';
+  return `${progress.description || 'Analyzing'}${percent}${eta}`;
+};
+
+const describeUsage = (usage: Usage) => {
+  const videoMinutes = Math.floor(usage.day.videoSecondsRemaining / 60);
+  return `Today: ${usage.day.remaining} of ${usage.limits.requestsPerDay} requests · ${videoMinutes} min of video left`;
+};
+
+const renderEyeStats = (label: string, stats: PupilEyeStats | null) => (
+  <Text style={styles.resultText}>
+    {label}: {stats
+      ? `${stats.mean.toFixed(2)} ± ${stats.sd.toFixed(2)} (min ${stats.min.toFixed(2)}, max ${stats.max.toFixed(2)})`
+      : 'No data'}
+  </Text>
+);
+
+const describeRejection = ({ left, right, usable }: CleaningReport) => {
+  const eyes = [left && `L ${left.rejectedPercent.toFixed(1)}%`, right && `R ${right.rejectedPercent.toFixed(1)}%`]
+    .filter(Boolean)
+    .join(' · ');
+  return `Rejected: ${eyes || 'no data'}${usable ? '' : ' · trial unusable'}`;
+};
+
 export default function HomeScreen() {
-  const [selectedVideo, setSelectedVideo] = useState<string | null>(null);
+  const { capturedUri } = useLocalSearchParams<{ capturedUri?: string }>();
+  const [selectedMedia, setSelectedMedia] = useState<PickedMedia[]>([]);
+  const [sequenceIntervalMs, setSequenceIntervalMs] = useState(DEFAULT_SEQUENCE_INTERVAL_MS);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [jobId, setJobId] = useState<string | null>(null);
+  const [jobStatus, setJobStatus] = useState<JobStatus | null>(null);
+  const [jobProgress, setJobProgress] = useState<AnalysisProgress | null>(null);
   const [analysisResult, setAnalysisResult] = useState<AnalysisResult | null>(null);
   const [pupilSelection, setPupilSelection] = useState<string>('both');
   const [tvModel, setTvModel] = useState<string>('ResNet18');
   const [blinkDetection, setBlinkDetection] = useState<boolean>(true);
+  const [artifactCleaning, setArtifactCleaning] = useState<boolean>(false);
+  const [usage, setUsage] = useState<Usage | null>(null);
+  const pollTimer = useRef<ReturnType<typeof setInterval> | null>(null);
 
-  const selectVideo = async () => {
+  // Remaining quota is informational, so failures only get logged
+  const refreshUsage = useCallback(async () => {
+    try {
+      const response = (await getUsage({})).data as { success: boolean; data?: Usage };
+      setUsage(response.data || null);
+    } catch (error) {
+      console.error('Failed to load usage:', error);
+    }
+  }, []);
+
+  const finishJob = useCallback(async () => {
+    await clearActiveJob();
+    setJobId(null);
+    setJobStatus(null);
+    setJobProgress(null);
+    setIsAnalyzing(false);
+    refreshUsage();
+  }, [refreshUsage]);
+
+  useEffect(() => {
+    refreshUsage();
+  }, [refreshUsage]);
+
+  const checkJobStatus = useCallback(async (id: string) => {
+    try {
+      const response = (await getPupilAnalysisStatus({ jobId: id })).data as JobResponse;
+
+      if (!response.data) {
+        return;
+      }
+
+      const { status, result, error, errorType, progress } = response.data;
+      setJobStatus(status);
+      setJobProgress(progress || null);
+
+      if (status === 'done') {
+        setAnalysisResult({ success: true, data: result || undefined });
+        await finishJob();
+        Alert.alert('Analysis Complete', 'Pupil analysis completed successfully!');
+      } else if (status === 'failed') {
+        const message = getErrorMessage(errorType, error);
+        setAnalysisResult({ success: false, error: message });
+        await finishJob();
+        Alert.alert('Analysis Failed', message);
+      } else if (status === 'cancelled') {
+        await finishJob();
+      }
+    } catch (error) {
+      if (error instanceof FunctionsError && error.code === 'functions/not-found') {
+        // The job is gone (or was never ours) - stop polling for it
+        setAnalysisResult({ success: false, error: describeFunctionsError(error) });
+        await finishJob();
+        return;
+      }
+      // Network hiccups should not abandon the job - the next poll will retry
+      console.error('Job status check failed:', error);
+    }
+  }, [finishJob]);
+
+  // Resume a job that was started before the screen was last unmounted
+  useEffect(() => {
+    loadActiveJob()
+      .then((storedJobId) => {
+        if (storedJobId) {
+          console.log('Resuming pupil analysis job:', storedJobId);
+          setJobId(storedJobId);
+          setIsAnalyzing(true);
+        }
+      })
+      .catch((error) => console.error('Failed to restore analysis job:', error));
+  }, []);
+
+  // Poll the active job until it reaches a terminal state
+  useEffect(() => {
+    if (!jobId) {
+      return;
+    }
+
+    checkJobStatus(jobId);
+    pollTimer.current = setInterval(() => checkJobStatus(jobId), JOB_POLL_INTERVAL_MS);
+
+    return () => {
+      if (pollTimer.current) {
+        clearInterval(pollTimer.current);
+        pollTimer.current = null;
+      }
+    };
+  }, [jobId, checkJobStatus]);
+
+  const isSequence = selectedMedia.length > 1;
+  const isImage = selectedMedia.length > 0 && IMAGE_TYPES.includes(selectedMedia[0].mimeType);
+
+  const selectMedia = async () => {
     try {
       const result = await DocumentPicker.getDocumentAsync({
-        type: ['video/*'],
+        type: ['video/*', ...IMAGE_TYPES],
+        multiple: true,
         copyToCacheDirectory: true,
       });
 
       if (!result.canceled && result.assets && result.assets.length > 0) {
-        const asset = result.assets[0];
-        console.log('Selected video:', asset.uri);
-        setSelectedVideo(asset.uri);
+        const picked = result.assets.map((asset) => ({
+          uri: asset.uri,
+          mimeType: asset.mimeType || getMimeType(asset.uri),
+        }));
+
+        if (picked.length > 1 && !picked.every((media) => IMAGE_TYPES.includes(media.mimeType))) {
+          Alert.alert('Invalid Selection', 'Select one video or photo, or several JPEG, PNG or WebP photos for a sequence');
+          return;
+        }
+
+        console.log('Selected media:', picked.map((media) => media.uri));
+        setSelectedMedia(picked);
         setAnalysisResult(null); // Clear previous results
       }
     } catch (error) {
-      console.error('Error selecting video:', error);
-      Alert.alert('Error', 'Failed to select video');
+      console.error('Error selecting media:', error);
+      Alert.alert('Error', 'Failed to select media');
+    }
+  };
+
+  // Photos are analysed in the order they were picked, `sequenceIntervalMs` apart
+  const analyzeSequence = async () => {
+    const intervalMs = Number(sequenceIntervalMs);
+    if (!Number.isFinite(intervalMs) || intervalMs <= 0) {
+      Alert.alert('Invalid Interval', 'Enter the time between photos in milliseconds');
+      return;
+    }
+
+    setIsAnalyzing(true);
+    setAnalysisResult(null);
+
+    try {
+      console.log(`Uploading ${selectedMedia.length} photos to Cloud Storage...`);
+      const images = [];
+      for (const media of selectedMedia) {
+        images.push(await uploadVideoForAnalysis(media.uri, media.mimeType));
+      }
+
+      const firebaseResult = await generatePupilSequence({
+        images,
+        interval_ms: intervalMs,
+        pupil_selection: pupilSelection,
+        tv_model: tvModel,
+        blink_detection: blinkDetection,
+      });
+
+      setAnalysisResult(firebaseResult.data as AnalysisResult);
+      Alert.alert('Analysis Complete', `Analysed ${selectedMedia.length} photos`);
+    } catch (error) {
+      console.error('Sequence analysis error:', error);
+      const message = describeFunctionsError(error);
+      setAnalysisResult({
+        success: false,
+        error: message,
+      });
+      Alert.alert('Error', message);
+    } finally {
+      setIsAnalyzing(false);
+      refreshUsage();
     }
   };
 
-  const analyzeVideo = async () => {
-    if (!selectedVideo) {
-      Alert.alert('Error', 'Please select a video first');
+  const analyzeMedia = async () => {
+    if (selectedMedia.length === 0) {
+      Alert.alert('Error', 'Please select a video or photo first');
       return;
     }
 
+    if (isSequence) {
+      await analyzeSequence();
+      return;
+    }
+
+    await analyzeFile(selectedMedia[0]);
+  };
+
+  const analyzeFile = useCallback(async ({ uri, mimeType }: PickedMedia) => {
     setIsAnalyzing(true);
     setAnalysisResult(null);
 
@@ -69,66 +339,86 @@ export default function HomeScreen() {
       console.log('Starting pupil analysis...');
 
       // Check file size first
-      const fileInfo = await FileSystem.getInfoAsync(selectedVideo);
+      const fileInfo = await FileSystem.getInfoAsync(uri);
       if (fileInfo.exists && fileInfo.size) {
         const fileSizeMB = fileInfo.size / (1024 * 1024);
-        console.log(`Video file size: ${fileSizeMB.toFixed(2)} MB`);
+        console.log(`Media file size: ${fileSizeMB.toFixed(2)} MB`);
 
         if (fileSizeMB > 50) {
-          Alert.alert('File Too Large', 'Please select a video file smaller than 50MB');
+          Alert.alert('File Too Large', 'Please select a file smaller than 50MB');
+          setIsAnalyzing(false);
           return;
         }
       }
 
-      console.log('Converting video to base64...');
-
-      // Convert video file to base64
-      const base64Video = await FileSystem.readAsStringAsync(selectedVideo, {
-        encoding: FileSystem.EncodingType.Base64,
-      });
-
-      // Detect video format from file extension
-      const fileExtension = selectedVideo.split('.').pop()?.toLowerCase() || 'mp4';
-      const mimeType = fileExtension === 'webm' ? 'video/webm' :
-                      fileExtension === 'mov' ? 'video/quicktime' :
-                      fileExtension === 'avi' ? 'video/x-msvideo' : 'video/mp4';
+      console.log(`MIME type: ${mimeType}`);
 
-      // Create data URL format with correct MIME type
-      const videoDataUrl = `data:${mimeType};base64,${base64Video}`;
-      console.log(`Video converted to base64, size: ${(base64Video.length / 1024 / 1024).toFixed(2)} MB`);
-      console.log(`Detected format: ${fileExtension}, MIME type: ${mimeType}`);
+      // Upload to Cloud Storage and pass only the reference to the function
+      console.log('Uploading media to Cloud Storage...');
+      const videoStorageUri = await uploadVideoForAnalysis(uri, mimeType);
+      console.log('Media uploaded:', videoStorageUri);
 
-      const firebaseResult = await generatePupilAnalysis({
-        video_input: videoDataUrl,
+      const firebaseResult = await submitPupilAnalysis({
+        video_input: videoStorageUri,
         pupil_selection: pupilSelection,
         tv_model: tvModel,
         blink_detection: blinkDetection,
+        cleaning: artifactCleaning,
       });
 
-      // Extract the actual result from Firebase callable response
-      const result = firebaseResult.data as AnalysisResult;
-      console.log('Analysis result:', result);
-      setAnalysisResult(result);
+      const response = firebaseResult.data as JobResponse;
+      console.log('Analysis job submitted:', response);
 
-      if (result.success) {
-        Alert.alert('Analysis Complete', 'Pupil analysis completed successfully!');
-      } else {
-        Alert.alert('Analysis Failed', result.error || 'Unknown error occurred');
+      if (!response.data) {
+        throw new Error('Failed to submit analysis');
       }
+
+      await saveActiveJob(response.data.jobId);
+      setJobStatus(response.data.status);
+      setJobId(response.data.jobId);
+      refreshUsage();
     } catch (error) {
       console.error('Analysis error:', error);
+      const message = describeFunctionsError(error);
       setAnalysisResult({
         success: false,
-        error: error instanceof Error ? error.message : 'Analysis failed',
+        error: message,
       });
-      Alert.alert('Error', 'Failed to analyze video');
-    } finally {
       setIsAnalyzing(false);
+      Alert.alert('Error', message);
+    }
+  }, [pupilSelection, tvModel, blinkDetection, artifactCleaning, refreshUsage]);
+
+  // A video recorded on the capture screen goes straight into analysis with the current settings
+  // The ref keeps a settings change (a new analyzeFile) from analysing the same video again
+  const capturedFile = useRef<string | null>(null);
+  useEffect(() => {
+    if (!capturedUri || capturedUri === capturedFile.current) {
+      return;
+    }
+
+    capturedFile.current = capturedUri;
+    const media = { uri: capturedUri, mimeType: getMimeType(capturedUri) };
+    setSelectedMedia([media]);
+    analyzeFile(media);
+  }, [capturedUri, analyzeFile]);
+
+  const cancelAnalysis = async () => {
+    if (!jobId) {
+      return;
+    }
+
+    try {
+      await cancelPupilAnalysis({ jobId });
+      await finishJob();
+    } catch (error) {
+      console.error('Cancel error:', error);
+      Alert.alert('Error', describeFunctionsError(error));
     }
   };
 
   const clearSelection = () => {
-    setSelectedVideo(null);
+    setSelectedMedia([]);
     setAnalysisResult(null);
   };
 
@@ -145,7 +435,7 @@ export default function HomeScreen() {
       }
     } catch (error) {
       console.error('Connection test error:', error);
-      Alert.alert('Connection Test Error', error instanceof Error ? error.message : 'Failed to test connection');
+      Alert.alert('Connection Test Error', describeFunctionsError(error));
     }
   };
 
@@ -156,22 +446,34 @@ export default function HomeScreen() {
           <Text style={styles.title}>👁️ PupilSense</Text>
           <Text style={styles.subtitle}>Pupil Diameter Analysis</Text>
 
+          {usage && <Text style={styles.usageText}>{describeUsage(usage)}</Text>}
+
           <TouchableOpacity style={styles.testButton} onPress={testConnectionToAPI}>
             <Text style={styles.testButtonText}>🔗 Test API Connection</Text>
           </TouchableOpacity>
         </View>
 
         <View style={styles.uploadSection}>
-          <TouchableOpacity style={styles.uploadButton} onPress={selectVideo}>
+          <TouchableOpacity style={styles.uploadButton} onPress={selectMedia}>
             <Text style={styles.uploadButtonText}>
-              {selectedVideo ? '📹 Change Video' : '📹 Select Video'}
+              {selectedMedia.length > 0 ? '📹 Change Selection' : '📹 Select Video or Photos'}
             </Text>
           </TouchableOpacity>
 
-          {selectedVideo && (
+          <TouchableOpacity
+            style={[styles.uploadButton, styles.captureButton, isAnalyzing && styles.analyzeButtonDisabled]}
+            onPress={() => router.push('/capture')}
+            disabled={isAnalyzing}
+          >
+            <Text style={styles.uploadButtonText}>📷 Record Eye Video</Text>
+          </TouchableOpacity>
+
+          {selectedMedia.length > 0 && (
             <View style={styles.selectedVideoInfo}>
               <Text style={styles.selectedVideoText}>
-                ✅ Video selected: {selectedVideo.split('/').pop()}
+                {isSequence
+                  ? `✅ ${selectedMedia.length} photos selected (sequence)`
+                  : `✅ ${isImage ? 'Photo' : 'Video'} selected: ${selectedMedia[0].uri.split('/').pop()}`}
               </Text>
               <TouchableOpacity style={styles.clearButton} onPress={clearSelection}>
                 <Text style={styles.clearButtonText}>Clear</Text>
@@ -180,93 +482,150 @@ export default function HomeScreen() {
           )}
         </View>
 
-        {selectedVideo && (
-          <View style={styles.settingsSection}>
-            <Text style={styles.settingsTitle}>Analysis Settings</Text>
+        {/* Shown before anything is selected so recordings use the chosen settings */}
+        <View style={styles.settingsSection}>
+          <Text style={styles.settingsTitle}>Analysis Settings</Text>
 
+          {isSequence && (
             <View style={styles.settingRow}>
-              <Text style={styles.settingLabel}>Pupil Selection:</Text>
-              <View style={styles.buttonGroup}>
-                {['both', 'left_pupil', 'right_pupil'].map((option) => (
-                  <TouchableOpacity
-                    key={option}
-                    style={[
-                      styles.optionButton,
-                      pupilSelection === option && styles.optionButtonActive
-                    ]}
-                    onPress={() => setPupilSelection(option)}
-                  >
-                    <Text style={[
-                      styles.optionButtonText,
-                      pupilSelection === option && styles.optionButtonTextActive
-                    ]}>
-                      {option === 'both' ? 'Both' : option === 'left_pupil' ? 'Left' : 'Right'}
-                    </Text>
-                  </TouchableOpacity>
-                ))}
-              </View>
+              <Text style={styles.settingLabel}>Time Between Photos (ms):</Text>
+              <TextInput
+                style={styles.intervalInput}
+                value={sequenceIntervalMs}
+                onChangeText={setSequenceIntervalMs}
+                keyboardType="number-pad"
+              />
             </View>
+          )}
 
-            <View style={styles.settingRow}>
-              <Text style={styles.settingLabel}>Model:</Text>
-              <View style={styles.buttonGroup}>
-                {['ResNet18', 'ResNet50'].map((model) => (
-                  <TouchableOpacity
-                    key={model}
-                    style={[
-                      styles.optionButton,
-                      tvModel === model && styles.optionButtonActive
-                    ]}
-                    onPress={() => setTvModel(model)}
-                  >
-                    <Text style={[
-                      styles.optionButtonText,
-                      tvModel === model && styles.optionButtonTextActive
-                    ]}>
-                      {model}
-                    </Text>
-                  </TouchableOpacity>
-                ))}
-              </View>
+          <View style={styles.settingRow}>
+            <Text style={styles.settingLabel}>Pupil Selection:</Text>
+            <View style={styles.buttonGroup}>
+              {['both', 'left_pupil', 'right_pupil'].map((option) => (
+                <TouchableOpacity
+                  key={option}
+                  style={[
+                    styles.optionButton,
+                    pupilSelection === option && styles.optionButtonActive
+                  ]}
+                  onPress={() => setPupilSelection(option)}
+                >
+                  <Text style={[
+                    styles.optionButtonText,
+                    pupilSelection === option && styles.optionButtonTextActive
+                  ]}>
+                    {option === 'both' ? 'Both' : option === 'left_pupil' ? 'Left' : 'Right'}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+
+          <View style={styles.settingRow}>
+            <Text style={styles.settingLabel}>Model:</Text>
+            <View style={styles.buttonGroup}>
+              {['ResNet18', 'ResNet50'].map((model) => (
+                <TouchableOpacity
+                  key={model}
+                  style={[
+                    styles.optionButton,
+                    tvModel === model && styles.optionButtonActive
+                  ]}
+                  onPress={() => setTvModel(model)}
+                >
+                  <Text style={[
+                    styles.optionButtonText,
+                    tvModel === model && styles.optionButtonTextActive
+                  ]}>
+                    {model}
+                  </Text>
+                </TouchableOpacity>
+              ))}
             </View>
+          </View>
+
+          <View style={styles.settingRow}>
+            <Text style={styles.settingLabel}>Blink Detection:</Text>
+            <TouchableOpacity
+              style={[
+                styles.toggleButton,
+                blinkDetection && styles.toggleButtonActive
+              ]}
+              onPress={() => setBlinkDetection(!blinkDetection)}
+            >
+              <Text style={[
+                styles.toggleButtonText,
+                blinkDetection && styles.toggleButtonTextActive
+              ]}>
+                {blinkDetection ? 'ON' : 'OFF'}
+              </Text>
+            </TouchableOpacity>
+          </View>
 
+          {!isSequence && (
             <View style={styles.settingRow}>
-              <Text style={styles.settingLabel}>Blink Detection:</Text>
+              <Text style={styles.settingLabel}>Artifact Cleaning:</Text>
               <TouchableOpacity
                 style={[
                   styles.toggleButton,
-                  blinkDetection && styles.toggleButtonActive
+                  artifactCleaning && styles.toggleButtonActive
                 ]}
-                onPress={() => setBlinkDetection(!blinkDetection)}
+                onPress={() => setArtifactCleaning(!artifactCleaning)}
               >
                 <Text style={[
                   styles.toggleButtonText,
-                  blinkDetection && styles.toggleButtonTextActive
+                  artifactCleaning && styles.toggleButtonTextActive
                 ]}>
-                  {blinkDetection ? 'ON' : 'OFF'}
+                  {artifactCleaning ? 'ON' : 'OFF'}
                 </Text>
               </TouchableOpacity>
             </View>
-          </View>
-        )}
+          )}
+        </View>
 
-        {selectedVideo && (
+        {selectedMedia.length > 0 && (
           <TouchableOpacity
             style={[styles.analyzeButton, isAnalyzing && styles.analyzeButtonDisabled]}
-            onPress={analyzeVideo}
+            onPress={analyzeMedia}
             disabled={isAnalyzing}
           >
             {isAnalyzing ? (
               <View style={styles.loadingContainer}>
                 <ActivityIndicator size="small" color="#fff" />
-                <Text style={styles.analyzeButtonText}>Analyzing...</Text>
+                <Text style={styles.analyzeButtonText}>
+                  {jobStatus === 'queued' ? 'Queued...' : 'Analyzing...'}
+                </Text>
               </View>
             ) : (
-              <Text style={styles.analyzeButtonText}>🔍 Analyze Video</Text>
+              <Text style={styles.analyzeButtonText}>
+                {isSequence ? '🔍 Analyze Sequence' : isImage ? '🔍 Analyze Photo' : '🔍 Analyze Video'}
+              </Text>
             )}
           </TouchableOpacity>
         )}
 
+        {jobId && (
+          <TouchableOpacity style={styles.cancelButton} onPress={cancelAnalysis}>
+            <Text style={styles.cancelButtonText}>Cancel Analysis</Text>
+          </TouchableOpacity>
+        )}
+
+        {jobId && (
+          <View style={styles.progressSection}>
+            <View style={styles.progressTrack}>
+              <View
+                style={[
+                  styles.progressFill,
+                  jobProgress?.progress != null
+                    ? { width: `${Math.round(jobProgress.progress * 100)}%` }
+                    : styles.progressIndeterminate,
+                ]}
+              />
+            </View>
+            <Text style={styles.progressText}>{describeProgress(jobProgress)}</Text>
+          </View>
+        )}
+
         {analysisResult && (
           <View style={styles.resultsSection}>
             <Text style={styles.resultsTitle}>
@@ -293,6 +652,41 @@ export default function HomeScreen() {
                   </View>
                 )}
 
+                {analysisResult.data?.pupilData && (
+                  <View style={styles.resultItem}>
+                    <Text style={styles.resultLabel}>Pupil Diameter ({analysisResult.data.pupilData.units}):</Text>
+                    {renderEyeStats('Left', analysisResult.data.pupilData.stats.left)}
+                    {renderEyeStats('Right', analysisResult.data.pupilData.stats.right)}
+                    <Text style={styles.resultText}>
+                      Frames: {analysisResult.data.pupilData.stats.frameCount} · Blinks: {analysisResult.data.pupilData.stats.blinkCount}
+                    </Text>
+                    {analysisResult.data.pupilData.cleaning && (
+                      <Text style={analysisResult.data.pupilData.cleaning.usable ? styles.resultText : styles.errorText}>
+                        {describeRejection(analysisResult.data.pupilData.cleaning)}
+                      </Text>
+                    )}
+                  </View>
+                )}
+
+                {analysisResult.data?.pupilData && analysisResult.data.pupilData.frames.length > 1 && (
+                  <View style={styles.resultItem}>
+                    <PupilChart series={analysisResult.data.pupilData} events={analysisResult.data.eventResponses} />
+                  </View>
+                )}
+
+                {analysisResult.data?.images && (
+                  <View style={styles.resultItem}>
+                    <Text style={styles.resultLabel}>Photos:</Text>
+                    {analysisResult.data.images.map((image) => (
+                      <Text key={image.index} style={styles.resultText}>
+                        #{image.index + 1} at {image.timestamp.toFixed(2)}s: {image.blink
+                          ? 'blink'
+                          : `L ${image.leftDiameter?.toFixed(2) ?? '-'} · R ${image.rightDiameter?.toFixed(2) ?? '-'}`}
+                      </Text>
+                    ))}
+                  </View>
+                )}
+
                 {analysisResult.data?.metadata && (
                   <View style={styles.resultItem}>
                     <Text style={styles.resultLabel}>Details:</Text>
@@ -339,6 +733,12 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     marginBottom: 16,
   },
+  usageText: {
+    fontSize: 13,
+    color: '#888',
+    textAlign: 'center',
+    marginBottom: 8,
+  },
   testButton: {
     backgroundColor: '#FF9500',
     paddingHorizontal: 16,
@@ -361,6 +761,9 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginBottom: 16,
   },
+  captureButton: {
+    backgroundColor: '#5856D6',
+  },
   uploadButtonText: {
     color: '#fff',
     fontSize: 18,
@@ -405,6 +808,14 @@ const styles = StyleSheet.create({
   settingRow: {
     marginBottom: 16,
   },
+  intervalInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 16,
+    color: '#333',
+  },
   settingLabel: {
     fontSize: 16,
     color: '#333',
@@ -471,6 +882,43 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: '600',
   },
+  cancelButton: {
+    backgroundColor: '#ff4444',
+    padding: 12,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginTop: -8,
+    marginBottom: 20,
+  },
+  cancelButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  progressSection: {
+    marginBottom: 20,
+  },
+  progressTrack: {
+    height: 8,
+    backgroundColor: '#e0e0e0',
+    borderRadius: 4,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: '100%',
+    backgroundColor: '#34C759',
+  },
+  // Queued, or the Space does not report progress
+  progressIndeterminate: {
+    width: '100%',
+    opacity: 0.3,
+  },
+  progressText: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 8,
+    textAlign: 'center',
+  },
   loadingContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -12,7 +12,8 @@ import {
   Image,
 } from 'react-native';
 import * as DocumentPicker from 'expo-document-picker';
-import { generatePupilAnalysis } from '../../lib/firebase';
+import { generatePupilAnalysis, uploadVideoForAnalysis } from '../../lib/firebase';
+import { describeFunctionsError } from '../../lib/errorMessages';
 
 interface AnalysisResult {
   success: boolean;
@@ -30,6 +31,7 @@ interface AnalysisResult {
 
 export default function PupilSenseScreen() {
   const [selectedVideo, setSelectedVideo] = useState<string | null>(null);
+  const [selectedVideoType, setSelectedVideoType] = useState('video/mp4');
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [analysisResult, setAnalysisResult] = useState<AnalysisResult | null>(null);
 
@@ -44,6 +46,7 @@ export default function PupilSenseScreen() {
         const asset = result.assets[0];
         console.log('Selected video:', asset.uri);
         setSelectedVideo(asset.uri);
+        setSelectedVideoType(asset.mimeType || 'video/mp4');
         setAnalysisResult(null); // Clear previous results
       }
     } catch (error) {
@@ -62,9 +65,13 @@ export default function PupilSenseScreen() {
     setAnalysisResult(null);
 
     try {
+      // The function cannot read files on the device, so pass a Cloud Storage reference
+      console.log('Uploading video to Cloud Storage...');
+      const videoStorageUri = await uploadVideoForAnalysis(selectedVideo, selectedVideoType);
+
       console.log('Starting pupil analysis...');
       const firebaseResult = await generatePupilAnalysis({
-        video_input: selectedVideo,
+        video_input: videoStorageUri,
         pupil_selection: 'both',
         tv_model: 'ResNet18',
         blink_detection: true,
@@ -75,18 +82,15 @@ export default function PupilSenseScreen() {
       console.log('Analysis result:', result);
       setAnalysisResult(result);
 
-      if (result.success) {
-        Alert.alert('Analysis Complete', 'Pupil analysis completed successfully!');
-      } else {
-        Alert.alert('Analysis Failed', result.error || 'Unknown error occurred');
-      }
+      Alert.alert('Analysis Complete', 'Pupil analysis completed successfully!');
     } catch (error) {
       console.error('Analysis error:', error);
+      const message = describeFunctionsError(error);
       setAnalysisResult({
         success: false,
-        error: error instanceof Error ? error.message : 'Analysis failed',
+        error: message,
       });
-      Alert.alert('Error', 'Failed to analyze video');
+      Alert.alert('Analysis Failed', message);
     } finally {
       setIsAnalyzing(false);
     }
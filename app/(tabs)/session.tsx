@@ -0,0 +1,508 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  TextInput,
+} from 'react-native';
+import { CameraView, useCameraPermissions } from 'expo-camera';
+import { Audio, AVPlaybackStatus } from 'expo-av';
+import { FunctionsError } from 'firebase/functions';
+import {
+  cancelPupilAnalysis,
+  generateTTS,
+  getPupilAnalysisStatus,
+  submitPupilAnalysis,
+  uploadVideoForAnalysis,
+} from '../../lib/firebase';
+import { describeFunctionsError, getErrorMessage } from '../../lib/errorMessages';
+import { getMimeType } from '../../lib/mediaTypes';
+import type { EventMarker, EventResponse, EyeEventResponse, PupilSeries } from '@/types/pupilAnalysis';
+
+type SessionStage = 'idle' | 'preparing' | 'recording' | 'uploading' | 'analyzing';
+
+interface SessionJobResponse {
+  success: boolean;
+  data?: {
+    jobId: string;
+    status: 'queued' | 'processing' | 'done' | 'failed' | 'cancelled';
+    result?: {
+      pupilData?: PupilSeries | null;
+      eventResponses?: EventResponse[] | null;
+    } | null;
+    error?: string | null;
+    errorType?: string | null;
+  };
+}
+
+const DEFAULT_PROMPTS = 'Look at the screen\nCount backwards from one hundred in sevens\nName five animals';
+const DEFAULT_GAP_SECONDS = '6';
+// Recorded before the first prompt so it has a baseline
+const LEAD_IN_MS = 3000;
+const JOB_POLL_INTERVAL_MS = 3000;
+// Longer than the worker timeout plus the server's stale-job sweep
+const JOB_TIMEOUT_MS = 20 * 60 * 1000;
+// Waits for the per-minute quota are sat out; the daily quota fails the session
+const MAX_QUOTA_WAIT_SECONDS = 60;
+
+const wait = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Seconds until the per-minute quota frees up, or null for any other error
+const getQuotaWaitSeconds = (error: unknown): number | null => {
+  if (!(error instanceof FunctionsError)) {
+    return null;
+  }
+  const details = error.details as { quota?: string; retryAfterSeconds?: number } | undefined;
+  return details?.quota === 'requestsPerMinute' && details.retryAfterSeconds ? details.retryAfterSeconds : null;
+};
+
+// Resolves when the sound reaches its end
+const playToEnd = (sound: Audio.Sound) => new Promise<void>((resolve) => {
+  sound.setOnPlaybackStatusUpdate((status: AVPlaybackStatus) => {
+    if (status.isLoaded && status.didJustFinish) {
+      sound.setOnPlaybackStatusUpdate(null);
+      resolve();
+    }
+  });
+});
+
+const describeResponse = (label: string, eye: EyeEventResponse | null) => (
+  <Text style={styles.resultText}>
+    {label}: {eye
+      ? `${eye.meanChange >= 0 ? '+' : ''}${eye.meanChange.toFixed(2)} mean, ` +
+        `${eye.peakChange >= 0 ? '+' : ''}${eye.peakChange.toFixed(2)} peak at ${eye.peakLatency.toFixed(2)}s`
+      : 'No data'}
+  </Text>
+);
+
+export default function SessionScreen() {
+  const [permission, requestPermission] = useCameraPermissions();
+  const [promptText, setPromptText] = useState(DEFAULT_PROMPTS);
+  const [gapSeconds, setGapSeconds] = useState(DEFAULT_GAP_SECONDS);
+  const [stage, setStage] = useState<SessionStage>('idle');
+  const [currentPrompt, setCurrentPrompt] = useState<string | null>(null);
+  const [cameraReady, setCameraReady] = useState(false);
+  const [responses, setResponses] = useState<EventResponse[] | null>(null);
+  const [units, setUnits] = useState<string>('mm');
+  const [error, setError] = useState<string | null>(null);
+  const [quotaWaitSeconds, setQuotaWaitSeconds] = useState<number | null>(null);
+  const cameraRef = useRef<CameraView>(null);
+  const soundsRef = useRef<Audio.Sound[]>([]);
+  const unmounted = useRef(false);
+
+  const unloadSounds = useCallback(async () => {
+    const sounds = soundsRef.current;
+    soundsRef.current = [];
+    await Promise.all(sounds.map((sound) => sound.unloadAsync().catch(() => undefined)));
+  }, []);
+
+  // Leaving the screen stops the session where it is
+  useEffect(() => () => {
+    unmounted.current = true;
+    unloadSounds();
+  }, [unloadSounds]);
+
+  const prompts = promptText.split('\n').map((line) => line.trim()).filter(Boolean);
+
+  // Cached prompts are free; new ones count against the per-minute quota, which is waited out
+  const generatePromptAudio = async (prompt: string) => {
+    for (;;) {
+      try {
+        const response = (await generateTTS({ text_input: prompt })).data as {
+          success: boolean;
+          data?: { audioUrl?: string | null };
+        };
+        if (!response.data?.audioUrl) {
+          throw new Error(`No audio was generated for "${prompt}"`);
+        }
+        return response.data.audioUrl;
+      } catch (generateError) {
+        const waitSeconds = getQuotaWaitSeconds(generateError);
+        if (!waitSeconds || waitSeconds > MAX_QUOTA_WAIT_SECONDS || unmounted.current) {
+          throw generateError;
+        }
+        setQuotaWaitSeconds(waitSeconds);
+        await wait(waitSeconds * 1000);
+        setQuotaWaitSeconds(null);
+      }
+    }
+  };
+
+  // Generate and load every prompt before recording, so network time never lands between two events
+  const preparePrompts = async () => {
+    await Audio.setAudioModeAsync({ playsInSilentModeIOS: true, allowsRecordingIOS: false });
+
+    // A prompt repeated in the list is generated once
+    const audioUrls = new Map<string, string>();
+    for (const prompt of prompts) {
+      if (unmounted.current) {
+        throw new Error('The session was stopped');
+      }
+      let audioUrl = audioUrls.get(prompt);
+      if (!audioUrl) {
+        audioUrl = await generatePromptAudio(prompt);
+        audioUrls.set(prompt, audioUrl);
+      }
+      const { sound } = await Audio.Sound.createAsync({ uri: audioUrl });
+      soundsRef.current.push(sound);
+    }
+  };
+
+  /**
+   * Play the prompts while the camera records
+   * Onsets are measured from the moment recording was requested; the camera
+   * takes a few tens of milliseconds to start, so onsets are that much late.
+   */
+  const recordSession = async (gapMs: number) => {
+    const camera = cameraRef.current;
+    if (!camera) {
+      throw new Error('The camera is not ready');
+    }
+
+    const events: EventMarker[] = [];
+    const recording = camera.recordAsync();
+    const startedAt = Date.now();
+
+    try {
+      await wait(LEAD_IN_MS);
+
+      for (const [index, sound] of soundsRef.current.entries()) {
+        setCurrentPrompt(prompts[index]);
+        const finished = playToEnd(sound);
+        await sound.playAsync();
+        events.push({ time: (Date.now() - startedAt) / 1000, label: prompts[index] });
+        await finished;
+        await wait(gapMs);
+      }
+    } finally {
+      setCurrentPrompt(null);
+      camera.stopRecording();
+    }
+
+    const video = await recording;
+    if (!video?.uri) {
+      throw new Error('The recording could not be saved');
+    }
+    return { uri: video.uri, events };
+  };
+
+  // Gives up, and cancels the job, when the screen is left or the job runs past JOB_TIMEOUT_MS;
+  // failed status checks are retried on the next poll
+  const waitForJob = async (jobId: string) => {
+    const deadline = Date.now() + JOB_TIMEOUT_MS;
+
+    for (;;) {
+      await wait(JOB_POLL_INTERVAL_MS);
+      if (unmounted.current || Date.now() > deadline) {
+        cancelPupilAnalysis({ jobId }).catch((cancelError) => console.error('Cancel error:', cancelError));
+        throw new Error(unmounted.current ? 'The session was stopped' : 'The analysis took too long. Please try again.');
+      }
+
+      let job: SessionJobResponse['data'];
+      try {
+        job = ((await getPupilAnalysisStatus({ jobId })).data as SessionJobResponse).data;
+      } catch (statusError) {
+        // The job is gone (or was never ours); there is nothing left to wait for
+        if (statusError instanceof FunctionsError && statusError.code === 'functions/not-found') {
+          throw statusError;
+        }
+        // Network hiccups and the per-minute quota should not abandon the job - the next poll will retry
+        console.error('Job status check failed:', statusError);
+        continue;
+      }
+
+      if (job?.status === 'done') {
+        return job.result || null;
+      }
+      if (job?.status === 'failed') {
+        throw new Error(getErrorMessage(job.errorType, job.error));
+      }
+      if (job?.status === 'cancelled') {
+        throw new Error('The analysis was cancelled');
+      }
+    }
+  };
+
+  const runSession = async () => {
+    const gapMs = Number(gapSeconds) * 1000;
+    if (prompts.length === 0) {
+      Alert.alert('No Prompts', 'Enter at least one prompt, one per line');
+      return;
+    }
+    if (!Number.isFinite(gapMs) || gapMs < 0) {
+      Alert.alert('Invalid Gap', 'Enter the seconds to wait after each prompt');
+      return;
+    }
+
+    setResponses(null);
+    setError(null);
+
+    try {
+      setStage('preparing');
+      await preparePrompts();
+
+      setStage('recording');
+      const { uri, events } = await recordSession(gapMs);
+      console.log('Session recorded:', { uri, events });
+
+      setStage('uploading');
+      const videoStorageUri = await uploadVideoForAnalysis(uri, getMimeType(uri));
+
+      const submitted = (await submitPupilAnalysis({
+        video_input: videoStorageUri,
+        pupil_selection: 'both',
+        blink_detection: true,
+        cleaning: true,
+        events,
+      })).data as SessionJobResponse;
+      if (!submitted.data) {
+        throw new Error('Failed to submit analysis');
+      }
+
+      setStage('analyzing');
+      const result = await waitForJob(submitted.data.jobId);
+      setUnits(result?.pupilData?.units || 'mm');
+      setResponses(result?.eventResponses || []);
+    } catch (sessionError) {
+      console.error('Session error:', sessionError);
+      if (unmounted.current) {
+        return;
+      }
+      const message = describeFunctionsError(sessionError);
+      setError(message);
+      Alert.alert('Session Failed', message);
+    } finally {
+      await unloadSounds();
+      if (!unmounted.current) {
+        setQuotaWaitSeconds(null);
+        setStage('idle');
+      }
+    }
+  };
+
+  if (!permission) {
+    return <SafeAreaView style={styles.container} />;
+  }
+
+  if (!permission.granted) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.permissionSection}>
+          <Text style={styles.subtitle}>The camera records your eye while the prompts play</Text>
+          <TouchableOpacity style={styles.startButton} onPress={requestPermission}>
+            <Text style={styles.startButtonText}>Allow Camera</Text>
+          </TouchableOpacity>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  const isRunning = stage !== 'idle';
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        <View style={styles.header}>
+          <Text style={styles.title}>🎧 Session</Text>
+          <Text style={styles.subtitle}>Spoken prompts with event-locked pupil responses</Text>
+        </View>
+
+        <CameraView
+          ref={cameraRef}
+          style={styles.camera}
+          facing="front"
+          mode="video"
+          mute
+          onCameraReady={() => setCameraReady(true)}
+        />
+
+        {currentPrompt && <Text style={styles.promptText}>🔊 {currentPrompt}</Text>}
+
+        <View style={styles.settingsSection}>
+          <Text style={styles.settingLabel}>Prompts (one per line):</Text>
+          <TextInput
+            style={[styles.input, styles.promptInput]}
+            value={promptText}
+            onChangeText={setPromptText}
+            editable={!isRunning}
+            multiline
+          />
+
+          <Text style={styles.settingLabel}>Seconds After Each Prompt:</Text>
+          <TextInput
+            style={styles.input}
+            value={gapSeconds}
+            onChangeText={setGapSeconds}
+            editable={!isRunning}
+            keyboardType="decimal-pad"
+          />
+        </View>
+
+        <TouchableOpacity
+          style={[styles.startButton, (isRunning || !cameraReady) && styles.startButtonDisabled]}
+          onPress={runSession}
+          disabled={isRunning || !cameraReady}
+        >
+          {isRunning ? (
+            <View style={styles.loadingContainer}>
+              <ActivityIndicator size="small" color="#fff" />
+              <Text style={styles.startButtonText}>
+                {stage === 'preparing' ? (quotaWaitSeconds
+                    ? `Waiting ${quotaWaitSeconds}s for the prompt quota...`
+                    : 'Generating prompts...')
+                  : stage === 'recording' ? 'Recording...'
+                  : stage === 'uploading' ? 'Uploading...'
+                  : 'Analyzing...'}
+              </Text>
+            </View>
+          ) : (
+            <Text style={styles.startButtonText}>▶️ Start Session</Text>
+          )}
+        </TouchableOpacity>
+
+        {error && <Text style={styles.errorText}>{error}</Text>}
+
+        {responses && (
+          <View style={styles.resultsSection}>
+            <Text style={styles.resultsTitle}>Responses ({units})</Text>
+            {responses.length === 0 && <Text style={styles.resultText}>No responses were measured</Text>}
+            {responses.map((response) => (
+              <View key={response.index} style={styles.resultItem}>
+                <Text style={styles.resultLabel}>
+                  {response.label || `Prompt ${response.index + 1}`} at {response.time.toFixed(2)}s
+                </Text>
+                {describeResponse('Left', response.left)}
+                {describeResponse('Right', response.right)}
+              </View>
+            ))}
+          </View>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  scrollContent: {
+    padding: 20,
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  title: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 18,
+    color: '#666',
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  permissionSection: {
+    flex: 1,
+    justifyContent: 'center',
+    padding: 20,
+  },
+  camera: {
+    height: 240,
+    borderRadius: 12,
+    overflow: 'hidden',
+    marginBottom: 16,
+  },
+  promptText: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#007AFF',
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  settingsSection: {
+    backgroundColor: '#fff',
+    padding: 16,
+    borderRadius: 12,
+    marginBottom: 20,
+  },
+  settingLabel: {
+    fontSize: 16,
+    color: '#333',
+    marginBottom: 8,
+    fontWeight: '500',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 16,
+    color: '#333',
+    marginBottom: 16,
+  },
+  promptInput: {
+    minHeight: 100,
+    textAlignVertical: 'top',
+  },
+  startButton: {
+    backgroundColor: '#34C759',
+    padding: 16,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  startButtonDisabled: {
+    backgroundColor: '#999',
+  },
+  startButtonText: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: '600',
+  },
+  loadingContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  resultsSection: {
+    backgroundColor: '#fff',
+    padding: 16,
+    borderRadius: 12,
+  },
+  resultsTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 16,
+  },
+  resultItem: {
+    marginBottom: 16,
+  },
+  resultLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 4,
+  },
+  resultText: {
+    fontSize: 14,
+    color: '#666',
+    lineHeight: 20,
+  },
+  errorText: {
+    color: '#ff4444',
+    fontSize: 14,
+    lineHeight: 20,
+    marginBottom: 20,
+  },
+});
@@ -0,0 +1,269 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  Image,
+} from 'react-native';
+import { router, useLocalSearchParams } from 'expo-router';
+import { deleteAnalysis, getAnalysis } from '../../lib/firebase';
+import { describeFunctionsError } from '../../lib/errorMessages';
+import { PupilChart } from '@/components/PupilChart';
+import type { EyeEventResponse, PlrEyeMetrics, PupilEyeStats, SavedAnalysis } from '@/types/pupilAnalysis';
+
+const renderEyeStats = (label: string, stats: PupilEyeStats | null) => (
+  <Text style={styles.resultText}>
+    {label}: {stats
+      ? `${stats.mean.toFixed(2)} ± ${stats.sd.toFixed(2)} (min ${stats.min.toFixed(2)}, max ${stats.max.toFixed(2)})`
+      : 'No data'}
+  </Text>
+);
+
+const formatValue = (value: number | null, unit: string) => (value === null ? '-' : `${value.toFixed(2)} ${unit}`);
+
+const renderPlr = (label: string, metrics: PlrEyeMetrics | null, units: string) => (
+  <Text style={styles.resultText}>
+    {label}: {metrics
+      ? `baseline ${formatValue(metrics.baselineDiameter, units)}, amplitude ${formatValue(metrics.constrictionAmplitude, units)}, ` +
+        `latency ${formatValue(metrics.latency, 's')}, constriction ${formatValue(metrics.maxConstrictionVelocity, `${units}/s`)}, ` +
+        `T75 ${formatValue(metrics.recoveryTime, 's')}, re-dilation ${formatValue(metrics.redilationVelocity, `${units}/s`)}`
+      : 'No data'}
+  </Text>
+);
+
+const renderEventResponse = (label: string, response: EyeEventResponse | null, units: string) => (
+  <Text style={styles.resultText}>
+    {label}: {response
+      ? `mean ${formatValue(response.meanChange, units)}, peak ${formatValue(response.peakChange, units)} ` +
+        `after ${formatValue(response.peakLatency, 's')}`
+      : 'No data'}
+  </Text>
+);
+
+export default function AnalysisDetailScreen() {
+  const { id } = useLocalSearchParams<{ id: string }>();
+  const [analysis, setAnalysis] = useState<SavedAnalysis | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [isDeleting, setIsDeleting] = useState(false);
+
+  useEffect(() => {
+    getAnalysis({ analysisId: id })
+      .then((result) => setAnalysis((result.data as { success: boolean; data: SavedAnalysis }).data))
+      .catch((loadError) => {
+        console.error('Failed to load analysis:', loadError);
+        setError(describeFunctionsError(loadError));
+      });
+  }, [id]);
+
+  const removeAnalysis = async () => {
+    setIsDeleting(true);
+    try {
+      await deleteAnalysis({ analysisId: id });
+      router.back();
+    } catch (deleteError) {
+      console.error('Failed to delete analysis:', deleteError);
+      setIsDeleting(false);
+      Alert.alert('Error', describeFunctionsError(deleteError));
+    }
+  };
+
+  const confirmDelete = () => {
+    Alert.alert('Delete Analysis', 'This removes the analysis and its pupil data for good.', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Delete', style: 'destructive', onPress: removeAnalysis },
+    ]);
+  };
+
+  if (error) {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.errorText}>{error}</Text>
+      </View>
+    );
+  }
+
+  if (!analysis) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" />
+      </View>
+    );
+  }
+
+  const { pupilData } = analysis;
+
+  return (
+    <ScrollView contentContainerStyle={styles.scrollContent}>
+      <View style={styles.resultsSection}>
+        <Text style={styles.resultsTitle}>
+          {analysis.createdAt ? new Date(analysis.createdAt).toLocaleString() : 'Saved analysis'}
+        </Text>
+
+        {analysis.plotUrl && (
+          <View style={styles.resultItem}>
+            <Text style={styles.resultLabel}>Analysis Image:</Text>
+            <Image source={{ uri: analysis.plotUrl }} style={styles.resultImage} resizeMode="contain" />
+          </View>
+        )}
+
+        <View style={styles.resultItem}>
+          <Text style={styles.resultLabel}>Summary:</Text>
+          <Text style={styles.resultText}>{analysis.summary}</Text>
+        </View>
+
+        {pupilData && (
+          <View style={styles.resultItem}>
+            <Text style={styles.resultLabel}>Pupil Diameter ({pupilData.units}):</Text>
+            {renderEyeStats('Left', pupilData.stats.left)}
+            {renderEyeStats('Right', pupilData.stats.right)}
+            <Text style={styles.resultText}>
+              Frames: {pupilData.stats.frameCount} · Blinks: {pupilData.stats.blinkCount}
+              {pupilData.stats.durationSeconds !== null ? ` · ${pupilData.stats.durationSeconds.toFixed(1)}s` : ''}
+            </Text>
+          </View>
+        )}
+
+        {pupilData && pupilData.frames.length > 1 && (
+          <View style={styles.resultItem}>
+            <PupilChart
+              series={pupilData}
+              events={analysis.eventResponses
+                || (analysis.plr && [{ time: analysis.plr.stimulusOnset, label: 'Light' }])}
+            />
+          </View>
+        )}
+
+        {analysis.plr && (
+          <View style={styles.resultItem}>
+            <Text style={styles.resultLabel}>Light Reflex (stimulus at {analysis.plr.stimulusOnset}s):</Text>
+            {renderPlr('Left', analysis.plr.left, analysis.plr.units)}
+            {renderPlr('Right', analysis.plr.right, analysis.plr.units)}
+          </View>
+        )}
+
+        {analysis.eventResponses && (
+          <View style={styles.resultItem}>
+            <Text style={styles.resultLabel}>Event Responses:</Text>
+            {analysis.eventResponses.map((response) => (
+              <View key={response.index} style={styles.eventResponse}>
+                <Text style={styles.resultText}>
+                  {response.label || `Event ${response.index + 1}`} at {response.time.toFixed(2)}s
+                </Text>
+                {renderEventResponse('Left', response.left, pupilData?.units || 'mm')}
+                {renderEventResponse('Right', response.right, pupilData?.units || 'mm')}
+              </View>
+            ))}
+          </View>
+        )}
+
+        {analysis.images && (
+          <View style={styles.resultItem}>
+            <Text style={styles.resultLabel}>Photos:</Text>
+            {analysis.images.map((image) => (
+              <View key={image.index} style={styles.sequenceImage}>
+                <Text style={styles.resultText}>
+                  #{image.index + 1} at {image.timestamp.toFixed(2)}s: {image.summary}
+                </Text>
+                {image.plotUrl && (
+                  <Image source={{ uri: image.plotUrl }} style={styles.resultImage} resizeMode="contain" />
+                )}
+              </View>
+            ))}
+          </View>
+        )}
+
+        <View style={styles.resultItem}>
+          <Text style={styles.resultLabel}>Settings:</Text>
+          <Text style={styles.resultText}>
+            Model {analysis.params.tv_model} · {analysis.params.pupil_selection} · blink detection {analysis.params.blink_detection ? 'on' : 'off'}
+          </Text>
+          {analysis.metadata?.processingTime !== undefined && (
+            <Text style={styles.resultText}>Processing time: {(analysis.metadata.processingTime / 1000).toFixed(1)}s</Text>
+          )}
+        </View>
+      </View>
+
+      <TouchableOpacity
+        style={[styles.deleteButton, isDeleting && styles.deleteButtonDisabled]}
+        onPress={confirmDelete}
+        disabled={isDeleting}
+      >
+        <Text style={styles.deleteButtonText}>{isDeleting ? 'Deleting...' : 'Delete Analysis'}</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  scrollContent: {
+    padding: 20,
+  },
+  centered: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 20,
+  },
+  resultsSection: {
+    backgroundColor: '#fff',
+    padding: 16,
+    borderRadius: 12,
+    marginBottom: 20,
+  },
+  resultsTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 16,
+  },
+  resultItem: {
+    marginBottom: 16,
+  },
+  resultLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 4,
+  },
+  resultText: {
+    fontSize: 14,
+    color: '#666',
+    lineHeight: 20,
+  },
+  resultImage: {
+    width: '100%',
+    height: 200,
+    borderRadius: 8,
+    backgroundColor: '#f0f0f0',
+  },
+  sequenceImage: {
+    marginBottom: 12,
+  },
+  eventResponse: {
+    marginBottom: 12,
+  },
+  deleteButton: {
+    backgroundColor: '#FF3B30',
+    padding: 12,
+    borderRadius: 12,
+    alignItems: 'center',
+  },
+  deleteButtonDisabled: {
+    opacity: 0.6,
+  },
+  deleteButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  errorText: {
+    color: '#ff4444',
+    fontSize: 14,
+    lineHeight: 20,
+    textAlign: 'center',
+  },
+});
@@ -0,0 +1,297 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { CameraType, CameraView, useCameraPermissions } from 'expo-camera';
+import { router } from 'expo-router';
+
+type CaptureStage = 'framing' | 'countdown' | 'recording';
+
+// Fixed lengths keep recordings comparable between trials
+const DURATIONS_SECONDS = [5, 10, 20];
+const DEFAULT_DURATION_SECONDS = 10;
+const COUNTDOWN_SECONDS = 3;
+
+const wait = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Records a fixed-length eye video and hands it to the analysis screen
+ * expo-camera has no exposure lock, so lighting is kept steady instead: the
+ * torch (back camera only) stays on for the whole recording and focus is
+ * locked once recording starts (iOS).
+ */
+export default function CaptureScreen() {
+  const [permission, requestPermission] = useCameraPermissions();
+  const [facing, setFacing] = useState<CameraType>('front');
+  const [torch, setTorch] = useState(false);
+  const [durationSeconds, setDurationSeconds] = useState(DEFAULT_DURATION_SECONDS);
+  const [stage, setStage] = useState<CaptureStage>('framing');
+  const [countdown, setCountdown] = useState(COUNTDOWN_SECONDS);
+  const [elapsedSeconds, setElapsedSeconds] = useState(0);
+  const [cameraReady, setCameraReady] = useState(false);
+  const [cameraError, setCameraError] = useState<string | null>(null);
+  const cameraRef = useRef<CameraView>(null);
+  const cancelled = useRef(false);
+
+  // Leaving the screen mid-recording throws the recording away
+  useEffect(() => () => {
+    cancelled.current = true;
+    cameraRef.current?.stopRecording();
+  }, []);
+
+  // Front cameras have no torch
+  const hasTorch = facing === 'back';
+
+  const switchCamera = () => {
+    setFacing(facing === 'front' ? 'back' : 'front');
+    setTorch(false);
+    setCameraReady(false);
+    setCameraError(null);
+  };
+
+  const startCapture = async () => {
+    const camera = cameraRef.current;
+    if (!camera) {
+      return;
+    }
+
+    cancelled.current = false;
+    setStage('countdown');
+    for (let remaining = COUNTDOWN_SECONDS; remaining > 0; remaining--) {
+      setCountdown(remaining);
+      await wait(1000);
+      if (cancelled.current) {
+        setStage('framing');
+        return;
+      }
+    }
+
+    setStage('recording');
+    setElapsedSeconds(0);
+    const startedAt = Date.now();
+    const ticker = setInterval(() => setElapsedSeconds(Math.floor((Date.now() - startedAt) / 1000)), 250);
+
+    try {
+      // Recording stops by itself after `maxDuration`
+      const video = await camera.recordAsync({ maxDuration: durationSeconds });
+
+      if (cancelled.current) {
+        return;
+      }
+      if (!video?.uri) {
+        throw new Error('The recording could not be saved');
+      }
+
+      console.log('Eye video recorded:', video.uri);
+      router.navigate({ pathname: '/', params: { capturedUri: video.uri } });
+    } catch (error) {
+      console.error('Recording error:', error);
+      Alert.alert('Recording Failed', error instanceof Error ? error.message : 'The recording could not be saved');
+    } finally {
+      clearInterval(ticker);
+      setStage('framing');
+    }
+  };
+
+  const cancelCapture = () => {
+    cancelled.current = true;
+    cameraRef.current?.stopRecording();
+  };
+
+  if (!permission) {
+    return <View style={styles.container} />;
+  }
+
+  if (!permission.granted) {
+    return (
+      <View style={[styles.container, styles.centered]}>
+        <Text style={styles.message}>Camera access is needed to record your eye</Text>
+        <TouchableOpacity style={styles.recordButton} onPress={requestPermission}>
+          <Text style={styles.recordButtonText}>Allow Camera</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  const isBusy = stage !== 'framing';
+
+  return (
+    <View style={styles.container}>
+      <CameraView
+        ref={cameraRef}
+        style={styles.camera}
+        facing={facing}
+        mode="video"
+        mute
+        enableTorch={hasTorch && torch}
+        autofocus={stage === 'recording' ? 'on' : 'off'}
+        onCameraReady={() => setCameraReady(true)}
+        onMountError={({ message }) => setCameraError(message)}
+      />
+
+      <View style={styles.overlay} pointerEvents="none">
+        <View style={styles.eyeGuide}>
+          <View style={styles.pupilGuide} />
+        </View>
+        <Text style={styles.guideText}>
+          {stage === 'framing' && 'Fill the outline with one eye and keep your head still'}
+          {stage === 'countdown' && countdown}
+          {stage === 'recording' && `● ${durationSeconds - elapsedSeconds}s`}
+        </Text>
+      </View>
+
+      <View style={styles.controls}>
+        {cameraError && <Text style={styles.errorText}>{cameraError}</Text>}
+
+        <View style={styles.buttonGroup}>
+          <TouchableOpacity
+            style={[styles.optionButton, isBusy && styles.optionButtonDisabled]}
+            onPress={switchCamera}
+            disabled={isBusy}
+          >
+            <Text style={styles.optionButtonText}>{facing === 'front' ? 'Front' : 'Back'} Camera</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.optionButton, torch && styles.optionButtonActive, (!hasTorch || isBusy) && styles.optionButtonDisabled]}
+            onPress={() => setTorch(!torch)}
+            disabled={!hasTorch || isBusy}
+          >
+            <Text style={styles.optionButtonText}>{hasTorch ? `Torch ${torch ? 'ON' : 'OFF'}` : 'No Torch'}</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.buttonGroup}>
+          {DURATIONS_SECONDS.map((seconds) => (
+            <TouchableOpacity
+              key={seconds}
+              style={[
+                styles.optionButton,
+                durationSeconds === seconds && styles.optionButtonActive,
+                isBusy && styles.optionButtonDisabled,
+              ]}
+              onPress={() => setDurationSeconds(seconds)}
+              disabled={isBusy}
+            >
+              <Text style={styles.optionButtonText}>{seconds}s</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {isBusy ? (
+          <TouchableOpacity style={[styles.recordButton, styles.cancelButton]} onPress={cancelCapture}>
+            <Text style={styles.recordButtonText}>Cancel</Text>
+          </TouchableOpacity>
+        ) : (
+          <TouchableOpacity
+            style={[styles.recordButton, !cameraReady && styles.recordButtonDisabled]}
+            onPress={startCapture}
+            disabled={!cameraReady}
+          >
+            <Text style={styles.recordButtonText}>⏺ Record {durationSeconds}s</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000',
+  },
+  centered: {
+    justifyContent: 'center',
+    padding: 20,
+  },
+  message: {
+    fontSize: 18,
+    color: '#fff',
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  camera: {
+    flex: 1,
+  },
+  overlay: {
+    ...StyleSheet.absoluteFillObject,
+    bottom: 200,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  eyeGuide: {
+    width: 260,
+    height: 140,
+    borderRadius: 130,
+    borderWidth: 3,
+    borderColor: 'rgba(255, 255, 255, 0.8)',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  pupilGuide: {
+    width: 60,
+    height: 60,
+    borderRadius: 30,
+    borderWidth: 2,
+    borderColor: 'rgba(255, 255, 255, 0.5)',
+  },
+  guideText: {
+    marginTop: 20,
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#fff',
+    textAlign: 'center',
+    paddingHorizontal: 20,
+  },
+  controls: {
+    backgroundColor: '#111',
+    padding: 20,
+    gap: 12,
+  },
+  buttonGroup: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  optionButton: {
+    backgroundColor: '#333',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  optionButtonActive: {
+    backgroundColor: '#007AFF',
+  },
+  optionButtonDisabled: {
+    opacity: 0.4,
+  },
+  optionButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  recordButton: {
+    backgroundColor: '#ff4444',
+    padding: 16,
+    borderRadius: 12,
+    alignItems: 'center',
+  },
+  recordButtonDisabled: {
+    backgroundColor: '#999',
+  },
+  cancelButton: {
+    backgroundColor: '#666',
+  },
+  recordButtonText: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: '600',
+  },
+  errorText: {
+    color: '#ff4444',
+    fontSize: 14,
+  },
+});
@@ -0,0 +1,386 @@
+import { useMemo, useRef, useState } from 'react';
+import { LayoutChangeEvent, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import { Gesture, GestureDetector } from 'react-native-gesture-handler';
+
+import { useThemeColor } from '@/hooks/useThemeColor';
+import type { EventMarker, PupilFrame, PupilSeries } from '@/types/pupilAnalysis';
+
+type Eye = 'left' | 'right';
+
+interface Viewport {
+  start: number;
+  end: number;
+}
+
+interface Point {
+  x: number;
+  y: number;
+}
+
+export type PupilChartProps = {
+  series: PupilSeries;
+  /** Drawn as vertical markers, e.g. prompt onsets or `eventResponses` */
+  events?: EventMarker[] | null;
+  height?: number;
+};
+
+const AXIS_WIDTH = 40;
+const AXIS_HEIGHT = 20;
+const LINE_WIDTH = 2;
+// Never zoom in further than this many seconds
+const MIN_SPAN_SECONDS = 0.25;
+
+const diameterOf = (frame: PupilFrame, eye: Eye, raw: boolean) => {
+  if (raw) {
+    return (eye === 'left' ? frame.leftRawDiameter : frame.rightRawDiameter) ?? null;
+  }
+  return eye === 'left' ? frame.leftDiameter : frame.rightDiameter;
+};
+
+// Keeps the window inside the recording and at least MIN_SPAN_SECONDS wide
+const clampViewport = ({ start, end }: Viewport, bounds: Viewport): Viewport => {
+  const span = Math.min(Math.max(end - start, MIN_SPAN_SECONDS), bounds.end - bounds.start);
+  const clampedStart = Math.min(Math.max(start, bounds.start), bounds.end - span);
+  return { start: clampedStart, end: clampedStart + span };
+};
+
+// Index of the frame closest to `time`; frames are in time order
+const nearestFrame = (frames: PupilFrame[], time: number) => {
+  let low = 0;
+  let high = frames.length - 1;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if ((frames[middle].timestamp as number) < time) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  if (low > 0 && time - (frames[low - 1].timestamp as number) < (frames[low].timestamp as number) - time) {
+    return low - 1;
+  }
+  return low;
+};
+
+// Runs of consecutive blink frames as [start, end] times
+const findBlinkRuns = (frames: PupilFrame[]) => {
+  const runs: Viewport[] = [];
+  frames.forEach((frame, i) => {
+    if (!frame.blink) {
+      return;
+    }
+    const previous = runs[runs.length - 1];
+    if (previous && i > 0 && frames[i - 1].blink) {
+      previous.end = frame.timestamp as number;
+    } else {
+      runs.push({ start: frame.timestamp as number, end: frame.timestamp as number });
+    }
+  });
+  return runs;
+};
+
+/**
+ * A line segment drawn as a rotated View, since the app has no SVG renderer
+ */
+const Segment = ({ from, to, color }: { from: Point; to: Point; color: string }) => {
+  const length = Math.hypot(to.x - from.x, to.y - from.y);
+  return (
+    <View
+      style={{
+        position: 'absolute',
+        left: (from.x + to.x) / 2 - length / 2,
+        top: (from.y + to.y) / 2 - LINE_WIDTH / 2,
+        width: length,
+        height: LINE_WIDTH,
+        backgroundColor: color,
+        transform: [{ rotate: `${Math.atan2(to.y - from.y, to.x - from.x)}rad` }],
+      }}
+    />
+  );
+};
+
+/**
+ * Left and right pupil diameter over time
+ * Pinch to zoom, drag sideways to pan and tap for the values at that moment.
+ * Blinks are shaded and events are drawn as markers. Cleaned series can be
+ * switched back to the Space's raw values.
+ */
+export function PupilChart({ series, events, height = 220 }: PupilChartProps) {
+  const textColor = useThemeColor({}, 'text');
+  const backgroundColor = useThemeColor({}, 'background');
+  const axisColor = useThemeColor({}, 'icon');
+  const leftColor = useThemeColor({ light: '#007AFF', dark: '#0A84FF' }, 'tint');
+  const rightColor = useThemeColor({ light: '#FF9500', dark: '#FF9F0A' }, 'tint');
+  const eventColor = useThemeColor({ light: '#34C759', dark: '#30D158' }, 'tint');
+
+  const [width, setWidth] = useState(0);
+  const [showRaw, setShowRaw] = useState(false);
+  const [selectedTime, setSelectedTime] = useState<number | null>(null);
+
+  // Frames without a timestamp cannot be placed on the time axis
+  const frames = useMemo(() => series.frames.filter((frame) => frame.timestamp !== null), [series]);
+  const hasRaw = !!series.cleaning;
+  const raw = hasRaw && showRaw;
+
+  const bounds = useMemo<Viewport>(() => ({
+    start: frames.length ? (frames[0].timestamp as number) : 0,
+    end: frames.length ? (frames[frames.length - 1].timestamp as number) : 0,
+  }), [frames]);
+  const [viewport, setViewport] = useState<Viewport | null>(null);
+  const visible = viewport || bounds;
+  const gestureStart = useRef<Viewport>(visible);
+
+  // The diameter axis covers the whole series, so it stays put while panning
+  const range = useMemo(() => {
+    const values = frames.flatMap((frame) => [diameterOf(frame, 'left', raw), diameterOf(frame, 'right', raw)])
+      .filter((value): value is number => value !== null);
+    if (!values.length) {
+      return null;
+    }
+    const [min, max] = [Math.min(...values), Math.max(...values)];
+    const padding = Math.max((max - min) * 0.05, 0.05);
+    return { min: min - padding, max: max + padding };
+  }, [frames, raw]);
+
+  const blinkRuns = useMemo(() => findBlinkRuns(frames), [frames]);
+
+  const plotWidth = Math.max(width - AXIS_WIDTH, 0);
+  const plotHeight = height - AXIS_HEIGHT;
+  const span = visible.end - visible.start || 1;
+  const xOf = (time: number) => ((time - visible.start) / span) * plotWidth;
+  const timeOf = (x: number) => visible.start + (x / plotWidth) * span;
+
+  const lines = useMemo(() => {
+    if (!frames.length || !plotWidth || !range) {
+      return { left: [], right: [] };
+    }
+
+    // One frame past each edge so lines run to the border; at most one point per 2px
+    const first = Math.max(nearestFrame(frames, visible.start) - 1, 0);
+    const last = Math.min(nearestFrame(frames, visible.end) + 1, frames.length - 1);
+    const step = Math.max(Math.ceil((last - first + 1) / (plotWidth / 2)), 1);
+    const { min, max } = range;
+
+    const buildLine = (eye: Eye) => {
+      const segments: { from: Point; to: Point }[] = [];
+      let previous: Point | null = null;
+      for (let i = first; i <= last; i += step) {
+        const value = diameterOf(frames[i], eye, raw);
+        // Gaps break the line instead of being bridged
+        const point = value === null ? null : {
+          x: (((frames[i].timestamp as number) - visible.start) / span) * plotWidth,
+          y: plotHeight - ((value - min) / (max - min)) * plotHeight,
+        };
+        if (previous && point) {
+          segments.push({ from: previous, to: point });
+        }
+        previous = point;
+      }
+      return segments;
+    };
+
+    return { left: buildLine('left'), right: buildLine('right') };
+  }, [frames, raw, visible.start, visible.end, span, plotWidth, plotHeight, range]);
+
+  const zoomed = visible.start > bounds.start || visible.end < bounds.end;
+
+  const pinch = Gesture.Pinch()
+    .runOnJS(true)
+    .onStart(() => {
+      gestureStart.current = visible;
+    })
+    .onUpdate(({ scale, focalX }) => {
+      const start = gestureStart.current;
+      const startSpan = start.end - start.start;
+      // Zoom around the time under the fingers
+      const focus = start.start + (Math.min(Math.max(focalX - AXIS_WIDTH, 0), plotWidth) / plotWidth) * startSpan;
+      const newStart = focus - (focus - start.start) / scale;
+      setViewport(clampViewport({ start: newStart, end: newStart + startSpan / scale }, bounds));
+    });
+
+  // Vertical drags are left to the enclosing ScrollView
+  const pan = Gesture.Pan()
+    .runOnJS(true)
+    .maxPointers(1)
+    .activeOffsetX([-10, 10])
+    .failOffsetY([-10, 10])
+    .onStart(() => {
+      gestureStart.current = visible;
+    })
+    .onUpdate(({ translationX }) => {
+      const start = gestureStart.current;
+      const shift = (translationX / plotWidth) * (start.end - start.start);
+      setViewport(clampViewport({ start: start.start - shift, end: start.end - shift }, bounds));
+    });
+
+  const tap = Gesture.Tap()
+    .runOnJS(true)
+    .onEnd(({ x }) => {
+      if (x < AXIS_WIDTH) {
+        setSelectedTime(null);
+        return;
+      }
+      setSelectedTime(timeOf(x - AXIS_WIDTH));
+    });
+
+  const onLayout = (event: LayoutChangeEvent) => setWidth(event.nativeEvent.layout.width);
+
+  if (!frames.length || !range) {
+    return <Text style={[styles.emptyText, { color: axisColor }]}>No diameters to plot</Text>;
+  }
+
+  const selectedFrame = selectedTime !== null ? frames[nearestFrame(frames, selectedTime)] : null;
+  const readout = (eye: Eye) => {
+    const value = selectedFrame && diameterOf(selectedFrame, eye, raw);
+    return value === null || value === undefined ? '-' : value.toFixed(2);
+  };
+
+  return (
+    <View>
+      <View style={styles.controls}>
+        <Text style={[styles.legend, { color: leftColor }]}>● Left</Text>
+        <Text style={[styles.legend, { color: rightColor }]}>● Right</Text>
+        <View style={styles.spacer} />
+        {zoomed && (
+          <TouchableOpacity onPress={() => setViewport(null)}>
+            <Text style={[styles.controlText, { color: textColor }]}>Reset</Text>
+          </TouchableOpacity>
+        )}
+        {hasRaw && (
+          <TouchableOpacity onPress={() => setShowRaw(!showRaw)}>
+            <Text style={[styles.controlText, { color: textColor }]}>{showRaw ? 'Raw' : 'Cleaned'}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <GestureDetector gesture={Gesture.Race(pinch, pan, tap)}>
+        <View style={[styles.chart, { height, backgroundColor }]} onLayout={onLayout}>
+          <View style={[styles.yAxis, { height: plotHeight }]}>
+            {[range.max, (range.max + range.min) / 2, range.min].map((value) => (
+              <Text key={value} style={[styles.axisText, { color: axisColor }]}>{value.toFixed(1)}</Text>
+            ))}
+          </View>
+
+          <View style={[styles.plot, { width: plotWidth, height: plotHeight, borderColor: axisColor }]}>
+            {blinkRuns.filter((run) => run.end >= visible.start && run.start <= visible.end).map((run) => (
+              <View
+                key={run.start}
+                style={[styles.blinkBand, {
+                  left: Math.max(xOf(run.start), 0),
+                  width: Math.max(Math.min(xOf(run.end), plotWidth) - Math.max(xOf(run.start), 0), 2),
+                  backgroundColor: axisColor,
+                }]}
+              />
+            ))}
+
+            {lines.left.map((segment, i) => <Segment key={`l${i}`} {...segment} color={leftColor} />)}
+            {lines.right.map((segment, i) => <Segment key={`r${i}`} {...segment} color={rightColor} />)}
+
+            {(events || []).filter((event) => event.time >= visible.start && event.time <= visible.end).map((event) => (
+              <View key={event.time} style={[styles.marker, { left: xOf(event.time), borderColor: eventColor }]}>
+                {event.label && (
+                  <Text numberOfLines={1} style={[styles.markerText, { color: eventColor }]}>{event.label}</Text>
+                )}
+              </View>
+            ))}
+
+            {selectedFrame && (
+              <View style={[styles.crosshair, { left: xOf(selectedFrame.timestamp as number), backgroundColor: textColor }]} />
+            )}
+          </View>
+
+          <View style={[styles.xAxis, { left: AXIS_WIDTH, width: plotWidth }]}>
+            <Text style={[styles.axisText, { color: axisColor }]}>{visible.start.toFixed(1)}s</Text>
+            <Text style={[styles.axisText, { color: axisColor }]}>{visible.end.toFixed(1)}s</Text>
+          </View>
+        </View>
+      </GestureDetector>
+
+      <Text style={[styles.readout, { color: textColor }]}>
+        {selectedFrame
+          ? `${(selectedFrame.timestamp as number).toFixed(3)}s · L ${readout('left')} · R ${readout('right')} ${series.units}` +
+            `${selectedFrame.blink ? ' · blink' : ''}`
+          : 'Tap the chart for exact values · pinch to zoom'}
+      </Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  controls: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    marginBottom: 8,
+  },
+  legend: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  spacer: {
+    flex: 1,
+  },
+  controlText: {
+    fontSize: 13,
+    fontWeight: '600',
+    textDecorationLine: 'underline',
+  },
+  chart: {
+    flexDirection: 'row',
+    borderRadius: 8,
+    overflow: 'hidden',
+  },
+  yAxis: {
+    width: AXIS_WIDTH,
+    justifyContent: 'space-between',
+    alignItems: 'flex-end',
+    paddingRight: 4,
+  },
+  plot: {
+    borderLeftWidth: StyleSheet.hairlineWidth,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    overflow: 'hidden',
+  },
+  xAxis: {
+    position: 'absolute',
+    bottom: 0,
+    height: AXIS_HEIGHT,
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  axisText: {
+    fontSize: 10,
+  },
+  blinkBand: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    opacity: 0.2,
+  },
+  marker: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    borderLeftWidth: 1,
+    borderStyle: 'dashed',
+  },
+  markerText: {
+    fontSize: 10,
+    maxWidth: 80,
+    marginLeft: 2,
+  },
+  crosshair: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    width: 1,
+  },
+  readout: {
+    fontSize: 13,
+    marginTop: 6,
+  },
+  emptyText: {
+    fontSize: 14,
+  },
+});
@@ -5,49 +5,145 @@
 
 const {setGlobalOptions} = require("firebase-functions");
 const {onRequest, onCall} = require("firebase-functions/v2/https");
-const logger = require("firebase-functions/logger");
+const {onDocumentCreated} = require("firebase-functions/v2/firestore");
+const {onSchedule} = require("firebase-functions/v2/scheduler");
+const {initializeApp} = require("firebase-admin/app");
+const {getFirestore, FieldValue} = require("firebase-admin/firestore");
+const {getStorage} = require("firebase-admin/storage");
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
+const {inspectAudioClip, stitchWavSegments} = require('./src/audio');
+const {splitTextIntoChunks} = require('./src/text');
+const {extractPupilSeries, summarizeTrials, summarizeImage, buildSequenceSeries} = require('./src/pupilSeries');
+const {getStimulusOnset, computePlrMetrics} = require('./src/plr');
+const {getCleaningOptions, cleanPupilSeries} = require('./src/pupilCleaning');
+const {getEvents, segmentEventResponses} = require('./src/pupilEvents');
+const {
+  ValidationError,
+  NotFoundError,
+  UpstreamTimeoutError,
+  UpstreamFormatError,
+  classifyUpstreamError,
+  toHttpsError,
+  toErrorBody,
+  sendHttpError
+} = require('./src/errors');
+const {connectProvider, getProvider, applyInputSchema, predictWithProvider} = require('./src/providers');
+const logger = require('./src/logger');
+const {CALLABLE_OPTIONS, authenticatedCall, authenticatedRequest, isAdminCall} = require('./src/auth');
+const {connectSpace} = require('./src/spaceCall');
+const {getMediaPolicy, assertContentType, assertImageContent, assertSize, fetchMediaFromUrl} = require('./src/mediaSource');
+const {consumeQuota, recordVideoSeconds, getUsage} = require('./src/quota');
+const {saveAnalysis, listAnalyses, getAnalysis, deleteAnalysis} = require('./src/analysisHistory');
+const {getUrlTtlSeconds, downloadOutputFile, saveOutputFile, signOutputUrl} = require('./src/outputFiles');
 
 // For cost control, set maximum number of containers
-setGlobalOptions({ maxInstances: 10 });
+const MAX_INSTANCES = 10;
+setGlobalOptions({ maxInstances: MAX_INSTANCES });
 
-// Import Gradio client dynamically since it's an ES module
-let Client;
-const initGradioClient = async () => {
-  if (!Client) {
-    const gradioModule = await import("@gradio/client");
-    Client = gradioModule.Client;
+initializeApp();
+// Gradio FileData objects carry optional fields that come back as undefined
+getFirestore().settings({ ignoreUndefinedProperties: true });
+
+// Client uploads live under pupilUploads/{uid}/ in the default bucket (see storage.rules)
+const USER_UPLOADS_PREFIX = "pupilUploads";
+
+/**
+ * Split a Cloud Storage reference into bucket and object path
+ * Accepts gs://bucket/path URIs (bucket set) or plain object paths (bucket null)
+ * Returns null when the input is not a storage reference
+ */
+const parseStorageReference = (reference) => {
+  const gsMatch = reference.match(/^gs:\/\/([^/]+)\/(.+)$/);
+  if (gsMatch) {
+    return { bucket: gsMatch[1], path: gsMatch[2] };
+  }
+
+  if (!reference.includes('://') && !reference.startsWith('data:')) {
+    return { bucket: null, path: reference.replace(/^\/+/, '') };
+  }
+
+  return null;
+};
+
+/**
+ * Resolve a storage reference written by the functions themselves (staged
+ * job inputs, cleanup) to a file handle. Never use it for caller input.
+ * Returns null when the input is not a storage reference
+ */
+const resolveStorageFile = async (reference) => {
+  const parsed = parseStorageReference(reference);
+  if (!parsed) {
+    return null;
+  }
+
+  if (parsed.bucket) {
+    return getStorage().bucket(parsed.bucket).file(parsed.path);
+  }
+
+  // Plain object paths only count when the object actually exists in the default bucket
+  const file = getStorage().bucket().file(parsed.path);
+  const [exists] = await file.exists();
+  return exists ? file : null;
+};
+
+/**
+ * Resolve a caller-supplied storage reference to a file handle
+ * Only objects in the default bucket under the caller's own
+ * pupilUploads/{uid}/ folder are accepted; anything else is a ValidationError.
+ * Returns null when the input is not a storage reference or the object is missing
+ */
+const resolveCallerStorageFile = async (reference, uid) => {
+  const parsed = parseStorageReference(reference);
+  if (!parsed) {
+    return null;
   }
-  return Client;
+
+  const bucket = getStorage().bucket();
+  const isOwnUpload = !!uid &&
+    (!parsed.bucket || parsed.bucket === bucket.name) &&
+    parsed.path.startsWith(`${USER_UPLOADS_PREFIX}/${uid}/`);
+
+  if (!isOwnUpload) {
+    throw new ValidationError(`Storage references must point to your own uploads under ${USER_UPLOADS_PREFIX}/<uid>/`);
+  }
+
+  const file = bucket.file(parsed.path);
+  const [exists] = await file.exists();
+  return exists ? file : null;
 };
 
 /**
  * Helper function to convert video input to blob format
- * Handles local file paths, URLs, and existing blob data
+ * Handles Cloud Storage references, allowlisted URLs, base64 data and existing
+ * blob data. Local file paths are never read - inputs come from clients.
+ * Storage references must be the `uid`'s own uploads unless `trusted` is set
+ * for references the functions wrote themselves (job inputs).
+ * See src/mediaSource.js for the URL policy and size / type limits.
  */
-const processVideoInput = async (videoInput) => {
+const processVideoInput = async (videoInput, { uid, trusted = false } = {}) => {
   if (!videoInput) {
-    throw new Error("Video input is required");
+    throw new ValidationError("Video input is required");
   }
 
+  const policy = getMediaPolicy();
+
   // If it's already a blob or file object, return as is
   if (videoInput instanceof Blob || (videoInput && typeof videoInput === 'object' && videoInput.constructor && videoInput.constructor.name === 'File')) {
+    assertSize(videoInput.size, policy);
     return videoInput;
   }
 
-  // If it's a string, it could be a file path or URL
+  // If it's a string, it could be a storage reference, URL or base64 data
   if (typeof videoInput === 'string') {
-    // Check if it's a local file path
-    if (fs.existsSync(videoInput)) {
-      logger.info("Reading video from local file path:", { path: videoInput });
-      const videoBuffer = fs.readFileSync(videoInput);
-
-      // Create a simple Blob like in our successful test
-      const blob = new Blob([videoBuffer], { type: 'video/webm' });
+    // If it's a URL, fetch it under the input policy
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(videoInput) && !videoInput.startsWith('gs://')) {
+      logger.info("Fetching video from URL:", { url: videoInput });
+      const blob = await fetchMediaFromUrl(videoInput, policy);
 
-      logger.info("Created video blob from local file:", {
+      logger.info("Created video blob from URL:", {
         size: blob.size,
         type: blob.type
       });
@@ -55,25 +151,17 @@ const processVideoInput = async (videoInput) => {
       return blob;
     }
 
-    // If it's a URL, fetch it
-    if (videoInput.startsWith('http://') || videoInput.startsWith('https://')) {
-      logger.info("Fetching video from URL:", { url: videoInput });
-      const response = await fetch(videoInput);
-      if (!response.ok) {
-        throw new Error(`Failed to fetch video from URL: ${response.statusText}`);
-      }
-      return await response.blob();
-    }
-
     // If it's a base64 string, convert it
-    if (videoInput.startsWith('data:video/')) {
+    if (videoInput.startsWith('data:')) {
       logger.info("Converting base64 video data");
 
       // Extract MIME type from data URL
-      const mimeTypeMatch = videoInput.match(/data:([^;]+)/);
-      const mimeType = mimeTypeMatch ? mimeTypeMatch[1] : 'video/mp4';
+      const mimeTypeMatch = videoInput.match(/^data:([^;,]+)/);
+      const mimeType = assertContentType(mimeTypeMatch?.[1], policy);
 
-      const base64Data = videoInput.split(',')[1];
+      const base64Data = videoInput.split(',')[1] || '';
+      // Check the decoded size before allocating the buffer
+      assertSize(Math.floor(base64Data.length * 3 / 4), policy);
       const buffer = Buffer.from(base64Data, 'base64');
 
       // Create a blob with the correct MIME type
@@ -88,237 +176,591 @@ const processVideoInput = async (videoInput) => {
       return blob;
     }
 
-    throw new Error("Invalid video input format: string must be a valid file path, URL, or base64 data");
+    // Anything else must be a Cloud Storage reference, downloaded with the Admin SDK
+    const storageFile = trusted ? await resolveStorageFile(videoInput) : await resolveCallerStorageFile(videoInput, uid);
+    if (storageFile) {
+      logger.info("Downloading video from Cloud Storage:", {
+        bucket: storageFile.bucket.name,
+        path: storageFile.name
+      });
+
+      const [metadata] = await storageFile.getMetadata();
+      assertSize(Number(metadata.size) || 0, policy);
+      const contentType = metadata.contentType ? assertContentType(metadata.contentType, policy) : 'video/mp4';
+      const [videoBuffer] = await storageFile.download();
+      const blob = new Blob([videoBuffer], { type: contentType });
+
+      logger.info("Created video blob from Cloud Storage:", {
+        size: blob.size,
+        type: blob.type
+      });
+
+      return blob;
+    }
+
+    throw new ValidationError("Invalid video input format: string must be a gs:// or bucket path, an https URL, or base64 data");
   }
 
   // If it's a buffer, convert to blob
   if (Buffer.isBuffer(videoInput)) {
     logger.info("Converting buffer to blob");
+    assertSize(videoInput.length, policy);
     return new Blob([videoInput], { type: 'video/mp4' });
   }
 
-  throw new Error("Unsupported video input format");
+  throw new ValidationError("Unsupported video input format");
 };
 
 /**
- * Firebase Function to handle TTS generation requests
- * Direct integration with Chatterbox API using Gradio client
+ * Reference voices for Chatterbox voice cloning
+ * Callers pass a base64 data URL, a storage reference or a saved voice ID;
+ * otherwise the default clip bundled with the functions is used.
  */
-exports.generateTTS = onCall(async (request) => {
-  try {
-    const { data } = request;
+const VOICES_COLLECTION = "voices";
+const DEFAULT_VOICE_PATH = path.join(__dirname, "assets", "default-voice.wav");
+const REFERENCE_VOICE_LIMITS = {
+  minSeconds: 2,
+  maxSeconds: 30,
+  maxBytes: 10 * 1024 * 1024
+};
 
-    // Validate input
-    if (!data || !data.text_input) {
-      throw new Error("Missing required field: text_input");
-    }
+/**
+ * Check a reference clip's format and duration before it is sent to Chatterbox
+ */
+const validateReferenceClip = (buffer) => {
+  if (buffer.length > REFERENCE_VOICE_LIMITS.maxBytes) {
+    throw new ValidationError(`Reference audio must be ${REFERENCE_VOICE_LIMITS.maxBytes / (1024 * 1024)}MB or less`);
+  }
 
-    if (data.text_input.trim().length === 0) {
-      throw new Error("Text input cannot be empty");
-    }
+  let clip;
+  try {
+    clip = inspectAudioClip(buffer);
+  } catch (error) {
+    throw new ValidationError(`Invalid reference audio: ${error.message}`, { cause: error });
+  }
 
-    if (data.text_input.trim().length > 300) {
-      throw new Error("Text must be 300 characters or less");
-    }
+  if (clip.durationSeconds < REFERENCE_VOICE_LIMITS.minSeconds || clip.durationSeconds > REFERENCE_VOICE_LIMITS.maxSeconds) {
+    throw new ValidationError(`Reference audio must be between ${REFERENCE_VOICE_LIMITS.minSeconds} and ${REFERENCE_VOICE_LIMITS.maxSeconds} seconds long (got ${clip.durationSeconds.toFixed(1)}s)`);
+  }
 
-    logger.info("TTS request received", {
-      textLength: data.text_input.length,
-      hasExaggeration: !!data.exaggeration_input,
-      hasTemperature: !!data.temperature_input
-    });
+  return clip;
+};
+
+/**
+ * Load the raw bytes of a caller-supplied audio prompt
+ * Accepts data:audio/...;base64 URLs and storage references to the `uid`'s own uploads
+ */
+const loadAudioPrompt = async (audioPrompt, uid) => {
+  if (typeof audioPrompt !== 'string') {
+    throw new ValidationError("Invalid audio_prompt: expected a base64 data URL or a storage reference");
+  }
 
-    // Initialize Gradio client
-    const GradioClient = await initGradioClient();
+  if (audioPrompt.startsWith('data:')) {
+    if (!audioPrompt.startsWith('data:audio/') || !audioPrompt.includes(';base64,')) {
+      throw new ValidationError("Invalid audio_prompt: data URLs must be base64 encoded audio");
+    }
+    return Buffer.from(audioPrompt.split(',')[1], 'base64');
+  }
 
-    // Get example audio file for reference
-    const response_0 = await fetch("https://github.com/gradio-app/gradio/raw/main/test/test_files/audio_sample.wav");
-    const exampleAudio = await response_0.blob();
+  const storageFile = await resolveCallerStorageFile(audioPrompt, uid);
+  if (!storageFile) {
+    throw new ValidationError("Invalid audio_prompt: storage reference not found");
+  }
 
-    logger.info("Connecting to Chatterbox client...");
+  const [buffer] = await storageFile.download();
+  return buffer;
+};
 
-    // Connect to the Chatterbox client
-    const client = await GradioClient.connect("ResembleAI/Chatterbox");
+/**
+ * Work out which reference voice to use for a TTS request
+ * Returns the clip as a Blob (or null to use Chatterbox's built-in voice) plus metadata
+ */
+const resolveReferenceVoice = async (data, uid) => {
+  let buffer;
+  let source;
 
-    logger.info("Generating TTS audio...", { text: data.text_input.trim() });
+  if (data.voice_id) {
+    const snapshot = await getFirestore().collection(VOICES_COLLECTION).doc(data.voice_id).get();
+    const voice = snapshot.data();
 
-    // Generate TTS audio
-    const result = await client.predict("/generate_tts_audio", {
-      text_input: data.text_input.trim(),
-      audio_prompt_path_input: exampleAudio,
-      exaggeration_input: data.exaggeration_input || 0.5,
-      temperature_input: data.temperature_input || 0.8,
-      seed_num_input: data.seed_num_input || 0,
-      cfgw_input: data.cfgw_input || 0.5,
-    });
+    if (!snapshot.exists || voice.uid !== uid) {
+      throw new NotFoundError(`Voice not found: ${data.voice_id}`);
+    }
 
-    logger.info("TTS Result received", {
-      hasData: !!result.data,
-      dataLength: result.data?.length
+    [buffer] = await getStorage().bucket().file(voice.storagePath).download();
+    source = "saved";
+  } else if (data.audio_prompt) {
+    buffer = await loadAudioPrompt(data.audio_prompt, uid);
+    source = "custom";
+  } else if (fs.existsSync(DEFAULT_VOICE_PATH)) {
+    buffer = fs.readFileSync(DEFAULT_VOICE_PATH);
+    source = "default";
+  } else {
+    logger.warn("Default reference voice not bundled, using Chatterbox built-in voice", {
+      path: DEFAULT_VOICE_PATH
     });
+    return { blob: null, hash: "builtin", metadata: { source: "builtin" } };
+  }
 
-    // The result should contain audio data
-    if (!result.data || !result.data[0]) {
-      throw new Error('No audio data received from Chatterbox API');
+  const clip = validateReferenceClip(buffer);
+
+  return {
+    blob: new Blob([buffer], { type: clip.mimeType }),
+    // Content hash so identical clips share TTS cache entries whatever their source
+    hash: crypto.createHash('sha256').update(buffer).digest('hex'),
+    metadata: {
+      source: source,
+      voiceId: data.voice_id || null,
+      format: clip.format,
+      durationSeconds: clip.durationSeconds
     }
+  };
+};
+
+/**
+ * Firebase Function to save a reference voice for later TTS requests
+ * Returns a voice ID that can be passed to generateTTS as `voice_id`
+ */
+exports.saveReferenceVoice = onCall(CALLABLE_OPTIONS, authenticatedCall(async (request) => {
+  try {
+    const { data } = request;
 
-    // Extract audio data
-    const audioData = result.data[0];
-    let audioUrl;
-
-    if (typeof audioData === 'string') {
-      audioUrl = audioData;
-    } else if (audioData.url) {
-      audioUrl = audioData.url;
-    } else if (audioData.path) {
-      audioUrl = audioData.path;
-    } else {
-      throw new Error('Invalid audio data format received from Chatterbox API');
+    if (!data || !data.audio_prompt) {
+      throw new ValidationError("Missing required field: audio_prompt");
     }
 
-    logger.info("TTS generation successful", {
-      hasAudioUrl: !!audioUrl
+    const buffer = await loadAudioPrompt(data.audio_prompt, request.auth.uid);
+    const clip = validateReferenceClip(buffer);
+
+    const voiceRef = getFirestore().collection(VOICES_COLLECTION).doc();
+    const storagePath = `${VOICES_COLLECTION}/${voiceRef.id}.${clip.format}`;
+
+    await getStorage().bucket().file(storagePath).save(buffer, {
+      contentType: clip.mimeType,
+      metadata: { metadata: { uid: request.auth.uid } }
+    });
+    await voiceRef.set({
+      uid: request.auth.uid,
+      name: (data.name || "").trim() || "Untitled voice",
+      storagePath: storagePath,
+      format: clip.format,
+      durationSeconds: clip.durationSeconds,
+      createdAt: FieldValue.serverTimestamp()
+    });
+
+    logger.info("Reference voice saved", {
+      voiceId: voiceRef.id,
+      format: clip.format,
+      durationSeconds: clip.durationSeconds
     });
 
     return {
       success: true,
       data: {
-        audioUrl: audioUrl,
-        metadata: {
-          text: data.text_input.trim(),
-          exaggeration: data.exaggeration_input || 0.5,
-          temperature: data.temperature_input || 0.8,
-          seed: data.seed_num_input || 0,
-          cfgw: data.cfgw_input || 0.5,
-          timestamp: new Date().toISOString()
-        }
+        voiceId: voiceRef.id,
+        format: clip.format,
+        durationSeconds: clip.durationSeconds
       }
     };
 
   } catch (error) {
-    logger.error("TTS generation failed", {
+    logger.error("Saving reference voice failed", {
       error: error.message,
       stack: error.stack
     });
 
-    // Return error in a format the client can handle
-    return {
-      success: false,
-      error: error.message || "Unknown error occurred",
-      details: error.stack || null
-    };
+    throw toHttpsError(error);
+  }
+}));
+
+/**
+ * Long-form TTS settings
+ * Chatterbox accepts 300 characters per request, so longer text is split at
+ * sentence boundaries, generated chunk by chunk and stitched into one WAV.
+ */
+const TTS_CHUNK_LENGTH = 300;
+const TTS_MAX_TEXT_LENGTH = 5000;
+const TTS_PAUSE_DEFAULTS = {
+  pauseMs: 300,
+  paragraphPauseMs: 800,
+  maxPauseMs: 5000
+};
+
+/**
+ * TTS result cache
+ * Results are keyed by a hash of everything that affects the audio, stored
+ * in our own bucket, and served without contacting the Space until they expire.
+ */
+const TTS_CACHE_COLLECTION = "ttsCache";
+const TTS_CACHE_TTL_SECONDS = {
+  default: Number(process.env.TTS_CACHE_TTL_SECONDS) || 7 * 24 * 60 * 60,
+  max: 90 * 24 * 60 * 60
+};
+
+/**
+ * Validate a TTS request and return the trimmed text
+ */
+const validateTTSInput = (data) => {
+  if (!data || !data.text_input) {
+    throw new ValidationError("Missing required field: text_input");
+  }
+
+  const text = data.text_input.trim();
+
+  if (text.length === 0) {
+    throw new ValidationError("Text input cannot be empty");
+  }
+
+  if (text.length > TTS_MAX_TEXT_LENGTH) {
+    throw new ValidationError(`Text must be ${TTS_MAX_TEXT_LENGTH} characters or less`);
+  }
+
+  for (const field of ["pause_ms", "paragraph_pause_ms"]) {
+    const value = data[field];
+    if (value !== undefined && (typeof value !== 'number' || value < 0 || value > TTS_PAUSE_DEFAULTS.maxPauseMs)) {
+      throw new ValidationError(`${field} must be a number between 0 and ${TTS_PAUSE_DEFAULTS.maxPauseMs}`);
+    }
+  }
+
+  const ttl = data.cache_ttl_seconds;
+  if (ttl !== undefined && (typeof ttl !== 'number' || ttl <= 0 || ttl > TTS_CACHE_TTL_SECONDS.max)) {
+    throw new ValidationError(`cache_ttl_seconds must be a number between 1 and ${TTS_CACHE_TTL_SECONDS.max}`);
   }
+
+  getUrlTtlSeconds(data.url_ttl_seconds);
+
+  return text;
+};
+
+/**
+ * Apply defaults to the generation parameters of a TTS request
+ */
+const getTTSSettings = (data) => ({
+  exaggeration: data.exaggeration_input || 0.5,
+  temperature: data.temperature_input || 0.8,
+  seed: data.seed_num_input || 0,
+  cfgw: data.cfgw_input || 0.5,
+  pauseMs: data.pause_ms ?? TTS_PAUSE_DEFAULTS.pauseMs,
+  paragraphPauseMs: data.paragraph_pause_ms ?? TTS_PAUSE_DEFAULTS.paragraphPauseMs
 });
 
 /**
- * HTTP endpoint version for testing
+ * Hash text, reference voice and settings into a TTS cache key
  */
-exports.generateTTSHttp = onRequest(async (req, res) => {
-  // Enable CORS
-  res.set('Access-Control-Allow-Origin', '*');
-  res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.set('Access-Control-Allow-Headers', 'Content-Type');
+const getTTSCacheKey = (text, settings, referenceVoiceHash) =>
+  crypto.createHash('sha256').update(JSON.stringify([
+    text,
+    referenceVoiceHash,
+    settings.exaggeration,
+    settings.temperature,
+    settings.seed,
+    settings.cfgw,
+    // Pauses only change the audio once the text is split into chunks
+    text.length > TTS_CHUNK_LENGTH ? [settings.pauseMs, settings.paragraphPauseMs] : null
+  ])).digest('hex');
 
-  if (req.method === 'OPTIONS') {
-    res.status(200).end();
-    return;
+/**
+ * Download a generated audio file from the Space
+ */
+const downloadSpaceAudio = (audioUrl) =>
+  downloadOutputFile(audioUrl, { source: "Chatterbox", fallbackType: 'audio/wav' });
+
+/**
+ * Generate speech with Chatterbox for validated text and return the audio bytes
+ * Text over TTS_CHUNK_LENGTH is generated in chunks with identical parameters
+ * and stitched into a single WAV.
+ */
+const runTTS = async (text, settings, referenceVoice) => {
+  const chunks = text.length <= TTS_CHUNK_LENGTH ?
+    [{ text, paragraphStart: true }] :
+    splitTextIntoChunks(text, TTS_CHUNK_LENGTH);
+
+  // Seed 0 asks Chatterbox for a random seed; pin one so every chunk sounds the same
+  const seed = settings.seed || (chunks.length > 1 ? crypto.randomInt(1, 2 ** 31) : 0);
+  const params = {
+    audio_prompt_path_input: referenceVoice.blob,
+    exaggeration_input: settings.exaggeration,
+    temperature_input: settings.temperature,
+    seed_num_input: seed,
+    cfgw_input: settings.cfgw,
+  };
+
+  const metadata = {
+    text: text,
+    exaggeration: settings.exaggeration,
+    temperature: settings.temperature,
+    seed: seed,
+    cfgw: settings.cfgw,
+    referenceVoice: referenceVoice.metadata,
+    timestamp: new Date().toISOString()
+  };
+
+  logger.info("Connecting to Chatterbox client...", {
+    referenceVoice: referenceVoice.metadata,
+    chunkCount: chunks.length
+  });
+
+  // One connection is reused for every chunk
+  const client = await connectProvider("chatterbox");
+
+  if (chunks.length === 1) {
+    logger.info("Generating TTS audio...", { text: text });
+
+    const { audioUrl } = await predictWithProvider("chatterbox", { text_input: text, ...params }, { client });
+
+    return { ...(await downloadSpaceAudio(audioUrl)), metadata };
   }
 
-  if (req.method !== 'POST') {
-    res.status(405).json({ error: 'Method not allowed' });
-    return;
+  // Chunks run one after another: the Space queues requests anyway
+  const segmentBuffers = [];
+  for (const [index, chunk] of chunks.entries()) {
+    logger.info("Generating TTS chunk...", { index, chunkCount: chunks.length, textLength: chunk.text.length });
+
+    const { audioUrl } = await predictWithProvider("chatterbox", { text_input: chunk.text, ...params }, { client });
+    segmentBuffers.push((await downloadSpaceAudio(audioUrl)).buffer);
   }
 
+  let stitched;
   try {
-    const { text_input, exaggeration_input, temperature_input, seed_num_input, cfgw_input } = req.body;
+    stitched = stitchWavSegments(
+      segmentBuffers,
+      chunks.map((chunk) => (chunk.paragraphStart ? settings.paragraphPauseMs : settings.pauseMs))
+    );
+  } catch (error) {
+    throw new UpstreamFormatError(`Chatterbox returned audio that cannot be stitched: ${error.message}`, { cause: error });
+  }
 
-    if (!text_input) {
-      res.status(400).json({ error: "Missing required field: text_input" });
-      return;
+  logger.info("Long-form TTS stitched", {
+    chunkCount: chunks.length,
+    durationSeconds: stitched.durationSeconds
+  });
+
+  return {
+    buffer: stitched.buffer,
+    contentType: 'audio/wav',
+    metadata: {
+      ...metadata,
+      durationSeconds: stitched.durationSeconds,
+      pauseMs: settings.pauseMs,
+      paragraphPauseMs: settings.paragraphPauseMs
+    },
+    segments: chunks.map((chunk, index) => ({
+      index: index,
+      text: chunk.text,
+      ...stitched.timings[index]
+    }))
+  };
+};
+
+/**
+ * Generate speech, serving repeat requests from the TTS cache
+ * `refresh_cache: true` skips the lookup and overwrites the cached entry.
+ * Only cache misses are charged to `uid`'s request quota; `uid` is also
+ * recorded on new entries as the user who generated them.
+ */
+const generateTTSWithCache = async (text, data, referenceVoice, uid) => {
+  const settings = getTTSSettings(data);
+  const cacheKey = getTTSCacheKey(text, settings, referenceVoice.hash);
+  const cacheRef = getFirestore().collection(TTS_CACHE_COLLECTION).doc(cacheKey);
+  const urlTtlSeconds = getUrlTtlSeconds(data.url_ttl_seconds);
+
+  if (!data.refresh_cache) {
+    const cached = (await cacheRef.get()).data();
+
+    if (cached && cached.expiresAt.toMillis() > Date.now()) {
+      const [exists] = await getStorage().bucket().file(cached.storagePath).exists();
+
+      if (exists) {
+        logger.info("TTS cache hit", { cacheKey });
+
+        await cacheRef.update({ hits: FieldValue.increment(1), lastHitAt: FieldValue.serverTimestamp() });
+
+        return {
+          audioUrl: await signOutputUrl(cached.storagePath, urlTtlSeconds),
+          metadata: {
+            ...cached.metadata,
+            cache: { hit: true, key: cacheKey, expiresAt: cached.expiresAt.toDate().toISOString() }
+          },
+          segments: cached.segments
+        };
+      }
     }
+  }
 
-    if (text_input.trim().length === 0) {
-      res.status(400).json({ error: "Text input cannot be empty" });
-      return;
+  logger.info("TTS cache miss", { cacheKey, refresh: !!data.refresh_cache });
+
+  await consumeQuota(uid);
+
+  const generated = await runTTS(text, settings, referenceVoice);
+  const storagePath = await saveOutputFile(generated, `${TTS_CACHE_COLLECTION}/${cacheKey}`, { uid });
+  const ttlSeconds = data.cache_ttl_seconds || TTS_CACHE_TTL_SECONDS.default;
+  const expiresAt = new Date(Date.now() + ttlSeconds * 1000);
+
+  await cacheRef.set({
+    uid: uid,
+    storagePath: storagePath,
+    metadata: generated.metadata,
+    segments: generated.segments,
+    hits: 0,
+    createdAt: FieldValue.serverTimestamp(),
+    expiresAt: expiresAt
+  });
+
+  return {
+    audioUrl: await signOutputUrl(storagePath, urlTtlSeconds),
+    metadata: {
+      ...generated.metadata,
+      cache: { hit: false, key: cacheKey, expiresAt: expiresAt.toISOString() }
+    },
+    segments: generated.segments
+  };
+};
+
+/**
+ * Delete one TTS cache entry and its audio file
+ */
+const deleteTTSCacheEntry = async (snapshot) => {
+  const entry = snapshot.data();
+  if (entry?.storagePath) {
+    await getStorage().bucket().file(entry.storagePath).delete({ ignoreNotFound: true });
+  }
+  await snapshot.ref.delete();
+};
+
+/**
+ * Firebase Function to invalidate TTS cache entries
+ * Pass `cache_key` from a previous response's metadata.cache.key, or the same
+ * parameters as generateTTS to invalidate the entry they would hit. The cache
+ * is shared, so only the entry's creator or an admin may invalidate it.
+ */
+exports.invalidateTTSCache = onCall(CALLABLE_OPTIONS, authenticatedCall(async (request) => {
+  try {
+    const { data } = request;
+    let cacheKey = data?.cache_key;
+
+    if (!cacheKey) {
+      const text = validateTTSInput(data);
+      const referenceVoice = await resolveReferenceVoice(data, request.auth.uid);
+      cacheKey = getTTSCacheKey(text, getTTSSettings(data), referenceVoice.hash);
     }
 
-    if (text_input.trim().length > 300) {
-      res.status(400).json({ error: "Text must be 300 characters or less" });
-      return;
+    const snapshot = await getFirestore().collection(TTS_CACHE_COLLECTION).doc(cacheKey).get();
+    if (snapshot.exists && snapshot.data().uid !== request.auth.uid && !isAdminCall(request)) {
+      throw new NotFoundError(`TTS cache entry not found: ${cacheKey}`);
     }
+    if (snapshot.exists) {
+      await deleteTTSCacheEntry(snapshot);
+    }
+
+    logger.info("TTS cache invalidated", { cacheKey, existed: snapshot.exists });
+
+    return {
+      success: true,
+      data: {
+        cacheKey: cacheKey,
+        invalidated: snapshot.exists
+      }
+    };
 
-    logger.info("HTTP TTS request received", { textLength: text_input.length });
+  } catch (error) {
+    logger.error("TTS cache invalidation failed", {
+      error: error.message,
+      stack: error.stack
+    });
+
+    throw toHttpsError(error);
+  }
+}));
+
+/**
+ * Scheduled cleanup of expired TTS cache entries
+ */
+exports.purgeExpiredTTSCache = onSchedule("every 24 hours", async () => {
+  const expired = await getFirestore().collection(TTS_CACHE_COLLECTION)
+    .where("expiresAt", "<=", new Date())
+    .limit(500)
+    .get();
+
+  for (const snapshot of expired.docs) {
+    await deleteTTSCacheEntry(snapshot);
+  }
 
-    // Initialize Gradio client
-    const GradioClient = await initGradioClient();
+  logger.info("Expired TTS cache entries purged", { count: expired.size });
+});
 
-    // Get example audio file for reference
-    const response_0 = await fetch("https://github.com/gradio-app/gradio/raw/main/test/test_files/audio_sample.wav");
-    const exampleAudio = await response_0.blob();
+/**
+ * Firebase Function to handle TTS generation requests
+ * Direct integration with Chatterbox API using Gradio client
+ */
+exports.generateTTS = onCall(CALLABLE_OPTIONS, authenticatedCall(async (request) => {
+  try {
+    const { data } = request;
 
-    // Connect to the Chatterbox client
-    const client = await GradioClient.connect("ResembleAI/Chatterbox");
+    const text = validateTTSInput(data);
 
-    // Generate TTS audio
-    const result = await client.predict("/generate_tts_audio", {
-      text_input: text_input.trim(),
-      audio_prompt_path_input: exampleAudio,
-      exaggeration_input: exaggeration_input || 0.5,
-      temperature_input: temperature_input || 0.8,
-      seed_num_input: seed_num_input || 0,
-      cfgw_input: cfgw_input || 0.5,
+    logger.info("TTS request received", {
+      textLength: text.length,
+      hasExaggeration: !!data.exaggeration_input,
+      hasTemperature: !!data.temperature_input
     });
 
-    // The result should contain audio data
-    if (!result.data || !result.data[0]) {
-      throw new Error('No audio data received from Chatterbox API');
-    }
+    // Resolve the reference voice before touching the Space so bad clips fail fast
+    const referenceVoice = await resolveReferenceVoice(data, request.auth.uid);
 
-    // Extract audio data
-    const audioData = result.data[0];
-    let audioUrl;
-
-    if (typeof audioData === 'string') {
-      audioUrl = audioData;
-    } else if (audioData.url) {
-      audioUrl = audioData.url;
-    } else if (audioData.path) {
-      audioUrl = audioData.path;
-    } else {
-      throw new Error('Invalid audio data format received from Chatterbox API');
-    }
+    const tts = await generateTTSWithCache(text, data, referenceVoice, request.auth.uid);
+
+    logger.info("TTS generation successful", {
+      hasAudioUrl: !!tts.audioUrl,
+      segmentCount: tts.segments?.length || 1
+    });
+
+    return {
+      success: true,
+      data: tts
+    };
+
+  } catch (error) {
+    logger.error("TTS generation failed", {
+      error: error.message,
+      stack: error.stack
+    });
+
+    throw toHttpsError(error);
+  }
+}));
+
+/**
+ * HTTP endpoint version for testing
+ */
+exports.generateTTSHttp = onRequest(authenticatedRequest(async (req, res, caller) => {
+  try {
+    const text = validateTTSInput(req.body);
+    const referenceVoice = await resolveReferenceVoice(req.body, caller.uid);
+
+    logger.info("HTTP TTS request received", { textLength: text.length });
+
+    const tts = await generateTTSWithCache(text, req.body, referenceVoice, caller.uid);
 
     res.json({
       success: true,
-      audioUrl: audioUrl,
-      metadata: {
-        text: text_input.trim(),
-        exaggeration: exaggeration_input || 0.5,
-        temperature: temperature_input || 0.8,
-        seed: seed_num_input || 0,
-        cfgw: cfgw_input || 0.5,
-        timestamp: new Date().toISOString()
-      }
+      ...tts
     });
 
   } catch (error) {
     logger.error("HTTP TTS generation failed", { error: error.message });
-    res.status(500).json({
-      error: error.message || "Unknown error occurred",
-      details: error.stack || null
-    });
+    sendHttpError(res, error);
   }
-});
+}));
 
 /**
  * Firebase Function to test PupilSense API
  * Let's explore what the API expects and returns
  */
-exports.testPupilSense = onCall(async (request) => {
+exports.testPupilSense = onCall(CALLABLE_OPTIONS, authenticatedCall(async (request) => {
   try {
-    logger.info("Testing PupilSense API connection...");
+    await consumeQuota(request.auth.uid);
 
-    // Initialize Gradio client
-    const GradioClient = await initGradioClient();
+    logger.info("Testing PupilSense API connection...");
 
     // Connect to the PupilSense client with better error handling
     let client;
@@ -326,13 +768,13 @@ exports.testPupilSense = onCall(async (request) => {
 
     const spacesToTry = [
       // "vijulshah/pupilsense",  // Use working space for testing
-      "txarst/pupillometry"
+      getProvider("pupillometry").source
     ];
 
     for (const space of spacesToTry) {
       try {
         logger.info(`Attempting to connect to ${space}...`);
-        client = await GradioClient.connect(space);
+        client = await connectSpace(space);
         connectedSpace = space;
         logger.info(`Successfully connected to ${space}!`);
         break;
@@ -344,7 +786,7 @@ exports.testPupilSense = onCall(async (request) => {
 
         // If this is the last space to try, throw the error
         if (space === spacesToTry[spacesToTry.length - 1]) {
-          throw new Error(`Unable to connect to any PupilSense space. Last error: ${connectError.message}`);
+          throw classifyUpstreamError(connectError, space);
         }
       }
     }
@@ -364,300 +806,1154 @@ exports.testPupilSense = onCall(async (request) => {
       allEndpoints: endpoints
     });
 
-    // Try to get a sample video file for testing
-    const response_0 = await fetch("https://sample-videos.com/zip/10/mp4/SampleVideo_1280x720_1mb.mp4");
-    const sampleVideo = await response_0.blob();
+    // Try to get a sample video file for testing
+    const response_0 = await fetch("https://sample-videos.com/zip/10/mp4/SampleVideo_1280x720_1mb.mp4");
+    const sampleVideo = await response_0.blob();
+
+    logger.info("Got sample video, attempting analysis...");
+
+    // Try the correct PupilSense endpoints based on deployment structure
+    const endpointsToTry = [
+      "/process_media_unified",  // Primary unified API endpoint
+      "/process_video_simple",   // Video-specific endpoint
+      "/predict",               // Legacy endpoint
+      "/predict_1"              // Alternative legacy endpoint
+    ];
+
+    let workingEndpoint = null;
+    let result = null;
+
+    for (const endpoint of endpointsToTry) {
+      try {
+        logger.info(`Trying endpoint: ${endpoint}`);
+
+        // Use proper parameter structure for PupilSense API
+        const params = {
+          media_input: sampleVideo,     // Use media_input for unified endpoint
+          pupil_selection: "both",      // Use string instead of boolean
+          tv_model: "ResNet18",         // Correct parameter name
+          blink_detection: true
+        };
+
+        result = await client.predict(endpoint, params);
+        workingEndpoint = endpoint;
+
+        logger.info(`Success with ${endpoint}:`, {
+          hasData: !!result.data,
+          dataLength: result.data?.length,
+          resultStructure: typeof result.data
+        });
+
+        break;
+
+      } catch (err) {
+        logger.info(`${endpoint} failed:`, { error: err.message });
+
+        // If this is the last endpoint and we still haven't succeeded
+        if (endpoint === endpointsToTry[endpointsToTry.length - 1]) {
+          throw new Error(`All endpoints failed. Last error: ${err.message}`);
+        }
+      }
+    }
+
+    return {
+      success: true,
+      data: {
+        workingEndpoint: workingEndpoint,
+        endpoints: Object.keys(client.endpoints || {}),
+        result: result.data,
+        metadata: {
+          timestamp: new Date().toISOString(),
+          connectedSpace: connectedSpace
+        }
+      }
+    };
+
+  } catch (error) {
+    logger.error("PupilSense test failed", {
+      error: error.message,
+      stack: error.stack
+    });
+
+    throw toHttpsError(error);
+  }
+}));
+
+// Video seconds charged when the series has no timestamps to measure the video by
+const UNMEASURED_VIDEO_SECONDS = 60;
+
+/**
+ * Add an analysed video to the caller's daily video quota
+ * A failed write is logged rather than failing an analysis that already ran.
+ */
+const chargeVideoSeconds = async (uid, pupilData) => {
+  const seconds = Math.ceil(pupilData?.stats.durationSeconds ?? UNMEASURED_VIDEO_SECONDS);
+
+  try {
+    await recordVideoSeconds(uid, seconds);
+  } catch (error) {
+    logger.warn("Failed to record analysed video seconds", { seconds, error: error.message });
+  }
+};
+
+/**
+ * Save a completed analysis to the caller's history
+ * Returns { analysisId, plotPath, imagePlotPaths }, or nulls rather than failing the analysis
+ * when the save does not work.
+ */
+const saveToHistory = async (uid, params, result) => {
+  try {
+    return await saveAnalysis(uid, params, result);
+  } catch (error) {
+    logger.warn("Failed to save analysis to history", { error: error.message });
+    return { analysisId: null, plotPath: null, imagePlotPaths: [] };
+  }
+};
+
+// Functions that run analyses get the 9 minute maximum; the rest keep the 60s default
+const ANALYSIS_TIMEOUT_SECONDS = 540;
+const DEFAULT_TIMEOUT_SECONDS = 60;
+// Left after the Space call for charging, saving and responding
+const DEADLINE_MARGIN_MS = 20000;
+
+/**
+ * Deadline for the Space calls of a function allowed `timeoutSeconds`
+ */
+const getCallDeadline = (timeoutSeconds, startedAt = Date.now()) =>
+  startedAt + timeoutSeconds * 1000 - DEADLINE_MARGIN_MS;
+
+/**
+ * Core PupilSense analysis shared by the blocking callable and the job worker.
+ * Returns the `data` payload of a successful analysis response.
+ * `onProgress` receives queue / progress / ETA updates from the Space.
+ * `video_input` may also be a single JPEG, PNG or WebP image.
+ * With a `uid`, the video's length is charged to the caller (who checks the
+ * quota beforehand) and the result is saved to their history as `analysisId`;
+ * the plot is then served from our bucket, signed for `url_ttl_seconds`.
+ * Storage references in `video_input` must be the `uid`'s own uploads;
+ * `trustedInput` lifts that for job inputs checked when they were submitted.
+ * `deadline` (see getCallDeadline) bounds the Space call, retries included.
+ */
+const runPupilAnalysis = async (data, { onProgress, signal, uid, trustedInput = false, deadline } = {}) => {
+  const startTime = Date.now();
+
+  // Validate input
+  if (!data || !data.video_input) {
+    throw new ValidationError("Missing required field: video_input");
+  }
+
+  const urlTtlSeconds = getUrlTtlSeconds(data.url_ttl_seconds);
+  const stimulusOnset = getStimulusOnset(data.stimulus_onset);
+  const cleaning = getCleaningOptions(data.cleaning);
+  const events = getEvents(data.events);
+
+  logger.info("PupilSense analysis request received", {
+    hasVideo: !!data.video_input,
+    videoInputType: typeof data.video_input,
+    pupilSelection: data.pupil_selection,
+    tvModel: data.tv_model,
+    blinkDetection: data.blink_detection,
+    stimulusOnset: stimulusOnset,
+    cleaning: !!cleaning,
+    eventCount: events?.length || 0
+  });
+
+  // Process video input using the helper function
+  logger.info("Processing video input...", {
+    inputType: typeof data.video_input,
+    inputLength: data.video_input?.length || 0,
+    isBase64: data.video_input?.startsWith?.('data:video/') || false
+  });
+
+  const videoBlob = await processVideoInput(data.video_input, { uid, trusted: trustedInput });
+
+  logger.info("Video blob created:", {
+    blobSize: videoBlob.size,
+    blobType: videoBlob.type,
+    isBlob: videoBlob instanceof Blob
+  });
+
+  // The Space accepts base64 data URLs directly (like test-local.js)
+  const buffer = Buffer.from(await videoBlob.arrayBuffer());
+  const blobType = videoBlob.type || 'video/mp4';
+  const mediaType = blobType.startsWith('image/') ? "image" : "video";
+  if (mediaType === "image") {
+    assertImageContent(buffer, blobType);
+  }
+  const mediaInput = `data:${blobType};base64,${buffer.toString('base64')}`;
+
+  logger.info("Base64 data URL created:", {
+    mimeType: blobType,
+    dataLength: mediaInput.length,
+    isVideo: blobType.startsWith('video/'),
+    isImage: blobType.startsWith('image/')
+  });
+
+  const provider = getProvider("pupillometry");
+
+  let analysis;
+  try {
+    analysis = await predictWithProvider("pupillometry", {
+      media_input: mediaInput,
+      pupil_selection: data.pupil_selection,
+      tv_model: data.tv_model,
+      blink_detection: data.blink_detection
+    }, { onProgress, signal, deadline });
+  } catch (endpointError) {
+    logger.error(`${provider.endpoint} failed:`, { error: endpointError.message });
+    throw endpointError;
+  }
+
+  const { analysisUrl, summary, results: analysisResults } = analysis;
+
+  // A missing or unparseable series should not throw away the plot and summary
+  let pupilData = null;
+  try {
+    pupilData = await extractPupilSeries(analysis);
+  } catch (seriesError) {
+    logger.warn("Failed to parse pupil series from PupilSense output", { error: seriesError.message });
+  }
+
+  // Artifact rejection runs before anything is computed from the series
+  pupilData = cleanPupilSeries(pupilData, cleaning);
+
+  logger.info("PupilSense analysis successful", {
+    hasAnalysisUrl: !!analysisUrl,
+    hasResults: !!analysisResults,
+    hasSummary: !!summary,
+    frameCount: pupilData?.stats.frameCount || 0,
+    usable: pupilData?.cleaning?.usable,
+    summaryPreview: typeof summary === 'string' ? summary.substring(0, 100) : 'Not a string'
+  });
+
+  const result = {
+    analysisUrl: analysisUrl,
+    results: analysisResults,
+    summary: summary || "Pupil diameter analysis completed successfully",
+    pupilData: pupilData,
+    // Light reflex metrics, when the caller gave the stimulus time
+    plr: stimulusOnset === null ? null : computePlrMetrics(pupilData, stimulusOnset),
+    // Responses to the caller's event markers, such as spoken prompts
+    eventResponses: events === null ? null : segmentEventResponses(pupilData, events),
+    metadata: {
+      mediaType: mediaType,
+      pupilSelection: data.pupil_selection || "both",
+      tvModel: data.tv_model || "ResNet18",
+      blinkDetection: data.blink_detection ?? true,
+      workingEndpoint: provider.endpoint,
+      provider: provider.source,
+      timestamp: new Date().toISOString(),
+      processingTime: Date.now() - startTime
+    }
+  };
+
+  if (uid) {
+    // A still image has no length to charge against the video quota
+    if (mediaType === "video") {
+      await chargeVideoSeconds(uid, pupilData);
+    }
+
+    const { analysisId, plotPath } = await saveToHistory(uid, data, result);
+    result.analysisId = analysisId;
+    if (plotPath) {
+      result.analysisUrl = await signOutputUrl(plotPath, urlTtlSeconds);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Firebase Function to generate PupilSense analysis
+ * Blocks until the Space finishes - prefer submitPupilAnalysis for long videos
+ */
+exports.generatePupilAnalysis = onCall(CALLABLE_OPTIONS, authenticatedCall(async (request) => {
+  const deadline = getCallDeadline(DEFAULT_TIMEOUT_SECONDS);
+
+  try {
+    const { data } = request;
+
+    await consumeQuota(request.auth.uid, { video: true });
+
+    return {
+      success: true,
+      data: await runPupilAnalysis(data, { uid: request.auth.uid, deadline })
+    };
+
+  } catch (error) {
+    logger.error("PupilSense analysis failed", {
+      error: error.message,
+      stack: error.stack
+    });
+
+    throw toHttpsError(error);
+  }
+}));
+
+/**
+ * Photo sequences (burst mode)
+ * Every photo is analysed on its own and the per-image diameters become one
+ * time series. Capture times come from `timestamps` (seconds, increasing) or
+ * a fixed `interval_ms` between photos.
+ */
+const PUPIL_SEQUENCE_LIMITS = {
+  minImages: 2,
+  maxImages: 60,
+  maxIntervalMs: 60 * 1000
+};
+
+/**
+ * Validate a sequence request and return the capture time of each photo in seconds
+ */
+const validateSequenceInput = (data) => {
+  const images = data?.images;
+
+  if (!Array.isArray(images) || images.length === 0) {
+    throw new ValidationError("Missing required field: images");
+  }
+
+  if (images.length < PUPIL_SEQUENCE_LIMITS.minImages || images.length > PUPIL_SEQUENCE_LIMITS.maxImages) {
+    throw new ValidationError(`A sequence must have between ${PUPIL_SEQUENCE_LIMITS.minImages} and ${PUPIL_SEQUENCE_LIMITS.maxImages} images`);
+  }
+
+  images.forEach((image, index) => {
+    if (typeof image !== 'string' || !image) {
+      throw new ValidationError(`images[${index}] must be a storage reference, an https URL or a base64 data URL`);
+    }
+  });
+
+  const { timestamps, interval_ms: intervalMs } = data;
+
+  if (timestamps !== undefined) {
+    if (!Array.isArray(timestamps) || timestamps.length !== images.length || !timestamps.every(Number.isFinite)) {
+      throw new ValidationError("timestamps must have one number of seconds per image");
+    }
+    if (timestamps.some((timestamp, index) => index > 0 && timestamp <= timestamps[index - 1])) {
+      throw new ValidationError("timestamps must be increasing");
+    }
+    return timestamps;
+  }
+
+  if (typeof intervalMs !== 'number' || intervalMs <= 0 || intervalMs > PUPIL_SEQUENCE_LIMITS.maxIntervalMs) {
+    throw new ValidationError(`Provide timestamps, or interval_ms between 1 and ${PUPIL_SEQUENCE_LIMITS.maxIntervalMs}`);
+  }
+  return images.map((image, index) => index * intervalMs / 1000);
+};
+
+/**
+ * Load one photo of a sequence as a data URL for the Space
+ */
+const loadSequenceImage = async (image, index, uid) => {
+  try {
+    const blob = await processVideoInput(image, { uid });
+
+    if (!blob.type.startsWith('image/')) {
+      throw new ValidationError(`Expected an image, got ${blob.type || "unknown content"}`);
+    }
+
+    const buffer = Buffer.from(await blob.arrayBuffer());
+    assertImageContent(buffer, blob.type);
+    return `data:${blob.type};base64,${buffer.toString('base64')}`;
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      throw new ValidationError(`images[${index}]: ${error.message}`, { cause: error });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Analyse a timed photo sequence and build its time series
+ * Photos are loaded one at a time, so memory stays at one image however long
+ * the sequence is. With a `uid` the result is saved to the caller's history
+ * and per-image plots are served from our bucket.
+ */
+const runPupilSequence = async (data, { uid, deadline } = {}) => {
+  const startTime = Date.now();
+  const timestamps = validateSequenceInput(data);
+  const urlTtlSeconds = getUrlTtlSeconds(data.url_ttl_seconds);
+  const provider = getProvider("pupillometry");
+  const params = {
+    pupil_selection: data.pupil_selection,
+    tv_model: data.tv_model,
+    blink_detection: data.blink_detection
+  };
+
+  logger.info("PupilSense sequence request received", {
+    imageCount: data.images.length,
+    intervalMs: data.interval_ms,
+    hasTimestamps: data.timestamps !== undefined,
+    ...params
+  });
+
+  // One connection is reused for every photo
+  const client = await connectProvider("pupillometry", { deadline });
+  const images = [];
+  let units = null;
+
+  for (const [index, image] of data.images.entries()) {
+    const mediaInput = await loadSequenceImage(image, index, uid);
+    const analysis = await predictWithProvider("pupillometry", { media_input: mediaInput, ...params }, { client, deadline });
+
+    let pupilData = null;
+    try {
+      pupilData = await extractPupilSeries(analysis);
+    } catch (seriesError) {
+      logger.warn("Failed to parse pupil series for sequence image", { index, error: seriesError.message });
+    }
+
+    units = units || pupilData?.units;
+    images.push({
+      index: index,
+      timestamp: timestamps[index],
+      analysisUrl: analysis.analysisUrl || null,
+      summary: analysis.summary || null,
+      ...summarizeImage(pupilData)
+    });
+
+    logger.info("Sequence image analysed", { index, imageCount: data.images.length });
+  }
+
+  const intervalMs = data.timestamps === undefined ? data.interval_ms : null;
+  const pupilData = buildSequenceSeries(images, { fps: intervalMs ? 1000 / intervalMs : null, units });
+  const durationSeconds = timestamps[timestamps.length - 1] - timestamps[0];
+
+  const result = {
+    images: images,
+    summary: `Analysed ${images.length} images over ${durationSeconds.toFixed(1)}s`,
+    pupilData: pupilData,
+    metadata: {
+      mediaType: "image-sequence",
+      imageCount: images.length,
+      intervalMs: intervalMs,
+      pupilSelection: data.pupil_selection || "both",
+      tvModel: data.tv_model || "ResNet18",
+      workingEndpoint: provider.endpoint,
+      provider: provider.source,
+      timestamp: new Date().toISOString(),
+      processingTime: Date.now() - startTime
+    }
+  };
+
+  if (uid) {
+    const { analysisId, imagePlotPaths } = await saveToHistory(uid, data, result);
+    result.analysisId = analysisId;
+
+    for (const [index, plotPath] of imagePlotPaths.entries()) {
+      if (plotPath) {
+        images[index].analysisUrl = await signOutputUrl(plotPath, urlTtlSeconds);
+      }
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Firebase Function to analyse a burst of photos as one time series
+ * Every photo counts as one request against the caller's quota.
+ */
+exports.generatePupilSequence = onCall({
+  ...CALLABLE_OPTIONS,
+  timeoutSeconds: ANALYSIS_TIMEOUT_SECONDS,
+  memory: "1GiB"
+}, authenticatedCall(async (request) => {
+  const deadline = getCallDeadline(ANALYSIS_TIMEOUT_SECONDS);
+
+  try {
+    const { data } = request;
+
+    validateSequenceInput(data);
+    await consumeQuota(request.auth.uid, { requests: data.images.length });
+
+    return {
+      success: true,
+      data: await runPupilSequence(data, { uid: request.auth.uid, deadline })
+    };
+
+  } catch (error) {
+    logger.error("PupilSense sequence analysis failed", {
+      error: error.message,
+      stack: error.stack
+    });
+
+    throw toHttpsError(error);
+  }
+}));
+
+/**
+ * Asynchronous pupil analysis jobs
+ * submit -> pupilJobs/{jobId} document -> processPupilJob worker -> status/cancel
+ */
+const PUPIL_JOBS_COLLECTION = "pupilJobs";
+const TERMINAL_JOB_STATES = ["done", "failed", "cancelled"];
+
+const getJobRef = (jobId) => getFirestore().collection(PUPIL_JOBS_COLLECTION).doc(jobId);
+
+/**
+ * Serialize a job document for clients, converting Firestore timestamps to ISO strings
+ */
+const serializeJob = (jobId, job) => ({
+  jobId: jobId,
+  status: job.status,
+  result: job.result || null,
+  error: job.error || null,
+  errorType: job.errorType || null,
+  progress: job.progress || null,
+  params: job.params,
+  batchId: job.batchId || null,
+  createdAt: job.createdAt?.toDate?.().toISOString() || null,
+  updatedAt: job.updatedAt?.toDate?.().toISOString() || null
+});
+
+/**
+ * Load a job and make sure the caller is allowed to see it
+ */
+const getOwnedJob = async (request) => {
+  const { data } = request;
+
+  if (!data || !data.jobId) {
+    throw new ValidationError("Missing required field: jobId");
+  }
+
+  const snapshot = await getJobRef(data.jobId).get();
+  const job = snapshot.data();
+
+  if (!snapshot.exists || job.uid !== request.auth.uid) {
+    throw new NotFoundError(`Job not found: ${data.jobId}`);
+  }
+
+  return { ref: snapshot.ref, job };
+};
+
+/**
+ * Validate the analysis options of a job and apply their defaults
+ * `stimulus_onset`, `cleaning` and `events` are kept for the worker when given; they are not sent to the Space.
+ */
+const getJobParams = (data) => {
+  const { media_input, ...params } = applyInputSchema(getProvider("pupillometry"), {
+    ...data,
+    media_input: data.video_input
+  });
+  const stimulusOnset = getStimulusOnset(data.stimulus_onset);
+  const cleaning = getCleaningOptions(data.cleaning);
+  const events = getEvents(data.events);
+
+  return {
+    ...params,
+    ...(stimulusOnset !== null && { stimulus_onset: stimulusOnset }),
+    ...(cleaning && { cleaning }),
+    ...(events && { events })
+  };
+};
+
+/**
+ * Hand a job's video to the worker
+ * The caller's own uploads are passed by reference; anything else is staged in
+ * Storage under the job's ID because Firestore documents are capped at 1MB.
+ */
+const stageJobInput = async (jobId, videoInput, uid) => {
+  if (typeof videoInput === 'string') {
+    const storageFile = await resolveCallerStorageFile(videoInput, uid);
+    if (storageFile) {
+      return { videoInput: `gs://${storageFile.bucket.name}/${storageFile.name}`, stagedInput: false };
+    }
+  }
+
+  const videoBlob = await processVideoInput(videoInput, { uid });
+  const stagedFile = getStorage().bucket().file(`${PUPIL_JOBS_COLLECTION}/${jobId}/input`);
+  await stagedFile.save(Buffer.from(await videoBlob.arrayBuffer()), {
+    contentType: videoBlob.type || 'video/mp4',
+    metadata: { metadata: { uid } }
+  });
+  return { videoInput: `gs://${stagedFile.bucket.name}/${stagedFile.name}`, stagedInput: true };
+};
+
+/**
+ * Firebase Function to submit a PupilSense analysis job
+ * Returns a job ID immediately; inline videos are staged in Storage for the worker
+ */
+exports.submitPupilAnalysis = onCall(CALLABLE_OPTIONS, authenticatedCall(async (request) => {
+  try {
+    const { data } = request;
+
+    if (!data || !data.video_input) {
+      throw new ValidationError("Missing required field: video_input");
+    }
+
+    const params = getJobParams(data);
+    const urlTtlSeconds = getUrlTtlSeconds(data.url_ttl_seconds);
+
+    const jobRef = getFirestore().collection(PUPIL_JOBS_COLLECTION).doc();
+    const { videoInput, stagedInput } = await stageJobInput(jobRef.id, data.video_input, request.auth.uid);
+
+    // Checked once the input is known to be usable; the worker charges the
+    // video seconds once it has run
+    try {
+      await consumeQuota(request.auth.uid, { video: true });
+    } catch (error) {
+      if (stagedInput) {
+        const stagedFile = await resolveStorageFile(videoInput);
+        await stagedFile.delete({ ignoreNotFound: true }).catch(() => {});
+      }
+      throw error;
+    }
+
+    await jobRef.set({
+      status: "queued",
+      uid: request.auth.uid,
+      params: params,
+      urlTtlSeconds: urlTtlSeconds,
+      videoInput: videoInput,
+      stagedInput: stagedInput,
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp()
+    });
+
+    logger.info("PupilSense job submitted", {
+      jobId: jobRef.id,
+      videoInput: videoInput,
+      stagedInput: stagedInput
+    });
+
+    return {
+      success: true,
+      data: {
+        jobId: jobRef.id,
+        status: "queued"
+      }
+    };
+
+  } catch (error) {
+    logger.error("PupilSense job submission failed", {
+      error: error.message,
+      stack: error.stack
+    });
+
+    throw toHttpsError(error);
+  }
+}));
+
+/**
+ * Firebase Function to report the status of a PupilSense analysis job
+ */
+exports.getPupilAnalysisStatus = onCall(CALLABLE_OPTIONS, authenticatedCall(async (request) => {
+  try {
+    const { ref, job } = await getOwnedJob(request);
+
+    return {
+      success: true,
+      data: serializeJob(ref.id, job)
+    };
+
+  } catch (error) {
+    logger.error("PupilSense job status failed", { error: error.message });
+
+    throw toHttpsError(error);
+  }
+}));
+
+/**
+ * Firebase Function to cancel a queued or processing PupilSense analysis job
+ * The worker checks the status before and after calling the Space, so a
+ * cancelled job never gets a result written to it.
+ */
+exports.cancelPupilAnalysis = onCall(CALLABLE_OPTIONS, authenticatedCall(async (request) => {
+  try {
+    const { ref } = await getOwnedJob(request);
+
+    const job = await getFirestore().runTransaction(async (transaction) => {
+      const current = (await transaction.get(ref)).data();
+
+      if (TERMINAL_JOB_STATES.includes(current.status)) {
+        return current;
+      }
+
+      transaction.update(ref, {
+        status: "cancelled",
+        updatedAt: FieldValue.serverTimestamp()
+      });
+      return { ...current, status: "cancelled" };
+    });
+
+    logger.info("PupilSense job cancel requested", { jobId: ref.id, status: job.status });
+
+    return {
+      success: true,
+      data: serializeJob(ref.id, job)
+    };
+
+  } catch (error) {
+    logger.error("PupilSense job cancel failed", { error: error.message });
+
+    throw toHttpsError(error);
+  }
+}));
+
+// Minimum gap between progress writes to a job document
+const JOB_PROGRESS_WRITE_INTERVAL_MS = 2000;
+
+/**
+ * Progress callback that mirrors Space updates onto the job document
+ * Writes are throttled, except when the stage changes (queued -> processing).
+ */
+const createJobProgressWriter = (ref, jobId) => {
+  let lastWriteAt = 0;
+  let lastStage = null;
+
+  return (progress) => {
+    const now = Date.now();
+    if (progress.stage === lastStage && now - lastWriteAt < JOB_PROGRESS_WRITE_INTERVAL_MS) {
+      return;
+    }
 
-    logger.info("Got sample video, attempting analysis...");
+    lastWriteAt = now;
+    lastStage = progress.stage;
+    ref.update({ progress, updatedAt: FieldValue.serverTimestamp() }).catch((error) => {
+      logger.warn("Failed to write job progress", { jobId, error: error.message });
+    });
+  };
+};
 
-    // Try the correct PupilSense endpoints based on deployment structure
-    const endpointsToTry = [
-      "/process_media_unified",  // Primary unified API endpoint
-      "/process_video_simple",   // Video-specific endpoint
-      "/predict",               // Legacy endpoint
-      "/predict_1"              // Alternative legacy endpoint
-    ];
+/**
+ * Move a job from one status to another only if it is still in the expected status
+ * Returns false when the job was cancelled (or otherwise moved) in the meantime
+ */
+const transitionJob = (ref, fromStatus, update) =>
+  getFirestore().runTransaction(async (transaction) => {
+    const current = (await transaction.get(ref)).data();
 
-    let workingEndpoint = null;
-    let result = null;
+    if (!current || current.status !== fromStatus) {
+      return false;
+    }
 
-    for (const endpoint of endpointsToTry) {
-      try {
-        logger.info(`Trying endpoint: ${endpoint}`);
+    transaction.update(ref, { ...update, updatedAt: FieldValue.serverTimestamp() });
+    return true;
+  });
 
-        // Use proper parameter structure for PupilSense API
-        const params = {
-          media_input: sampleVideo,     // Use media_input for unified endpoint
-          pupil_selection: "both",      // Use string instead of boolean
-          tv_model: "ResNet18",         // Correct parameter name
-          blink_detection: true
-        };
+/**
+ * Delete a finished job's input video
+ * Staged inputs and the owner's pupilUploads/ videos only exist for the
+ * analysis, so neither is kept. A batch keeps an upload until no other
+ * unfinished item of the batch uses it.
+ */
+const deleteJobInput = async (jobId, job) => {
+  try {
+    const isOwnUpload = !!parseStorageReference(job.videoInput)?.path.startsWith(`${USER_UPLOADS_PREFIX}/${job.uid}/`);
+    if (!job.stagedInput && !isOwnUpload) {
+      return;
+    }
 
-        result = await client.predict(endpoint, params);
-        workingEndpoint = endpoint;
+    if (job.batchId && !job.stagedInput) {
+      const batch = (await getBatchRef(job.batchId).get()).data();
+      const sharedInput = batch?.items.some((item) =>
+        item.jobId !== jobId && item.state !== "finished" && item.videoInput === job.videoInput);
+      if (sharedInput) {
+        return;
+      }
+    }
 
-        logger.info(`Success with ${endpoint}:`, {
-          hasData: !!result.data,
-          dataLength: result.data?.length,
-          resultStructure: typeof result.data
-        });
+    const inputFile = await resolveStorageFile(job.videoInput);
+    await inputFile?.delete({ ignoreNotFound: true });
+  } catch (cleanupError) {
+    logger.error("Failed to delete job input", { jobId, error: cleanupError.message });
+  }
+};
 
-        break;
+/**
+ * Run a submitted PupilSense job, recording the result or error on its document
+ */
+const runPupilJob = async (ref, jobId, job) => {
+  const deadline = getCallDeadline(ANALYSIS_TIMEOUT_SECONDS);
 
-      } catch (err) {
-        logger.info(`${endpoint} failed:`, { error: err.message });
+  if (!(await transitionJob(ref, "queued", { status: "processing" }))) {
+    logger.info("PupilSense job no longer queued, skipping", { jobId });
 
-        // If this is the last endpoint and we still haven't succeeded
-        if (endpoint === endpointsToTry[endpointsToTry.length - 1]) {
-          throw new Error(`All endpoints failed. Last error: ${err.message}`);
-        }
-      }
+    // Cancelled before it started. Triggers can fire twice, so leave the input
+    // alone while another run may still be using it.
+    const current = (await ref.get()).data();
+    if (TERMINAL_JOB_STATES.includes(current?.status)) {
+      await deleteJobInput(jobId, job);
     }
+    return;
+  }
 
-    return {
-      success: true,
-      data: {
-        workingEndpoint: workingEndpoint,
-        endpoints: Object.keys(client.endpoints || {}),
-        result: result.data,
-        metadata: {
-          timestamp: new Date().toISOString(),
-          connectedSpace: connectedSpace
-        }
-      }
-    };
+  try {
+    const result = await runPupilAnalysis({
+      ...job.params,
+      video_input: job.videoInput,
+      url_ttl_seconds: job.urlTtlSeconds
+    }, { onProgress: createJobProgressWriter(ref, jobId), uid: job.uid, trustedInput: true, deadline });
+
+    const stored = await transitionJob(ref, "processing", { status: "done", result });
+    logger.info("PupilSense job finished", { jobId, stored });
 
   } catch (error) {
-    logger.error("PupilSense test failed", {
+    logger.error("PupilSense job failed", {
+      jobId,
       error: error.message,
       stack: error.stack
     });
 
-    return {
-      success: false,
-      error: error.message || "Unknown error occurred",
-      details: error.stack || null
-    };
+    const errorBody = toErrorBody(error);
+    await transitionJob(ref, "processing", {
+      status: "failed",
+      error: errorBody.error,
+      errorType: errorBody.type
+    });
+  } finally {
+    await deleteJobInput(jobId, job);
   }
-});
+};
 
 /**
- * Firebase Function to generate PupilSense analysis
- * This is the main function that the frontend will call
+ * Batch PupilSense analysis
+ * submitPupilBatch -> pupilBatches/{batchId} document listing one job per video.
+ * Only `concurrency` of a batch's jobs exist at a time and each finished job
+ * creates the next, so a batch never asks for more processPupilJob instances
+ * than MAX_INSTANCES allows.
  */
-exports.generatePupilAnalysis = onCall(async (request) => {
-  try {
-    const { data } = request;
+const PUPIL_BATCHES_COLLECTION = "pupilBatches";
+const PUPIL_BATCH_LIMITS = {
+  maxItems: 20,
+  maxLabelLength: 100,
+  concurrency: Math.min(Number(process.env.PUPIL_BATCH_CONCURRENCY) || 3, MAX_INSTANCES)
+};
 
-    // Validate input
-    if (!data || !data.video_input) {
-      throw new Error("Missing required field: video_input");
+const getBatchRef = (batchId) => getFirestore().collection(PUPIL_BATCHES_COLLECTION).doc(batchId);
+
+/**
+ * Mark `finishedJobId` finished and create jobs for pending items while there
+ * are free slots, inside `transaction`
+ * Returns the batch's new items and the IDs of the jobs started.
+ */
+const startBatchItems = (transaction, batchId, batch, finishedJobId = null) => {
+  let running = batch.items.filter((item) => item.state === "started" && item.jobId !== finishedJobId).length;
+  const started = [];
+
+  const items = batch.items.map((item, index) => {
+    if (item.jobId === finishedJobId) {
+      return { ...item, state: "finished" };
+    }
+    if (item.state !== "pending" || running >= batch.concurrency) {
+      return item;
     }
 
-    logger.info("PupilSense analysis request received", {
-      hasVideo: !!data.video_input,
-      videoInputType: typeof data.video_input,
-      pupilSelection: data.pupil_selection,
-      tvModel: data.tv_model,
-      blinkDetection: data.blink_detection
+    running++;
+    started.push(item.jobId);
+    transaction.set(getJobRef(item.jobId), {
+      status: "queued",
+      uid: batch.uid,
+      params: item.params,
+      urlTtlSeconds: batch.urlTtlSeconds,
+      videoInput: item.videoInput,
+      stagedInput: item.stagedInput,
+      batchId: batchId,
+      batchIndex: index,
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp()
     });
+    return { ...item, state: "started" };
+  });
+
+  return { items, started };
+};
 
-    // Initialize Gradio client
-    const GradioClient = await initGradioClient();
+/**
+ * Record a finished batch job and start pending ones while there are free slots
+ * The batch is done once every item has finished.
+ */
+const advancePupilBatch = (batchId, finishedJobId) =>
+  getFirestore().runTransaction(async (transaction) => {
+    const ref = getBatchRef(batchId);
+    const batch = (await transaction.get(ref)).data();
 
-    logger.info("Connecting to PupilSense client...");
+    if (!batch) {
+      return [];
+    }
 
-    // Add debugging info
-    logger.info("Environment info:", {
-      nodeVersion: process.version,
-      platform: process.platform,
-      arch: process.arch
+    const { items, started } = startBatchItems(transaction, batchId, batch, finishedJobId);
+    transaction.update(ref, {
+      items: items,
+      status: items.every((item) => item.state === "finished") ? "done" : "processing",
+      updatedAt: FieldValue.serverTimestamp()
     });
+    return started;
+  });
 
-    // Connect to the PupilSense client with timeout
-    const client = await GradioClient.connect("txarst/pupillometry");
+/**
+ * Worker that runs a submitted PupilSense job outside of the callable timeout
+ * Jobs that belong to a batch hand their slot to the batch's next video.
+ */
+exports.processPupilJob = onDocumentCreated({
+  document: `${PUPIL_JOBS_COLLECTION}/{jobId}`,
+  timeoutSeconds: ANALYSIS_TIMEOUT_SECONDS,
+  memory: "1GiB"
+}, async (event) => {
+  const { jobId } = event.params;
+  const job = event.data.data();
+
+  // Log the job's owner on every line, like an authenticated request
+  await logger.withLogContext({ uid: job.uid, jobId }, async () => {
+    await runPupilJob(event.data.ref, jobId, job);
+
+    if (job.batchId) {
+      try {
+        const started = await advancePupilBatch(job.batchId, jobId);
+        logger.info("PupilSense batch advanced", { batchId: job.batchId, started });
+      } catch (error) {
+        logger.error("Failed to advance PupilSense batch", { batchId: job.batchId, error: error.message });
+      }
+    }
+  });
+});
 
-    logger.info("Connected to PupilSense successfully!");
+// The worker times out after 540s, so a job this long without an update has lost it
+const STALE_JOB_AFTER_MS = 15 * 60 * 1000;
 
-    // Process video input using the helper function
-    logger.info("Processing video input...", {
-      inputType: typeof data.video_input,
-      inputLength: data.video_input?.length || 0,
-      isBase64: data.video_input?.startsWith?.('data:video/') || false
+/**
+ * Scheduled sweep for jobs whose worker died (crash, timeout, redeploy)
+ * They are failed so clients stop polling, their input is deleted and their
+ * batch moves on.
+ */
+exports.failStalePupilJobs = onSchedule("every 15 minutes", async () => {
+  const stale = await getFirestore().collection(PUPIL_JOBS_COLLECTION)
+    .where("status", "==", "processing")
+    .where("updatedAt", "<=", new Date(Date.now() - STALE_JOB_AFTER_MS))
+    .limit(500)
+    .get();
+
+  const errorBody = toErrorBody(new UpstreamTimeoutError("The analysis stopped responding. Submit the video again."));
+  let failed = 0;
+
+  for (const snapshot of stale.docs) {
+    const job = snapshot.data();
+
+    // The worker may have finished since the query ran
+    const moved = await transitionJob(snapshot.ref, "processing", {
+      status: "failed",
+      error: errorBody.error,
+      errorType: errorBody.type
     });
+    if (!moved) {
+      continue;
+    }
 
-    const videoBlob = await processVideoInput(data.video_input);
+    failed++;
+    await logger.withLogContext({ uid: job.uid, jobId: snapshot.id }, async () => {
+      logger.warn("Failing stale PupilSense job", { updatedAt: job.updatedAt?.toDate?.().toISOString() });
+      await deleteJobInput(snapshot.id, job);
 
-    logger.info("Video blob created:", {
-      blobSize: videoBlob.size,
-      blobType: videoBlob.type,
-      isBlob: videoBlob instanceof Blob
+      if (job.batchId) {
+        await advancePupilBatch(job.batchId, snapshot.id).catch((error) => {
+          logger.error("Failed to advance PupilSense batch", { batchId: job.batchId, error: error.message });
+        });
+      }
     });
+  }
 
-    logger.info("Processing video with PupilSense...");
+  logger.info("Stale PupilSense jobs swept", { count: failed });
+});
 
-    // Use the video-specific function since we're processing videos
-    const workingEndpoint = "process_video_simple";
+/**
+ * Validate the items of a batch submission
+ * Options given next to `items` apply to every item unless the item sets its own.
+ */
+const getBatchItems = (data) => {
+  const { items, url_ttl_seconds, ...shared } = data || {};
 
-    let result;
-    try {
-      logger.info(`Calling ${workingEndpoint} with parameters`);
-
-      // Call the API with the correct parameter format
-      // If videoBlob is a string (file path), use it directly
-      // If it's a Blob, we need to handle it differently
-      let mediaInput = videoBlob;
-
-      if (videoBlob instanceof Blob) {
-        // NEW APPROACH: Use base64 direct approach (like test-local.js)
-        logger.info("Using base64 direct approach (API now supports this!)");
-
-        // Convert blob back to base64 data URL
-        const buffer = await videoBlob.arrayBuffer();
-        const bufferData = Buffer.from(buffer);
-        const blobType = videoBlob.type || 'video/mp4';
-
-        // Create base64 data URL
-        const base64Data = bufferData.toString('base64');
-        const dataUrl = `data:${blobType};base64,${base64Data}`;
-
-        logger.info("Base64 data URL created:", {
-          mimeType: blobType,
-          dataLength: dataUrl.length,
-          isVideo: blobType.startsWith('video/'),
-          isImage: blobType.startsWith('image/')
-        });
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ValidationError("Missing required field: items");
+  }
 
-        // Pass the base64 data URL directly to the API
-        mediaInput = dataUrl;
-      }
+  if (items.length > PUPIL_BATCH_LIMITS.maxItems) {
+    throw new ValidationError(`A batch can hold at most ${PUPIL_BATCH_LIMITS.maxItems} videos`);
+  }
 
-      // Use the API Testing tab (index 2) which uses process_media_unified
-      // This matches the gr.Blocks structure in pupilsense_hf_deploy/gradio_app.py
-      logger.info("Calling /process_media_unified endpoint with base64 data");
-      logger.info("API Parameters:", {
-        mediaInputType: typeof mediaInput,
-        mediaInputLength: mediaInput.length,
-        pupil_selection: data.pupil_selection || "both",
-        tv_model: data.tv_model || "ResNet18",
-        blink_detection: data.blink_detection !== undefined ? data.blink_detection : true
-      });
-      result = await client.predict(
-        // 2,  // Index 2 = API Testing tab with process_media_unified
-        "/process_media_unified", {
-        media_input: mediaInput,
-        pupil_selection: data.pupil_selection || "both",
-        tv_model: data.tv_model || "ResNet18",
-        blink_detection: data.blink_detection !== undefined ? data.blink_detection : true
-      });
+  return items.map((item, index) => {
+    try {
+      if (!item || !item.video_input) {
+        throw new ValidationError("Missing required field: video_input");
+      }
 
-      logger.info(`Video processing successful with ${workingEndpoint}`);
+      const label = item.label ?? null;
+      if (label !== null && (typeof label !== 'string' || label.length > PUPIL_BATCH_LIMITS.maxLabelLength)) {
+        throw new ValidationError(`label must be a string of ${PUPIL_BATCH_LIMITS.maxLabelLength} characters or less`);
+      }
 
-    } catch (endpointError) {
-      logger.error(`${workingEndpoint} failed:`, { error: endpointError.message });
-      throw new Error(`PupilSense API call failed: ${endpointError.message}`);
+      return { label, videoInput: item.video_input, params: getJobParams({ ...shared, ...item }) };
+    } catch (error) {
+      throw new ValidationError(`items[${index}]: ${error.message}`);
     }
+  });
+};
 
-    logger.info("PupilSense analysis complete", {
-      hasData: !!result.data,
-      dataLength: result.data?.length,
-      resultType: typeof result.data
-    });
+/**
+ * Firebase Function to submit several videos as one batch
+ * Returns a batch ID immediately. Each video becomes a pupilJobs job, run at
+ * most `concurrency` at a time; poll getPupilBatchStatus for their results.
+ */
+exports.submitPupilBatch = onCall(CALLABLE_OPTIONS, authenticatedCall(async (request) => {
+  const staged = [];
+
+  try {
+    const { data } = request;
+    const items = getBatchItems(data);
+    const urlTtlSeconds = getUrlTtlSeconds(data.url_ttl_seconds);
 
-    // Process the result based on the actual API response format
-    if (!result.data) {
-      throw new Error('No analysis data received from PupilSense API');
+    const concurrency = data.concurrency ?? PUPIL_BATCH_LIMITS.concurrency;
+    if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > PUPIL_BATCH_LIMITS.concurrency) {
+      throw new ValidationError(`concurrency must be a whole number between 1 and ${PUPIL_BATCH_LIMITS.concurrency}`);
     }
 
-    // Based on our test, the API returns [fileObject, textSummary]
-    let analysisUrl = null;
-    let summary = null;
-    let analysisResults = null;
+    // Every video counts as one analysis against the daily quota
+    await consumeQuota(request.auth.uid, { video: true, requests: items.length });
 
-    if (Array.isArray(result.data) && result.data.length >= 2) {
-      // First element is the file object with the analysis image
-      const fileObject = result.data[0];
-      if (fileObject && typeof fileObject === 'object') {
-        analysisUrl = fileObject.url || fileObject.path;
-      }
+    const batchRef = getFirestore().collection(PUPIL_BATCHES_COLLECTION).doc();
+    const batchItems = [];
 
-      // Second element is the text summary
-      summary = result.data[1];
+    for (const item of items) {
+      const jobId = getFirestore().collection(PUPIL_JOBS_COLLECTION).doc().id;
+      const input = await stageJobInput(jobId, item.videoInput, request.auth.uid);
+      if (input.stagedInput) {
+        staged.push(input.videoInput);
+      }
 
-      // Store the full response as results
-      analysisResults = result.data;
-    } else {
-      // Fallback for unexpected format
-      analysisUrl = result.data.url || result.data.path || result.data.image;
-      analysisResults = result.data.results || result.data.analysis;
-      summary = result.data.summary || result.data.description || "Analysis completed";
+      batchItems.push({ jobId, label: item.label, params: item.params, ...input, state: "pending" });
     }
 
-    logger.info("PupilSense analysis successful", {
-      hasAnalysisUrl: !!analysisUrl,
-      hasResults: !!analysisResults,
-      hasSummary: !!summary,
-      summaryPreview: typeof summary === 'string' ? summary.substring(0, 100) : 'Not a string'
+    // The batch and its first jobs are written together, so a failed
+    // submission never leaves a batch behind that nothing will advance
+    const batch = {
+      status: "processing",
+      uid: request.auth.uid,
+      items: batchItems,
+      concurrency: concurrency,
+      urlTtlSeconds: urlTtlSeconds
+    };
+    const started = await getFirestore().runTransaction(async (transaction) => {
+      const { items, started } = startBatchItems(transaction, batchRef.id, batch);
+      transaction.set(batchRef, {
+        ...batch,
+        items: items,
+        createdAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp()
+      });
+      return started;
+    });
+
+    logger.info("PupilSense batch submitted", {
+      batchId: batchRef.id,
+      itemCount: batchItems.length,
+      concurrency: concurrency,
+      started: started
     });
 
     return {
       success: true,
       data: {
-        analysisUrl: analysisUrl,
-        results: analysisResults,
-        summary: summary || "Pupil diameter analysis completed successfully",
-        metadata: {
-          pupilSelection: data.pupil_selection || "both",
-          tvModel: data.tv_model || "ResNet18",
-          blinkDetection: data.blink_detection || true,
-          workingEndpoint: workingEndpoint,
-          timestamp: new Date().toISOString(),
-          processingTime: Date.now() - Date.now() // Will be calculated properly
-        }
+        batchId: batchRef.id,
+        status: "processing",
+        jobIds: batchItems.map((item) => item.jobId)
       }
     };
 
   } catch (error) {
-    logger.error("PupilSense analysis failed", {
+    logger.error("PupilSense batch submission failed", {
       error: error.message,
       stack: error.stack
     });
 
+    // Nothing will run, so do not keep the videos staged so far
+    for (const videoInput of staged) {
+      const stagedFile = await resolveStorageFile(videoInput);
+      await stagedFile.delete({ ignoreNotFound: true }).catch(() => {});
+    }
+
+    throw toHttpsError(error);
+  }
+}));
+
+/**
+ * Serialize a batch with the status and result of each video and cross-trial statistics
+ * Items waiting for a free slot have no job yet and report "pending".
+ */
+const serializeBatch = async (batchId, batch) => {
+  const jobs = await Promise.all(batch.items.map(async (item) =>
+    item.state === "pending" ? null : (await getJobRef(item.jobId).get()).data()));
+
+  const items = batch.items.map((item, index) => {
+    const job = jobs[index];
     return {
-      success: false,
-      error: error.message || "Unknown error occurred",
-      details: error.stack || null
+      index: index,
+      label: item.label,
+      jobId: item.jobId,
+      params: item.params,
+      status: job?.status || "pending",
+      progress: job?.progress || null,
+      result: job?.result || null,
+      error: job?.error || null,
+      errorType: job?.errorType || null
     };
-  }
-});
+  });
+
+  const counts = Object.fromEntries(["pending", "queued", "processing", ...TERMINAL_JOB_STATES].map((status) =>
+    [status, items.filter((item) => item.status === status).length]));
+
+  return {
+    batchId: batchId,
+    status: batch.status,
+    itemCount: items.length,
+    counts: counts,
+    items: items,
+    summary: summarizeTrials(items.map((item) => item.result?.pupilData)),
+    createdAt: batch.createdAt?.toDate?.().toISOString() || null,
+    updatedAt: batch.updatedAt?.toDate?.().toISOString() || null
+  };
+};
 
 /**
- * HTTP endpoint to test PupilSense API
+ * Firebase Function to report the status of a batch and its aggregated results
  */
-exports.testPupilSenseHttp = onRequest(async (req, res) => {
-  // Enable CORS
-  res.set('Access-Control-Allow-Origin', '*');
-  res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.set('Access-Control-Allow-Headers', 'Content-Type');
+exports.getPupilBatchStatus = onCall(CALLABLE_OPTIONS, authenticatedCall(async (request) => {
+  try {
+    const batchId = request.data?.batchId;
 
-  if (req.method === 'OPTIONS') {
-    res.status(200).end();
-    return;
-  }
+    if (!batchId || typeof batchId !== 'string') {
+      throw new ValidationError("Missing required field: batchId");
+    }
 
-  if (req.method !== 'POST') {
-    res.status(405).json({ error: 'Method not allowed' });
-    return;
+    const snapshot = await getBatchRef(batchId).get();
+    const batch = snapshot.data();
+
+    if (!snapshot.exists || batch.uid !== request.auth.uid) {
+      throw new NotFoundError(`Batch not found: ${batchId}`);
+    }
+
+    return {
+      success: true,
+      data: await serializeBatch(batchId, batch)
+    };
+
+  } catch (error) {
+    logger.error("PupilSense batch status failed", { error: error.message });
+
+    throw toHttpsError(error);
   }
+}));
 
+/**
+ * HTTP endpoint to test PupilSense API
+ */
+exports.testPupilSenseHttp = onRequest(authenticatedRequest(async (req, res, caller) => {
   try {
-    logger.info("Testing PupilSense API connection...");
+    await consumeQuota(caller.uid);
 
-    // Initialize Gradio client
-    const GradioClient = await initGradioClient();
+    logger.info("Testing PupilSense API connection...");
 
     // Connect to the PupilSense client
-    const client = await GradioClient.connect("txarst/pupillometry");
+    const client = await connectProvider("pupillometry");
 
     logger.info("Connected to PupilSense! Exploring API...");
 
@@ -720,7 +2016,7 @@ exports.testPupilSenseHttp = onRequest(async (req, res) => {
             result: result.data,
             metadata: {
               timestamp: new Date().toISOString(),
-              connectedSpace: "txarst/pupillometry"
+              connectedSpace: getProvider("pupillometry").source
             }
           }
         });
@@ -742,185 +2038,183 @@ exports.testPupilSenseHttp = onRequest(async (req, res) => {
       stack: error.stack
     });
 
-    res.status(500).json({
-      error: error.message || "Unknown error occurred",
-      details: error.stack || null
+    sendHttpError(res, error);
+  }
+}));
+
+/**
+ * Run an analysis and relay it as Server-Sent Events
+ * Events: `progress` (queue position, progress, ETA), then `result` or `error`.
+ * The Space job is cancelled if the client disconnects.
+ */
+const streamPupilAnalysis = async (req, res, caller, deadline) => {
+  const controller = new AbortController();
+  const sendEvent = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  res.set('Content-Type', 'text/event-stream');
+  res.set('Cache-Control', 'no-cache');
+  res.set('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  // Comment lines keep proxies from closing the stream while the job sits in the queue
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  // res "close" fires on disconnect; once the response has ended it is expected
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      logger.info("SSE client disconnected, cancelling PupilSense analysis");
+      controller.abort();
+    }
+  });
+
+  try {
+    logger.info("HTTP PupilSense streaming analysis request received");
+
+    const data = await runPupilAnalysis(req.body, {
+      onProgress: (progress) => sendEvent('progress', progress),
+      signal: controller.signal,
+      uid: caller.uid,
+      deadline
     });
+    sendEvent('result', { success: true, data });
+
+  } catch (error) {
+    logger.error("HTTP PupilSense streaming analysis failed", { error: error.message });
+    sendEvent('error', { success: false, ...toErrorBody(error) });
   }
-});
+
+  clearInterval(heartbeat);
+  res.end();
+};
 
 /**
  * HTTP endpoint for PupilSense analysis
+ * Allows the same 9 minutes as the job worker, for long streamed analyses
  */
-exports.generatePupilAnalysisHttp = onRequest(async (req, res) => {
-  // Enable CORS
-  res.set('Access-Control-Allow-Origin', '*');
-  res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.set('Access-Control-Allow-Headers', 'Content-Type');
+exports.generatePupilAnalysisHttp = onRequest({ timeoutSeconds: ANALYSIS_TIMEOUT_SECONDS }, authenticatedRequest(async (req, res, caller) => {
+  const deadline = getCallDeadline(ANALYSIS_TIMEOUT_SECONDS);
 
-  if (req.method === 'OPTIONS') {
-    res.status(200).end();
+  // Over-quota callers get a plain 429 with Retry-After, even when asking for a stream
+  try {
+    await consumeQuota(caller.uid, { video: true });
+  } catch (error) {
+    logger.warn("HTTP PupilSense analysis refused", { error: error.message });
+    sendHttpError(res, error);
     return;
   }
 
-  if (req.method !== 'POST') {
-    res.status(405).json({ error: 'Method not allowed' });
+  // Clients that accept text/event-stream get progress events before the result
+  if ((req.get('Accept') || '').includes('text/event-stream')) {
+    await streamPupilAnalysis(req, res, caller, deadline);
     return;
   }
 
   try {
-    const { video_input, pupil_selection, tv_model, blink_detection } = req.body;
-
-    if (!video_input) {
-      res.status(400).json({ error: "Missing required field: video_input" });
-      return;
-    }
-
     logger.info("HTTP PupilSense analysis request received");
 
-    // Initialize Gradio client
-    const GradioClient = await initGradioClient();
-
-    // Connect to the PupilSense client
-    const client = await GradioClient.connect("txarst/pupillometry");
+    res.json({
+      success: true,
+      data: await runPupilAnalysis(req.body, { uid: caller.uid, deadline })
+    });
 
-    // Process video input using the helper function
-    logger.info("Processing video input...");
-    let videoBlob;
-    try {
-      videoBlob = await processVideoInput(video_input);
-    } catch (processError) {
-      logger.error("Failed to process video input:", { error: processError.message });
-      res.status(400).json({ error: `Failed to process video input: ${processError.message}` });
-      return;
-    }
+  } catch (error) {
+    logger.error("HTTP PupilSense analysis failed", { error: error.message });
+    sendHttpError(res, error);
+  }
+}));
 
-    // Process with PupilSense using the video-specific function
-    const workingEndpoint = "process_video_simple";
+/**
+ * Firebase Function to list the caller's saved analyses, newest first
+ * Pass the returned nextPageToken as pageToken to get the next page
+ */
+exports.listAnalyses = onCall(CALLABLE_OPTIONS, authenticatedCall(async (request) => {
+  try {
+    const { pageSize, pageToken, url_ttl_seconds } = request.data || {};
 
-    let result;
-    try {
-      logger.info(`HTTP: Calling ${workingEndpoint} with parameters`);
-
-      // Call the API with the correct parameter format
-      // If videoBlob is a string (file path), use it directly
-      // If it's a Blob, we need to handle it differently
-      let mediaInput = videoBlob;
-
-      if (videoBlob instanceof Blob) {
-        // NEW APPROACH: Use base64 direct approach (like test-local.js)
-        logger.info("HTTP: Using base64 direct approach (API now supports this!)");
-
-        // Convert blob back to base64 data URL
-        const buffer = await videoBlob.arrayBuffer();
-        const bufferData = Buffer.from(buffer);
-        const blobType = videoBlob.type || 'video/mp4';
-
-        // Create base64 data URL
-        const base64Data = bufferData.toString('base64');
-        const dataUrl = `data:${blobType};base64,${base64Data}`;
-
-        logger.info("HTTP: Base64 data URL created:", {
-          mimeType: blobType,
-          dataLength: dataUrl.length,
-          isVideo: blobType.startsWith('video/'),
-          isImage: blobType.startsWith('image/')
-        });
+    return {
+      success: true,
+      data: await listAnalyses(request.auth.uid, {
+        pageSize,
+        pageToken,
+        urlTtlSeconds: getUrlTtlSeconds(url_ttl_seconds)
+      })
+    };
 
-        // Pass the base64 data URL directly to the API
-        mediaInput = dataUrl;
-      }
+  } catch (error) {
+    logger.error("Listing analyses failed", { error: error.message });
 
-      // Use the API Testing tab (index 2) which uses process_media_unified
-      // This matches the gr.Blocks structure in pupilsense_hf_deploy/gradio_app.py
-      logger.info("HTTP: Calling /process_media_unified endpoint with base64 data");
-      logger.info("HTTP: API Parameters:", {
-        mediaInputType: typeof mediaInput,
-        mediaInputLength: mediaInput.length,
-        pupil_selection: pupil_selection || "both",
-        tv_model: tv_model || "ResNet18",
-        blink_detection: blink_detection !== undefined ? blink_detection : true
-      });
+    throw toHttpsError(error);
+  }
+}));
 
-      result = await client.predict("/process_media_unified", {
-        media_input: mediaInput,
-        pupil_selection: pupil_selection || "both",
-        tv_model: tv_model || "ResNet18",
-        blink_detection: blink_detection !== undefined ? blink_detection : true
-      });
+/**
+ * Firebase Function to load one saved analysis with its full pupil series
+ */
+exports.getAnalysis = onCall(CALLABLE_OPTIONS, authenticatedCall(async (request) => {
+  try {
+    return {
+      success: true,
+      data: await getAnalysis(request.auth.uid, request.data?.analysisId, {
+        urlTtlSeconds: getUrlTtlSeconds(request.data?.url_ttl_seconds)
+      })
+    };
 
-      logger.info(`HTTP: Processing successful with ${workingEndpoint}`);
+  } catch (error) {
+    logger.error("Loading analysis failed", { error: error.message });
 
-    } catch (endpointError) {
-      logger.error(`HTTP: ${workingEndpoint} failed:`, { error: endpointError.message });
-      throw new Error(`HTTP PupilSense API call failed: ${endpointError.message}`);
-    }
+    throw toHttpsError(error);
+  }
+}));
 
-    if (!result.data) {
-      throw new Error('No analysis data received from PupilSense API');
-    }
+/**
+ * Firebase Function to delete a saved analysis
+ */
+exports.deleteAnalysis = onCall(CALLABLE_OPTIONS, authenticatedCall(async (request) => {
+  try {
+    await deleteAnalysis(request.auth.uid, request.data?.analysisId);
 
-    // Extract analysis results using the same logic as the callable function
-    let analysisUrl = null;
-    let analysisResults = null;
-    let summary = null;
+    logger.info("Analysis deleted", { analysisId: request.data.analysisId });
 
-    if (Array.isArray(result.data) && result.data.length >= 2) {
-      // First element is the file object with the analysis image
-      const fileObject = result.data[0];
-      if (fileObject && typeof fileObject === 'object') {
-        analysisUrl = fileObject.url || fileObject.path;
-      }
+    return {
+      success: true
+    };
 
-      // Second element is the text summary
-      summary = result.data[1];
+  } catch (error) {
+    logger.error("Deleting analysis failed", { error: error.message });
 
-      // Store the full response as results
-      analysisResults = result.data;
-    } else {
-      // Fallback for unexpected format
-      analysisUrl = result.data.url || result.data.path || result.data.image;
-      analysisResults = result.data.results || result.data.analysis;
-      summary = result.data.summary || result.data.description || "Analysis completed";
-    }
+    throw toHttpsError(error);
+  }
+}));
 
-    res.json({
+/**
+ * Firebase Function to report the caller's quota: limits, usage and what is left
+ * Does not count against the quota, so the app can refresh it freely
+ */
+exports.getUsage = onCall(CALLABLE_OPTIONS, authenticatedCall(async (request) => {
+  try {
+    return {
       success: true,
-      data: {
-        analysisUrl: analysisUrl,
-        results: analysisResults,
-        summary: summary || "Pupil diameter analysis completed successfully",
-        metadata: {
-          pupilSelection: pupil_selection || "both",
-          tvModel: tv_model || "ResNet18",
-          blinkDetection: blink_detection || true,
-          workingEndpoint: workingEndpoint,
-          timestamp: new Date().toISOString()
-        }
-      }
-    });
+      data: await getUsage(request.auth.uid)
+    };
 
   } catch (error) {
-    logger.error("HTTP PupilSense analysis failed", { error: error.message });
-    res.status(500).json({
-      error: error.message || "Unknown error occurred",
-      details: error.stack || null
-    });
+    logger.error("Usage lookup failed", { error: error.message });
+
+    throw toHttpsError(error);
   }
-});
+}));
 
 /**
  * Simple test function to check Gradio connection
  */
-exports.testConnection = onCall(async (request) => {
+exports.testConnection = onCall(CALLABLE_OPTIONS, authenticatedCall(async (request) => {
   try {
-    logger.info("Testing Gradio connection...");
+    await consumeQuota(request.auth.uid);
 
-    // Initialize Gradio client
-    const GradioClient = await initGradioClient();
+    logger.info("Testing Gradio connection...");
 
-    logger.info("Attempting to connect to txarst/pupillometry...");
-    const client = await GradioClient.connect("txarst/pupillometry");
+    logger.info(`Attempting to connect to ${getProvider("pupillometry").source}...`);
+    const client = await connectProvider("pupillometry");
 
     logger.info("Connection successful!");
 
@@ -950,41 +2244,36 @@ exports.testConnection = onCall(async (request) => {
       stack: error.stack
     });
 
-    return {
-      success: false,
-      error: error.message,
-      details: error.stack
-    };
+    throw toHttpsError(error);
   }
-});
+}));
 
 /**
  * Test function to demonstrate video upload from local file path
  * This function shows how to use the updated API with local video files
  */
-exports.testVideoUpload = onCall(async (request) => {
+exports.testVideoUpload = onCall(CALLABLE_OPTIONS, authenticatedCall(async (request) => {
   try {
     const { data } = request;
 
-    // This is a test function - in production, you'd get the file path from the request
-    const testVideoPath = data.video_path || "/tmp/test_video.mp4";
+    // Local paths are rejected by the input policy, so test with one of the caller's uploads and a URL
+    const testVideoPath = data.video_path || `${USER_UPLOADS_PREFIX}/${request.auth.uid}/test_video.mp4`;
 
-    logger.info("Testing video upload from local path", {
-      videoPath: testVideoPath,
-      pathExists: fs.existsSync(testVideoPath)
+    logger.info("Testing video upload from Cloud Storage", {
+      videoPath: testVideoPath
     });
 
     // Test the processVideoInput function with different input types
     const testCases = [
       {
-        name: "Local file path",
+        name: "Cloud Storage path",
         input: testVideoPath,
-        description: "Testing with local file path"
+        description: "Testing with an object path in your pupilUploads folder"
       },
       {
         name: "URL",
-        input: "https://sample-videos.com/zip/10/mp4/SampleVideo_1280x720_1mb.mp4",
-        description: "Testing with remote URL"
+        input: data.video_url || "https://sample-videos.com/zip/10/mp4/SampleVideo_1280x720_1mb.mp4",
+        description: "Testing with remote URL (the host must be in MEDIA_URL_ALLOWED_HOSTS)"
       }
     ];
 
@@ -994,16 +2283,7 @@ exports.testVideoUpload = onCall(async (request) => {
       try {
         logger.info(`Testing ${testCase.name}:`, { input: testCase.input });
 
-        if (testCase.name === "Local file path" && !fs.existsSync(testCase.input)) {
-          results.push({
-            name: testCase.name,
-            success: false,
-            error: "Test video file not found - this is expected in test environment"
-          });
-          continue;
-        }
-
-        const videoBlob = await processVideoInput(testCase.input);
+        const videoBlob = await processVideoInput(testCase.input, { uid: request.auth.uid });
 
         results.push({
           name: testCase.name,
@@ -1041,10 +2321,6 @@ exports.testVideoUpload = onCall(async (request) => {
       stack: error.stack
     });
 
-    return {
-      success: false,
-      error: error.message || "Unknown error occurred",
-      details: error.stack || null
-    };
+    throw toHttpsError(error);
   }
-});
+}));
@@ -0,0 +1,504 @@
+#!/usr/bin/env node
+
+/**
+ * Local stand-in for the Hugging Face Spaces used by the functions
+ * Speaks enough of the Gradio 5 HTTP/SSE protocol for @gradio/client to
+ * connect, upload files and call /generate_tts_audio and /process_media_unified.
+ * Returns canned audio, plot images, summaries and pupil series, and can inject
+ * latency, sleeping Spaces, queue rejections, errors and malformed payloads.
+ *
+ * Run with: node mock-gradio-server.js [--port 7860] [--latency 2000] [--sleep 3]
+ *           [--queue-full] [--error "CUDA out of memory"] [--malformed] [--drop-connection]
+ *
+ * Then point the functions at it, e.g. in functions/.env:
+ * ML_PROVIDER_OVERRIDES={"chatterbox": {"source": "http://127.0.0.1:7860"}, "pupillometry": {"source": "http://127.0.0.1:7860"}}
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const API_PREFIX = '/gradio_api';
+
+const DEFAULT_BEHAVIOR = {
+  latencyMs: 0,          // processing time per job, spread over the progress steps
+  progressSteps: 4,      // progress events sent while a job runs
+  queueAhead: 0,         // simulated jobs ahead in the queue
+  sleepRequests: 0,      // /config requests answered with 503 before the "Space" is awake
+  queueFull: false,      // reject queue/join with 503
+  error: null,           // finish every job with this error message
+  malformed: false,      // return output that does not match the endpoint's components
+  dropConnection: false  // close the event stream before the job completes
+};
+
+// 1x1 transparent PNG standing in for the pupil plot
+const PLOT_PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+/**
+ * 16-bit mono sine tone, roughly as long as the text would take to read
+ * Chatterbox returns 24kHz WAV, so the mock does too.
+ */
+const createSpeechWav = (text) => {
+  const sampleRate = 24000;
+  const seconds = Math.min(10, Math.max(0.5, text.length * 0.06));
+  const samples = Math.round(seconds * sampleRate);
+  const buffer = Buffer.alloc(44 + samples * 2);
+
+  buffer.write('RIFF', 0, 'ascii');
+  buffer.writeUInt32LE(36 + samples * 2, 4);
+  buffer.write('WAVE', 8, 'ascii');
+  buffer.write('fmt ', 12, 'ascii');
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(1, 22);
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36, 'ascii');
+  buffer.writeUInt32LE(samples * 2, 40);
+
+  for (let i = 0; i < samples; i++) {
+    buffer.writeInt16LE(Math.round(Math.sin(2 * Math.PI * 220 * i / sampleRate) * 8000), 44 + i * 2);
+  }
+
+  return buffer;
+};
+
+/**
+ * Three seconds of 30fps pupil data with one blink
+ */
+const createPupilSeriesCsv = (pupilSelection) => {
+  const rows = ['frame,timestamp,left_pupil,right_pupil,confidence,blink'];
+
+  for (let frame = 0; frame < 90; frame++) {
+    const blink = frame >= 40 && frame <= 43;
+    const left = blink || pupilSelection === 'right' ? '' : (3.4 + 0.2 * Math.sin(frame / 10)).toFixed(3);
+    const right = blink || pupilSelection === 'left' ? '' : (3.35 + 0.2 * Math.sin(frame / 10)).toFixed(3);
+    rows.push(`${frame},${(frame / 30).toFixed(4)},${left},${right},${blink ? '0.10' : '0.95'},${blink ? 1 : 0}`);
+  }
+
+  return rows.join('\n');
+};
+
+const createPupilSummary = ({ pupil_selection, tv_model, blink_detection }) => [
+  '📊 Pupil Analysis Summary (mock)',
+  `Model: ${tv_model}`,
+  `Pupil selection: ${pupil_selection}`,
+  `Blink detection: ${blink_detection ? 'enabled' : 'disabled'}`,
+  'Frames processed: 90',
+  'Left pupil mean diameter: 3.40 mm',
+  'Right pupil mean diameter: 3.35 mm',
+  `Blinks detected: ${blink_detection ? 1 : 0}`
+].join('\n');
+
+/**
+ * Endpoint definitions: Gradio components for /config and /info plus the canned handler
+ * Handlers get the positional inputs and return { data, files } where `files`
+ * are served from /gradio_api/file=<path>.
+ */
+const ENDPOINTS = [
+  {
+    apiName: 'generate_tts_audio',
+    parameters: [
+      { name: 'text_input', component: 'Textbox', type: 'string' },
+      { name: 'audio_prompt_path_input', component: 'Audio', type: 'filepath', default: null },
+      { name: 'exaggeration_input', component: 'Slider', type: 'number', default: 0.5 },
+      { name: 'temperature_input', component: 'Slider', type: 'number', default: 0.8 },
+      { name: 'seed_num_input', component: 'Number', type: 'number', default: 0 },
+      { name: 'cfgw_input', component: 'Slider', type: 'number', default: 0.5 }
+    ],
+    returns: [{ component: 'Audio', type: 'filepath' }],
+    handler: ([text]) => ({
+      files: { 'audio.wav': { contentType: 'audio/wav', body: createSpeechWav(String(text || '')) } },
+      data: (files) => [files['audio.wav']]
+    }),
+    malformed: () => [{ unexpected: 'payload' }]
+  },
+  {
+    apiName: 'process_media_unified',
+    parameters: [
+      { name: 'media_input', component: 'File', type: 'filepath' },
+      { name: 'pupil_selection', component: 'Radio', type: 'string', default: 'both' },
+      { name: 'tv_model', component: 'Dropdown', type: 'string', default: 'ResNet18' },
+      { name: 'blink_detection', component: 'Checkbox', type: 'boolean', default: true }
+    ],
+    returns: [
+      { component: 'Image', type: 'filepath' },
+      { component: 'Textbox', type: 'string' },
+      { component: 'File', type: 'filepath' }
+    ],
+    handler: ([, pupil_selection, tv_model, blink_detection]) => ({
+      files: {
+        'analysis.png': { contentType: 'image/png', body: PLOT_PNG },
+        'pupil_series.csv': { contentType: 'text/csv', body: Buffer.from(createPupilSeriesCsv(pupil_selection)) }
+      },
+      data: (files) => [
+        files['analysis.png'],
+        createPupilSummary({ pupil_selection, tv_model, blink_detection }),
+        files['pupil_series.csv']
+      ]
+    }),
+    malformed: () => [null, 42]
+  }
+];
+
+/**
+ * Gradio app config: one component per parameter/return, one dependency per endpoint
+ */
+const buildConfig = (root) => {
+  const components = [];
+  const dependencies = ENDPOINTS.map((endpoint, id) => {
+    const addComponent = (type) => {
+      components.push({ id: components.length + 1, type: type.toLowerCase(), props: {} });
+      return components.length;
+    };
+
+    return {
+      id: id,
+      api_name: endpoint.apiName,
+      inputs: endpoint.parameters.map((parameter) => addComponent(parameter.component)),
+      outputs: endpoint.returns.map((output) => addComponent(output.component)),
+      targets: [],
+      queue: true,
+      types: { generator: false, cancel: false },
+      backend_fn: true,
+      js: null
+    };
+  });
+
+  return {
+    version: '5.35.0',
+    mode: 'blocks',
+    protocol: 'sse_v3',
+    api_prefix: API_PREFIX,
+    root: root,
+    enable_queue: true,
+    connect_heartbeat: false,
+    components: components,
+    dependencies: dependencies
+  };
+};
+
+const buildApiInfo = () => ({
+  named_endpoints: Object.fromEntries(ENDPOINTS.map((endpoint) => [`/${endpoint.apiName}`, {
+    parameters: endpoint.parameters.map((parameter) => ({
+      parameter_name: parameter.name,
+      parameter_has_default: parameter.default !== undefined,
+      parameter_default: parameter.default ?? null,
+      label: parameter.name,
+      component: parameter.component,
+      type: { type: parameter.type },
+      python_type: { type: parameter.type, description: '' }
+    })),
+    returns: endpoint.returns.map((output) => ({
+      label: output.component,
+      component: output.component,
+      type: { type: output.type },
+      python_type: { type: output.type, description: '' }
+    }))
+  }])),
+  unnamed_endpoints: {}
+});
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Start the mock server
+ * @param {object} options - port / host plus any DEFAULT_BEHAVIOR overrides
+ * @returns {Promise<{url, server, configure, reset, requests, close}>}
+ */
+const startMockGradioServer = (options = {}) => {
+  const { port = 7860, host = '127.0.0.1', ...initialBehavior } = options;
+  let behavior = { ...DEFAULT_BEHAVIOR, ...initialBehavior };
+  let configRequests = 0;
+  let root = null;
+
+  // session_hash -> { messages: [], res: open SSE response }
+  const sessions = new Map();
+  const files = new Map();
+  const cancelled = new Set();
+  const requests = [];
+
+  const getSession = (sessionHash) => {
+    if (!sessions.has(sessionHash)) {
+      sessions.set(sessionHash, { messages: [], res: null, pending: 0 });
+    }
+    return sessions.get(sessionHash);
+  };
+
+  const emit = (sessionHash, message) => {
+    const session = getSession(sessionHash);
+    if (session.res) {
+      session.res.write(`data: ${JSON.stringify(message)}\n\n`);
+    } else {
+      session.messages.push(message);
+    }
+  };
+
+  const closeStream = (sessionHash) => {
+    const session = getSession(sessionHash);
+    if (session.res && session.pending === 0) {
+      session.res.write(`data: ${JSON.stringify({ msg: 'close_stream', event_id: null })}\n\n`);
+      session.res.end();
+      session.res = null;
+    }
+  };
+
+  const storeFiles = (eventId, generated) => Object.fromEntries(Object.entries(generated).map(([name, file]) => {
+    const path = `/tmp/gradio/${eventId}/${name}`;
+    files.set(path, file);
+    return [name, {
+      path: path,
+      url: `${root}${API_PREFIX}/file=${path}`,
+      size: file.body.length,
+      orig_name: name,
+      mime_type: file.contentType,
+      is_stream: false,
+      meta: { _type: 'gradio.FileData' }
+    }];
+  }));
+
+  /**
+   * Play out one queued job over the session's event stream
+   */
+  const runJob = async (sessionHash, eventId, endpoint, data) => {
+    const session = getSession(sessionHash);
+    const snapshot = { ...behavior };
+    const stepDelay = snapshot.latencyMs / Math.max(1, snapshot.progressSteps + snapshot.queueAhead);
+    session.pending++;
+
+    try {
+      for (let rank = snapshot.queueAhead; rank > 0; rank--) {
+        emit(sessionHash, { msg: 'estimation', event_id: eventId, rank, queue_size: snapshot.queueAhead + 1, rank_eta: (rank + 1) * stepDelay / 1000 });
+        await sleep(stepDelay);
+      }
+
+      emit(sessionHash, { msg: 'process_starts', event_id: eventId, eta: snapshot.latencyMs / 1000 });
+
+      for (let step = 1; step <= snapshot.progressSteps; step++) {
+        await sleep(stepDelay);
+        if (cancelled.has(eventId)) {
+          return;
+        }
+        if (snapshot.dropConnection && step > snapshot.progressSteps / 2 && session.res) {
+          session.res.destroy();
+          session.res = null;
+          return;
+        }
+        emit(sessionHash, {
+          msg: 'progress',
+          event_id: eventId,
+          progress_data: [{ progress: step / (snapshot.progressSteps + 1), index: null, length: null, unit: 'steps', desc: 'Processing (mock)' }]
+        });
+      }
+
+      if (snapshot.error) {
+        emit(sessionHash, { msg: 'process_completed', event_id: eventId, success: false, output: { error: snapshot.error } });
+        return;
+      }
+
+      let output;
+      if (snapshot.malformed) {
+        output = endpoint.malformed();
+      } else {
+        const result = endpoint.handler(data);
+        output = result.data(storeFiles(eventId, result.files));
+      }
+
+      emit(sessionHash, {
+        msg: 'process_completed',
+        event_id: eventId,
+        success: true,
+        output: { data: output, is_generating: false, duration: snapshot.latencyMs / 1000, average_duration: snapshot.latencyMs / 1000, render_config: null, changed_state_ids: [] }
+      });
+    } finally {
+      session.pending--;
+      closeStream(sessionHash);
+    }
+  };
+
+  const routes = {
+    'GET /config': (req, res) => {
+      configRequests++;
+      if (configRequests <= behavior.sleepRequests) {
+        sendJson(res, 503, { error: 'Space is sleeping (mock)' });
+        return;
+      }
+      sendJson(res, 200, buildConfig(root));
+    },
+
+    [`GET ${API_PREFIX}/info`]: (req, res) => sendJson(res, 200, buildApiInfo()),
+
+    [`POST ${API_PREFIX}/upload`]: async (req, res) => {
+      const body = (await readBody(req)).toString('latin1');
+      const count = (body.match(/name="files"/g) || []).length;
+      sendJson(res, 200, Array.from({ length: count }, () => `/tmp/gradio/uploads/${crypto.randomUUID()}`));
+    },
+
+    [`POST ${API_PREFIX}/queue/join`]: async (req, res) => {
+      const payload = JSON.parse((await readBody(req)).toString() || '{}');
+      const endpoint = ENDPOINTS[payload.fn_index];
+
+      if (!endpoint) {
+        sendJson(res, 404, { detail: `Unknown fn_index ${payload.fn_index}` });
+        return;
+      }
+      if (behavior.queueFull) {
+        sendJson(res, 503, { detail: 'Queue is full (mock)' });
+        return;
+      }
+
+      const eventId = crypto.randomUUID().replace(/-/g, '');
+      requests.push({ endpoint: `/${endpoint.apiName}`, data: payload.data, eventId, receivedAt: new Date().toISOString() });
+      sendJson(res, 200, { event_id: eventId });
+      runJob(payload.session_hash, eventId, endpoint, payload.data || []);
+    },
+
+    [`GET ${API_PREFIX}/queue/data`]: (req, res) => {
+      const sessionHash = new URL(req.url, root).searchParams.get('session_hash');
+      const session = getSession(sessionHash);
+
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' });
+      session.res = res;
+      session.messages.splice(0).forEach((message) => res.write(`data: ${JSON.stringify(message)}\n\n`));
+      req.on('close', () => {
+        if (session.res === res) {
+          session.res = null;
+        }
+      });
+      closeStream(sessionHash);
+    },
+
+    [`POST ${API_PREFIX}/cancel`]: async (req, res) => {
+      const { event_id } = JSON.parse((await readBody(req)).toString() || '{}');
+      cancelled.add(event_id);
+      sendJson(res, 200, { success: true });
+    },
+
+    [`POST ${API_PREFIX}/reset`]: (req, res) => sendJson(res, 200, { success: true }),
+
+    // Test control: change behavior at runtime, inspect received calls
+    'POST /__mock/config': async (req, res) => {
+      behavior = { ...behavior, ...JSON.parse((await readBody(req)).toString() || '{}') };
+      configRequests = 0;
+      sendJson(res, 200, behavior);
+    },
+    'POST /__mock/reset': (req, res) => {
+      reset();
+      sendJson(res, 200, behavior);
+    },
+    'GET /__mock/requests': (req, res) => sendJson(res, 200, requests)
+  };
+
+  const reset = () => {
+    behavior = { ...DEFAULT_BEHAVIOR, ...initialBehavior };
+    configRequests = 0;
+    requests.length = 0;
+    cancelled.clear();
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    try {
+      if (req.method === 'GET' && pathname.startsWith(`${API_PREFIX}/file=`)) {
+        const file = files.get(decodeURIComponent(pathname.slice(`${API_PREFIX}/file=`.length)));
+        if (!file) {
+          sendJson(res, 404, { detail: 'File not found' });
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': file.contentType, 'Content-Length': file.body.length });
+        res.end(file.body);
+        return;
+      }
+
+      const route = routes[`${req.method} ${pathname}`];
+      if (!route) {
+        sendJson(res, 404, { detail: 'Not Found' });
+        return;
+      }
+      await route(req, res);
+    } catch (error) {
+      console.error('Mock Gradio server error:', error);
+      if (!res.headersSent) {
+        sendJson(res, 500, { detail: error.message });
+      }
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      root = `http://${host}:${server.address().port}`;
+      resolve({
+        url: root,
+        server: server,
+        configure: (overrides) => {
+          behavior = { ...behavior, ...overrides };
+          configRequests = 0;
+        },
+        reset: reset,
+        requests: requests,
+        close: () => new Promise((done) => {
+          sessions.forEach((session) => session.res?.end());
+          server.close(() => done());
+          server.closeAllConnections();
+        })
+      });
+    });
+  });
+};
+
+/**
+ * Parse CLI flags into server options
+ */
+const parseArgs = (argv) => {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--port': options.port = Number(argv[++i]); break;
+      case '--latency': options.latencyMs = Number(argv[++i]); break;
+      case '--queue-ahead': options.queueAhead = Number(argv[++i]); break;
+      case '--sleep': options.sleepRequests = Number(argv[++i]); break;
+      case '--queue-full': options.queueFull = true; break;
+      case '--error': options.error = argv[++i]; break;
+      case '--malformed': options.malformed = true; break;
+      case '--drop-connection': options.dropConnection = true; break;
+      default: throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  return options;
+};
+
+if (require.main === module) {
+  startMockGradioServer(parseArgs(process.argv.slice(2)))
+    .then(({ url }) => {
+      console.log(`🧪 Mock Gradio server listening on ${url}`);
+      console.log(`   Endpoints: ${ENDPOINTS.map((endpoint) => `/${endpoint.apiName}`).join(', ')}`);
+      console.log(`   ML_PROVIDER_OVERRIDES={"chatterbox": {"source": "${url}"}, "pupillometry": {"source": "${url}"}}`);
+    })
+    .catch((error) => {
+      console.error('Failed to start mock Gradio server:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  DEFAULT_BEHAVIOR,
+  startMockGradioServer
+};
@@ -0,0 +1,209 @@
+/**
+ * Saved pupil analyses
+ * Every completed analysis is kept in analyses/{analysisId} with its
+ * parameters, summary, plot and stats. The per-frame series can outgrow a
+ * Firestore document, so it is stored next to it in Cloud Storage, as are
+ * copies of the plots the Space would otherwise expire. Photo sequences keep
+ * one plot per image.
+ */
+
+const {getFirestore, FieldValue} = require("firebase-admin/firestore");
+const {getStorage} = require("firebase-admin/storage");
+const {ValidationError, NotFoundError} = require("./errors");
+const logger = require("./logger");
+const {OUTPUT_URL_TTL_SECONDS, rehostOutputFile, signOutputUrl} = require("./outputFiles");
+
+const ANALYSES_COLLECTION = "analyses";
+
+const HISTORY_PAGE_SIZE = {
+  default: 20,
+  max: 50
+};
+
+const getAnalysisRef = (analysisId) => getFirestore().collection(ANALYSES_COLLECTION).doc(analysisId);
+
+const getSeriesFile = (analysis) => getStorage().bucket().file(analysis.seriesPath);
+
+/**
+ * Copy one of the Space's plots into the analysis folder as `name`
+ * An analysis without its plot is still worth keeping, so failures only log.
+ */
+const rehostPlot = async (uid, analysisId, analysisUrl, name = "plot") => {
+  if (!analysisUrl) {
+    return null;
+  }
+
+  try {
+    const { storagePath } = await rehostOutputFile(analysisUrl, `${ANALYSES_COLLECTION}/${uid}/${analysisId}/${name}`, {
+      source: "PupilSense",
+      fallbackType: "image/png",
+      uid: uid
+    });
+    return storagePath;
+  } catch (error) {
+    logger.warn("Failed to copy analysis plot to storage", { analysisId, error: error.message });
+    return null;
+  }
+};
+
+/**
+ * Save a completed analysis for its caller
+ * `params` are the analysis options, `result` the payload runPupilAnalysis or
+ * runPupilSequence returns.
+ * Returns the new analysis ID and the storage paths of its plot and per-image
+ * plots, null where a plot could not be copied.
+ */
+const saveAnalysis = async (uid, params, result) => {
+  const ref = getFirestore().collection(ANALYSES_COLLECTION).doc();
+  const { frames, ...series } = result.pupilData || {};
+  const plotPath = await rehostPlot(uid, ref.id, result.analysisUrl);
+  let seriesPath = null;
+
+  const images = [];
+  for (const { analysisUrl, ...image } of result.images || []) {
+    images.push({ ...image, plotPath: await rehostPlot(uid, ref.id, analysisUrl, `image-${image.index}`) });
+  }
+
+  if (frames) {
+    seriesPath = `${ANALYSES_COLLECTION}/${uid}/${ref.id}/series.json`;
+    await getStorage().bucket().file(seriesPath).save(JSON.stringify(frames), {
+      contentType: "application/json",
+      metadata: { metadata: { uid } }
+    });
+  }
+
+  await ref.set({
+    uid: uid,
+    params: {
+      pupil_selection: params.pupil_selection || "both",
+      tv_model: params.tv_model || "ResNet18",
+      blink_detection: params.blink_detection !== undefined ? params.blink_detection : true
+    },
+    summary: result.summary,
+    plotPath: plotPath,
+    series: result.pupilData ? series : null,
+    seriesPath: seriesPath,
+    images: result.images ? images : null,
+    plr: result.plr || null,
+    eventResponses: result.eventResponses || null,
+    metadata: result.metadata,
+    createdAt: FieldValue.serverTimestamp()
+  });
+
+  return { analysisId: ref.id, plotPath, imagePlotPaths: images.map((image) => image.plotPath) };
+};
+
+/**
+ * Serialize an analysis document for clients, without the per-frame series
+ * The plot is served through a URL signed for `urlTtlSeconds`; analyses saved
+ * before plots were copied still carry the Space's own URL.
+ */
+const serializeAnalysis = async (analysisId, analysis, urlTtlSeconds) => ({
+  analysisId: analysisId,
+  params: analysis.params,
+  summary: analysis.summary,
+  plotUrl: analysis.plotPath ? await signOutputUrl(analysis.plotPath, urlTtlSeconds) : analysis.plotUrl || null,
+  stats: analysis.series?.stats || null,
+  metadata: analysis.metadata,
+  createdAt: analysis.createdAt?.toDate?.().toISOString() || null
+});
+
+/**
+ * Load an analysis and make sure it belongs to `uid`
+ */
+const getOwnedAnalysis = async (uid, analysisId) => {
+  if (!analysisId || typeof analysisId !== 'string') {
+    throw new ValidationError("Missing required field: analysisId");
+  }
+
+  const snapshot = await getAnalysisRef(analysisId).get();
+  const analysis = snapshot.data();
+
+  if (!snapshot.exists || analysis.uid !== uid) {
+    throw new NotFoundError(`Analysis not found: ${analysisId}`);
+  }
+
+  return { snapshot, analysis };
+};
+
+/**
+ * One page of the caller's analyses, newest first
+ * `pageToken` is the `nextPageToken` of the previous page.
+ */
+const listAnalyses = async (uid, {
+  pageSize = HISTORY_PAGE_SIZE.default,
+  pageToken,
+  urlTtlSeconds = OUTPUT_URL_TTL_SECONDS.default
+} = {}) => {
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > HISTORY_PAGE_SIZE.max) {
+    throw new ValidationError(`pageSize must be a whole number between 1 and ${HISTORY_PAGE_SIZE.max}`);
+  }
+
+  let query = getFirestore().collection(ANALYSES_COLLECTION)
+    .where("uid", "==", uid)
+    .orderBy("createdAt", "desc");
+
+  if (pageToken) {
+    const { snapshot } = await getOwnedAnalysis(uid, pageToken);
+    query = query.startAfter(snapshot);
+  }
+
+  // One extra document tells us whether there is another page
+  const page = await query.limit(pageSize + 1).get();
+  const docs = page.docs.slice(0, pageSize);
+
+  return {
+    analyses: await Promise.all(docs.map((doc) => serializeAnalysis(doc.id, doc.data(), urlTtlSeconds))),
+    nextPageToken: page.docs.length > pageSize ? docs[docs.length - 1].id : null
+  };
+};
+
+/**
+ * A single analysis including its pupil series, PLR metrics, event responses and, for photo sequences, per-image results
+ */
+const getAnalysis = async (uid, analysisId, { urlTtlSeconds = OUTPUT_URL_TTL_SECONDS.default } = {}) => {
+  const { analysis } = await getOwnedAnalysis(uid, analysisId);
+  let pupilData = null;
+
+  if (analysis.seriesPath) {
+    const [buffer] = await getSeriesFile(analysis).download();
+    pupilData = { ...analysis.series, frames: JSON.parse(buffer.toString()) };
+  }
+
+  const images = analysis.images && await Promise.all(analysis.images.map(async ({ plotPath, ...image }) => ({
+    ...image,
+    plotUrl: plotPath ? await signOutputUrl(plotPath, urlTtlSeconds) : null
+  })));
+
+  return {
+    ...(await serializeAnalysis(analysisId, analysis, urlTtlSeconds)),
+    pupilData,
+    images: images || null,
+    plr: analysis.plr || null,
+    eventResponses: analysis.eventResponses || null
+  };
+};
+
+/**
+ * Delete an analysis and its stored series and plots
+ */
+const deleteAnalysis = async (uid, analysisId) => {
+  const { snapshot, analysis } = await getOwnedAnalysis(uid, analysisId);
+  const imagePlotPaths = (analysis.images || []).map((image) => image.plotPath);
+
+  for (const storagePath of [analysis.seriesPath, analysis.plotPath, ...imagePlotPaths]) {
+    if (storagePath) {
+      await getStorage().bucket().file(storagePath).delete({ ignoreNotFound: true });
+    }
+  }
+  await snapshot.ref.delete();
+};
+
+module.exports = {
+  ANALYSES_COLLECTION,
+  HISTORY_PAGE_SIZE,
+  saveAnalysis,
+  listAnalyses,
+  getAnalysis,
+  deleteAnalysis
+};
@@ -0,0 +1,191 @@
+/**
+ * Audio helpers for Chatterbox TTS
+ * Header parsing for reference clips (WAV and FLAC) and WAV stitching
+ */
+
+const SUPPORTED_AUDIO_FORMATS = {
+  wav: "audio/wav",
+  flac: "audio/flac"
+};
+
+/**
+ * Parse a RIFF/WAVE header and work out the clip duration
+ */
+const inspectWav = (buffer) => {
+  let offset = 12;
+  let format = null;
+
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const chunkStart = offset + 8;
+
+    if (chunkId === 'fmt ') {
+      format = {
+        audioFormat: buffer.readUInt16LE(chunkStart),
+        channels: buffer.readUInt16LE(chunkStart + 2),
+        sampleRate: buffer.readUInt32LE(chunkStart + 4),
+        byteRate: buffer.readUInt32LE(chunkStart + 8),
+        blockAlign: buffer.readUInt16LE(chunkStart + 12),
+        bitsPerSample: buffer.readUInt16LE(chunkStart + 14)
+      };
+    } else if (chunkId === 'data') {
+      if (!format) {
+        throw new Error("Invalid WAV file: data chunk before fmt chunk");
+      }
+
+      // Streamed WAVs sometimes leave the data size at 0 or 0xFFFFFFFF
+      const dataSize = Math.min(chunkSize || buffer.length, buffer.length - chunkStart);
+
+      return {
+        format: "wav",
+        mimeType: SUPPORTED_AUDIO_FORMATS.wav,
+        channels: format.channels,
+        sampleRate: format.sampleRate,
+        bitsPerSample: format.bitsPerSample,
+        audioFormat: format.audioFormat,
+        dataOffset: chunkStart,
+        dataSize: dataSize,
+        durationSeconds: format.byteRate ? dataSize / format.byteRate : 0
+      };
+    }
+
+    // Chunks are word aligned
+    offset = chunkStart + chunkSize + (chunkSize % 2);
+  }
+
+  throw new Error("Invalid WAV file: missing fmt or data chunk");
+};
+
+/**
+ * Read the FLAC STREAMINFO block, which always comes first after the marker
+ */
+const inspectFlac = (buffer) => {
+  if (buffer.length < 8 + 34) {
+    throw new Error("Invalid FLAC file: truncated STREAMINFO block");
+  }
+
+  const info = buffer.subarray(8, 8 + 34);
+
+  // 20 bits sample rate, 3 bits channels - 1, 5 bits bps - 1, 36 bits total samples
+  const sampleRate = (info[10] << 12) | (info[11] << 4) | (info[12] >> 4);
+  const channels = ((info[12] >> 1) & 0x07) + 1;
+  const bitsPerSample = (((info[12] & 0x01) << 4) | (info[13] >> 4)) + 1;
+  const totalSamples = (info[13] & 0x0f) * 2 ** 32 + info.readUInt32BE(14);
+
+  return {
+    format: "flac",
+    mimeType: SUPPORTED_AUDIO_FORMATS.flac,
+    channels: channels,
+    sampleRate: sampleRate,
+    bitsPerSample: bitsPerSample,
+    durationSeconds: sampleRate ? totalSamples / sampleRate : 0
+  };
+};
+
+/**
+ * Identify an audio clip from its magic bytes and read its duration
+ * Throws for anything other than WAV or FLAC
+ */
+const inspectAudioClip = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    throw new Error("Audio clip is empty or too short to be a valid file");
+  }
+
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') {
+    return inspectWav(buffer);
+  }
+
+  if (buffer.toString('ascii', 0, 4) === 'fLaC') {
+    return inspectFlac(buffer);
+  }
+
+  throw new Error(`Unsupported audio format: expected ${Object.keys(SUPPORTED_AUDIO_FORMATS).join(' or ')}`);
+};
+
+/**
+ * Build a canonical 44-byte PCM WAV header
+ */
+const buildWavHeader = ({ audioFormat, channels, sampleRate, bitsPerSample }, dataSize) => {
+  const header = Buffer.alloc(44);
+  const blockAlign = channels * bitsPerSample / 8;
+
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(audioFormat, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataSize, 40);
+
+  return header;
+};
+
+/**
+ * Join WAV segments into one file with silence between them
+ * All segments must share the same sample format. `pausesMs[i]` is the gap
+ * inserted before segment i (the first entry is ignored).
+ * Returns the stitched WAV plus the start/end time of every segment.
+ */
+const stitchWavSegments = (buffers, pausesMs = []) => {
+  if (!buffers.length) {
+    throw new Error("No audio segments to stitch");
+  }
+
+  const segments = buffers.map((buffer) => ({ buffer, info: inspectAudioClip(buffer) }));
+  const format = segments[0].info;
+
+  for (const { info } of segments) {
+    if (info.format !== 'wav' || info.sampleRate !== format.sampleRate ||
+        info.channels !== format.channels || info.bitsPerSample !== format.bitsPerSample ||
+        info.audioFormat !== format.audioFormat) {
+      throw new Error("Cannot stitch audio segments with different formats");
+    }
+  }
+
+  const blockAlign = format.channels * format.bitsPerSample / 8;
+  const bytesPerSecond = format.sampleRate * blockAlign;
+  // Unsigned 8-bit PCM is centred on 128; every other format is silent at 0
+  const silenceByte = format.bitsPerSample === 8 ? 0x80 : 0x00;
+
+  const parts = [];
+  const timings = [];
+  let offsetBytes = 0;
+
+  segments.forEach(({ buffer, info }, index) => {
+    if (index > 0) {
+      const pauseBytes = Math.round((pausesMs[index] || 0) / 1000 * format.sampleRate) * blockAlign;
+      parts.push(Buffer.alloc(pauseBytes, silenceByte));
+      offsetBytes += pauseBytes;
+    }
+
+    // Trim any partial frame so later segments stay frame aligned
+    const dataSize = info.dataSize - (info.dataSize % blockAlign);
+    parts.push(buffer.subarray(info.dataOffset, info.dataOffset + dataSize));
+
+    timings.push({
+      startSeconds: offsetBytes / bytesPerSecond,
+      endSeconds: (offsetBytes + dataSize) / bytesPerSecond,
+      durationSeconds: dataSize / bytesPerSecond
+    });
+    offsetBytes += dataSize;
+  });
+
+  return {
+    buffer: Buffer.concat([buildWavHeader(format, offsetBytes), ...parts]),
+    durationSeconds: offsetBytes / bytesPerSecond,
+    timings: timings
+  };
+};
+
+module.exports = {
+  SUPPORTED_AUDIO_FORMATS,
+  inspectAudioClip,
+  stitchWavSegments
+};
@@ -0,0 +1,179 @@
+/**
+ * Authentication for the ML functions
+ * Callables require a signed-in Firebase user and an App Check token. HTTP
+ * endpoints take a Firebase ID token (Authorization: Bearer, plus an App Check
+ * token in X-Firebase-AppCheck) or a server-to-server API key (X-API-Key).
+ * Every authenticated request runs with the caller's uid in the log context.
+ */
+
+const crypto = require("crypto");
+const {getAuth} = require("firebase-admin/auth");
+const {getAppCheck} = require("firebase-admin/app-check");
+const logger = require("./logger");
+const {UnauthenticatedError, toHttpsError, sendHttpError} = require("./errors");
+
+/**
+ * Debug mode skips App Check (the emulator and local scripts have no attestation)
+ * Sign-in is still required. On in the emulator, or with ML_AUTH_DEBUG=true.
+ */
+const isAuthDebugMode = () =>
+  process.env.FUNCTIONS_EMULATOR === "true" || process.env.ML_AUTH_DEBUG === "true";
+
+/**
+ * Whether App Check tokens are required
+ * ML_ENFORCE_APP_CHECK=false turns enforcement off outside debug mode, for
+ * deployments whose native release builds have no attestation provider yet.
+ */
+const isAppCheckEnforced = () =>
+  !isAuthDebugMode() && process.env.ML_ENFORCE_APP_CHECK !== "false";
+
+// Options for every ML onCall; enforceAppCheck is fixed at deploy time
+const CALLABLE_OPTIONS = {
+  enforceAppCheck: isAppCheckEnforced()
+};
+
+const CORS_ALLOWED_HEADERS = "Content-Type, Authorization, X-API-Key, X-Firebase-AppCheck";
+
+/**
+ * API keys from ML_API_KEYS: {"<client name>": "<sha256 hex of the key>"}
+ * Only hashes are configured, so the keys themselves never sit in config.
+ */
+const loadApiKeys = () => {
+  if (!process.env.ML_API_KEYS) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(process.env.ML_API_KEYS);
+  } catch (error) {
+    throw new Error(`Invalid ML_API_KEYS: ${error.message}`);
+  }
+};
+
+const hashApiKey = (key) => crypto.createHash("sha256").update(key).digest();
+
+const findApiKeyClient = (key) => {
+  const hash = hashApiKey(key);
+
+  for (const [client, expected] of Object.entries(loadApiKeys())) {
+    const expectedHash = Buffer.from(String(expected), "hex");
+    if (expectedHash.length === hash.length && crypto.timingSafeEqual(expectedHash, hash)) {
+      return client;
+    }
+  }
+  return null;
+};
+
+const verifyAppCheckHeader = async (req) => {
+  if (!isAppCheckEnforced()) {
+    return null;
+  }
+
+  const token = req.get("X-Firebase-AppCheck");
+  if (!token) {
+    throw new UnauthenticatedError("Missing App Check token (X-Firebase-AppCheck)");
+  }
+
+  try {
+    const { appId } = await getAppCheck().verifyToken(token);
+    return appId;
+  } catch (error) {
+    throw new UnauthenticatedError("Invalid App Check token", { cause: error });
+  }
+};
+
+/**
+ * Identify the caller of an HTTP request
+ * Returns { uid, method } - API key callers get the uid "api-key:<client name>".
+ */
+const authenticateHttpRequest = async (req) => {
+  const bearer = (req.get("Authorization") || "").match(/^Bearer\s+(.+)$/i);
+
+  if (bearer) {
+    let decoded;
+    try {
+      decoded = await getAuth().verifyIdToken(bearer[1]);
+    } catch (error) {
+      throw new UnauthenticatedError("Invalid or expired ID token", { cause: error });
+    }
+
+    const appId = await verifyAppCheckHeader(req);
+    return { uid: decoded.uid, method: "id-token", appId: appId };
+  }
+
+  const apiKey = req.get("X-API-Key");
+  if (apiKey) {
+    const client = findApiKeyClient(apiKey);
+    if (!client) {
+      throw new UnauthenticatedError("Invalid API key");
+    }
+    return { uid: `api-key:${client}`, method: "api-key" };
+  }
+
+  throw new UnauthenticatedError("Missing credentials: send a Firebase ID token as a Bearer token or an API key in X-API-Key");
+};
+
+const withCaller = (uid, fn) => logger.withLogContext({ uid }, fn);
+
+/**
+ * Whether a callable's caller has the `admin` custom claim
+ * Granted outside the app: getAuth().setCustomUserClaims(uid, { admin: true })
+ */
+const isAdminCall = (request) => request.auth?.token?.admin === true;
+
+/**
+ * Wrap an onCall handler so it only runs for signed-in users
+ * App Check itself is enforced by onCall through CALLABLE_OPTIONS.
+ */
+const authenticatedCall = (handler) => async (request) => {
+  const uid = request.auth?.uid;
+
+  if (!uid) {
+    logger.warn("Rejected unauthenticated call");
+    throw toHttpsError(new UnauthenticatedError("Sign in to use this function"));
+  }
+
+  return withCaller(uid, () => handler(request));
+};
+
+/**
+ * Wrap an onRequest handler with CORS, POST-only and authentication
+ * The handler gets the caller as a third argument.
+ */
+const authenticatedRequest = (handler) => async (req, res) => {
+  // Enable CORS
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.set('Access-Control-Allow-Headers', CORS_ALLOWED_HEADERS);
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  let caller;
+  try {
+    caller = await authenticateHttpRequest(req);
+  } catch (error) {
+    logger.warn("Rejected unauthenticated HTTP request", { error: error.message });
+    sendHttpError(res, error);
+    return;
+  }
+
+  await withCaller(caller.uid, () => handler(req, res, caller));
+};
+
+module.exports = {
+  CALLABLE_OPTIONS,
+  isAuthDebugMode,
+  isAppCheckEnforced,
+  authenticateHttpRequest,
+  authenticatedCall,
+  authenticatedRequest,
+  isAdminCall
+};
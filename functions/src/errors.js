@@ -0,0 +1,185 @@
+/**
+ * Typed errors for the ML functions
+ * Each type maps to an HttpsError code for callables and an HTTP status for
+ * the *Http endpoints. Clients switch on `details.type` / `type`.
+ */
+
+const {HttpsError} = require("firebase-functions/v2/https");
+
+class MLFunctionError extends Error {
+  constructor(message, { cause, details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.cause = cause;
+    this.details = details;
+  }
+}
+
+// Bad or missing input from the caller
+class ValidationError extends MLFunctionError {}
+ValidationError.prototype.type = "validation";
+ValidationError.prototype.code = "invalid-argument";
+ValidationError.prototype.httpStatus = 400;
+ValidationError.prototype.retryable = false;
+
+// No signed-in user, or an ID token / App Check token / API key that does not verify
+class UnauthenticatedError extends MLFunctionError {}
+UnauthenticatedError.prototype.type = "unauthenticated";
+UnauthenticatedError.prototype.code = "unauthenticated";
+UnauthenticatedError.prototype.httpStatus = 401;
+UnauthenticatedError.prototype.retryable = false;
+
+// A job, voice or other resource that does not exist (or is not the caller's)
+class NotFoundError extends MLFunctionError {}
+NotFoundError.prototype.type = "not-found";
+NotFoundError.prototype.code = "not-found";
+NotFoundError.prototype.httpStatus = 404;
+NotFoundError.prototype.retryable = false;
+
+// The Space is asleep, building, paused or unreachable
+class SpaceUnavailableError extends MLFunctionError {}
+SpaceUnavailableError.prototype.type = "space-unavailable";
+SpaceUnavailableError.prototype.code = "unavailable";
+SpaceUnavailableError.prototype.httpStatus = 503;
+SpaceUnavailableError.prototype.retryable = true;
+
+// The Space's queue rejected the job
+class SpaceQueueFullError extends MLFunctionError {}
+SpaceQueueFullError.prototype.type = "queue-full";
+SpaceQueueFullError.prototype.code = "resource-exhausted";
+SpaceQueueFullError.prototype.httpStatus = 429;
+SpaceQueueFullError.prototype.retryable = true;
+
+// The caller used up a per-minute or per-day quota
+// details: { quota, limit, retryAfterSeconds }
+class QuotaExceededError extends MLFunctionError {}
+QuotaExceededError.prototype.type = "quota-exceeded";
+QuotaExceededError.prototype.code = "resource-exhausted";
+QuotaExceededError.prototype.httpStatus = 429;
+QuotaExceededError.prototype.retryable = true;
+
+// The Space did not answer in time
+class UpstreamTimeoutError extends MLFunctionError {}
+UpstreamTimeoutError.prototype.type = "timeout";
+UpstreamTimeoutError.prototype.code = "deadline-exceeded";
+UpstreamTimeoutError.prototype.httpStatus = 504;
+UpstreamTimeoutError.prototype.retryable = true;
+
+// The caller aborted the call before the Space answered
+class CallCancelledError extends MLFunctionError {}
+CallCancelledError.prototype.type = "cancelled";
+CallCancelledError.prototype.code = "cancelled";
+CallCancelledError.prototype.httpStatus = 499;
+CallCancelledError.prototype.retryable = false;
+
+// The Space answered with output we do not understand - its API probably changed
+class UpstreamFormatError extends MLFunctionError {}
+UpstreamFormatError.prototype.type = "upstream-format";
+UpstreamFormatError.prototype.code = "internal";
+UpstreamFormatError.prototype.httpStatus = 502;
+UpstreamFormatError.prototype.retryable = false;
+
+// Anything else: a bug on our side. The message is never sent to clients.
+class InternalError extends MLFunctionError {}
+InternalError.prototype.type = "internal";
+InternalError.prototype.code = "internal";
+InternalError.prototype.httpStatus = 500;
+InternalError.prototype.retryable = false;
+
+const INTERNAL_ERROR_MESSAGE = "An internal error occurred";
+
+/**
+ * Classify an error thrown by @gradio/client while talking to a Space
+ * Gradio reports everything as plain Errors, so this goes by the message.
+ */
+const classifyUpstreamError = (error, source) => {
+  if (error instanceof MLFunctionError) {
+    return error;
+  }
+
+  const message = error?.message || String(error);
+
+  if (/queue (is )?full|currently busy|too many requests|\b429\b/i.test(message)) {
+    return new SpaceQueueFullError(`${source} queue is full, try again shortly`, { cause: error });
+  }
+
+  if (/timed? ?out|timeout|ETIMEDOUT|deadline/i.test(message)) {
+    return new UpstreamTimeoutError(`${source} did not respond in time`, { cause: error });
+  }
+
+  if (/sleep|paused|building|starting|space metadata|app config|space status|\b50[234]\b|ECONNREFUSED|ECONNRESET|ENOTFOUND|fetch failed|connection/i.test(message)) {
+    return new SpaceUnavailableError(`${source} is unavailable or waking up, try again in a minute`, { cause: error });
+  }
+
+  return new InternalError(message, { cause: error });
+};
+
+/**
+ * Make sure an error is one of ours, wrapping anything unexpected as internal
+ */
+const toMLFunctionError = (error) =>
+  error instanceof MLFunctionError ? error : new InternalError(error?.message || String(error), { cause: error });
+
+/**
+ * Convert an error into the HttpsError a callable should throw
+ * Internal errors get a generic message; stack traces never leave the server.
+ */
+const toHttpsError = (error) => {
+  if (error instanceof HttpsError) {
+    return error;
+  }
+
+  const typed = toMLFunctionError(error);
+  const message = typed instanceof InternalError ? INTERNAL_ERROR_MESSAGE : typed.message;
+
+  return new HttpsError(typed.code, message, {
+    type: typed.type,
+    retryable: typed.retryable,
+    ...typed.details
+  });
+};
+
+/**
+ * Serialize an error for JSON bodies (HTTP endpoints and job documents)
+ */
+const toErrorBody = (error) => {
+  const typed = toMLFunctionError(error);
+
+  return {
+    error: typed instanceof InternalError ? INTERNAL_ERROR_MESSAGE : typed.message,
+    type: typed.type,
+    retryable: typed.retryable,
+    ...typed.details
+  };
+};
+
+/**
+ * Send an error response from an onRequest handler
+ * Errors that know when to retry also get a Retry-After header.
+ */
+const sendHttpError = (res, error) => {
+  const typed = toMLFunctionError(error);
+  if (typed.details?.retryAfterSeconds) {
+    res.set('Retry-After', String(typed.details.retryAfterSeconds));
+  }
+  res.status(typed.httpStatus).json({ success: false, ...toErrorBody(typed) });
+};
+
+module.exports = {
+  MLFunctionError,
+  ValidationError,
+  UnauthenticatedError,
+  NotFoundError,
+  SpaceUnavailableError,
+  SpaceQueueFullError,
+  QuotaExceededError,
+  UpstreamTimeoutError,
+  CallCancelledError,
+  UpstreamFormatError,
+  InternalError,
+  classifyUpstreamError,
+  toMLFunctionError,
+  toHttpsError,
+  toErrorBody,
+  sendHttpError
+};
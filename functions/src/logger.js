@@ -0,0 +1,35 @@
+/**
+ * firebase-functions/logger with per-request context
+ * Fields set with withLogContext (the caller's uid, a job ID) are added to
+ * every log line written while the request is handled, including from the
+ * shared modules it calls into.
+ */
+
+const {AsyncLocalStorage} = require("async_hooks");
+const baseLogger = require("firebase-functions/logger");
+
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with `fields` added to the current log context
+ */
+const withLogContext = (fields, fn) => logContext.run({ ...logContext.getStore(), ...fields }, fn);
+
+const getLogContext = () => logContext.getStore() || {};
+
+const withContext = (level) => (message, data) => {
+  const context = logContext.getStore();
+  if (!context) {
+    return data === undefined ? baseLogger[level](message) : baseLogger[level](message, data);
+  }
+  return baseLogger[level](message, { ...context, ...data });
+};
+
+module.exports = {
+  debug: withContext("debug"),
+  info: withContext("info"),
+  warn: withContext("warn"),
+  error: withContext("error"),
+  withLogContext,
+  getLogContext
+};
@@ -0,0 +1,219 @@
+/**
+ * Input policy for media that clients ask us to fetch
+ * URLs are only fetched from allowlisted hosts that resolve to public
+ * addresses, redirects are followed by hand so every hop is checked, and the
+ * size and content type limits are enforced while the body streams in.
+ */
+
+const dns = require("dns/promises");
+const net = require("net");
+const {ValidationError} = require("./errors");
+
+const MEDIA_POLICY_DEFAULTS = {
+  // Firebase / Cloud Storage download URLs; add more with MEDIA_URL_ALLOWED_HOSTS
+  allowedHosts: ["firebasestorage.googleapis.com", "storage.googleapis.com"],
+  maxBytes: 100 * 1024 * 1024,
+  maxRedirects: 3,
+  // Any video, and the still image formats the Space decodes
+  contentTypes: ["video/", "image/jpeg", "image/png", "image/webp"]
+};
+
+// Leading bytes of each accepted image format; WebP is a RIFF container
+const IMAGE_SIGNATURES = [
+  { type: "image/jpeg", matches: (buffer) => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+  { type: "image/png", matches: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: "image/webp", matches: (buffer) => buffer.toString("latin1", 0, 4) === "RIFF" && buffer.toString("latin1", 8, 12) === "WEBP" }
+];
+
+/**
+ * The active policy, read from the environment on every call
+ * MEDIA_URL_ALLOWED_HOSTS is a comma separated list; "*.example.com" matches
+ * subdomains of example.com. MEDIA_MAX_BYTES overrides the size limit.
+ */
+const getMediaPolicy = (overrides = {}) => {
+  const extraHosts = (process.env.MEDIA_URL_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+
+  return {
+    ...MEDIA_POLICY_DEFAULTS,
+    allowedHosts: [...MEDIA_POLICY_DEFAULTS.allowedHosts, ...extraHosts],
+    maxBytes: Number(process.env.MEDIA_MAX_BYTES) || MEDIA_POLICY_DEFAULTS.maxBytes,
+    ...overrides
+  };
+};
+
+// Loopback, private, link-local (incl. cloud metadata), CGNAT, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.0.2.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15],
+  ["198.51.100.0", 24], ["203.0.113.0", 24], ["224.0.0.0", 4], ["240.0.0.0", 4]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 128], ["::1", 128], ["64:ff9b::", 96], ["100::", 64], ["2001:db8::", 32],
+  ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv6");
+}
+
+const isPrivateAddress = (address) => {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return isPrivateAddress(mapped[1]);
+  }
+
+  const family = net.isIP(address);
+  if (!family) {
+    return true;
+  }
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? "ipv4" : "ipv6");
+};
+
+const isAllowedHost = (hostname, allowedHosts) => allowedHosts.some((allowed) =>
+  allowed.startsWith("*.") ? hostname.endsWith(allowed.slice(1)) : hostname === allowed
+);
+
+/**
+ * Check one URL against the policy before we connect to it
+ */
+const assertAllowedUrl = async (rawUrl, policy) => {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch (error) {
+    throw new ValidationError("Invalid media URL");
+  }
+
+  if (url.protocol !== "https:") {
+    throw new ValidationError("Media URLs must use https");
+  }
+
+  if (url.username || url.password) {
+    throw new ValidationError("Media URLs must not contain credentials");
+  }
+
+  // URL keeps the brackets around IPv6 literals
+  const hostname = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+
+  if (!isAllowedHost(hostname, policy.allowedHosts)) {
+    throw new ValidationError(`Media host is not allowed: ${hostname}`);
+  }
+
+  const addresses = net.isIP(hostname) ?
+    [{ address: hostname }] :
+    await dns.lookup(hostname, { all: true }).catch(() => {
+      throw new ValidationError(`Media host could not be resolved: ${hostname}`);
+    });
+
+  if (!addresses.length || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new ValidationError(`Media host resolves to a private address: ${hostname}`);
+  }
+
+  return url;
+};
+
+const assertContentType = (contentType, policy) => {
+  const type = (contentType || "").split(";")[0].trim().toLowerCase();
+  if (!policy.contentTypes.some((allowed) => type.startsWith(allowed))) {
+    throw new ValidationError(`Unsupported media content type: ${type || "unknown"}`);
+  }
+  return type;
+};
+
+/**
+ * Check that image bytes are what their declared content type says
+ * The type comes from the client, so a renamed file would otherwise reach the Space.
+ */
+const assertImageContent = (buffer, contentType) => {
+  const detected = IMAGE_SIGNATURES.find((signature) => signature.matches(buffer))?.type;
+
+  if (!detected) {
+    throw new ValidationError("Image data is not a JPEG, PNG or WebP file");
+  }
+  if (detected !== contentType) {
+    throw new ValidationError(`Image data is ${detected} but was sent as ${contentType}`);
+  }
+};
+
+const assertSize = (size, policy) => {
+  if (size > policy.maxBytes) {
+    throw new ValidationError(`Media must be ${policy.maxBytes / (1024 * 1024)}MB or less`);
+  }
+};
+
+/**
+ * Read a response body, giving up as soon as it passes maxBytes
+ */
+const readLimitedBody = async (response, policy) => {
+  const declaredLength = Number(response.headers.get("content-length"));
+  if (declaredLength) {
+    assertSize(declaredLength, policy);
+  }
+
+  const chunks = [];
+  let received = 0;
+  const reader = response.body.getReader();
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+
+    received += value.byteLength;
+    if (received > policy.maxBytes) {
+      await reader.cancel().catch(() => {});
+      assertSize(received, policy);
+    }
+    chunks.push(value);
+  }
+
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Download media from a client-supplied URL under the policy
+ * Returns a Blob typed with the response's content type. fetch() resolves the
+ * host again, so the address check relies on the allowlist to rule out hosts
+ * whose DNS we do not trust.
+ */
+const fetchMediaFromUrl = async (rawUrl, policy = getMediaPolicy()) => {
+  let url = rawUrl;
+
+  for (let redirects = 0; ; redirects++) {
+    const checked = await assertAllowedUrl(url, policy);
+    const response = await fetch(checked.href, { redirect: "manual" });
+
+    if (response.status >= 300 && response.status < 400 && response.headers.get("location")) {
+      await response.body?.cancel().catch(() => {});
+      if (redirects >= policy.maxRedirects) {
+        throw new ValidationError(`Media URL redirected more than ${policy.maxRedirects} times`);
+      }
+      url = new URL(response.headers.get("location"), checked).href;
+      continue;
+    }
+
+    if (!response.ok) {
+      throw new ValidationError(`Failed to fetch media from URL: ${response.status} ${response.statusText}`.trim());
+    }
+
+    const type = assertContentType(response.headers.get("content-type"), policy);
+    const buffer = await readLimitedBody(response, policy);
+    return new Blob([buffer], { type: type });
+  }
+};
+
+module.exports = {
+  MEDIA_POLICY_DEFAULTS,
+  getMediaPolicy,
+  isPrivateAddress,
+  assertContentType,
+  assertImageContent,
+  assertSize,
+  fetchMediaFromUrl
+};
@@ -0,0 +1,117 @@
+/**
+ * Files returned by the Spaces (Chatterbox audio, the PupilSense plot)
+ * Gradio only keeps its outputs for a while, so they are copied into our own
+ * bucket under a stable path and handed to clients as signed URLs.
+ */
+
+const {getStorage} = require("firebase-admin/storage");
+const {ValidationError, SpaceUnavailableError, UpstreamFormatError} = require("./errors");
+
+// Lifetime of the signed URLs given to clients; V4 signed URLs last at most 7 days
+const OUTPUT_URL_TTL_SECONDS = {
+  default: Number(process.env.OUTPUT_URL_TTL_SECONDS) || 60 * 60,
+  max: 7 * 24 * 60 * 60
+};
+
+const EXTENSIONS = {
+  "audio/wav": "wav",
+  "audio/x-wav": "wav",
+  "audio/wave": "wav",
+  "audio/mpeg": "mp3",
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/webp": "webp",
+  "image/gif": "gif"
+};
+
+/**
+ * Check a caller's `url_ttl_seconds` and apply the default
+ */
+const getUrlTtlSeconds = (value) => {
+  if (value === undefined || value === null) {
+    return OUTPUT_URL_TTL_SECONDS.default;
+  }
+
+  if (!Number.isInteger(value) || value < 1 || value > OUTPUT_URL_TTL_SECONDS.max) {
+    throw new ValidationError(`url_ttl_seconds must be a whole number between 1 and ${OUTPUT_URL_TTL_SECONDS.max}`);
+  }
+  return value;
+};
+
+/**
+ * The download URL of a Gradio FileData object, or of an output that is already a URL
+ * Returns null for outputs that only carry a path on the Space's own disk.
+ */
+const getOutputUrl = (output) => {
+  const url = typeof output === 'string' ? output : output?.url;
+  return /^https?:\/\//i.test(url || '') ? url : null;
+};
+
+/**
+ * Download a file output from a Space
+ * `source` names the Space in errors; `fallbackType` is used when the response has no content type.
+ */
+const downloadOutputFile = async (output, { source, fallbackType = "application/octet-stream" }) => {
+  const url = getOutputUrl(output);
+  if (!url) {
+    throw new UpstreamFormatError(`${source} returned a file without a download URL`);
+  }
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new SpaceUnavailableError(`Failed to download ${source} output: ${response.status} ${response.statusText}`.trim());
+  }
+
+  const contentType = (response.headers.get('content-type') || output?.mime_type || fallbackType).split(';')[0].trim();
+
+  return {
+    buffer: Buffer.from(await response.arrayBuffer()),
+    contentType: contentType
+  };
+};
+
+const getExtension = (contentType) => EXTENSIONS[contentType] || contentType.split('/').pop().replace(/[^a-z0-9]/gi, '') || 'bin';
+
+/**
+ * Store a downloaded or generated file at `basePath` plus an extension for its type
+ * Returns the storage path.
+ */
+const saveOutputFile = async ({ buffer, contentType }, basePath, { uid } = {}) => {
+  const storagePath = `${basePath}.${getExtension(contentType)}`;
+
+  await getStorage().bucket().file(storagePath).save(buffer, {
+    contentType: contentType,
+    metadata: { metadata: { uid } }
+  });
+  return storagePath;
+};
+
+/**
+ * Copy a Space output into our bucket
+ * Returns { storagePath, contentType }.
+ */
+const rehostOutputFile = async (output, basePath, { source, uid, fallbackType } = {}) => {
+  const file = await downloadOutputFile(output, { source, fallbackType });
+  const storagePath = await saveOutputFile(file, basePath, { uid });
+  return { storagePath, contentType: file.contentType };
+};
+
+/**
+ * Sign a read URL for a stored output
+ */
+const signOutputUrl = async (storagePath, ttlSeconds = OUTPUT_URL_TTL_SECONDS.default) => {
+  const [url] = await getStorage().bucket().file(storagePath).getSignedUrl({
+    action: 'read',
+    expires: Date.now() + ttlSeconds * 1000
+  });
+  return url;
+};
+
+module.exports = {
+  OUTPUT_URL_TTL_SECONDS,
+  getUrlTtlSeconds,
+  downloadOutputFile,
+  saveOutputFile,
+  rehostOutputFile,
+  signOutputUrl
+};
@@ -0,0 +1,139 @@
+/**
+ * Pupillary light reflex (PLR) metrics
+ * Computed per eye from a pupil series (schemas/pupil-series.v1.schema.json)
+ * and the time of the light stimulus. Blink frames and frames without a
+ * diameter or timestamp are ignored.
+ */
+
+const {ValidationError} = require("./errors");
+const {getEyeSamples} = require("./pupilSeries");
+
+const PLR_WINDOWS = {
+  // Baseline is the mean diameter over this long before the stimulus
+  baselineSeconds: 1,
+  // The peak constriction is looked for this long after the stimulus
+  responseSeconds: 3,
+  // Latency is when the pupil has constricted by this fraction of the amplitude
+  latencyFraction: 0.05,
+  // Recovery time is measured to this fraction of the amplitude regained
+  recoveryFraction: 0.75
+};
+
+/**
+ * Check a caller's `stimulus_onset` (seconds from the start of the recording)
+ * Returns null when it was not given.
+ */
+const getStimulusOnset = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    throw new ValidationError("stimulus_onset must be a number of seconds from the start of the recording");
+  }
+  return value;
+};
+
+/**
+ * Time at which the samples first reach `target`, interpolated between the
+ * sample before and the first one past it; `reached(d)` says which side is past
+ */
+const findCrossing = (samples, target, reached) => {
+  const index = samples.findIndex((sample) => reached(sample.d));
+  if (index === -1) {
+    return null;
+  }
+  if (index === 0) {
+    return samples[0].t;
+  }
+
+  const before = samples[index - 1];
+  const after = samples[index];
+  return before.t + (after.t - before.t) * (target - before.d) / (after.d - before.d);
+};
+
+/**
+ * Largest rate of change between consecutive samples, in diameter units per second
+ * `sign` is -1 for constriction, 1 for dilation; null with fewer than two samples.
+ */
+const maxVelocity = (samples, sign) => {
+  let max = null;
+  for (let i = 1; i < samples.length; i++) {
+    const velocity = sign * (samples[i].d - samples[i - 1].d) / (samples[i].t - samples[i - 1].t);
+    if (Number.isFinite(velocity) && (max === null || velocity > max)) {
+      max = velocity;
+    }
+  }
+  return max;
+};
+
+/**
+ * PLR metrics for one eye's samples, or null without samples before and after the stimulus
+ */
+const computeEyeMetrics = (samples, stimulusOnset) => {
+  const baselineSamples = samples.filter((s) => s.t >= stimulusOnset - PLR_WINDOWS.baselineSeconds && s.t < stimulusOnset);
+  const responseSamples = samples.filter((s) => s.t >= stimulusOnset && s.t <= stimulusOnset + PLR_WINDOWS.responseSeconds);
+
+  if (!baselineSamples.length || !responseSamples.length) {
+    return null;
+  }
+
+  const baselineDiameter = baselineSamples.reduce((sum, s) => sum + s.d, 0) / baselineSamples.length;
+  const peak = responseSamples.reduce((min, s) => (s.d < min.d ? s : min));
+  const constrictionAmplitude = baselineDiameter - peak.d;
+
+  const metrics = {
+    baselineDiameter: baselineDiameter,
+    minDiameter: peak.d,
+    constrictionAmplitude: constrictionAmplitude,
+    latency: null,
+    maxConstrictionVelocity: null,
+    recoveryTime: null,
+    redilationVelocity: null
+  };
+
+  // No constriction: the pupil never went below its baseline
+  if (constrictionAmplitude <= 0) {
+    return metrics;
+  }
+
+  // From the last baseline sample, so the first step of the constriction counts
+  const constriction = [baselineSamples[baselineSamples.length - 1], ...responseSamples.filter((s) => s.t <= peak.t)];
+  const latencyTarget = baselineDiameter - PLR_WINDOWS.latencyFraction * constrictionAmplitude;
+  const constrictionStart = findCrossing(responseSamples, latencyTarget, (d) => d <= latencyTarget);
+
+  const afterPeak = samples.filter((s) => s.t >= peak.t);
+  const recoveryTarget = peak.d + PLR_WINDOWS.recoveryFraction * constrictionAmplitude;
+  const recovered = findCrossing(afterPeak, recoveryTarget, (d) => d >= recoveryTarget);
+  const recovery = recovered === null ? afterPeak : afterPeak.filter((s, i) => i === 0 || afterPeak[i - 1].t < recovered);
+
+  metrics.latency = constrictionStart === null ? null : Math.max(constrictionStart - stimulusOnset, 0);
+  metrics.maxConstrictionVelocity = maxVelocity(constriction, -1);
+  metrics.recoveryTime = recovered === null ? null : recovered - peak.t;
+  metrics.redilationVelocity = maxVelocity(recovery, 1);
+  return metrics;
+};
+
+/**
+ * PLR metrics for both eyes of a pupil series
+ * Returns null without a series; an eye is null when it has no samples in the
+ * baseline or response window.
+ */
+const computePlrMetrics = (series, stimulusOnset) => {
+  if (!series) {
+    return null;
+  }
+
+  return {
+    stimulusOnset: stimulusOnset,
+    units: series.units,
+    left: computeEyeMetrics(getEyeSamples(series.frames, "leftDiameter"), stimulusOnset),
+    right: computeEyeMetrics(getEyeSamples(series.frames, "rightDiameter"), stimulusOnset)
+  };
+};
+
+module.exports = {
+  PLR_WINDOWS,
+  getStimulusOnset,
+  computePlrMetrics
+};
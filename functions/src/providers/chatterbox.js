@@ -0,0 +1,43 @@
+/**
+ * Chatterbox TTS provider (ResembleAI/Chatterbox)
+ */
+
+const {registerProvider} = require("../registry");
+const {UpstreamFormatError} = require("../errors");
+
+/**
+ * Pull the audio file URL out of a /generate_tts_audio result
+ */
+const normalizeOutput = (data) => {
+  if (!data[0]) {
+    throw new UpstreamFormatError('No audio data received from Chatterbox API');
+  }
+
+  const audioData = data[0];
+
+  if (typeof audioData === 'string') {
+    return { audioUrl: audioData };
+  } else if (audioData.url) {
+    return { audioUrl: audioData.url };
+  } else if (audioData.path) {
+    return { audioUrl: audioData.path };
+  }
+
+  throw new UpstreamFormatError('Invalid audio data format received from Chatterbox API');
+};
+
+module.exports = registerProvider({
+  name: "chatterbox",
+  source: "ResembleAI/Chatterbox",
+  endpoint: "/generate_tts_audio",
+  inputSchema: {
+    text_input: { type: "string", required: true, maxLength: 300 },
+    // null lets Chatterbox fall back to its built-in voice
+    audio_prompt_path_input: { type: "file", nullable: true },
+    exaggeration_input: { type: "number", default: 0.5 },
+    temperature_input: { type: "number", default: 0.8 },
+    seed_num_input: { type: "number", default: 0 },
+    cfgw_input: { type: "number", default: 0.5 }
+  },
+  normalizeOutput
+});
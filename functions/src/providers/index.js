@@ -0,0 +1,9 @@
+/**
+ * Registers every ML provider
+ * Add a new integration by creating a module next to this one and requiring it here.
+ */
+
+require("./chatterbox");
+require("./pupillometry");
+
+module.exports = require("../registry");
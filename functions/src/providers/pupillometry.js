@@ -0,0 +1,57 @@
+/**
+ * PupilSense pupillometry provider (txarst/pupillometry)
+ * Uses the API Testing tab's /process_media_unified endpoint, which matches
+ * the gr.Blocks structure in pupilsense_hf_deploy/gradio_app.py
+ */
+
+const {registerProvider} = require("../registry");
+
+/**
+ * Map the Space output to { analysisUrl, summary, results, seriesFile }
+ * The API returns [fileObject, textSummary], plus a per-frame series output
+ * (CSV/JSON file or inline data) as a third element when the Space provides one
+ */
+const normalizeOutput = (data) => {
+  if (Array.isArray(data) && data.length >= 2) {
+    // First element is the file object with the analysis image
+    const fileObject = data[0];
+
+    return {
+      analysisUrl: fileObject && typeof fileObject === 'object' ? (fileObject.url || fileObject.path) : null,
+      // Second element is the text summary
+      summary: data[1],
+      // Store the full response as results
+      results: data,
+      seriesFile: data[2] ?? null
+    };
+  }
+
+  // Fallback for unexpected format
+  return {
+    analysisUrl: data.url || data.path || data.image || null,
+    results: data.results || data.analysis || null,
+    summary: data.summary || data.description || "Analysis completed",
+    seriesFile: data.series || data.frames || null
+  };
+};
+
+module.exports = registerProvider({
+  name: "pupillometry",
+  source: "txarst/pupillometry",
+  endpoint: "/process_media_unified",
+  // Video analysis routinely takes minutes on the free CPU tier. A timed-out
+  // job is still running on the Space, so sending the video again only queues
+  // it behind itself.
+  callOptions: {
+    timeoutMs: 300000,
+    retryTimeouts: false
+  },
+  inputSchema: {
+    // The Space accepts base64 data URLs directly
+    media_input: { type: "file", required: true },
+    pupil_selection: { type: "string", default: "both" },
+    tv_model: { type: "string", default: "ResNet18" },
+    blink_detection: { type: "boolean", default: true }
+  },
+  normalizeOutput
+});
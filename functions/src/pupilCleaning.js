@@ -0,0 +1,286 @@
+/**
+ * Artifact rejection for pupil series
+ * Runs after the Space's series is parsed: samples around blinks, outside a
+ * plausible diameter range or after impossible jumps are removed, short gaps
+ * are interpolated and the result is optionally smoothed. Each eye gets a
+ * report of what was removed, and the trial is flagged unusable when too much was.
+ */
+
+const {ValidationError} = require("./errors");
+const {summarizePupilSeries} = require("./pupilSeries");
+
+const INTERPOLATION_METHODS = ["linear", "cubic", "none"];
+const SMOOTHING_FILTERS = ["none", "moving_average", "median"];
+
+// Defaults and bounds of the `cleaning` options; diameters and velocities are in series units
+const CLEANING_OPTIONS = {
+  blink_padding_ms: { default: 100, min: 0, max: 1000 },
+  min_diameter: { default: 1.5, min: 0, max: 20 },
+  max_diameter: { default: 9, min: 0, max: 20 },
+  max_velocity: { default: 10, min: 0.1, max: 1000 },
+  interpolation: { default: "linear", values: INTERPOLATION_METHODS },
+  max_gap_ms: { default: 500, min: 0, max: 10000 },
+  smoothing: { default: "none", values: SMOOTHING_FILTERS },
+  smoothing_window: { default: 5, min: 3, max: 51, odd: true },
+  max_rejected_percent: { default: 50, min: 0, max: 100 }
+};
+
+/**
+ * Check a caller's `cleaning` option and fill in the defaults
+ * `true` cleans with the defaults; missing or `false` returns null (no cleaning).
+ */
+const getCleaningOptions = (value) => {
+  if (value === undefined || value === null || value === false) {
+    return null;
+  }
+
+  const overrides = value === true ? {} : value;
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new ValidationError("cleaning must be true or an object of cleaning options");
+  }
+
+  for (const key of Object.keys(overrides)) {
+    if (!CLEANING_OPTIONS[key]) {
+      throw new ValidationError(`Unknown cleaning option: ${key}`);
+    }
+  }
+
+  const options = {};
+  for (const [key, spec] of Object.entries(CLEANING_OPTIONS)) {
+    const option = overrides[key] ?? spec.default;
+
+    if (spec.values) {
+      if (!spec.values.includes(option)) {
+        throw new ValidationError(`cleaning.${key} must be one of ${spec.values.join(", ")}`);
+      }
+    } else if (typeof option !== 'number' || !(option >= spec.min && option <= spec.max) ||
+        (spec.odd && (!Number.isInteger(option) || option % 2 === 0))) {
+      throw new ValidationError(`cleaning.${key} must be ${spec.odd ? "an odd whole number" : "a number"} between ${spec.min} and ${spec.max}`);
+    }
+    options[key] = option;
+  }
+
+  if (options.min_diameter >= options.max_diameter) {
+    throw new ValidationError("cleaning.min_diameter must be less than cleaning.max_diameter");
+  }
+  return options;
+};
+
+/**
+ * Flag blink frames and the frames within `paddingSeconds` of a blink
+ * Returns one reason per frame ("blink", "padding" or null).
+ */
+const findBlinkArtifacts = (frames, paddingSeconds) => {
+  const blinkTimes = frames.filter((frame) => frame.blink).map((frame) => frame.timestamp);
+
+  return frames.map((frame) => {
+    if (frame.blink) {
+      return "blink";
+    }
+    return blinkTimes.some((t) => Math.abs(frame.timestamp - t) <= paddingSeconds) ? "padding" : null;
+  });
+};
+
+/**
+ * Reject samples whose speed to the previous or next kept sample is above `maxVelocity`
+ * Both sides of an impossible jump are removed, as either may be the artifact.
+ */
+const findVelocityArtifacts = (frames, values, maxVelocity) => {
+  const kept = values.map((value, i) => i).filter((i) => values[i] !== null);
+  const rejected = new Set();
+
+  kept.forEach((index, k) => {
+    const speed = (other) => Math.abs(values[index] - values[other]) / Math.abs(frames[index].timestamp - frames[other].timestamp);
+    const speeds = [kept[k - 1], kept[k + 1]].filter((other) => other !== undefined).map(speed);
+
+    if (speeds.some((s) => s > maxVelocity)) {
+      rejected.add(index);
+    }
+  });
+  return rejected;
+};
+
+const slope = (a, b) => (b.d - a.d) / (b.t - a.t);
+
+// Derivative at `p` of the parabola through it and its neighbours, or the secant with one neighbour
+const tangent = (before, p, after) => {
+  if (!before || !after) {
+    return slope(before || p, after || p);
+  }
+  const [h0, h1] = [p.t - before.t, after.t - p.t];
+  return (slope(before, p) * h1 + slope(p, after) * h0) / (h0 + h1);
+};
+
+/**
+ * Cubic Hermite interpolation between samples 1 and 2, with tangents taken from
+ * the neighbouring samples 0 and 3 when there are any
+ */
+const cubicAt = (t, p0, p1, p2, p3) => {
+  const m1 = tangent(p0, p1, p2);
+  const m2 = tangent(p1, p2, p3);
+  const h = p2.t - p1.t;
+  const s = (t - p1.t) / h;
+
+  return (2 * s ** 3 - 3 * s ** 2 + 1) * p1.d + (s ** 3 - 2 * s ** 2 + s) * h * m1 +
+    (-2 * s ** 3 + 3 * s ** 2) * p2.d + (s ** 3 - s ** 2) * h * m2;
+};
+
+/**
+ * Fill gaps between kept samples that last at most `maxGapSeconds`
+ * Returns the indices that were filled; gaps at the start or end are left empty.
+ */
+const interpolateGaps = (frames, values, method, maxGapSeconds) => {
+  const filled = new Set();
+  if (method === "none") {
+    return filled;
+  }
+
+  const kept = values.map((value, i) => i).filter((i) => values[i] !== null);
+  const point = (i) => (i === undefined ? null : { t: frames[i].timestamp, d: values[i] });
+
+  for (let k = 0; k < kept.length - 1; k++) {
+    const [before, after] = [kept[k], kept[k + 1]];
+    const p1 = point(before);
+    const p2 = point(after);
+
+    if (after - before < 2 || p2.t - p1.t > maxGapSeconds) {
+      continue;
+    }
+
+    for (let i = before + 1; i < after; i++) {
+      const t = frames[i].timestamp;
+      values[i] = method === "cubic" ?
+        cubicAt(t, point(kept[k - 1]), p1, p2, point(kept[k + 2])) :
+        p1.d + (p2.d - p1.d) * (t - p1.t) / (p2.t - p1.t);
+      filled.add(i);
+    }
+  }
+  return filled;
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Smooth runs of consecutive values with a centred window; windows shrink at
+ * the ends of a run and never reach across a gap
+ */
+const smooth = (values, filter, window) => {
+  if (filter === "none") {
+    return values;
+  }
+
+  const half = (window - 1) / 2;
+  return values.map((value, i) => {
+    if (value === null) {
+      return null;
+    }
+
+    const neighbours = [value];
+    for (let j = i - 1; j >= i - half && values[j] !== null && values[j] !== undefined; j--) {
+      neighbours.push(values[j]);
+    }
+    for (let j = i + 1; j <= i + half && values[j] !== null && values[j] !== undefined; j++) {
+      neighbours.push(values[j]);
+    }
+    return filter === "median" ? median(neighbours) : neighbours.reduce((sum, v) => sum + v, 0) / neighbours.length;
+  });
+};
+
+/**
+ * Clean one eye's diameters
+ * Returns the new values, a status per frame and the eye's report, or null
+ * when the Space measured no diameter for this eye at all.
+ */
+const cleanEye = (frames, field, blinkArtifacts, options) => {
+  if (frames.every((frame) => frame[field] === null)) {
+    return null;
+  }
+
+  const rejected = { missing: 0, blink: 0, padding: 0, range: 0, velocity: 0 };
+  const reasons = frames.map((frame, i) => {
+    const value = frame[field];
+    if (blinkArtifacts[i]) {
+      return blinkArtifacts[i];
+    }
+    if (value === null) {
+      return "missing";
+    }
+    return value < options.min_diameter || value > options.max_diameter ? "range" : null;
+  });
+
+  const values = frames.map((frame, i) => (reasons[i] ? null : frame[field]));
+  for (const index of findVelocityArtifacts(frames, values, options.max_velocity)) {
+    reasons[index] = "velocity";
+    values[index] = null;
+  }
+  reasons.filter(Boolean).forEach((reason) => { rejected[reason]++; });
+
+  const interpolated = interpolateGaps(frames, values, options.interpolation, options.max_gap_ms / 1000);
+  const rejectedPercent = frames.length ? 100 * reasons.filter(Boolean).length / frames.length : 0;
+
+  return {
+    values: smooth(values, options.smoothing, options.smoothing_window),
+    statuses: reasons.map((reason, i) => {
+      if (interpolated.has(i)) {
+        return "interpolated";
+      }
+      return reason === "missing" ? "missing" : reason ? "rejected" : "valid";
+    }),
+    report: {
+      rejected: rejected,
+      rejectedPercent: rejectedPercent,
+      interpolatedFrames: interpolated.size,
+      usable: rejectedPercent <= options.max_rejected_percent
+    }
+  };
+};
+
+/**
+ * Run the cleaning pipeline over a pupil series
+ * Returns a new series with cleaned diameters, the Space's own values in
+ * `leftRawDiameter`/`rightRawDiameter`, a `leftStatus`/`rightStatus` per frame,
+ * recomputed stats and a `cleaning` report. Series without timestamps
+ * cannot be cleaned and are returned as they are.
+ */
+const cleanPupilSeries = (series, options) => {
+  if (!series || !options || series.frames.some((frame) => frame.timestamp === null)) {
+    return series;
+  }
+
+  const blinkArtifacts = findBlinkArtifacts(series.frames, options.blink_padding_ms / 1000);
+  const left = cleanEye(series.frames, "leftDiameter", blinkArtifacts, options);
+  const right = cleanEye(series.frames, "rightDiameter", blinkArtifacts, options);
+
+  const frames = series.frames.map((frame, i) => ({
+    ...frame,
+    leftRawDiameter: frame.leftDiameter,
+    rightRawDiameter: frame.rightDiameter,
+    leftDiameter: left ? left.values[i] : null,
+    rightDiameter: right ? right.values[i] : null,
+    leftStatus: left ? left.statuses[i] : "missing",
+    rightStatus: right ? right.statuses[i] : "missing"
+  }));
+  const eyes = [left, right].filter(Boolean);
+
+  return {
+    ...series,
+    frames: frames,
+    stats: summarizePupilSeries(frames),
+    cleaning: {
+      options: options,
+      left: left && left.report,
+      right: right && right.report,
+      usable: eyes.length > 0 && eyes.every((eye) => eye.report.usable)
+    }
+  };
+};
+
+module.exports = {
+  CLEANING_OPTIONS,
+  getCleaningOptions,
+  cleanPupilSeries
+};
@@ -0,0 +1,117 @@
+/**
+ * Task-evoked pupil responses
+ * Callers send event markers (e.g. the onsets of spoken prompts) on the
+ * recording's clock; the pupil series is cut into one segment per event and
+ * each segment is compared to the diameter just before its event.
+ */
+
+const {ValidationError} = require("./errors");
+const {getEyeSamples} = require("./pupilSeries");
+
+const EVENT_LIMITS = {
+  maxEvents: 200,
+  maxLabelLength: 100,
+  // Baseline is the mean diameter over this long before each event
+  baselineSeconds: 0.5,
+  // A response runs until the next event, but no longer than this
+  maxWindowSeconds: 10
+};
+
+/**
+ * Check a caller's `events` markers
+ * Returns [{ time, label }] or null when no events were given.
+ */
+const getEvents = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  if (!Array.isArray(value)) {
+    throw new ValidationError("events must be a list of { time, label } markers");
+  }
+
+  if (value.length > EVENT_LIMITS.maxEvents) {
+    throw new ValidationError(`At most ${EVENT_LIMITS.maxEvents} events can be given`);
+  }
+
+  return value.map((event, index) => {
+    const time = event?.time;
+    const label = event?.label ?? null;
+
+    if (typeof time !== 'number' || !Number.isFinite(time) || time < 0) {
+      throw new ValidationError(`events[${index}].time must be a number of seconds from the start of the recording`);
+    }
+    if (label !== null && (typeof label !== 'string' || label.length > EVENT_LIMITS.maxLabelLength)) {
+      throw new ValidationError(`events[${index}].label must be a string of ${EVENT_LIMITS.maxLabelLength} characters or less`);
+    }
+    if (index > 0 && time <= value[index - 1].time) {
+      throw new ValidationError("events must be in increasing time order");
+    }
+
+    return { time, label };
+  });
+};
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * One eye's response to an event, or null without samples in the baseline or response window
+ */
+const computeEyeResponse = (samples, start, end) => {
+  const baselineSamples = samples.filter((s) => s.t >= start - EVENT_LIMITS.baselineSeconds && s.t < start);
+  const responseSamples = samples.filter((s) => s.t >= start && s.t < end);
+
+  if (!baselineSamples.length || !responseSamples.length) {
+    return null;
+  }
+
+  const baselineDiameter = mean(baselineSamples.map((s) => s.d));
+  const peak = responseSamples.reduce((max, s) => (s.d > max.d ? s : max));
+
+  return {
+    baselineDiameter: baselineDiameter,
+    meanChange: mean(responseSamples.map((s) => s.d)) - baselineDiameter,
+    peakChange: peak.d - baselineDiameter,
+    peakLatency: peak.t - start,
+    validSamples: responseSamples.length
+  };
+};
+
+/**
+ * Cut a pupil series into one response per event
+ * `startIndex`/`endIndex` point into `series.frames` so clients can plot each
+ * segment. Returns null without a series.
+ */
+const segmentEventResponses = (series, events) => {
+  if (!series) {
+    return null;
+  }
+
+  const left = getEyeSamples(series.frames, "leftDiameter");
+  const right = getEyeSamples(series.frames, "rightDiameter");
+
+  return events.map((event, index) => {
+    const next = events[index + 1];
+    const endTime = Math.min(event.time + EVENT_LIMITS.maxWindowSeconds, next ? next.time : Infinity);
+    const inWindow = (frame) => frame.timestamp !== null && frame.timestamp >= event.time && frame.timestamp < endTime;
+    const startIndex = series.frames.findIndex(inWindow);
+    const endIndex = series.frames.findLastIndex(inWindow);
+
+    return {
+      index: index,
+      label: event.label,
+      time: event.time,
+      endTime: endTime,
+      startIndex: startIndex === -1 ? null : startIndex,
+      endIndex: endIndex === -1 ? null : endIndex,
+      left: computeEyeResponse(left, event.time, endTime),
+      right: computeEyeResponse(right, event.time, endTime)
+    };
+  });
+};
+
+module.exports = {
+  EVENT_LIMITS,
+  getEvents,
+  segmentEventResponses
+};
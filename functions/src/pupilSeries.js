@@ -0,0 +1,298 @@
+/**
+ * Structured pupil diameter time series
+ * Parses the per-frame data returned by the pupillometry Space into the
+ * versioned schema documented in schemas/pupil-series.v1.schema.json
+ */
+
+const PUPIL_SERIES_SCHEMA_VERSION = "1.2";
+
+// Column / key aliases seen in PupilSense exports, normalized to lower case without separators
+const FIELD_ALIASES = {
+  frame: ["frame", "frameindex", "frameno", "index"],
+  timestamp: ["timestamp", "time", "t", "times", "timesec", "seconds"],
+  leftDiameter: ["left", "leftdiameter", "leftpupil", "leftpupildiameter", "leftmm", "leftpupilmm"],
+  rightDiameter: ["right", "rightdiameter", "rightpupil", "rightpupildiameter", "rightmm", "rightpupilmm"],
+  confidence: ["confidence", "conf", "score", "probability"],
+  blink: ["blink", "isblink", "blinkdetected", "eyesclosed"]
+};
+
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const findField = (keys, field) => keys.find((key) => FIELD_ALIASES[field].includes(normalizeKey(key)));
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const toBoolean = (value) => {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  return ['1', 'true', 'yes', 'y'].includes(String(value).trim().toLowerCase());
+};
+
+/**
+ * Map raw rows (objects keyed by column name) to schema frames
+ * `fps` is used to derive timestamps when the source only has frame numbers
+ */
+const rowsToFrames = (rows, fps) => {
+  if (!rows.length) {
+    return [];
+  }
+
+  const keys = Object.keys(rows[0]);
+  const columns = Object.fromEntries(Object.keys(FIELD_ALIASES).map((field) => [field, findField(keys, field)]));
+
+  if (!columns.leftDiameter && !columns.rightDiameter) {
+    throw new Error("Pupil series has no left or right diameter column");
+  }
+
+  return rows.map((row, index) => {
+    const frame = columns.frame ? toNumber(row[columns.frame]) ?? index : index;
+    const timestamp = columns.timestamp ? toNumber(row[columns.timestamp]) : null;
+
+    return {
+      frame: frame,
+      timestamp: timestamp ?? (fps ? frame / fps : null),
+      leftDiameter: columns.leftDiameter ? toNumber(row[columns.leftDiameter]) : null,
+      rightDiameter: columns.rightDiameter ? toNumber(row[columns.rightDiameter]) : null,
+      confidence: columns.confidence ? toNumber(row[columns.confidence]) : null,
+      blink: columns.blink ? toBoolean(row[columns.blink]) : false
+    };
+  });
+};
+
+/**
+ * Parse CSV text with a header row
+ */
+const parseCsv = (text) => {
+  const lines = text.trim().split(/\r?\n/).filter((line) => line.trim());
+  const delimiter = lines[0].includes('\t') ? '\t' : lines[0].includes(';') ? ';' : ',';
+  const headers = lines[0].split(delimiter).map((header) => header.trim());
+
+  return lines.slice(1).map((line) => {
+    const cells = line.split(delimiter);
+    return Object.fromEntries(headers.map((header, i) => [header, cells[i]?.trim()]));
+  });
+};
+
+/**
+ * Pull rows and frame rate out of a parsed JSON payload
+ * Accepts an array of rows, { frames: [...] }, or columnar { left: [...], right: [...] }
+ */
+const parseJsonPayload = (payload) => {
+  const fps = toNumber(payload.fps ?? payload.frame_rate ?? payload.frameRate);
+  const units = typeof payload.units === 'string' ? payload.units : null;
+  const frames = Array.isArray(payload) ? payload : payload.frames || payload.data || payload.series;
+
+  if (Array.isArray(frames)) {
+    return { rows: frames, fps, units };
+  }
+
+  // Columnar layout: every array-valued key is a column
+  const columns = Object.entries(payload).filter(([, value]) => Array.isArray(value));
+  if (columns.length) {
+    const length = Math.max(...columns.map(([, value]) => value.length));
+    const rows = Array.from({ length }, (_, i) => Object.fromEntries(columns.map(([key, value]) => [key, value[i]])));
+    return { rows, fps, units };
+  }
+
+  throw new Error("Unrecognized pupil series JSON layout");
+};
+
+/**
+ * Parse raw series text (JSON or CSV) into rows
+ */
+const parseSeriesText = (text) => {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    return parseJsonPayload(JSON.parse(trimmed));
+  }
+  return { rows: parseCsv(trimmed), fps: null, units: null };
+};
+
+/**
+ * Find a JSON block embedded in the Space's text summary, if any
+ */
+const extractJsonFromSummary = (summary) => {
+  if (typeof summary !== 'string') {
+    return null;
+  }
+
+  const fenced = summary.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1] : summary.slice(summary.indexOf('{'), summary.lastIndexOf('}') + 1);
+
+  if (!candidate || !candidate.trim().startsWith('{')) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(candidate);
+    return payload.frames || payload.left || payload.right || payload.data ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const describe = (values) => {
+  if (!values.length) {
+    return null;
+  }
+
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.length > 1 ?
+    values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1) :
+    0;
+
+  return {
+    mean: mean,
+    sd: Math.sqrt(variance),
+    min: Math.min(...values),
+    max: Math.max(...values),
+    validSamples: values.length
+  };
+};
+
+/**
+ * Summary statistics for a frame series
+ * Blink frames are excluded from the diameter statistics; a blink is counted
+ * once per run of consecutive blink frames.
+ */
+const summarizePupilSeries = (frames) => {
+  const openFrames = frames.filter((frame) => !frame.blink);
+  const timestamps = frames.map((frame) => frame.timestamp).filter((t) => t !== null);
+
+  let blinkCount = 0;
+  frames.forEach((frame, i) => {
+    if (frame.blink && (i === 0 || !frames[i - 1].blink)) {
+      blinkCount++;
+    }
+  });
+
+  return {
+    frameCount: frames.length,
+    durationSeconds: timestamps.length > 1 ? timestamps[timestamps.length - 1] - timestamps[0] : null,
+    left: describe(openFrames.map((f) => f.leftDiameter).filter((v) => v !== null)),
+    right: describe(openFrames.map((f) => f.rightDiameter).filter((v) => v !== null)),
+    blinkCount: blinkCount
+  };
+};
+
+/**
+ * One eye's usable samples as { t, d } in time order
+ * Blink frames and frames without a timestamp or diameter are left out.
+ */
+const getEyeSamples = (frames, field) => frames
+  .filter((frame) => !frame.blink && frame.timestamp !== null && frame[field] !== null)
+  .map((frame) => ({ t: frame.timestamp, d: frame[field] }))
+  .sort((a, b) => a.t - b.t);
+
+/**
+ * Cross-trial statistics for the series of several analysed videos
+ * Every trial contributes its mean diameter per eye, so long recordings do
+ * not outweigh short ones. Trials without a series are left out.
+ */
+const summarizeTrials = (seriesList) => {
+  const stats = seriesList.filter(Boolean).map((series) => series.stats);
+  const durations = stats.map((trial) => trial.durationSeconds).filter((d) => d !== null);
+
+  return {
+    trialCount: stats.length,
+    left: describe(stats.map((trial) => trial.left?.mean).filter((v) => v !== undefined)),
+    right: describe(stats.map((trial) => trial.right?.mean).filter((v) => v !== undefined)),
+    blinkCount: stats.reduce((sum, trial) => sum + trial.blinkCount, 0),
+    blinksPerTrial: describe(stats.map((trial) => trial.blinkCount)),
+    durationSeconds: durations.length ? durations.reduce((sum, d) => sum + d, 0) : null
+  };
+};
+
+/**
+ * Build the versioned pupil series object from parsed rows
+ */
+const buildPupilSeries = ({ rows, fps, units }) => {
+  const frames = rowsToFrames(rows, fps);
+
+  return {
+    schemaVersion: PUPIL_SERIES_SCHEMA_VERSION,
+    // PupilSense reports diameters in millimetres unless the source says otherwise
+    units: units || "mm",
+    fps: fps,
+    frames: frames,
+    stats: summarizePupilSeries(frames)
+  };
+};
+
+/**
+ * Reduce the series of one analysed photo to a single sample
+ * The Space may report several rows for a still image; their open-eye means are used.
+ */
+const summarizeImage = (series) => ({
+  leftDiameter: series?.stats.left?.mean ?? null,
+  rightDiameter: series?.stats.right?.mean ?? null,
+  blink: series ? series.frames.length > 0 && series.frames.every((frame) => frame.blink) : false
+});
+
+/**
+ * Build a time series from the samples of a timed photo sequence
+ * `samples` are [{ timestamp, leftDiameter, rightDiameter, blink }] in capture
+ * order; `fps` is set when the photos were taken at a fixed interval.
+ */
+const buildSequenceSeries = (samples, { fps = null, units = null } = {}) => {
+  const frames = samples.map((sample, index) => ({
+    frame: index,
+    timestamp: sample.timestamp,
+    leftDiameter: sample.leftDiameter,
+    rightDiameter: sample.rightDiameter,
+    confidence: null,
+    blink: sample.blink
+  }));
+
+  return {
+    schemaVersion: PUPIL_SERIES_SCHEMA_VERSION,
+    units: units || "mm",
+    fps: fps,
+    frames: frames,
+    stats: summarizePupilSeries(frames)
+  };
+};
+
+/**
+ * Extract the structured series from the Space output
+ * `seriesFile` is the optional per-frame output (Gradio FileData, raw text or
+ * an object); the text summary is searched for an embedded JSON block as a fallback.
+ * Returns null when the Space sent no frame-level data.
+ */
+const extractPupilSeries = async ({ seriesFile, summary }) => {
+  let parsed = null;
+
+  if (seriesFile && typeof seriesFile === 'object' && seriesFile.url) {
+    const response = await fetch(seriesFile.url);
+    if (!response.ok) {
+      throw new Error(`Failed to download pupil series: ${response.statusText}`);
+    }
+    parsed = parseSeriesText(await response.text());
+  } else if (typeof seriesFile === 'string' && seriesFile.trim()) {
+    parsed = parseSeriesText(seriesFile);
+  } else if (seriesFile && typeof seriesFile === 'object') {
+    parsed = parseJsonPayload(seriesFile);
+  } else {
+    const embedded = extractJsonFromSummary(summary);
+    parsed = embedded ? parseJsonPayload(embedded) : null;
+  }
+
+  return parsed ? buildPupilSeries(parsed) : null;
+};
+
+module.exports = {
+  PUPIL_SERIES_SCHEMA_VERSION,
+  extractPupilSeries,
+  summarizePupilSeries,
+  getEyeSamples,
+  summarizeImage,
+  buildSequenceSeries,
+  summarizeTrials
+};
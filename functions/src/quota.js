@@ -0,0 +1,179 @@
+/**
+ * Per-caller quotas for the ML functions
+ * Every signed-in user and API key client has a usage/{uid} document counting
+ * requests per minute and per day, and seconds of video analysed per day.
+ * Calls over a limit fail with a QuotaExceededError that says when to retry.
+ */
+
+const {getFirestore} = require("firebase-admin/firestore");
+const logger = require("./logger");
+const {QuotaExceededError} = require("./errors");
+
+const USAGE_COLLECTION = "usage";
+
+// API key clients are servers batching work, so they get more headroom
+const QUOTA_DEFAULTS = {
+  user: {
+    requestsPerMinute: 5,
+    requestsPerDay: 100,
+    videoSecondsPerDay: 30 * 60
+  },
+  apiKey: {
+    requestsPerMinute: 30,
+    requestsPerDay: 2000,
+    videoSecondsPerDay: 10 * 60 * 60
+  }
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const getTier = (uid) => uid.startsWith("api-key:") ? "apiKey" : "user";
+
+/**
+ * The limits for a caller
+ * ML_QUOTAS overrides the defaults per tier ({"user": {"requestsPerDay": 50}});
+ * a `limits` map on the caller's usage document (server-only, see
+ * firestore.rules) overrides both.
+ */
+const getQuotaLimits = (uid, overrides = {}) => {
+  let configured = {};
+  if (process.env.ML_QUOTAS) {
+    try {
+      configured = JSON.parse(process.env.ML_QUOTAS);
+    } catch (error) {
+      throw new Error(`Invalid ML_QUOTAS: ${error.message}`);
+    }
+  }
+
+  const tier = getTier(uid);
+  return { ...QUOTA_DEFAULTS[tier], ...configured[tier], ...overrides };
+};
+
+// Minutes since the epoch and the UTC day, so windows line up for every instance
+const getWindows = (now) => ({
+  minute: Math.floor(now / MINUTE_MS),
+  day: new Date(now).toISOString().slice(0, 10)
+});
+
+// When the current minute and day windows end, in epoch milliseconds
+const getResets = (now) => {
+  const windows = getWindows(now);
+  return {
+    minute: (windows.minute + 1) * MINUTE_MS,
+    day: Date.parse(windows.day) + DAY_MS
+  };
+};
+
+const secondsUntil = (resetAt, now) => Math.max(1, Math.ceil((resetAt - now) / 1000));
+
+/**
+ * Current counters from a usage document, zeroed when their window has passed
+ */
+const readCounters = (usage, windows) => {
+  const minute = usage?.minute?.window === windows.minute ? usage.minute : null;
+  const day = usage?.day?.window === windows.day ? usage.day : null;
+
+  return {
+    minute: { window: windows.minute, requests: minute?.requests || 0 },
+    day: { window: windows.day, requests: day?.requests || 0, videoSeconds: day?.videoSeconds || 0 }
+  };
+};
+
+const describeUsage = (uid, usage, now) => {
+  const windows = getWindows(now);
+  const limits = getQuotaLimits(uid, usage?.limits);
+  const { minute, day } = readCounters(usage, windows);
+  const resets = getResets(now);
+
+  return {
+    limits,
+    minute: {
+      requests: minute.requests,
+      remaining: Math.max(0, limits.requestsPerMinute - minute.requests),
+      resetsAt: new Date(resets.minute).toISOString()
+    },
+    day: {
+      requests: day.requests,
+      remaining: Math.max(0, limits.requestsPerDay - day.requests),
+      videoSeconds: day.videoSeconds,
+      videoSecondsRemaining: Math.max(0, limits.videoSecondsPerDay - day.videoSeconds),
+      resetsAt: new Date(resets.day).toISOString()
+    }
+  };
+};
+
+const getUsageRef = (uid) => getFirestore().collection(USAGE_COLLECTION).doc(uid);
+
+/**
+ * Count a request against the caller's quota, or throw if it is used up
+ * `video` calls are also refused once the day's video seconds are spent.
+ * A call standing for several analyses (a batch) passes their number as
+ * `requests`; they count against the daily limit, the call once per minute.
+ * Returns the caller's usage including this request.
+ */
+const consumeQuota = async (uid, { video = false, requests = 1, now = Date.now() } = {}) => {
+  const ref = getUsageRef(uid);
+
+  const usage = await getFirestore().runTransaction(async (transaction) => {
+    const current = (await transaction.get(ref)).data();
+    const summary = describeUsage(uid, current, now);
+    const { limits } = summary;
+
+    // The daily limits are checked first: waiting out the minute would not help
+    const exceeded =
+      summary.day.remaining < requests ? ["requestsPerDay", "day"] :
+      video && summary.day.videoSecondsRemaining <= 0 ? ["videoSecondsPerDay", "day"] :
+      summary.minute.remaining <= 0 ? ["requestsPerMinute", "minute"] :
+      null;
+
+    if (exceeded) {
+      const [quota, window] = exceeded;
+      const retryAfterSeconds = secondsUntil(getResets(now)[window], now);
+      throw new QuotaExceededError(`Quota exceeded (${quota}: ${limits[quota]}), try again in ${retryAfterSeconds}s`, {
+        details: { quota, limit: limits[quota], retryAfterSeconds }
+      });
+    }
+
+    const { minute, day } = readCounters(current, getWindows(now));
+    const updated = {
+      minute: { ...minute, requests: minute.requests + 1 },
+      day: { ...day, requests: day.requests + requests }
+    };
+    transaction.set(ref, updated, { merge: true });
+    return describeUsage(uid, { ...current, ...updated }, now);
+  });
+
+  logger.debug("Quota consumed", { minuteRemaining: usage.minute.remaining, dayRemaining: usage.day.remaining });
+  return usage;
+};
+
+/**
+ * Add analysed video to the caller's daily total
+ * Recorded after the analysis, so the call that crosses the limit still finishes.
+ */
+const recordVideoSeconds = async (uid, seconds, { now = Date.now() } = {}) => {
+  const ref = getUsageRef(uid);
+
+  await getFirestore().runTransaction(async (transaction) => {
+    const { day } = readCounters((await transaction.get(ref)).data(), getWindows(now));
+    transaction.set(ref, { day: { ...day, videoSeconds: day.videoSeconds + seconds } }, { merge: true });
+  });
+};
+
+/**
+ * The caller's limits, usage and what is left in each window
+ */
+const getUsage = async (uid, { now = Date.now() } = {}) => {
+  const snapshot = await getUsageRef(uid).get();
+  return describeUsage(uid, snapshot.data(), now);
+};
+
+module.exports = {
+  USAGE_COLLECTION,
+  QUOTA_DEFAULTS,
+  getQuotaLimits,
+  consumeQuota,
+  recordVideoSeconds,
+  getUsage
+};
@@ -0,0 +1,170 @@
+/**
+ * ML provider registry for Gradio-backed integrations
+ * Each provider is registered once with its Space (or URL), endpoint, input
+ * schema and output normalizer. Handlers call providers by name.
+ */
+
+const logger = require("./logger");
+const {ValidationError, UpstreamFormatError, MLFunctionError} = require("./errors");
+const {initGradioClient, callSpace, connectSpace, submitJob} = require("./spaceCall");
+
+const providers = new Map();
+
+/**
+ * Per-provider overrides from the ML_PROVIDER_OVERRIDES environment variable, e.g.
+ * {"pupillometry": {"source": "my-org/pupillometry-fork", "callOptions": {"timeoutMs": 600000}}}
+ */
+const loadOverrides = () => {
+  if (!process.env.ML_PROVIDER_OVERRIDES) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(process.env.ML_PROVIDER_OVERRIDES);
+  } catch (error) {
+    throw new Error(`Invalid ML_PROVIDER_OVERRIDES: ${error.message}`);
+  }
+};
+
+const INPUT_TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && !Number.isNaN(value),
+  boolean: (value) => typeof value === 'boolean',
+  // Anything Gradio can upload: a Blob, a Buffer, or a URL / data URL string
+  file: (value) => value instanceof Blob || Buffer.isBuffer(value) || typeof value === 'string'
+};
+
+/**
+ * Register a provider
+ * @param {object} definition
+ * @param {string} definition.name - registry key
+ * @param {string} definition.source - Hugging Face Space name or full Gradio app URL
+ * @param {string} definition.endpoint - Gradio endpoint, e.g. "/generate_tts_audio"
+ * @param {object} definition.inputSchema - field -> { type, required, default, nullable, maxLength }
+ * @param {function} definition.normalizeOutput - maps the raw `result.data` to a plain object
+ * @param {object} [definition.callOptions] - retry / timeout settings, see SPACE_CALL_DEFAULTS in ./spaceCall
+ */
+const registerProvider = (definition) => {
+  for (const key of ["name", "source", "endpoint", "inputSchema", "normalizeOutput"]) {
+    if (!definition[key]) {
+      throw new Error(`Provider definition is missing "${key}"`);
+    }
+  }
+
+  for (const [field, spec] of Object.entries(definition.inputSchema)) {
+    if (!INPUT_TYPE_CHECKS[spec.type]) {
+      throw new Error(`Provider ${definition.name}: unknown type "${spec.type}" for input "${field}"`);
+    }
+  }
+
+  providers.set(definition.name, definition);
+  return definition;
+};
+
+/**
+ * Look up a provider with any configured overrides applied
+ */
+const getProvider = (name) => {
+  const definition = providers.get(name);
+  if (!definition) {
+    throw new Error(`Unknown ML provider: ${name}`);
+  }
+
+  const overrides = loadOverrides()[name] || {};
+  return {
+    ...definition,
+    source: overrides.source || definition.source,
+    endpoint: overrides.endpoint || definition.endpoint,
+    callOptions: { ...definition.callOptions, ...overrides.callOptions }
+  };
+};
+
+const listProviders = () => [...providers.keys()].map(getProvider);
+
+/**
+ * Validate inputs against a provider's schema and fill in defaults
+ * Fields that are not in the schema are dropped.
+ */
+const applyInputSchema = (provider, inputs) => {
+  const payload = {};
+
+  for (const [field, spec] of Object.entries(provider.inputSchema)) {
+    let value = inputs[field];
+
+    if (value === undefined || value === null) {
+      if (spec.default !== undefined) {
+        value = spec.default;
+      } else if (spec.required) {
+        throw new ValidationError(`Missing required field: ${field}`);
+      } else if (spec.nullable) {
+        payload[field] = null;
+        continue;
+      } else {
+        continue;
+      }
+    }
+
+    if (!INPUT_TYPE_CHECKS[spec.type](value)) {
+      throw new ValidationError(`Invalid ${field}: expected ${spec.type}`);
+    }
+
+    if (spec.maxLength && value.length > spec.maxLength) {
+      throw new ValidationError(`${field} must be ${spec.maxLength} characters or less`);
+    }
+
+    payload[field] = value;
+  }
+
+  return payload;
+};
+
+/**
+ * Connect a Gradio client to a provider's Space, waiting for it to wake up if needed
+ */
+const connectProvider = async (name, { signal, deadline } = {}) => {
+  const provider = getProvider(name);
+
+  logger.info("Connecting to ML provider", { provider: name, source: provider.source });
+  return connectSpace(provider.source, { ...provider.callOptions, signal, deadline });
+};
+
+/**
+ * Call a provider's endpoint and normalize its output
+ * Pass an existing `client` to reuse one connection across several calls, a
+ * `signal` to abort the call (the job is cancelled on the Space),
+ * `onProgress` to receive queue position / progress / ETA updates, and a
+ * `deadline` (epoch ms) the call must finish by.
+ */
+const predictWithProvider = async (name, inputs, { client, signal, onProgress, deadline } = {}) => {
+  const provider = getProvider(name);
+  const payload = applyInputSchema(provider, inputs);
+  const connectedClient = client || await connectProvider(name, { signal, deadline });
+
+  logger.info("Calling ML provider", { provider: name, endpoint: provider.endpoint });
+  const result = await callSpace(
+    provider.source,
+    (attemptSignal) => submitJob(connectedClient, provider.endpoint, payload, { signal: attemptSignal, onProgress }),
+    { label: `${name}${provider.endpoint}`, ...provider.callOptions, signal, deadline }
+  );
+
+  if (!result || !result.data) {
+    throw new UpstreamFormatError(`No data received from ${name} (${provider.source}${provider.endpoint})`);
+  }
+
+  try {
+    return provider.normalizeOutput(result.data);
+  } catch (error) {
+    // A normalizer that cannot read the output means the Space's API changed
+    throw error instanceof MLFunctionError ? error : new UpstreamFormatError(error.message, { cause: error });
+  }
+};
+
+module.exports = {
+  initGradioClient,
+  registerProvider,
+  getProvider,
+  listProviders,
+  applyInputSchema,
+  connectProvider,
+  predictWithProvider
+};
@@ -0,0 +1,291 @@
+/**
+ * Shared call layer for Hugging Face Spaces
+ * Retries with exponential backoff, waits for sleeping Spaces to wake up and
+ * enforces a timeout on every attempt and, optionally, a deadline on the whole
+ * call. All failures come out as the typed errors in ./errors.
+ */
+
+const logger = require("./logger");
+const {
+  MLFunctionError,
+  SpaceUnavailableError,
+  UpstreamTimeoutError,
+  CallCancelledError,
+  classifyUpstreamError
+} = require("./errors");
+
+const SPACE_CALL_DEFAULTS = {
+  retries: 2,             // extra attempts after a retryable failure
+  baseDelayMs: 1000,      // first backoff delay, doubled on every retry
+  maxDelayMs: 15000,
+  timeoutMs: 120000,      // per attempt
+  wakeTimeoutMs: 300000,  // total time to wait for a sleeping Space
+  wakePollMs: 10000,      // delay between attempts while the Space wakes up
+  retryTimeouts: true,    // false for long jobs: a timed-out job keeps running on the Space
+  deadline: null          // epoch ms the whole call must end by, e.g. before the function times out
+};
+
+// Hub runtime stages that mean "wait" vs. "give up"
+const WAKING_STAGES = ["SLEEPING", "STOPPED", "BUILDING", "APP_STARTING", "RUNNING_BUILDING", "RUNNING_APP_STARTING"];
+const DEAD_STAGES = ["PAUSED", "BUILD_ERROR", "RUNTIME_ERROR", "CONFIG_ERROR", "NO_APP_FILE", "DELETING"];
+
+// Import Gradio client dynamically since it's an ES module
+let Client;
+const initGradioClient = async () => {
+  if (!Client) {
+    const gradioModule = await import("@gradio/client");
+    Client = gradioModule.Client;
+  }
+  return Client;
+};
+
+/**
+ * Replace the Gradio client class, e.g. with a fake in tests
+ * Pass null to go back to @gradio/client.
+ */
+const setGradioClient = (GradioClient) => {
+  Client = GradioClient;
+};
+
+const isSpaceId = (source) => /^[\w.-]+\/[\w.-]+$/.test(source);
+
+/**
+ * Look up a Space's runtime stage on the Hub
+ * Returns null for URL sources or when the Hub cannot be reached.
+ */
+const getSpaceStage = async (source) => {
+  if (!isSpaceId(source)) {
+    return null;
+  }
+
+  try {
+    const response = await fetch(`https://huggingface.co/api/spaces/${source}/runtime`);
+    if (!response.ok) {
+      return null;
+    }
+    const runtime = await response.json();
+    return runtime.stage || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new CallCancelledError("Call was cancelled"));
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new CallCancelledError("Call was cancelled"));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener("abort", onAbort);
+    resolve();
+  }, ms);
+
+  signal?.addEventListener("abort", onAbort, { once: true });
+});
+
+/**
+ * Exponential backoff with jitter for the nth retry (1-based)
+ */
+const backoffDelay = (retry, { baseDelayMs, maxDelayMs }) => {
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (retry - 1));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+};
+
+/**
+ * Run one attempt with a timeout
+ * The attempt gets its own AbortSignal, which fires on timeout or when the
+ * caller's `signal` aborts.
+ */
+const runAttempt = (operation, { timeoutMs, signal, label }) => {
+  const controller = new AbortController();
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      controller.abort();
+      reject(new CallCancelledError(`${label} call was cancelled`));
+    };
+    const timer = setTimeout(() => {
+      controller.abort();
+      reject(new UpstreamTimeoutError(`${label} did not respond within ${timeoutMs / 1000}s`));
+    }, timeoutMs);
+
+    if (signal?.aborted) {
+      onAbort();
+    }
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    Promise.resolve()
+      .then(() => operation(controller.signal))
+      .then(resolve, reject)
+      .finally(() => {
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", onAbort);
+      });
+  });
+};
+
+/**
+ * Decide whether an unavailable Space is worth waiting for
+ * Hub Spaces are asked for their runtime stage; URL sources (self-hosted apps,
+ * local fakes) are assumed to be starting up.
+ */
+const isSpaceWaking = async (source) => {
+  const stage = await getSpaceStage(source);
+  return { waking: !stage || WAKING_STAGES.includes(stage), stage };
+};
+
+/**
+ * Call a Space with retries, backoff, cold start handling and timeouts
+ * Attempts are cut short at the deadline, and no retry or wake wait starts
+ * that would end past it.
+ * @param {string} source - Space name or URL, used for logging and wake detection
+ * @param {function} operation - (signal, attempt) => Promise; called once per attempt
+ * @param {object} options - overrides for SPACE_CALL_DEFAULTS, plus `signal` and `label`
+ */
+const callSpace = async (source, operation, options = {}) => {
+  const { signal, label = source, ...overrides } = options;
+  const settings = { ...SPACE_CALL_DEFAULTS, ...overrides };
+  const startedAt = Date.now();
+  let attempt = 0;
+  let retries = 0;
+
+  while (true) {
+    attempt++;
+    const remainingMs = settings.deadline ? settings.deadline - Date.now() : Infinity;
+    if (remainingMs <= 0) {
+      throw new UpstreamTimeoutError(`${label} ran out of time before it could be called`);
+    }
+
+    try {
+      const result = await runAttempt((attemptSignal) => operation(attemptSignal, attempt), {
+        timeoutMs: Math.min(settings.timeoutMs, remainingMs),
+        signal: signal,
+        label: label
+      });
+
+      logger.info("Space call succeeded", { source, label, attempts: attempt, elapsedMs: Date.now() - startedAt });
+      return result;
+    } catch (error) {
+      const typed = error instanceof MLFunctionError ? error : classifyUpstreamError(error, source);
+      const elapsedMs = Date.now() - startedAt;
+      let delayMs = null;
+
+      if (typed instanceof SpaceUnavailableError && elapsedMs + settings.wakePollMs < settings.wakeTimeoutMs) {
+        // Waiting for a cold start does not use up the retry budget
+        const { waking, stage } = await isSpaceWaking(source);
+        if (waking) {
+          logger.warn("Space is waking up, waiting before retrying", { source, label, stage, attempt, elapsedMs });
+          delayMs = settings.wakePollMs;
+        } else if (DEAD_STAGES.includes(stage)) {
+          logger.error("Space cannot serve requests", { source, label, stage });
+          throw new SpaceUnavailableError(`${source} is not running (${stage})`, { cause: error });
+        }
+      }
+
+      const retryable = typed.retryable && (settings.retryTimeouts || !(typed instanceof UpstreamTimeoutError));
+      if (delayMs === null && retryable && retries < settings.retries && !signal?.aborted) {
+        retries++;
+        delayMs = backoffDelay(retries, settings);
+        logger.warn("Space call failed, retrying", { source, label, type: typed.type, error: typed.message, attempt, delayMs });
+      }
+
+      if (delayMs !== null && settings.deadline && Date.now() + delayMs >= settings.deadline) {
+        logger.warn("Space call deadline reached, not retrying", { source, label, attempt, elapsedMs });
+        delayMs = null;
+      }
+
+      if (delayMs === null) {
+        logger.error("Space call failed", { source, label, type: typed.type, error: typed.message, attempts: attempt, elapsedMs });
+        throw typed;
+      }
+
+      await sleep(delayMs, signal);
+    }
+  }
+};
+
+/**
+ * Connect a Gradio client through callSpace
+ */
+const connectSpace = async (source, options = {}) => {
+  const GradioClient = await initGradioClient();
+  return callSpace(source, () => GradioClient.connect(source), { label: `${source} connect`, ...options });
+};
+
+/**
+ * Reduce a Gradio status event to the progress fields we relay to clients
+ * `progress` is 0-1 when the Space reports it (gr.Progress), otherwise null.
+ * Gradio reports "pending" until the job finishes, so `started` (a
+ * process_starts or progress event has been seen) decides the stage.
+ */
+const toProgress = (status, started) => {
+  const step = status.progress_data?.[0];
+  let progress = null;
+
+  if (step && typeof step.progress === 'number') {
+    progress = step.progress;
+  } else if (step && step.index !== null && step.length) {
+    progress = step.index / step.length;
+  }
+
+  return {
+    stage: started ? "processing" : "queued",
+    queuePosition: !started && typeof status.position === 'number' ? status.position : null,
+    queueSize: !started && typeof status.size === 'number' ? status.size : null,
+    etaSeconds: typeof status.eta === 'number' ? Math.round(status.eta) : null,
+    progress: progress,
+    description: step?.desc || null
+  };
+};
+
+/**
+ * Submit a job to a connected client and wait for its data
+ * Same result as client.predict(), but the job is cancelled on the Space when
+ * `signal` aborts, and queue / progress updates are passed to `onProgress`.
+ */
+const submitJob = async (client, endpoint, payload, { signal, onProgress } = {}) => {
+  // all_events: status events are only published when asked for
+  const job = client.submit(endpoint, payload, null, null, true);
+  const cancel = () => job.cancel().catch(() => {});
+  signal?.addEventListener("abort", cancel, { once: true });
+
+  try {
+    // The "complete" status and the data can arrive in either order
+    let result = null;
+    let complete = false;
+    let started = false;
+    for await (const message of job) {
+      if (message.type === "data") {
+        result = message;
+      } else if (message.type === "status" && message.stage === "error") {
+        throw new Error(message.message || "Space reported an error");
+      } else if (message.type === "status" && message.stage === "complete") {
+        complete = true;
+      } else if (message.type === "status" && onProgress) {
+        started = started || message.original_msg === "process_starts" || !!message.progress_data || message.stage === "generating";
+        onProgress(toProgress(message, started));
+      }
+
+      if (complete && result) {
+        break;
+      }
+    }
+    return result;
+  } finally {
+    signal?.removeEventListener("abort", cancel);
+  }
+};
+
+module.exports = {
+  SPACE_CALL_DEFAULTS,
+  initGradioClient,
+  setGradioClient,
+  callSpace,
+  connectSpace,
+  submitJob
+};
@@ -0,0 +1,74 @@
+/**
+ * Text helpers for long-form TTS
+ * Splits text into Chatterbox-sized chunks at sentence boundaries
+ */
+
+// Sentences end at terminal punctuation (plus closing quotes/brackets) followed by
+// whitespace, so decimals like "3.5" and abbreviations inside words stay intact
+const SENTENCE_BOUNDARY = /(?<=[.!?…]["'”’)\]]*)\s+/;
+
+/**
+ * Break a piece of text that is too long on its own, preferring clause
+ * boundaries (, ; :) and falling back to whitespace, then hard cuts
+ */
+const splitOversizedSentence = (sentence, maxLength) => {
+  const pieces = [];
+  let remaining = sentence;
+
+  while (remaining.length > maxLength) {
+    const window = remaining.slice(0, maxLength + 1);
+    let cut = Math.max(window.lastIndexOf(', '), window.lastIndexOf('; '), window.lastIndexOf(': '));
+    cut = cut > 0 ? cut + 1 : window.lastIndexOf(' ');
+    if (cut <= 0) {
+      cut = maxLength;
+    }
+
+    pieces.push(remaining.slice(0, cut).trim());
+    remaining = remaining.slice(cut).trim();
+  }
+
+  if (remaining) {
+    pieces.push(remaining);
+  }
+  return pieces;
+};
+
+/**
+ * Split text into chunks of at most `maxLength` characters
+ * Sentences are never split unless they are longer than `maxLength` on their own,
+ * and chunks never span paragraphs (blank lines), so callers can pause longer there.
+ * Returns [{ text, paragraphStart }]
+ */
+const splitTextIntoChunks = (text, maxLength) => {
+  const chunks = [];
+  const paragraphs = text.split(/\n\s*\n/).map((p) => p.replace(/\s+/g, ' ').trim()).filter(Boolean);
+
+  for (const paragraph of paragraphs) {
+    const sentences = paragraph.split(SENTENCE_BOUNDARY)
+      .filter(Boolean)
+      .flatMap((s) => (s.length > maxLength ? splitOversizedSentence(s, maxLength) : [s]));
+
+    let current = '';
+    let paragraphStart = true;
+
+    for (const sentence of sentences) {
+      if (current && current.length + 1 + sentence.length > maxLength) {
+        chunks.push({ text: current, paragraphStart });
+        paragraphStart = false;
+        current = sentence;
+      } else {
+        current = current ? `${current} ${sentence}` : sentence;
+      }
+    }
+
+    if (current) {
+      chunks.push({ text: current, paragraphStart });
+    }
+  }
+
+  return chunks;
+};
+
+module.exports = {
+  splitTextIntoChunks
+};
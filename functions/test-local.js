@@ -7,6 +7,8 @@
 
 const fs = require('fs');
 const path = require('path');
+// Honours ML_PROVIDER_OVERRIDES, so this can run against mock-gradio-server.js
+const { getProvider } = require('./src/providers');
 
 // Mock Firebase Functions environment
 process.env.FUNCTIONS_EMULATOR = 'true';
@@ -42,7 +44,7 @@ async function testPupilAnalysisCore(data) {
 
     // Connect to PupilSense
     console.log('🔗 Connecting to PupilSense client...');
-    const client = await GradioClient.Client.connect("txarst/pupillometry");
+    const client = await GradioClient.Client.connect(getProvider("pupillometry").source);
     console.log('✅ Connected to PupilSense successfully!');
 
     // NEW APPROACH: Send base64 data directly to the updated API
@@ -6,6 +6,8 @@
  */
 
 const fs = require('fs');
+// Honours ML_PROVIDER_OVERRIDES, so this can run against mock-gradio-server.js
+const { getProvider } = require('./src/providers');
 
 async function testPupillometryAPI() {
   console.log('🎬 Testing txarst/pupillometry API Directly');
@@ -24,7 +26,7 @@ async function testPupillometryAPI() {
     
     // Try different spaces
     const spacesToTry = [
-      "txarst/pupillometry",
+      getProvider("pupillometry").source,
       "vijulshah/pupilsense",
       "pupilsense/pupillometry"
     ];
@@ -0,0 +1,139 @@
+const {inspectAudioClip, stitchWavSegments} = require("../src/audio");
+
+// 8kHz mono 16-bit PCM: 16000 bytes per second
+const FORMAT = { sampleRate: 8000, channels: 1, bitsPerSample: 16 };
+
+const buildWav = (samples, { sampleRate, channels, bitsPerSample } = FORMAT, { extraChunk = false } = {}) => {
+  const blockAlign = channels * bitsPerSample / 8;
+  const data = Buffer.alloc(samples * blockAlign, 0x11);
+  const fmt = Buffer.alloc(24);
+  fmt.write("fmt ", 0, "ascii");
+  fmt.writeUInt32LE(16, 4);
+  fmt.writeUInt16LE(1, 8);
+  fmt.writeUInt16LE(channels, 10);
+  fmt.writeUInt32LE(sampleRate, 12);
+  fmt.writeUInt32LE(sampleRate * blockAlign, 16);
+  fmt.writeUInt16LE(blockAlign, 20);
+  fmt.writeUInt16LE(bitsPerSample, 22);
+  // An odd-sized LIST chunk, padded to a word boundary as RIFF requires
+  const list = extraChunk ? Buffer.from("LIST\x03\x00\x00\x00abc\x00", "latin1") : Buffer.alloc(0);
+  const dataHeader = Buffer.alloc(8);
+  dataHeader.write("data", 0, "ascii");
+  dataHeader.writeUInt32LE(data.length, 4);
+  const riff = Buffer.alloc(12);
+  riff.write("RIFF", 0, "ascii");
+  riff.writeUInt32LE(4 + fmt.length + list.length + dataHeader.length + data.length, 4);
+  riff.write("WAVE", 8, "ascii");
+  return Buffer.concat([riff, fmt, list, dataHeader, data]);
+};
+
+describe("inspectAudioClip", () => {
+  test("reads the format and duration of a WAV", () => {
+    expect(inspectAudioClip(buildWav(4000))).toEqual({
+      format: "wav",
+      mimeType: "audio/wav",
+      channels: 1,
+      sampleRate: 8000,
+      bitsPerSample: 16,
+      audioFormat: 1,
+      dataOffset: 44,
+      dataSize: 8000,
+      durationSeconds: 0.5
+    });
+  });
+
+  test("skips other chunks before the data", () => {
+    expect(inspectAudioClip(buildWav(8000, FORMAT, { extraChunk: true }))).toMatchObject({ dataOffset: 56, durationSeconds: 1 });
+  });
+
+  test("reads the STREAMINFO block of a FLAC", () => {
+    const flac = Buffer.alloc(42);
+    flac.write("fLaC", 0, "ascii");
+    const info = flac.subarray(8);
+    // 44.1kHz, stereo, 16 bits, 88200 samples
+    info[10] = 44100 >> 12;
+    info[11] = (44100 >> 4) & 0xff;
+    info[12] = ((44100 & 0x0f) << 4) | (1 << 1);
+    info[13] = 15 << 4;
+    info.writeUInt32BE(88200, 14);
+
+    expect(inspectAudioClip(flac)).toEqual({
+      format: "flac",
+      mimeType: "audio/flac",
+      channels: 2,
+      sampleRate: 44100,
+      bitsPerSample: 16,
+      durationSeconds: 2
+    });
+  });
+
+  test.each([
+    ["empty buffers", Buffer.alloc(0), "Audio clip is empty or too short to be a valid file"],
+    ["other formats", Buffer.from("ID3\x04 not a wav file", "latin1"), "Unsupported audio format: expected wav or flac"],
+    ["WAVs without a data chunk", buildWav(10).subarray(0, 36), "Invalid WAV file: missing fmt or data chunk"],
+    ["truncated FLACs", Buffer.from("fLaC\x00\x00\x00\x22too short", "latin1"), "Invalid FLAC file: truncated STREAMINFO block"]
+  ])("rejects %s", (label, buffer, message) => {
+    expect(() => inspectAudioClip(buffer)).toThrow(message);
+  });
+});
+
+describe("stitchWavSegments", () => {
+  test("joins segments with the requested pauses and reports their timings", () => {
+    const stitched = stitchWavSegments([buildWav(8000), buildWav(4000), buildWav(4000)], [999, 250, 1000]);
+    const info = inspectAudioClip(stitched.buffer);
+
+    // 1s + 0.25s + 0.5s + 1s + 0.5s
+    expect(stitched.durationSeconds).toBeCloseTo(3.25);
+    expect(info).toMatchObject({ format: "wav", sampleRate: 8000, channels: 1, bitsPerSample: 16, dataOffset: 44 });
+    expect(info.durationSeconds).toBeCloseTo(3.25);
+    expect(stitched.timings).toEqual([
+      { startSeconds: 0, endSeconds: 1, durationSeconds: 1 },
+      { startSeconds: 1.25, endSeconds: 1.75, durationSeconds: 0.5 },
+      { startSeconds: 2.75, endSeconds: 3.25, durationSeconds: 0.5 }
+    ]);
+  });
+
+  test("writes a canonical header and silent pauses", () => {
+    const stitched = stitchWavSegments([buildWav(2, FORMAT, { extraChunk: true }), buildWav(2)], [0, 1]);
+
+    expect(stitched.buffer.toString("ascii", 0, 4)).toBe("RIFF");
+    expect(stitched.buffer.readUInt32LE(4)).toBe(stitched.buffer.length - 8);
+    expect(stitched.buffer.readUInt32LE(40)).toBe(stitched.buffer.length - 44);
+    // 4 bytes of audio, 8 samples (1ms) of silence, 4 bytes of audio
+    expect([...stitched.buffer.subarray(44)]).toEqual([
+      ...Array(4).fill(0x11), ...Array(16).fill(0x00), ...Array(4).fill(0x11)
+    ]);
+  });
+
+  test("pads 8-bit audio with its unsigned midpoint", () => {
+    const eightBit = { sampleRate: 8000, channels: 1, bitsPerSample: 8 };
+    const stitched = stitchWavSegments([buildWav(1, eightBit), buildWav(1, eightBit)], [0, 1]);
+
+    expect([...stitched.buffer.subarray(44)]).toEqual([0x11, ...Array(8).fill(0x80), 0x11]);
+  });
+
+  test("drops partial frames so later segments stay aligned", () => {
+    const partial = buildWav(3);
+    partial.writeUInt32LE(5, 40);
+
+    const stitched = stitchWavSegments([partial.subarray(0, 49), buildWav(1)]);
+
+    expect(stitched.timings.map((timing) => timing.durationSeconds * 8000)).toEqual([2, 1]);
+  });
+
+  test.each([
+    ["sample rates", { ...FORMAT, sampleRate: 16000 }],
+    ["channel counts", { ...FORMAT, channels: 2 }],
+    ["sample sizes", { ...FORMAT, bitsPerSample: 8 }]
+  ])("rejects segments with different %s", (label, format) => {
+    expect(() => stitchWavSegments([buildWav(10), buildWav(10, format)])).toThrow("Cannot stitch audio segments with different formats");
+  });
+
+  test("rejects FLAC segments and empty input", () => {
+    const flac = Buffer.alloc(42);
+    flac.write("fLaC", 0, "ascii");
+
+    expect(() => stitchWavSegments([buildWav(10), flac])).toThrow("Cannot stitch audio segments with different formats");
+    expect(() => stitchWavSegments([])).toThrow("No audio segments to stitch");
+  });
+});
@@ -0,0 +1,156 @@
+jest.mock("firebase-admin/auth", () => require("./helpers/firebaseAdmin").authModule);
+jest.mock("firebase-admin/app-check", () => require("./helpers/firebaseAdmin").appCheckModule);
+
+const crypto = require("crypto");
+const {HttpsError} = require("firebase-functions/v2/https");
+const baseLogger = require("firebase-functions/logger");
+const logger = require("../src/logger");
+const {isAppCheckEnforced, authenticateHttpRequest, authenticatedCall, authenticatedRequest} = require("../src/auth");
+const {idTokenFor, APP_CHECK_TOKEN} = require("./helpers/firebaseAdmin");
+const {createRequest, createResponse} = require("./helpers/http");
+
+const API_KEY = "test-api-key";
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+beforeEach(() => {
+  process.env.ML_API_KEYS = JSON.stringify({ "lab-server": sha256(API_KEY) });
+  jest.clearAllMocks();
+});
+
+afterEach(() => {
+  delete process.env.ML_API_KEYS;
+  delete process.env.ML_AUTH_DEBUG;
+  delete process.env.ML_ENFORCE_APP_CHECK;
+});
+
+describe("isAppCheckEnforced", () => {
+  test.each([
+    [{}, true],
+    [{ ML_ENFORCE_APP_CHECK: "true" }, true],
+    [{ ML_ENFORCE_APP_CHECK: "false" }, false],
+    [{ ML_AUTH_DEBUG: "true" }, false]
+  ])("with %j is %p", (env, expected) => {
+    Object.assign(process.env, env);
+    expect(isAppCheckEnforced()).toBe(expected);
+  });
+});
+
+describe("authenticateHttpRequest", () => {
+  const authenticate = (headers) => authenticateHttpRequest(createRequest({ headers }));
+
+  test("accepts an ID token with an App Check token", async () => {
+    await expect(authenticate({
+      Authorization: `Bearer ${idTokenFor("user-1")}`,
+      "X-Firebase-AppCheck": APP_CHECK_TOKEN
+    })).resolves.toEqual({ uid: "user-1", method: "id-token", appId: "test-app" });
+  });
+
+  test.each([
+    [{ Authorization: "Bearer garbage" }, "Invalid or expired ID token"],
+    [{ Authorization: `Bearer ${idTokenFor("user-1")}` }, "Missing App Check token (X-Firebase-AppCheck)"],
+    [{ Authorization: `Bearer ${idTokenFor("user-1")}`, "X-Firebase-AppCheck": "forged" }, "Invalid App Check token"],
+    [{ "X-API-Key": "wrong-key" }, "Invalid API key"],
+    [{}, /^Missing credentials/]
+  ])("rejects %j", async (headers, message) => {
+    const error = await authenticate(headers).catch((e) => e);
+
+    expect(error).toMatchObject({ type: "unauthenticated", httpStatus: 401 });
+    expect(error.message).toMatch(message);
+  });
+
+  test("skips App Check in debug mode", async () => {
+    process.env.ML_AUTH_DEBUG = "true";
+
+    await expect(authenticate({ Authorization: `Bearer ${idTokenFor("user-1")}` }))
+      .resolves.toEqual({ uid: "user-1", method: "id-token", appId: null });
+  });
+
+  test("skips App Check when enforcement is turned off", async () => {
+    process.env.ML_ENFORCE_APP_CHECK = "false";
+
+    await expect(authenticate({ Authorization: `Bearer ${idTokenFor("user-1")}` }))
+      .resolves.toEqual({ uid: "user-1", method: "id-token", appId: null });
+    await expect(authenticate({})).rejects.toThrow(/^Missing credentials/);
+  });
+
+  test("identifies API key clients by name", async () => {
+    await expect(authenticate({ "X-API-Key": API_KEY })).resolves.toEqual({ uid: "api-key:lab-server", method: "api-key" });
+  });
+
+  test("ignores malformed key hashes", async () => {
+    process.env.ML_API_KEYS = JSON.stringify({ broken: "not-hex", "lab-server": sha256(API_KEY) });
+
+    await expect(authenticate({ "X-API-Key": API_KEY })).resolves.toMatchObject({ uid: "api-key:lab-server" });
+    await expect(authenticate({ "X-API-Key": "not-hex" })).rejects.toThrow("Invalid API key");
+  });
+});
+
+describe("authenticatedCall", () => {
+  test("rejects calls without a signed-in user", async () => {
+    const handler = jest.fn();
+    const error = await authenticatedCall(handler)({ data: {} }).catch((e) => e);
+
+    expect(error).toBeInstanceOf(HttpsError);
+    expect(error.code).toBe("unauthenticated");
+    expect(error.details.type).toBe("unauthenticated");
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test("adds the uid to every log line written by the handler", async () => {
+    const handler = async () => {
+      logger.info("Handling call", { step: 1 });
+      await new Promise((resolve) => setTimeout(resolve, 1));
+      logger.warn("Still handling");
+      return "done";
+    };
+
+    await expect(authenticatedCall(handler)({ data: {}, auth: { uid: "user-1" } })).resolves.toBe("done");
+
+    expect(baseLogger.info).toHaveBeenCalledWith("Handling call", { uid: "user-1", step: 1 });
+    expect(baseLogger.warn).toHaveBeenCalledWith("Still handling", { uid: "user-1" });
+  });
+
+  test("does not leak the uid outside the call", async () => {
+    await authenticatedCall(async () => {})({ data: {}, auth: { uid: "user-1" } });
+    logger.info("Unrelated");
+
+    expect(baseLogger.info).toHaveBeenLastCalledWith("Unrelated");
+  });
+});
+
+describe("authenticatedRequest", () => {
+  const run = async (request, handler = jest.fn()) => {
+    const res = createResponse();
+    await authenticatedRequest(handler)(createRequest(request), res);
+    return { res, handler };
+  };
+
+  test("allows the auth headers in CORS preflight responses", async () => {
+    const { res, handler } = await run({ method: "OPTIONS" });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers["Access-Control-Allow-Headers"]).toBe("Content-Type, Authorization, X-API-Key, X-Firebase-AppCheck");
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test("responds 401 without credentials", async () => {
+    const { res, handler } = await run({ body: {} });
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body).toMatchObject({ success: false, type: "unauthenticated", retryable: false });
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test("passes the caller to the handler and logs its uid", async () => {
+    const handler = jest.fn(async (req, res) => {
+      logger.info("Handling request");
+      res.json({ ok: true });
+    });
+
+    const { res } = await run({ headers: { "X-API-Key": API_KEY } }, handler);
+
+    expect(res.body).toEqual({ ok: true });
+    expect(handler).toHaveBeenCalledWith(expect.anything(), res, { uid: "api-key:lab-server", method: "api-key" });
+    expect(baseLogger.info).toHaveBeenCalledWith("Handling request", { uid: "api-key:lab-server" });
+  });
+});
@@ -0,0 +1,124 @@
+const {HttpsError} = require("firebase-functions/v2/https");
+const {
+  ValidationError,
+  UnauthenticatedError,
+  NotFoundError,
+  SpaceUnavailableError,
+  SpaceQueueFullError,
+  QuotaExceededError,
+  UpstreamTimeoutError,
+  UpstreamFormatError,
+  InternalError,
+  classifyUpstreamError,
+  toHttpsError,
+  toErrorBody,
+  sendHttpError
+} = require("../src/errors");
+const {createResponse} = require("./helpers/http");
+
+describe("classifyUpstreamError", () => {
+  test.each([
+    ["This application is currently busy. Please try again. ", SpaceQueueFullError],
+    ["Queue is full", SpaceQueueFullError],
+    ["Request timed out", UpstreamTimeoutError],
+    ["Could not resolve app config. ", SpaceUnavailableError],
+    ["Space metadata could not be loaded. ", SpaceUnavailableError],
+    ["fetch failed", SpaceUnavailableError],
+    ["HTTP 503: Service Unavailable", SpaceUnavailableError],
+    ["list index out of range", InternalError]
+  ])("classifies %j", (message, ErrorClass) => {
+    expect(classifyUpstreamError(new Error(message), "owner/space")).toBeInstanceOf(ErrorClass);
+  });
+
+  test("reads the message of Gradio status objects", () => {
+    const status = { type: "status", stage: "error", message: "Queue is full" };
+    expect(classifyUpstreamError(status, "owner/space")).toBeInstanceOf(SpaceQueueFullError);
+  });
+
+  test("passes typed errors through unchanged", () => {
+    const error = new ValidationError("bad input");
+    expect(classifyUpstreamError(error, "owner/space")).toBe(error);
+  });
+
+  test("keeps the original error as the cause", () => {
+    const original = new Error("fetch failed");
+    expect(classifyUpstreamError(original, "owner/space").cause).toBe(original);
+  });
+});
+
+describe("toHttpsError", () => {
+  test.each([
+    [new ValidationError("Missing required field: video_input"), "invalid-argument", "validation"],
+    [new UnauthenticatedError("Sign in to use this function"), "unauthenticated", "unauthenticated"],
+    [new NotFoundError("Job not found: abc"), "not-found", "not-found"],
+    [new SpaceUnavailableError("asleep"), "unavailable", "space-unavailable"],
+    [new SpaceQueueFullError("busy"), "resource-exhausted", "queue-full"],
+    [new QuotaExceededError("over quota"), "resource-exhausted", "quota-exceeded"],
+    [new UpstreamTimeoutError("slow"), "deadline-exceeded", "timeout"],
+    [new UpstreamFormatError("weird output"), "internal", "upstream-format"]
+  ])("maps %s", (error, code, type) => {
+    const httpsError = toHttpsError(error);
+
+    expect(httpsError).toBeInstanceOf(HttpsError);
+    expect(httpsError.code).toBe(code);
+    expect(httpsError.message).toBe(error.message);
+    expect(httpsError.details).toEqual({ type, retryable: error.retryable });
+  });
+
+  test("hides the message of unexpected errors", () => {
+    const httpsError = toHttpsError(new TypeError("Cannot read properties of undefined"));
+
+    expect(httpsError.code).toBe("internal");
+    expect(httpsError.message).toBe("An internal error occurred");
+    expect(httpsError.details.type).toBe("internal");
+  });
+
+  test("returns existing HttpsErrors as-is", () => {
+    const httpsError = new HttpsError("permission-denied", "nope");
+    expect(toHttpsError(httpsError)).toBe(httpsError);
+  });
+
+  test("merges error details", () => {
+    const error = new ValidationError("Too long", { details: { field: "text_input" } });
+    expect(toHttpsError(error).details).toEqual({ type: "validation", retryable: false, field: "text_input" });
+  });
+});
+
+describe("toErrorBody", () => {
+  test("never includes a stack trace", () => {
+    const body = toErrorBody(new SpaceQueueFullError("busy"));
+
+    expect(body).toEqual({ error: "busy", type: "queue-full", retryable: true });
+    expect(JSON.stringify(body)).not.toMatch(/at .*\.js/);
+  });
+});
+
+describe("sendHttpError", () => {
+  test.each([
+    [new ValidationError("bad"), 400],
+    [new UnauthenticatedError("no token"), 401],
+    [new NotFoundError("missing"), 404],
+    [new SpaceQueueFullError("busy"), 429],
+    [new UpstreamFormatError("weird"), 502],
+    [new SpaceUnavailableError("asleep"), 503],
+    [new UpstreamTimeoutError("slow"), 504],
+    [new Error("boom"), 500]
+  ])("responds to %s with %i", (error, status) => {
+    const res = createResponse();
+    sendHttpError(res, error);
+
+    expect(res.statusCode).toBe(status);
+    expect(res.body.success).toBe(false);
+    expect(res.body.type).toBe(error.type || "internal");
+    expect(res.headers["Retry-After"]).toBeUndefined();
+  });
+
+  test("sets Retry-After when the error knows when to retry", () => {
+    const res = createResponse();
+    sendHttpError(res, new QuotaExceededError("over quota", { details: { quota: "requestsPerMinute", limit: 5, retryAfterSeconds: 42 } }));
+
+    expect(res.statusCode).toBe(429);
+    expect(res.headers["Retry-After"]).toBe("42");
+    expect(res.body).toMatchObject({ type: "quota-exceeded", retryable: true, limit: 5, retryAfterSeconds: 42 });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * In-memory stand-in for @gradio/client
+ * Install with setGradioClient(FakeGradioClient); queue responses per endpoint
+ * with respondWith / failWith and inspect the calls made. Output files the
+ * Space would host are served with serveFile through a fetch spy on fetchFile.
+ */
+
+const calls = [];
+const responses = new Map();
+const files = new Map();
+let connectFailures = [];
+
+const reset = () => {
+  calls.length = 0;
+  responses.clear();
+  files.clear();
+  connectFailures = [];
+};
+
+/**
+ * Serve `buffer` at `url`, as the Space does for its file outputs
+ */
+const serveFile = (url, buffer, contentType) => {
+  files.set(url, { buffer, contentType });
+};
+
+/**
+ * fetch() replacement answering with served files, or 404
+ */
+const fetchFile = async (url) => {
+  const file = files.get(String(url));
+  if (!file) {
+    return new Response("Not Found", { status: 404, statusText: "Not Found" });
+  }
+  return new Response(file.buffer, { headers: { "content-type": file.contentType } });
+};
+
+/**
+ * Answer the next calls to `endpoint` with `data` (the Space's result.data)
+ * `events` are Gradio status events sent before the data.
+ */
+const respondWith = (endpoint, data, { events = [] } = {}) => {
+  responses.set(endpoint, { data, events });
+};
+
+/**
+ * Fail calls to `endpoint` with a Gradio error status carrying `message`
+ */
+const failWith = (endpoint, message) => {
+  responses.set(endpoint, { error: message });
+};
+
+/**
+ * Make the next connect() calls throw, one message per call
+ */
+const failConnect = (...messages) => {
+  connectFailures = messages;
+};
+
+const createJob = (endpoint, payload) => {
+  const response = responses.get(endpoint);
+  const messages = [];
+  let cancelled = false;
+
+  if (!response) {
+    messages.push({ type: "status", stage: "error", message: `No fake response for ${endpoint}` });
+  } else if (response.error) {
+    messages.push({ type: "status", stage: "error", message: response.error });
+  } else {
+    messages.push(...response.events.map((event) => ({ type: "status", ...event })));
+    messages.push({ type: "data", data: response.data });
+    messages.push({ type: "status", stage: "complete" });
+  }
+
+  calls.push({ endpoint, payload });
+
+  return {
+    async *[Symbol.asyncIterator]() {
+      for (const message of messages) {
+        if (cancelled) {
+          return;
+        }
+        yield message;
+      }
+    },
+    cancel: async () => {
+      cancelled = true;
+    },
+    event_id: () => "fake-event"
+  };
+};
+
+class FakeGradioClient {
+  constructor(source) {
+    this.source = source;
+    this.endpoints = {};
+  }
+
+  static async connect(source) {
+    if (connectFailures.length) {
+      throw new Error(connectFailures.shift());
+    }
+    return new FakeGradioClient(source);
+  }
+
+  submit(endpoint, payload) {
+    return createJob(endpoint, payload);
+  }
+
+  async predict(endpoint, payload) {
+    for await (const message of createJob(endpoint, payload)) {
+      if (message.type === "status" && message.stage === "error") {
+        throw message;
+      }
+      if (message.type === "data") {
+        return message;
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = {
+  FakeGradioClient,
+  calls,
+  reset,
+  respondWith,
+  failWith,
+  failConnect,
+  serveFile,
+  fetchFile
+};
@@ -0,0 +1,316 @@
+/**
+ * In-memory fakes for the firebase-admin modules used by index.js and src/
+ * Use from jest.mock factories:
+ *   jest.mock("firebase-admin/storage", () => require("./helpers/firebaseAdmin").storageModule);
+ */
+
+const DEFAULT_BUCKET = "test-project.appspot.com";
+
+// "bucket/path" -> { buffer, contentType }
+const objects = new Map();
+
+const addStorageObject = (path, buffer, { bucket = DEFAULT_BUCKET, contentType = "video/mp4" } = {}) => {
+  objects.set(`${bucket}/${path}`, { buffer, contentType });
+};
+
+const getStorageObject = (path, { bucket = DEFAULT_BUCKET } = {}) => objects.get(`${bucket}/${path}`);
+
+// Paths of the objects under `prefix` in the default bucket
+const listStorageObjects = (prefix) => [...objects.keys()]
+  .filter((key) => key.startsWith(`${DEFAULT_BUCKET}/${prefix}`))
+  .map((key) => key.slice(DEFAULT_BUCKET.length + 1));
+
+const resetStorage = () => objects.clear();
+
+const createFile = (bucketName, path) => {
+  const key = `${bucketName}/${path}`;
+
+  return {
+    name: path,
+    bucket: { name: bucketName },
+    exists: async () => [objects.has(key)],
+    getMetadata: async () => [{ contentType: objects.get(key)?.contentType, size: String(objects.get(key)?.buffer.length ?? 0) }],
+    download: async () => {
+      if (!objects.has(key)) {
+        throw new Error(`No such object: ${key}`);
+      }
+      return [objects.get(key).buffer];
+    },
+    save: async (buffer, { contentType } = {}) => {
+      objects.set(key, { buffer, contentType });
+    },
+    delete: async () => {
+      objects.delete(key);
+    },
+    getSignedUrl: async ({ expires }) => [`https://storage.test/${key}?expires=${expires}`]
+  };
+};
+
+const storageModule = {
+  getStorage: () => ({
+    bucket: (name = DEFAULT_BUCKET) => ({
+      name: name,
+      file: (path) => createFile(name, path)
+    })
+  })
+};
+
+// "collection/id" -> document data
+const documents = new Map();
+let autoId = 0;
+
+// Stands in for Firestore's Timestamp; serverTimestamp() resolves to one on write
+class Timestamp {
+  constructor(millis) {
+    this.millis = millis;
+  }
+
+  toDate() {
+    return new Date(this.millis);
+  }
+
+  toMillis() {
+    return this.millis;
+  }
+}
+
+const SERVER_TIMESTAMP = Symbol("serverTimestamp");
+
+// FieldValue.increment(n); applied against the stored value on update
+class Increment {
+  constructor(value) {
+    this.value = value;
+  }
+}
+
+// Server timestamps keep increasing, so documents written in one test still sort by write order
+let lastServerTime = 0;
+const nextServerTime = () => {
+  lastServerTime = Math.max(lastServerTime + 1, Date.now());
+  return new Timestamp(lastServerTime);
+};
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && value.constructor === Object;
+
+// Deep copy of plain objects and arrays; Timestamps and other values are kept as they are
+const clone = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, clone(entry)]));
+  }
+  return value;
+};
+
+// Copy data for storage, resolving server timestamps; Dates are read back as Timestamps
+const toStored = (value) => {
+  if (value === SERVER_TIMESTAMP) {
+    return nextServerTime();
+  }
+  if (value instanceof Date) {
+    return new Timestamp(value.getTime());
+  }
+  if (value instanceof Increment) {
+    return value.value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(toStored);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, toStored(entry)]));
+  }
+  return value;
+};
+
+// set(..., { merge: true }) merges nested maps like Firestore does
+const mergeDeep = (target, source) => {
+  const merged = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key]) ? mergeDeep(merged[key], value) : value;
+  }
+  return merged;
+};
+
+// Transactions writing to this collection fail at commit, without applying any write
+let failingCollection = null;
+
+const failTransactionsWriting = (collection) => {
+  failingCollection = collection;
+};
+
+const resetFirestore = () => {
+  documents.clear();
+  autoId = 0;
+  failingCollection = null;
+};
+
+const getDocument = (path) => documents.get(path);
+
+const listDocuments = (collection) => [...documents.keys()].filter((path) => path.startsWith(`${collection}/`));
+
+const setDocument = (path, data) => documents.set(path, toStored(data));
+
+const createDoc = (collection, id = `auto-id-${++autoId}`) => {
+  const path = `${collection}/${id}`;
+
+  const ref = {
+    id: id,
+    path: path,
+    get: async () => {
+      const data = documents.get(path);
+      return { id: id, ref: ref, exists: data !== undefined, data: () => data && clone(data) };
+    },
+    set: async (data, { merge = false } = {}) => {
+      const next = merge ? mergeDeep(documents.get(path) || {}, data) : data;
+      documents.set(path, toStored(next));
+    },
+    update: async (data) => {
+      if (!documents.has(path)) {
+        throw new Error(`No document to update: ${path}`);
+      }
+      const current = documents.get(path);
+      const next = Object.fromEntries(Object.entries(data).map(([key, value]) =>
+        [key, value instanceof Increment ? (current[key] || 0) + value.value : value]));
+      documents.set(path, toStored({ ...current, ...next }));
+    },
+    delete: async () => {
+      documents.delete(path);
+    }
+  };
+  return ref;
+};
+
+// Timestamps and Dates compare by time
+const comparable = (value) => value instanceof Timestamp ? value.toMillis() : value instanceof Date ? value.getTime() : value;
+
+const COMPARATORS = {
+  "==": (a, b) => a === b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b
+};
+
+// Supports where / orderBy (one field) / startAfter(snapshot) / limit
+const createQuery = (collection, { filters = [], order = null, after = null, max = Infinity } = {}) => {
+  const options = { filters, order, after, max };
+
+  const compare = (a, b) => {
+    const [field, direction] = order;
+    const [x, y] = [comparable(a.data[field]), comparable(b.data[field])];
+    const result = x < y ? -1 : x > y ? 1 : a.id.localeCompare(b.id);
+    return direction === "desc" ? -result : result;
+  };
+
+  return {
+    where: (field, op, value) => createQuery(collection, { ...options, filters: [...filters, [field, op, value]] }),
+    orderBy: (field, direction = "asc") => createQuery(collection, { ...options, order: [field, direction] }),
+    startAfter: (snapshot) => createQuery(collection, { ...options, after: { id: snapshot.id, data: snapshot.data() } }),
+    limit: (count) => createQuery(collection, { ...options, max: count }),
+    get: async () => {
+      let matches = [...documents.entries()]
+        .map(([path, data]) => ({ id: path.split("/")[1], collection: path.split("/")[0], data }))
+        .filter((doc) => doc.collection === collection)
+        .filter(({ data }) => filters.every(([field, op, value]) => COMPARATORS[op](comparable(data[field]), comparable(value))));
+
+      if (order) {
+        matches.sort(compare);
+        if (after) {
+          matches = matches.filter((doc) => compare(doc, after) > 0);
+        }
+      }
+
+      const docs = await Promise.all(matches.slice(0, max).map(({ id }) => createDoc(collection, id).get()));
+      return { docs: docs, size: docs.length, empty: docs.length === 0 };
+    }
+  };
+};
+
+// Transactions run their callback once; tests never have concurrent writers.
+// Writes are applied together once the callback has resolved.
+const runTransaction = async (callback) => {
+  const writes = [];
+  const transaction = {
+    get: (ref) => ref.get(),
+    set: (ref, data, options) => writes.push({ ref, apply: () => ref.set(data, options) }),
+    update: (ref, data) => writes.push({ ref, apply: () => ref.update(data) }),
+    delete: (ref) => writes.push({ ref, apply: () => ref.delete() })
+  };
+
+  const result = await callback(transaction);
+  if (writes.some(({ ref }) => ref.path.startsWith(`${failingCollection}/`))) {
+    throw new Error("10 ABORTED: Transaction was aborted");
+  }
+  for (const { apply } of writes) {
+    await apply();
+  }
+  return result;
+};
+
+const firestoreModule = {
+  getFirestore: () => ({
+    settings: () => {},
+    collection: (name) => ({
+      doc: (id) => createDoc(name, id),
+      ...createQuery(name)
+    }),
+    runTransaction: runTransaction
+  }),
+  Timestamp: Timestamp,
+  FieldValue: {
+    serverTimestamp: () => SERVER_TIMESTAMP,
+    increment: (value) => new Increment(value)
+  }
+};
+
+const appModule = {
+  initializeApp: () => ({})
+};
+
+// ID tokens are "id-token:<uid>"; anything else fails verification
+const idTokenFor = (uid) => `id-token:${uid}`;
+
+const authModule = {
+  getAuth: () => ({
+    verifyIdToken: async (token) => {
+      if (!token.startsWith("id-token:")) {
+        throw new Error("Decoding Firebase ID token failed");
+      }
+      return { uid: token.slice("id-token:".length) };
+    }
+  })
+};
+
+const APP_CHECK_TOKEN = "valid-app-check-token";
+
+const appCheckModule = {
+  getAppCheck: () => ({
+    verifyToken: async (token) => {
+      if (token !== APP_CHECK_TOKEN) {
+        throw new Error("Invalid App Check token");
+      }
+      return { appId: "test-app" };
+    }
+  })
+};
+
+module.exports = {
+  DEFAULT_BUCKET,
+  addStorageObject,
+  getStorageObject,
+  listStorageObjects,
+  resetStorage,
+  storageModule,
+  resetFirestore,
+  failTransactionsWriting,
+  getDocument,
+  listDocuments,
+  setDocument,
+  firestoreModule,
+  appModule,
+  idTokenFor,
+  authModule,
+  APP_CHECK_TOKEN,
+  appCheckModule
+};
@@ -0,0 +1,51 @@
+/**
+ * Minimal Express-like request / response objects for onRequest handlers
+ */
+
+const createRequest = ({ method = "POST", body = {}, headers = {} } = {}) => {
+  const lowerCaseHeaders = Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value]));
+
+  return {
+    method: method,
+    body: body,
+    headers: lowerCaseHeaders,
+    get: (name) => lowerCaseHeaders[name.toLowerCase()]
+  };
+};
+
+const createResponse = () => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    ended: false,
+    set(name, value) {
+      res.headers[name] = value;
+      return res;
+    },
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      res.ended = true;
+      return res;
+    },
+    send(body) {
+      res.body = body;
+      res.ended = true;
+      return res;
+    },
+    end() {
+      res.ended = true;
+      return res;
+    }
+  };
+  return res;
+};
+
+module.exports = {
+  createRequest,
+  createResponse
+};
@@ -0,0 +1,1420 @@
+jest.mock("firebase-admin/app", () => require("./helpers/firebaseAdmin").appModule);
+jest.mock("firebase-admin/firestore", () => require("./helpers/firebaseAdmin").firestoreModule);
+jest.mock("firebase-admin/storage", () => require("./helpers/firebaseAdmin").storageModule);
+jest.mock("firebase-admin/auth", () => require("./helpers/firebaseAdmin").authModule);
+jest.mock("firebase-admin/app-check", () => require("./helpers/firebaseAdmin").appCheckModule);
+
+const crypto = require("crypto");
+const dns = require("dns/promises");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const functionsTest = require("firebase-functions-test")();
+const {HttpsError} = require("firebase-functions/v2/https");
+const {setGradioClient} = require("../src/spaceCall");
+const fakeGradio = require("./helpers/fakeGradio");
+const {
+  addStorageObject, getStorageObject, listStorageObjects, resetStorage,
+  resetFirestore, failTransactionsWriting, getDocument, listDocuments, setDocument,
+  idTokenFor, APP_CHECK_TOKEN
+} = require("./helpers/firebaseAdmin");
+const {createRequest, createResponse} = require("./helpers/http");
+
+const FAKE_SOURCE = "http://fake-space.test";
+const PUPIL_ENDPOINT = "/process_media_unified";
+const VIDEO_BYTES = Buffer.from("fake video bytes");
+const VIDEO_DATA_URL = `data:video/mp4;base64,${VIDEO_BYTES.toString("base64")}`;
+const PLOT = { url: `${FAKE_SOURCE}/file=plot.png`, path: "/tmp/plot.png" };
+const PLOT_BYTES = Buffer.from("fake png bytes");
+// Plots are copied into the analysis folder and served through signed URLs
+const REHOSTED_PLOT_URL = /^https:\/\/storage\.test\/test-project\.appspot\.com\/analyses\/test-user\/[^/]+\/plot\.png\?expires=\d+$/;
+const PNG_BYTES = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]);
+const PNG_DATA_URL = `data:image/png;base64,${PNG_BYTES.toString("base64")}`;
+const SERIES_CSV = "frame,timestamp,left_diameter,right_diameter,blink\n0,0,3.1,3.2,0\n1,0.033,3.3,3.4,0\n2,0.067,,,1";
+const TTS_ENDPOINT = "/generate_tts_audio";
+const TTS_AUDIO = { url: `${FAKE_SOURCE}/file=tts.wav` };
+const TTS_BYTES = Buffer.from("fake wav bytes");
+const DEFAULT_VOICE = fs.readFileSync(path.join(__dirname, "..", "assets", "default-voice.wav"));
+
+process.env.ML_PROVIDER_OVERRIDES = JSON.stringify({
+  chatterbox: { source: FAKE_SOURCE, callOptions: { retries: 0, wakeTimeoutMs: 0 } },
+  pupillometry: { source: FAKE_SOURCE, callOptions: { retries: 0, wakeTimeoutMs: 0 } }
+});
+process.env.MEDIA_URL_ALLOWED_HOSTS = "videos.example.com";
+const API_KEY = "test-api-key";
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+process.env.ML_API_KEYS = JSON.stringify({ tests: sha256(API_KEY) });
+
+const fns = require("../index");
+
+const callable = (fn, data, uid = "test-user") => functionsTest.wrap(fn)({ data, auth: { uid } });
+
+const runHttp = async (fn, { headers = { "X-API-Key": API_KEY }, ...request }) => {
+  const res = createResponse();
+  await fn(createRequest({ headers, ...request }), res);
+  return res;
+};
+
+const expectHttpsError = async (promise, code, type) => {
+  const error = await promise.then(() => null, (e) => e);
+  expect(error).toBeInstanceOf(HttpsError);
+  expect(error.code).toBe(code);
+  expect(error.details?.type).toBe(type);
+  return error;
+};
+
+// The data URL the fake Space received for the last analysis
+const lastMediaInput = () => fakeGradio.calls[fakeGradio.calls.length - 1].payload.media_input;
+
+// Run the job worker the way the onDocumentCreated trigger would
+const runJob = async (jobId) => {
+  const {getFirestore} = require("firebase-admin/firestore");
+  const snapshot = await getFirestore().collection("pupilJobs").doc(jobId).get();
+  await fns.processPupilJob.run({ params: { jobId }, data: snapshot });
+};
+
+beforeAll(() => {
+  setGradioClient(fakeGradio.FakeGradioClient);
+});
+
+afterAll(() => {
+  setGradioClient(null);
+  functionsTest.cleanup();
+});
+
+beforeEach(() => {
+  fakeGradio.reset();
+  resetStorage();
+  resetFirestore();
+  fakeGradio.respondWith(PUPIL_ENDPOINT, [PLOT, "Mean diameter: 3.3mm", SERIES_CSV]);
+  fakeGradio.serveFile(PLOT.url, PLOT_BYTES, "image/png");
+  fakeGradio.respondWith(TTS_ENDPOINT, [TTS_AUDIO]);
+  fakeGradio.serveFile(TTS_AUDIO.url, TTS_BYTES, "audio/wav");
+  jest.spyOn(global, "fetch").mockImplementation(fakeGradio.fetchFile);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("generatePupilAnalysis validation", () => {
+  test.each([
+    ["no data", undefined],
+    ["no video_input", {}],
+    ["an empty video_input", { video_input: "" }]
+  ])("rejects %s", async (label, data) => {
+    const error = await expectHttpsError(callable(fns.generatePupilAnalysis, data), "invalid-argument", "validation");
+    expect(error.message).toBe("Missing required field: video_input");
+    expect(fakeGradio.calls).toHaveLength(0);
+  });
+
+  test("rejects options of the wrong type", async () => {
+    const error = await expectHttpsError(
+      callable(fns.generatePupilAnalysis, { video_input: VIDEO_DATA_URL, blink_detection: "yes" }),
+      "invalid-argument",
+      "validation"
+    );
+    expect(error.message).toBe("Invalid blink_detection: expected boolean");
+  });
+});
+
+describe("processVideoInput", () => {
+  const analyze = (videoInput) => callable(fns.generatePupilAnalysis, { video_input: videoInput });
+
+  beforeEach(() => {
+    jest.spyOn(dns, "lookup").mockResolvedValue([{ address: "93.184.216.34", family: 4 }]);
+  });
+
+  test("passes data URLs through with their MIME type", async () => {
+    const dataUrl = `data:video/webm;base64,${VIDEO_BYTES.toString("base64")}`;
+    await analyze(dataUrl);
+    expect(lastMediaInput()).toBe(dataUrl);
+  });
+
+  test("fetches https URLs on allowed hosts", async () => {
+    const fetchSpy = jest.spyOn(global, "fetch").mockResolvedValue(new Response(new Blob([VIDEO_BYTES], { type: "video/mp4" })));
+
+    await analyze("https://videos.example.com/eye.mp4");
+
+    expect(fetchSpy).toHaveBeenCalledWith("https://videos.example.com/eye.mp4", { redirect: "manual" });
+    expect(lastMediaInput()).toBe(VIDEO_DATA_URL);
+  });
+
+  test.each([
+    ["http URLs", "http://videos.example.com/eye.mp4", "Media URLs must use https"],
+    ["other hosts", "https://evil.example.org/eye.mp4", "Media host is not allowed: evil.example.org"],
+    ["other schemes", "file:///etc/passwd", "Media URLs must use https"]
+  ])("does not fetch %s", async (label, url, message) => {
+    const fetchSpy = jest.spyOn(global, "fetch");
+
+    const error = await expectHttpsError(analyze(url), "invalid-argument", "validation");
+    expect(error.message).toBe(message);
+    expect(fetchSpy).not.toHaveBeenCalled();
+  });
+
+  test("reports failed URL downloads as validation errors", async () => {
+    jest.spyOn(global, "fetch").mockResolvedValue(new Response("missing", { status: 404, statusText: "Not Found" }));
+
+    const error = await expectHttpsError(analyze("https://videos.example.com/missing.mp4"), "invalid-argument", "validation");
+    expect(error.message).toBe("Failed to fetch media from URL: 404 Not Found");
+  });
+
+  test("never reads local file paths", async () => {
+    const filePath = path.join(os.tmpdir(), `pupil-test-${process.pid}.webm`);
+    fs.writeFileSync(filePath, VIDEO_BYTES);
+
+    try {
+      const error = await expectHttpsError(analyze(filePath), "invalid-argument", "validation");
+      expect(error.message).toBe("Storage references must point to your own uploads under pupilUploads/<uid>/");
+    } finally {
+      fs.unlinkSync(filePath);
+    }
+
+    expect(fakeGradio.calls).toHaveLength(0);
+  });
+
+  test("downloads gs:// URIs for the caller's own uploads", async () => {
+    addStorageObject("pupilUploads/test-user/eye.mov", VIDEO_BYTES, { contentType: "video/quicktime" });
+
+    await analyze("gs://test-project.appspot.com/pupilUploads/test-user/eye.mov");
+
+    expect(lastMediaInput()).toBe(`data:video/quicktime;base64,${VIDEO_BYTES.toString("base64")}`);
+  });
+
+  test("downloads the caller's own object paths from the default bucket", async () => {
+    addStorageObject("pupilUploads/test-user/eye.mp4", VIDEO_BYTES);
+
+    await analyze("/pupilUploads/test-user/eye.mp4");
+
+    expect(lastMediaInput()).toBe(VIDEO_DATA_URL);
+  });
+
+  test.each([
+    ["another bucket", "gs://other-bucket/pupilUploads/test-user/eye.mp4", { bucket: "other-bucket" }],
+    ["another user's upload", "pupilUploads/other-user/eye.mp4", {}],
+    ["another user's upload by gs:// URI", "gs://test-project.appspot.com/pupilUploads/other-user/eye.mp4", {}],
+    ["a prefix of the caller's folder", "pupilUploads/test-user-2/eye.mp4", {}],
+    ["server-side objects", "analyses/other-user/a1/plot.png", {}],
+    ["saved voices", "voices/v1.wav", {}]
+  ])("rejects storage references to %s", async (label, reference, options) => {
+    const { path: objectPath } = reference.match(/^(?:gs:\/\/[^/]+\/)?(?<path>.+)$/).groups;
+    addStorageObject(objectPath, VIDEO_BYTES, options);
+
+    const error = await expectHttpsError(analyze(reference), "invalid-argument", "validation");
+    expect(error.message).toBe("Storage references must point to your own uploads under pupilUploads/<uid>/");
+    expect(fakeGradio.calls).toHaveLength(0);
+  });
+
+  test("only reports the size of the caller's own uploads in testVideoUpload", async () => {
+    addStorageObject("pupilUploads/other-user/test_video.mp4", VIDEO_BYTES);
+    addStorageObject("pupilUploads/test-user/test_video.mp4", VIDEO_BYTES);
+
+    const { data: other } = await callable(fns.testVideoUpload, { video_path: "pupilUploads/other-user/test_video.mp4" });
+    expect(other.testResults[0]).toMatchObject({ success: false, error: expect.stringMatching(/^Storage references must point/) });
+    expect(other.testResults[0].blobSize).toBeUndefined();
+
+    const { data: own } = await callable(fns.testVideoUpload, {});
+    expect(own.testResults[0]).toMatchObject({ success: true, blobSize: VIDEO_BYTES.length });
+  });
+
+  test("rejects storage objects that are not video", async () => {
+    addStorageObject("pupilUploads/test-user/notes.txt", Buffer.from("hello"), { contentType: "text/plain" });
+
+    const error = await expectHttpsError(analyze("pupilUploads/test-user/notes.txt"), "invalid-argument", "validation");
+    expect(error.message).toBe("Unsupported media content type: text/plain");
+  });
+
+  test("rejects data URLs that are not video", async () => {
+    const error = await expectHttpsError(analyze("data:text/html;base64,PGgxPg=="), "invalid-argument", "validation");
+    expect(error.message).toBe("Unsupported media content type: text/html");
+  });
+
+  test("rejects strings that are not a path, URL or data URL", async () => {
+    const error = await expectHttpsError(analyze("pupilUploads/test-user/does-not-exist.mp4"), "invalid-argument", "validation");
+    expect(error.message).toMatch(/^Invalid video input format/);
+  });
+
+  test("rejects unsupported types", async () => {
+    const error = await expectHttpsError(analyze(42), "invalid-argument", "validation");
+    expect(error.message).toBe("Unsupported video input format");
+  });
+
+  test("converts Buffers to video/mp4", async () => {
+    await analyze(VIDEO_BYTES);
+    expect(lastMediaInput()).toBe(VIDEO_DATA_URL);
+  });
+
+  test("passes Blobs through with their type", async () => {
+    await analyze(new Blob([VIDEO_BYTES], { type: "video/webm" }));
+    expect(lastMediaInput()).toBe(`data:video/webm;base64,${VIDEO_BYTES.toString("base64")}`);
+  });
+});
+
+describe("result normalization", () => {
+  test("returns the plot, summary and parsed series", async () => {
+    const { success, data } = await callable(fns.generatePupilAnalysis, { video_input: VIDEO_DATA_URL });
+
+    expect(success).toBe(true);
+    expect(data.analysisUrl).toMatch(REHOSTED_PLOT_URL);
+    expect(data.summary).toBe("Mean diameter: 3.3mm");
+    expect(data.metadata).toMatchObject({ workingEndpoint: PUPIL_ENDPOINT, provider: FAKE_SOURCE, tvModel: "ResNet18", blinkDetection: true });
+    expect(data.pupilData).toMatchObject({ schemaVersion: "1.2", units: "mm" });
+    expect(data.pupilData.frames).toHaveLength(3);
+    expect(data.pupilData.stats).toMatchObject({ frameCount: 3, blinkCount: 1 });
+    expect(data.pupilData.stats.left.mean).toBeCloseTo(3.2);
+  });
+
+  test("reports blink detection as turned off when the caller turned it off", async () => {
+    const { data } = await callable(fns.generatePupilAnalysis, { video_input: VIDEO_DATA_URL, blink_detection: false });
+
+    expect(data.metadata.blinkDetection).toBe(false);
+  });
+
+  test("parses inline JSON series", async () => {
+    fakeGradio.respondWith(PUPIL_ENDPOINT, [PLOT, "Done", { fps: 30, left: [3, 3.2], right: [3.1, 3.3] }]);
+
+    const { data } = await callable(fns.generatePupilAnalysis, { video_input: VIDEO_DATA_URL });
+
+    expect(data.pupilData.fps).toBe(30);
+    expect(data.pupilData.frames[1]).toMatchObject({ frame: 1, timestamp: 1 / 30, leftDiameter: 3.2, rightDiameter: 3.3 });
+  });
+
+  test("keeps the plot and summary when the series cannot be parsed", async () => {
+    fakeGradio.respondWith(PUPIL_ENDPOINT, [PLOT, "Done", "not,a,series\n1,2,3"]);
+
+    const { data } = await callable(fns.generatePupilAnalysis, { video_input: VIDEO_DATA_URL });
+
+    expect(data.analysisUrl).toMatch(REHOSTED_PLOT_URL);
+    expect(data.pupilData).toBeNull();
+  });
+
+  test("falls back to a default summary", async () => {
+    fakeGradio.respondWith(PUPIL_ENDPOINT, [PLOT, ""]);
+
+    const { data } = await callable(fns.generatePupilAnalysis, { video_input: VIDEO_DATA_URL });
+
+    expect(data.summary).toBe("Pupil diameter analysis completed successfully");
+    expect(data.pupilData).toBeNull();
+  });
+});
+
+describe("series cleaning", () => {
+  // 10 fps with a blink at 0.5s and a one-frame tracking glitch at 1.0s
+  const NOISY_SERIES = {
+    fps: 10,
+    left: [4, 4, 4, 4, 4, null, 4, 4, 4, 4, 7, 4, 4, 4, 4],
+    right: [4, 4, 4, 4, 4, null, 4, 4, 4, 4, 4, 4, 4, 4, 4],
+    blink: [0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+  };
+
+  beforeEach(() => {
+    fakeGradio.respondWith(PUPIL_ENDPOINT, [PLOT, "Done", NOISY_SERIES]);
+  });
+
+  test("is off unless asked for", async () => {
+    const { data } = await callable(fns.generatePupilAnalysis, { video_input: VIDEO_DATA_URL });
+
+    expect(data.pupilData.cleaning).toBeUndefined();
+    expect(data.pupilData.frames[10].leftDiameter).toBe(7);
+  });
+
+  test("rejects artifacts and reports what was removed", async () => {
+    const { data } = await callable(fns.generatePupilAnalysis, { video_input: VIDEO_DATA_URL, cleaning: { blink_padding_ms: 0 } });
+
+    expect(data.pupilData.frames.map((frame) => frame.leftDiameter)).toEqual(Array(15).fill(4));
+    expect(data.pupilData.frames[10]).toMatchObject({ leftStatus: "interpolated", rightStatus: "valid" });
+    expect(data.pupilData.cleaning).toMatchObject({
+      options: { blink_padding_ms: 0, interpolation: "linear" },
+      left: { rejected: { blink: 1, velocity: 3 }, interpolatedFrames: 4, usable: true },
+      right: { rejected: { blink: 1, velocity: 0 }, interpolatedFrames: 1, usable: true },
+      usable: true
+    });
+    expect(data.pupilData.stats.left.max).toBe(4);
+    expect(fakeGradio.calls[0].payload).not.toHaveProperty("cleaning");
+  });
+
+  test("rejects bad options before calling the Space", async () => {
+    const error = await expectHttpsError(
+      callable(fns.generatePupilAnalysis, { video_input: VIDEO_DATA_URL, cleaning: { smoothing: "gaussian" } }),
+      "invalid-argument",
+      "validation"
+    );
+    expect(error.message).toBe("cleaning.smoothing must be one of none, moving_average, median");
+    expect(fakeGradio.calls).toHaveLength(0);
+  });
+
+  test("is kept with job parameters", async () => {
+    const { jobId } = (await callable(fns.submitPupilAnalysis, { video_input: VIDEO_DATA_URL, cleaning: true })).data;
+
+    expect(getDocument(`pupilJobs/${jobId}`).params.cleaning).toMatchObject({ interpolation: "linear", max_rejected_percent: 50 });
+  });
+});
+
+describe("event responses", () => {
+  // 10 fps; the pupil dilates from 0.3s, after a prompt at 0.2s
+  const EVOKED_SERIES = { fps: 10, left: [4, 4, 4, 4.2, 4.4, 4.3, 4.1, 4], right: [4, 4, 4, 4, 4, 4, 4, 4] };
+  const EVENTS = [{ time: 0.2, label: "Name three animals" }];
+
+  beforeEach(() => {
+    fakeGradio.respondWith(PUPIL_ENDPOINT, [PLOT, "Done", EVOKED_SERIES]);
+  });
+
+  test("cut the series at each event marker", async () => {
+    const { data } = await callable(fns.generatePupilAnalysis, { video_input: VIDEO_DATA_URL, events: EVENTS });
+
+    expect(data.eventResponses).toEqual([{
+      index: 0,
+      label: "Name three animals",
+      time: 0.2,
+      endTime: 10.2,
+      startIndex: 2,
+      endIndex: 7,
+      left: { baselineDiameter: 4, meanChange: expect.closeTo(1 / 6), peakChange: expect.closeTo(0.4), peakLatency: expect.closeTo(0.2), validSamples: 6 },
+      right: { baselineDiameter: 4, meanChange: 0, peakChange: 0, peakLatency: 0, validSamples: 6 }
+    }]);
+    expect(fakeGradio.calls[0].payload).not.toHaveProperty("events");
+
+    const saved = await callable(fns.getAnalysis, { analysisId: data.analysisId });
+    expect(saved.data.eventResponses).toEqual(data.eventResponses);
+  });
+
+  test("are left out without markers", async () => {
+    const { data } = await callable(fns.generatePupilAnalysis, { video_input: VIDEO_DATA_URL });
+
+    expect(data.eventResponses).toBeNull();
+  });
+
+  test("reject markers out of order before calling the Space", async () => {
+    const error = await expectHttpsError(
+      callable(fns.generatePupilAnalysis, { video_input: VIDEO_DATA_URL, events: [{ time: 2 }, { time: 1 }] }),
+      "invalid-argument",
+      "validation"
+    );
+    expect(error.message).toBe("events must be in increasing time order");
+    expect(fakeGradio.calls).toHaveLength(0);
+  });
+
+  test("are kept with job parameters", async () => {
+    const { jobId } = (await callable(fns.submitPupilAnalysis, { video_input: VIDEO_DATA_URL, events: EVENTS })).data;
+
+    expect(getDocument(`pupilJobs/${jobId}`).params.events).toEqual(EVENTS);
+  });
+});
+
+describe("light reflex metrics", () => {
+  const {getFirestore} = require("firebase-admin/firestore");
+
+  // 10 fps; the light comes on at 0.5s and the pupil is back to 75% by 1.1s
+  const PLR_SERIES = { fps: 10, left: [6, 6, 6, 6, 6, 6, 5, 4, 4, 4.5, 5, 5.5, 6], right: [6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6] };
+
+  beforeEach(() => {
+    fakeGradio.respondWith(PUPIL_ENDPOINT, [PLOT, "Done", PLR_SERIES]);
+  });
+
+  test("are computed from the series when the stimulus time is given", async () => {
+    const { data } = await callable(fns.generatePupilAnalysis, { video_input: VIDEO_DATA_URL, stimulus_onset: 0.5 });
+
+    expect(data.plr).toEqual({
+      stimulusOnset: 0.5,
+      units: "mm",
+      left: {
+        baselineDiameter: 6,
+        minDiameter: 4,
+        constrictionAmplitude: 2,
+        latency: expect.closeTo(0.01),
+        maxConstrictionVelocity: expect.closeTo(10),
+        recoveryTime: expect.closeTo(0.4),
+        redilationVelocity: expect.closeTo(5)
+      },
+      right: expect.objectContaining({ constrictionAmplitude: 0, latency: null })
+    });
+    expect(fakeGradio.calls[0].payload).not.toHaveProperty("stimulus_onset");
+
+    const saved = await callable(fns.getAnalysis, { analysisId: data.analysisId });
+    expect(saved.data.plr).toEqual(data.plr);
+  });
+
+  test("are left out without a stimulus time", async () => {
+    const { data } = await callable(fns.generatePupilAnalysis, { video_input: VIDEO_DATA_URL });
+
+    expect(data.plr).toBeNull();
+  });
+
+  test("reject a stimulus time that is not a number of seconds", async () => {
+    const error = await expectHttpsError(
+      callable(fns.generatePupilAnalysis, { video_input: VIDEO_DATA_URL, stimulus_onset: "0.5" }),
+      "invalid-argument",
+      "validation"
+    );
+    expect(error.message).toBe("stimulus_onset must be a number of seconds from the start of the recording");
+    expect(fakeGradio.calls).toHaveLength(0);
+  });
+
+  test("are computed for jobs", async () => {
+    const { jobId } = (await callable(fns.submitPupilAnalysis, { video_input: VIDEO_DATA_URL, stimulus_onset: 0.5 })).data;
+    expect(getDocument(`pupilJobs/${jobId}`).params).toMatchObject({ stimulus_onset: 0.5 });
+
+    const snapshot = await getFirestore().collection("pupilJobs").doc(jobId).get();
+    await fns.processPupilJob.run({ params: { jobId }, data: snapshot });
+
+    expect(getDocument(`pupilJobs/${jobId}`).result.plr.left).toMatchObject({ constrictionAmplitude: 2 });
+  });
+});
+
+describe("images", () => {
+  test("analyses a single image without charging video seconds", async () => {
+    const { data } = await callable(fns.generatePupilAnalysis, { video_input: PNG_DATA_URL });
+
+    expect(lastMediaInput()).toBe(PNG_DATA_URL);
+    expect(data.metadata.mediaType).toBe("image");
+    expect(data.pupilData.stats.left.mean).toBeCloseTo(3.2);
+    expect(getDocument("usage/test-user").day).toMatchObject({ requests: 1, videoSeconds: 0 });
+  });
+
+  test("accepts uploaded images", async () => {
+    addStorageObject(`pupilUploads/test-user/eye.png`, PNG_BYTES, { contentType: "image/png" });
+
+    const { data } = await callable(fns.generatePupilAnalysis, { video_input: "pupilUploads/test-user/eye.png" });
+    expect(data.metadata.mediaType).toBe("image");
+  });
+
+  test.each([
+    ["image types the Space cannot read", "data:image/gif;base64,R0lGODlh", "Unsupported media content type: image/gif"],
+    ["images sent with the wrong type", `data:image/jpeg;base64,${PNG_BYTES.toString("base64")}`, "Image data is image/png but was sent as image/jpeg"],
+    ["other data sent as an image", `data:image/png;base64,${VIDEO_BYTES.toString("base64")}`, "Image data is not a JPEG, PNG or WebP file"]
+  ])("rejects %s", async (label, videoInput, message) => {
+    const error = await expectHttpsError(callable(fns.generatePupilAnalysis, { video_input: videoInput }), "invalid-argument", "validation");
+    expect(error.message).toBe(message);
+    expect(fakeGradio.calls).toHaveLength(0);
+  });
+});
+
+describe("generatePupilSequence", () => {
+  const sequence = async (data) => (await callable(fns.generatePupilSequence, { images: [PNG_DATA_URL, PNG_DATA_URL, PNG_DATA_URL], ...data })).data;
+
+  test("turns photos taken at a fixed interval into a time series", async () => {
+    const data = await sequence({ interval_ms: 500, tv_model: "ResNet50" });
+
+    expect(fakeGradio.calls).toHaveLength(3);
+    expect(fakeGradio.calls[0].payload).toMatchObject({ media_input: PNG_DATA_URL, tv_model: "ResNet50" });
+    expect(data.pupilData).toMatchObject({ schemaVersion: "1.2", units: "mm", fps: 2 });
+    expect(data.pupilData.frames.map((frame) => frame.timestamp)).toEqual([0, 0.5, 1]);
+    expect(data.pupilData.frames[1].leftDiameter).toBeCloseTo(3.2);
+    expect(data.pupilData.stats).toMatchObject({ frameCount: 3, durationSeconds: 1, blinkCount: 0 });
+    expect(data.images[2]).toMatchObject({ index: 2, timestamp: 1, summary: "Mean diameter: 3.3mm", blink: false });
+    expect(data.images[2].rightDiameter).toBeCloseTo(3.3);
+    expect(data.metadata).toMatchObject({ mediaType: "image-sequence", imageCount: 3, intervalMs: 500 });
+    expect(data.summary).toBe("Analysed 3 images over 1.0s");
+  });
+
+  test("uses capture timestamps when given", async () => {
+    const data = await sequence({ timestamps: [0, 0.2, 0.9] });
+
+    expect(data.pupilData.fps).toBeNull();
+    expect(data.pupilData.frames.map((frame) => frame.timestamp)).toEqual([0, 0.2, 0.9]);
+  });
+
+  test("saves the sequence with a stored plot per image", async () => {
+    const { analysisId, images } = await sequence({ interval_ms: 1000 });
+
+    expect(images[0].analysisUrl).toMatch(/\/image-0\.png\?expires=/);
+
+    const { data } = await callable(fns.getAnalysis, { analysisId });
+    expect(data.metadata.mediaType).toBe("image-sequence");
+    expect(data.pupilData.frames).toHaveLength(3);
+    expect(data.images.map((image) => image.plotUrl)).toEqual([
+      expect.stringContaining(`analyses/test-user/${analysisId}/image-0.png`),
+      expect.stringContaining(`analyses/test-user/${analysisId}/image-1.png`),
+      expect.stringContaining(`analyses/test-user/${analysisId}/image-2.png`)
+    ]);
+
+    await callable(fns.deleteAnalysis, { analysisId });
+    expect(getStorageObject(`analyses/test-user/${analysisId}/image-1.png`)).toBeUndefined();
+  });
+
+  test("counts every photo against the quota", async () => {
+    await sequence({ interval_ms: 500 });
+    expect(getDocument("usage/test-user").day).toMatchObject({ requests: 3, videoSeconds: 0 });
+  });
+
+  test.each([
+    [{ images: undefined }, "Missing required field: images"],
+    [{ images: [PNG_DATA_URL] }, "A sequence must have between 2 and 60 images"],
+    [{ images: [PNG_DATA_URL, 5], interval_ms: 500 }, "images[1] must be a storage reference, an https URL or a base64 data URL"],
+    [{}, "Provide timestamps, or interval_ms between 1 and 60000"],
+    [{ timestamps: [0, 1] }, "timestamps must have one number of seconds per image"],
+    [{ timestamps: [0, 1, 1] }, "timestamps must be increasing"]
+  ])("rejects %j", async (data, message) => {
+    const error = await expectHttpsError(callable(fns.generatePupilSequence, { images: [PNG_DATA_URL, PNG_DATA_URL, PNG_DATA_URL], ...data }), "invalid-argument", "validation");
+    expect(error.message).toBe(message);
+    expect(getDocument("usage/test-user")).toBeUndefined();
+  });
+
+  test("names the photo that is not an image", async () => {
+    const error = await expectHttpsError(sequence({ images: [PNG_DATA_URL, VIDEO_DATA_URL], interval_ms: 500 }), "invalid-argument", "validation");
+    expect(error.message).toBe("images[1]: Expected an image, got video/mp4");
+  });
+});
+
+describe("error mapping", () => {
+  const analyze = () => callable(fns.generatePupilAnalysis, { video_input: VIDEO_DATA_URL });
+
+  test("maps a busy Space to resource-exhausted", async () => {
+    fakeGradio.failWith(PUPIL_ENDPOINT, "This application is currently busy. Please try again. ");
+    const error = await expectHttpsError(analyze(), "resource-exhausted", "queue-full");
+    expect(error.details.retryable).toBe(true);
+  });
+
+  test("maps an unreachable Space to unavailable", async () => {
+    fakeGradio.failConnect("Could not resolve app config. ");
+    await expectHttpsError(analyze(), "unavailable", "space-unavailable");
+  });
+
+  test("maps missing output to upstream-format", async () => {
+    fakeGradio.respondWith(PUPIL_ENDPOINT, null);
+    await expectHttpsError(analyze(), "internal", "upstream-format");
+  });
+
+  test("hides unexpected errors behind a generic message", async () => {
+    fakeGradio.failWith(PUPIL_ENDPOINT, "IndexError: list index out of range");
+
+    const error = await expectHttpsError(analyze(), "internal", "internal");
+    expect(error.message).toBe("An internal error occurred");
+  });
+});
+
+describe("generateTTS validation", () => {
+  test.each([
+    [{}, "Missing required field: text_input"],
+    [{ text_input: "   " }, "Text input cannot be empty"],
+    [{ text_input: "x".repeat(5001) }, "Text must be 5000 characters or less"],
+    [{ text_input: "Hello", pause_ms: -1 }, /^pause_ms must be a number between 0 and/],
+    [{ text_input: "Hello", cache_ttl_seconds: "forever" }, /^cache_ttl_seconds must be a number between 1 and/],
+    [{ text_input: "Hello", url_ttl_seconds: 0 }, "url_ttl_seconds must be a whole number between 1 and 604800"],
+    [{ text_input: "Hello", audio_prompt: 42 }, "Invalid audio_prompt: expected a base64 data URL or a storage reference"]
+  ])("rejects %j", async (data, message) => {
+    const error = await expectHttpsError(callable(fns.generateTTS, data), "invalid-argument", "validation");
+    expect(error.message).toMatch(message);
+  });
+});
+
+describe("reference voices", () => {
+  const speak = async (data, uid) => (await callable(fns.generateTTS, { text_input: "Look at the dot", ...data }, uid)).data;
+  // Compared by hash: toEqual on a whole clip is slow
+  const sentVoiceHash = async () => sha256(Buffer.from(await fakeGradio.calls[0].payload.audio_prompt_path_input.arrayBuffer()));
+
+  test("uses the bundled default voice when none is given", async () => {
+    const data = await speak({});
+
+    expect(data.metadata.referenceVoice).toEqual({
+      source: "default",
+      voiceId: null,
+      format: "wav",
+      durationSeconds: expect.any(Number)
+    });
+    expect(data.metadata.referenceVoice.durationSeconds).toBeGreaterThanOrEqual(2);
+    expect(data.metadata.referenceVoice.durationSeconds).toBeLessThanOrEqual(30);
+    expect(await sentVoiceHash()).toBe(sha256(DEFAULT_VOICE));
+  });
+
+  test("accepts a clip from the caller's own uploads", async () => {
+    addStorageObject("pupilUploads/test-user/voice.wav", DEFAULT_VOICE, { contentType: "audio/wav" });
+
+    const data = await speak({ audio_prompt: "gs://test-project.appspot.com/pupilUploads/test-user/voice.wav" });
+
+    expect(data.metadata.referenceVoice.source).toBe("custom");
+    expect(await sentVoiceHash()).toBe(sha256(DEFAULT_VOICE));
+  });
+
+  test.each([
+    ["another user's saved voice", "voices/v1.wav"],
+    ["another user's upload", "pupilUploads/other-user/voice.wav"],
+    ["another bucket", "gs://other-bucket/pupilUploads/test-user/voice.wav"]
+  ])("rejects audio_prompt references to %s", async (label, reference) => {
+    addStorageObject("voices/v1.wav", DEFAULT_VOICE, { contentType: "audio/wav" });
+    addStorageObject("pupilUploads/other-user/voice.wav", DEFAULT_VOICE, { contentType: "audio/wav" });
+
+    for (const fn of [fns.generateTTS, fns.saveReferenceVoice]) {
+      const error = await expectHttpsError(callable(fn, { text_input: "Look at the dot", audio_prompt: reference }), "invalid-argument", "validation");
+      expect(error.message).toBe("Storage references must point to your own uploads under pupilUploads/<uid>/");
+    }
+    expect(fakeGradio.calls).toHaveLength(0);
+  });
+});
+
+describe("TTS cache", () => {
+  const speak = async (data = {}) => (await callable(fns.generateTTS, { text_input: "Look at the dot", ...data })).data;
+  const cacheEntry = (key) => getDocument(`ttsCache/${key}`);
+  const expire = (key) => setDocument(`ttsCache/${key}`, { ...cacheEntry(key), expiresAt: new Date(Date.now() - 1000) });
+  const chargedRequests = () => getDocument("usage/test-user").day.requests;
+
+  afterEach(() => {
+    delete process.env.ML_QUOTAS;
+  });
+
+  test("serves repeat requests from the cache without charging quota", async () => {
+    process.env.ML_QUOTAS = JSON.stringify({ user: { requestsPerMinute: 1 } });
+
+    const first = await speak();
+    const second = await speak();
+    const third = await speak();
+
+    expect(first.metadata.cache).toMatchObject({ hit: false, key: expect.stringMatching(/^[0-9a-f]{64}$/) });
+    expect(second.metadata.cache).toEqual({ ...first.metadata.cache, hit: true });
+    expect(third.audioUrl).toMatch(new RegExp(`^https://storage\\.test/test-project\\.appspot\\.com/ttsCache/${first.metadata.cache.key}\\.wav\\?`));
+    expect(fakeGradio.calls).toHaveLength(1);
+    expect(cacheEntry(first.metadata.cache.key)).toMatchObject({ uid: "test-user", hits: 2 });
+    expect(chargedRequests()).toBe(1);
+
+    // A miss still needs quota
+    await expectHttpsError(speak({ text_input: "Something new" }), "resource-exhausted", "quota-exceeded");
+    expect(fakeGradio.calls).toHaveLength(1);
+  });
+
+  test("keys entries by text and settings", async () => {
+    const first = await speak();
+    const other = await speak({ temperature_input: 0.3 });
+
+    expect(other.metadata.cache.key).not.toBe(first.metadata.cache.key);
+    expect(fakeGradio.calls).toHaveLength(2);
+  });
+
+  test("regenerates entries once their TTL has passed", async () => {
+    const first = await speak({ cache_ttl_seconds: 60 });
+    const expiresAt = Date.parse(first.metadata.cache.expiresAt);
+    expect(expiresAt).toBeGreaterThan(Date.now() + 55 * 1000);
+    expect(expiresAt).toBeLessThanOrEqual(Date.now() + 60 * 1000);
+
+    expire(first.metadata.cache.key);
+    const second = await speak();
+
+    expect(second.metadata.cache.hit).toBe(false);
+    expect(Date.parse(second.metadata.cache.expiresAt)).toBeGreaterThan(Date.now());
+    expect(fakeGradio.calls).toHaveLength(2);
+    expect(chargedRequests()).toBe(2);
+  });
+
+  test("regenerates entries whose audio is gone", async () => {
+    const first = await speak();
+    resetStorage();
+
+    expect((await speak()).metadata.cache.hit).toBe(false);
+    expect(getStorageObject(`ttsCache/${first.metadata.cache.key}.wav`)).toBeDefined();
+  });
+
+  test("refresh_cache skips the lookup and overwrites the entry", async () => {
+    const first = await speak();
+    await speak();
+    const refreshed = await speak({ refresh_cache: true });
+
+    expect(refreshed.metadata.cache).toMatchObject({ hit: false, key: first.metadata.cache.key });
+    expect(cacheEntry(first.metadata.cache.key).hits).toBe(0);
+    expect(fakeGradio.calls).toHaveLength(2);
+    expect(chargedRequests()).toBe(2);
+  });
+
+  test("invalidateTTSCache deletes an entry by key or by its parameters", async () => {
+    const { metadata: { cache: { key } } } = await speak();
+
+    const { data: byKey } = await callable(fns.invalidateTTSCache, { cache_key: key });
+    expect(byKey).toEqual({ cacheKey: key, invalidated: true });
+    expect(cacheEntry(key)).toBeUndefined();
+    expect(getStorageObject(`ttsCache/${key}.wav`)).toBeUndefined();
+
+    await speak();
+    const { data: byParams } = await callable(fns.invalidateTTSCache, { text_input: "Look at the dot" });
+    expect(byParams).toEqual({ cacheKey: key, invalidated: true });
+
+    const { data: missing } = await callable(fns.invalidateTTSCache, { cache_key: key });
+    expect(missing.invalidated).toBe(false);
+
+    expect((await speak()).metadata.cache.hit).toBe(false);
+    expect(fakeGradio.calls).toHaveLength(3);
+  });
+
+  test("invalidateTTSCache only lets the entry's creator or an admin delete it", async () => {
+    const { metadata: { cache: { key } } } = await speak();
+
+    const error = await expectHttpsError(callable(fns.invalidateTTSCache, { cache_key: key }, "someone-else"), "not-found", "not-found");
+    expect(error.message).toBe(`TTS cache entry not found: ${key}`);
+    expect(cacheEntry(key)).toBeDefined();
+    expect(getStorageObject(`ttsCache/${key}.wav`)).toBeDefined();
+
+    const { data } = await functionsTest.wrap(fns.invalidateTTSCache)({
+      data: { cache_key: key },
+      auth: { uid: "admin-user", token: { admin: true } }
+    });
+    expect(data.invalidated).toBe(true);
+    expect(cacheEntry(key)).toBeUndefined();
+  });
+
+  test("purgeExpiredTTSCache deletes expired entries and their audio", async () => {
+    const expired = (await speak()).metadata.cache.key;
+    const current = (await speak({ text_input: "Keep still" })).metadata.cache.key;
+    expire(expired);
+
+    await fns.purgeExpiredTTSCache.run({});
+
+    expect(cacheEntry(expired)).toBeUndefined();
+    expect(getStorageObject(`ttsCache/${expired}.wav`)).toBeUndefined();
+    expect(cacheEntry(current)).toBeDefined();
+    expect(getStorageObject(`ttsCache/${current}.wav`)).toBeDefined();
+  });
+});
+
+describe("generateTTS results", () => {
+  const speak = async (data = {}) => (await callable(fns.generateTTS, { text_input: "Look at the dot", ...data })).data;
+
+  test.each([
+    ["a file URL string", TTS_AUDIO.url],
+    ["a FileData url", { url: TTS_AUDIO.url, path: "/tmp/gradio/tts.wav" }],
+    ["a FileData path", { path: TTS_AUDIO.url }]
+  ])("stores audio returned as %s and signs a URL to it", async (label, output) => {
+    fakeGradio.respondWith(TTS_ENDPOINT, [output]);
+
+    const { success, data } = await callable(fns.generateTTS, { text_input: "  Look at the dot  " });
+
+    expect(success).toBe(true);
+    expect(data.audioUrl).toMatch(/^https:\/\/storage\.test\/test-project\.appspot\.com\/ttsCache\/[0-9a-f]{64}\.wav\?expires=\d+$/);
+    expect(getStorageObject(`ttsCache/${data.metadata.cache.key}.wav`).buffer).toEqual(TTS_BYTES);
+    expect(data.metadata).toMatchObject({
+      text: "Look at the dot",
+      exaggeration: 0.5,
+      temperature: 0.8,
+      seed: 0,
+      cfgw: 0.5,
+      referenceVoice: { source: "default" },
+      cache: { hit: false }
+    });
+    expect(data.metadata.timestamp).toEqual(expect.any(String));
+  });
+
+  test("passes the settings to the Space", async () => {
+    await speak({ exaggeration_input: 0.9, temperature_input: 0.4, seed_num_input: 42, cfgw_input: 0.2 });
+
+    expect(fakeGradio.calls[0]).toMatchObject({
+      endpoint: TTS_ENDPOINT,
+      payload: { text_input: "Look at the dot", exaggeration_input: 0.9, temperature_input: 0.4, seed_num_input: 42, cfgw_input: 0.2 }
+    });
+  });
+
+  test("stitches long text from chunks generated with one seed", async () => {
+    fakeGradio.serveFile(TTS_AUDIO.url, DEFAULT_VOICE, "audio/wav");
+    const sentence = "Please keep looking at the cross in the middle of the screen. ";
+    const text = `${sentence.repeat(6)}\n\n${sentence.repeat(2)}`;
+
+    const data = await speak({ text_input: text, pause_ms: 200, paragraph_pause_ms: 1000 });
+
+    const seeds = new Set(fakeGradio.calls.map((call) => call.payload.seed_num_input));
+    expect(fakeGradio.calls).toHaveLength(3);
+    expect([...seeds]).toEqual([data.metadata.seed]);
+    expect(data.metadata.seed).toBeGreaterThan(0);
+    expect(data.segments.map((segment) => segment.index)).toEqual([0, 1, 2]);
+    expect(data.segments[1].startSeconds - data.segments[0].endSeconds).toBeCloseTo(0.2);
+    expect(data.segments[2].startSeconds - data.segments[1].endSeconds).toBeCloseTo(1);
+    expect(data.metadata).toMatchObject({ pauseMs: 200, paragraphPauseMs: 1000, durationSeconds: data.segments[2].endSeconds });
+  });
+
+  test.each([
+    ["no output", [], "No audio data received from Chatterbox API"],
+    ["an output without a file", [{ size: 10 }], "Invalid audio data format received from Chatterbox API"]
+  ])("rejects results with %s", async (label, result, message) => {
+    fakeGradio.respondWith(TTS_ENDPOINT, result);
+
+    const error = await expectHttpsError(speak(), "internal", "upstream-format");
+    expect(error.message).toBe(message);
+  });
+});
+
+describe("authentication", () => {
+  test.each([
+    "generateTTS", "saveReferenceVoice", "invalidateTTSCache", "generatePupilAnalysis", "submitPupilAnalysis",
+    "getPupilAnalysisStatus", "cancelPupilAnalysis", "testPupilSense", "testConnection", "testVideoUpload", "getUsage",
+    "listAnalyses", "getAnalysis", "deleteAnalysis", "submitPupilBatch", "getPupilBatchStatus", "generatePupilSequence"
+  ])("%s requires a signed-in user", async (name) => {
+    const error = await expectHttpsError(functionsTest.wrap(fns[name])({ data: { video_input: VIDEO_DATA_URL } }), "unauthenticated", "unauthenticated");
+    expect(error.message).toBe("Sign in to use this function");
+    expect(fakeGradio.calls).toHaveLength(0);
+  });
+
+  test.each(["generateTTSHttp", "generatePupilAnalysisHttp", "testPupilSenseHttp"])("%s requires credentials", async (name) => {
+    const res = await runHttp(fns[name], { headers: {}, body: { text_input: "Hello", video_input: VIDEO_DATA_URL } });
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body).toMatchObject({ success: false, type: "unauthenticated" });
+    expect(fakeGradio.calls).toHaveLength(0);
+  });
+
+  test("HTTP endpoints accept ID tokens with App Check", async () => {
+    const res = await runHttp(fns.generatePupilAnalysisHttp, {
+      headers: { Authorization: `Bearer ${idTokenFor("user-1")}`, "X-Firebase-AppCheck": APP_CHECK_TOKEN },
+      body: { video_input: VIDEO_DATA_URL }
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.success).toBe(true);
+  });
+
+  test("HTTP endpoints reject ID tokens without App Check", async () => {
+    const res = await runHttp(fns.generatePupilAnalysisHttp, {
+      headers: { Authorization: `Bearer ${idTokenFor("user-1")}` },
+      body: { video_input: VIDEO_DATA_URL }
+    });
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.error).toBe("Missing App Check token (X-Firebase-AppCheck)");
+  });
+
+  test("logs the caller's uid from shared modules", async () => {
+    const baseLogger = require("firebase-functions/logger");
+    baseLogger.info.mockClear();
+
+    await callable(fns.generatePupilAnalysis, { video_input: VIDEO_DATA_URL });
+
+    expect(baseLogger.info).toHaveBeenCalledWith("Space call succeeded", expect.objectContaining({ uid: "test-user" }));
+  });
+});
+
+describe("quotas", () => {
+  const today = () => new Date().toISOString().slice(0, 10);
+
+  afterEach(() => {
+    delete process.env.ML_QUOTAS;
+  });
+
+  test("refuses calls over the per-minute limit with a retry-after", async () => {
+    process.env.ML_QUOTAS = JSON.stringify({ user: { requestsPerMinute: 1 } });
+
+    await callable(fns.generatePupilAnalysis, { video_input: VIDEO_DATA_URL });
+    const error = await expectHttpsError(callable(fns.generatePupilAnalysis, { video_input: VIDEO_DATA_URL }), "resource-exhausted", "quota-exceeded");
+
+    expect(error.details).toMatchObject({ retryable: true, quota: "requestsPerMinute", limit: 1 });
+    expect(error.details.retryAfterSeconds).toBeGreaterThan(0);
+    expect(error.details.retryAfterSeconds).toBeLessThanOrEqual(60);
+    expect(fakeGradio.calls).toHaveLength(1);
+  });
+
+  test("charges analysed video seconds and refuses video once they are spent", async () => {
+    await callable(fns.generatePupilAnalysis, { video_input: VIDEO_DATA_URL });
+    expect(getDocument("usage/test-user").day).toMatchObject({ window: today(), requests: 1, videoSeconds: 1 });
+
+    setDocument("usage/test-user", { day: { window: today(), requests: 1, videoSeconds: 1800 } });
+
+    const error = await expectHttpsError(callable(fns.submitPupilAnalysis, { video_input: VIDEO_DATA_URL }), "resource-exhausted", "quota-exceeded");
+    expect(error.details.quota).toBe("videoSecondsPerDay");
+    await expect(callable(fns.testConnection, {})).resolves.toMatchObject({ success: true });
+  });
+
+  test("does not charge job submissions whose input is rejected", async () => {
+    addStorageObject("pupilUploads/other-user/trial.mp4", VIDEO_BYTES);
+
+    await expectHttpsError(callable(fns.submitPupilAnalysis, { video_input: "pupilUploads/other-user/trial.mp4" }), "invalid-argument", "validation");
+    expect(getDocument("usage/test-user")).toBeUndefined();
+  });
+
+  test("deletes the staged input of a job submission over quota", async () => {
+    process.env.ML_QUOTAS = JSON.stringify({ user: { requestsPerDay: 0 } });
+
+    await expectHttpsError(callable(fns.submitPupilAnalysis, { video_input: VIDEO_DATA_URL }), "resource-exhausted", "quota-exceeded");
+    expect(listStorageObjects("pupilJobs/")).toEqual([]);
+    expect(listDocuments("pupilJobs")).toEqual([]);
+  });
+
+  test("HTTP endpoints answer 429 with a Retry-After header", async () => {
+    process.env.ML_QUOTAS = JSON.stringify({ apiKey: { requestsPerDay: 0 } });
+
+    const res = await runHttp(fns.generatePupilAnalysisHttp, {
+      headers: { "X-API-Key": API_KEY, Accept: "text/event-stream" },
+      body: { video_input: VIDEO_DATA_URL }
+    });
+
+    expect(res.statusCode).toBe(429);
+    expect(res.body).toMatchObject({ success: false, type: "quota-exceeded", quota: "requestsPerDay", limit: 0 });
+    expect(Number(res.headers["Retry-After"])).toBe(res.body.retryAfterSeconds);
+    expect(fakeGradio.calls).toHaveLength(0);
+  });
+
+  test("counts API key clients separately from users", async () => {
+    await runHttp(fns.generatePupilAnalysisHttp, { body: { video_input: VIDEO_DATA_URL } });
+
+    expect(getDocument("usage/api-key:tests").day.requests).toBe(1);
+    expect(getDocument("usage/test-user")).toBeUndefined();
+  });
+
+  test("does not charge for polling a job", async () => {
+    const submitted = await callable(fns.submitPupilAnalysis, { video_input: VIDEO_DATA_URL });
+    await callable(fns.getPupilAnalysisStatus, { jobId: submitted.data.jobId });
+    await callable(fns.getUsage, {});
+
+    expect(getDocument("usage/test-user").day.requests).toBe(1);
+  });
+
+  test("getUsage reports what is left", async () => {
+    await callable(fns.generatePupilAnalysis, { video_input: VIDEO_DATA_URL });
+
+    const { data } = await callable(fns.getUsage, {});
+
+    expect(data.limits).toEqual({ requestsPerMinute: 5, requestsPerDay: 100, videoSecondsPerDay: 1800 });
+    expect(data.minute).toMatchObject({ requests: 1, remaining: 4 });
+    expect(data.day).toMatchObject({ requests: 1, remaining: 99, videoSeconds: 1, videoSecondsRemaining: 1799 });
+    expect(Date.parse(data.day.resetsAt)).toBeGreaterThan(Date.now());
+  });
+});
+
+describe("cancelPupilAnalysis", () => {
+  const submit = async () => (await callable(fns.submitPupilAnalysis, { video_input: VIDEO_DATA_URL })).data;
+  const cancel = async (jobId, uid) => (await callable(fns.cancelPupilAnalysis, { jobId }, uid)).data;
+
+  test("cancels a queued job so the worker skips it", async () => {
+    const { jobId } = await submit();
+
+    const cancelled = await cancel(jobId);
+    expect(cancelled).toMatchObject({ jobId, status: "cancelled", result: null, error: null });
+    expect(cancelled.updatedAt).toEqual(expect.any(String));
+
+    await runJob(jobId);
+
+    expect(getDocument(`pupilJobs/${jobId}`).status).toBe("cancelled");
+    expect(fakeGradio.calls).toHaveLength(0);
+  });
+
+  test("keeps the result of a job that already finished", async () => {
+    const { jobId } = await submit();
+    await runJob(jobId);
+
+    const job = await cancel(jobId);
+
+    expect(job.status).toBe("done");
+    expect(job.result).toMatchObject({ summary: "Mean diameter: 3.3mm" });
+    expect(getDocument(`pupilJobs/${jobId}`).status).toBe("done");
+  });
+
+  test("is idempotent", async () => {
+    const { jobId } = await submit();
+
+    await cancel(jobId);
+    expect((await cancel(jobId)).status).toBe("cancelled");
+  });
+
+  test("only lets callers cancel their own jobs", async () => {
+    const { jobId } = await submit();
+
+    const error = await expectHttpsError(callable(fns.cancelPupilAnalysis, { jobId }, "someone-else"), "not-found", "not-found");
+    expect(error.message).toBe(`Job not found: ${jobId}`);
+    expect(getDocument(`pupilJobs/${jobId}`).status).toBe("queued");
+  });
+
+  test.each([
+    [{}, "invalid-argument", "validation", "Missing required field: jobId"],
+    [{ jobId: "missing" }, "not-found", "not-found", "Job not found: missing"]
+  ])("rejects %j", async (data, code, type, message) => {
+    const error = await expectHttpsError(callable(fns.cancelPupilAnalysis, data), code, type);
+    expect(error.message).toBe(message);
+  });
+});
+
+describe("pupil job inputs", () => {
+  const UPLOAD = "pupilUploads/test-user/trial.mp4";
+  const submit = async (videoInput) => (await callable(fns.submitPupilAnalysis, { video_input: videoInput })).data;
+  const backdate = (jobId, minutes) => setDocument(`pupilJobs/${jobId}`, {
+    ...getDocument(`pupilJobs/${jobId}`),
+    status: "processing",
+    updatedAt: new Date(Date.now() - minutes * 60 * 1000)
+  });
+
+  beforeEach(() => {
+    addStorageObject(UPLOAD, VIDEO_BYTES);
+  });
+
+  test("deletes staged inputs once the job is done", async () => {
+    const { jobId } = await submit(VIDEO_DATA_URL);
+    expect(getStorageObject(`pupilJobs/${jobId}/input`)).toBeDefined();
+
+    await runJob(jobId);
+
+    expect(getStorageObject(`pupilJobs/${jobId}/input`)).toBeUndefined();
+  });
+
+  test.each([
+    ["done", () => {}],
+    ["failed", () => fakeGradio.failWith(PUPIL_ENDPOINT, "Queue is full")]
+  ])("deletes the caller's upload once the job is %s", async (status, setUp) => {
+    setUp();
+    const { jobId } = await submit(UPLOAD);
+
+    await runJob(jobId);
+
+    expect(getDocument(`pupilJobs/${jobId}`).status).toBe(status);
+    expect(getStorageObject(UPLOAD)).toBeUndefined();
+  });
+
+  test("deletes the upload of a job cancelled before it started", async () => {
+    const { jobId } = await submit(UPLOAD);
+    await callable(fns.cancelPupilAnalysis, { jobId });
+
+    await runJob(jobId);
+
+    expect(getStorageObject(UPLOAD)).toBeUndefined();
+  });
+
+  test("keeps the input while another run of the trigger is processing it", async () => {
+    const { jobId } = await submit(UPLOAD);
+    backdate(jobId, 0);
+
+    await runJob(jobId);
+
+    expect(fakeGradio.calls).toHaveLength(0);
+    expect(getStorageObject(UPLOAD)).toBeDefined();
+  });
+
+  test("keeps an upload shared by a batch until its last item finishes", async () => {
+    const { data: { jobIds } } = await callable(fns.submitPupilBatch, { items: [{ video_input: UPLOAD }, { video_input: UPLOAD }], concurrency: 1 });
+
+    await runJob(jobIds[0]);
+    expect(getStorageObject(UPLOAD)).toBeDefined();
+
+    await runJob(jobIds[1]);
+    expect(getDocument(`pupilJobs/${jobIds[1]}`).status).toBe("done");
+    expect(getStorageObject(UPLOAD)).toBeUndefined();
+  });
+
+  test("failStalePupilJobs fails jobs whose worker stopped updating them", async () => {
+    const stale = await submit(UPLOAD);
+    const running = await submit(VIDEO_DATA_URL);
+    backdate(stale.jobId, 16);
+    backdate(running.jobId, 5);
+
+    await fns.failStalePupilJobs.run({});
+
+    expect(getDocument(`pupilJobs/${stale.jobId}`)).toMatchObject({
+      status: "failed",
+      errorType: "timeout",
+      error: "The analysis stopped responding. Submit the video again."
+    });
+    expect(getStorageObject(UPLOAD)).toBeUndefined();
+    expect(getDocument(`pupilJobs/${running.jobId}`).status).toBe("processing");
+    expect(getStorageObject(`pupilJobs/${running.jobId}/input`)).toBeDefined();
+  });
+
+  test("failStalePupilJobs moves the batch on to its next video", async () => {
+    const { data: { batchId, jobIds } } = await callable(fns.submitPupilBatch, {
+      items: [{ video_input: VIDEO_DATA_URL }, { video_input: VIDEO_DATA_URL }],
+      concurrency: 1
+    });
+    backdate(jobIds[0], 30);
+
+    await fns.failStalePupilJobs.run({});
+
+    expect(getDocument(`pupilJobs/${jobIds[0]}`).status).toBe("failed");
+    expect(getDocument(`pupilJobs/${jobIds[1]}`).status).toBe("queued");
+    expect(getDocument(`pupilBatches/${batchId}`).items[0].state).toBe("finished");
+  });
+});
+
+describe("pupil batches", () => {
+  const submit = async (data) => (await callable(fns.submitPupilBatch, data)).data;
+  const status = async (batchId, uid) => (await callable(fns.getPupilBatchStatus, { batchId }, uid)).data;
+  const trials = (count) => Array.from({ length: count }, (_, i) => ({ video_input: VIDEO_DATA_URL, label: `Trial ${i + 1}` }));
+
+  test("runs at most `concurrency` jobs and starts the next as each one finishes", async () => {
+    const { batchId, jobIds } = await submit({ items: trials(3), concurrency: 2 });
+
+    expect(jobIds).toHaveLength(3);
+    expect(getDocument(`pupilJobs/${jobIds[0]}`)).toMatchObject({ status: "queued", batchId, batchIndex: 0 });
+    expect(getDocument(`pupilJobs/${jobIds[1]}`)).toMatchObject({ status: "queued", batchId, batchIndex: 1 });
+    expect(getDocument(`pupilJobs/${jobIds[2]}`)).toBeUndefined();
+    expect((await status(batchId)).counts).toMatchObject({ pending: 1, queued: 2 });
+
+    await runJob(jobIds[0]);
+    expect(getDocument(`pupilJobs/${jobIds[2]}`)).toMatchObject({ status: "queued", batchIndex: 2 });
+
+    await runJob(jobIds[1]);
+    await runJob(jobIds[2]);
+
+    const batch = await status(batchId);
+    expect(batch.status).toBe("done");
+    expect(batch.counts).toMatchObject({ pending: 0, queued: 0, processing: 0, done: 3 });
+    expect(batch.items.map((item) => item.label)).toEqual(["Trial 1", "Trial 2", "Trial 3"]);
+    expect(batch.items[0].result).toMatchObject({ summary: "Mean diameter: 3.3mm", analysisId: expect.any(String) });
+    expect(getStorageObject(`pupilJobs/${jobIds[0]}/input`)).toBeUndefined();
+  });
+
+  test("applies shared options unless an item sets its own", async () => {
+    const { jobIds } = await submit({
+      tv_model: "ResNet50",
+      items: [{ video_input: VIDEO_DATA_URL }, { video_input: VIDEO_DATA_URL, tv_model: "ResNet18", blink_detection: false }]
+    });
+
+    expect(getDocument(`pupilJobs/${jobIds[0]}`).params).toEqual({ pupil_selection: "both", tv_model: "ResNet50", blink_detection: true });
+    expect(getDocument(`pupilJobs/${jobIds[1]}`).params).toEqual({ pupil_selection: "both", tv_model: "ResNet18", blink_detection: false });
+  });
+
+  test("summarizes completed trials and reports failed ones", async () => {
+    const { batchId, jobIds } = await submit({ items: trials(3) });
+
+    await runJob(jobIds[0]);
+    fakeGradio.respondWith(PUPIL_ENDPOINT, [PLOT, "Done", { fps: 30, left: [4, 4.2], right: [4.1, 4.3] }]);
+    await runJob(jobIds[1]);
+    fakeGradio.failWith(PUPIL_ENDPOINT, "Queue is full");
+    await runJob(jobIds[2]);
+
+    const batch = await status(batchId);
+    expect(batch.status).toBe("done");
+    expect(batch.counts).toMatchObject({ done: 2, failed: 1 });
+    expect(batch.items[2]).toMatchObject({ status: "failed", errorType: "queue-full", result: null });
+    expect(batch.summary).toMatchObject({ trialCount: 2, blinkCount: 1, blinksPerTrial: { mean: 0.5 } });
+    expect(batch.summary.left.mean).toBeCloseTo((3.2 + 4.1) / 2);
+    expect(batch.summary.right.validSamples).toBe(2);
+  });
+
+  test("counts every video against the daily quota", async () => {
+    process.env.ML_QUOTAS = JSON.stringify({ user: { requestsPerDay: 4 } });
+
+    try {
+      await submit({ items: trials(3) });
+      await expectHttpsError(callable(fns.submitPupilBatch, { items: trials(2) }), "resource-exhausted", "quota-exceeded");
+    } finally {
+      delete process.env.ML_QUOTAS;
+    }
+
+    expect(getDocument("usage/test-user").day.requests).toBe(3);
+  });
+
+  test.each([
+    [{}, "Missing required field: items"],
+    [{ items: [] }, "Missing required field: items"],
+    [{ items: trials(21) }, "A batch can hold at most 20 videos"],
+    [{ items: [{ video_input: VIDEO_DATA_URL }, {}] }, "items[1]: Missing required field: video_input"],
+    [{ items: [{ video_input: VIDEO_DATA_URL, tv_model: 50 }] }, "items[0]: Invalid tv_model: expected string"],
+    [{ items: [{ video_input: VIDEO_DATA_URL, label: 7 }] }, "items[0]: label must be a string of 100 characters or less"],
+    [{ items: trials(1), concurrency: 4 }, "concurrency must be a whole number between 1 and 3"]
+  ])("rejects %j", async (data, message) => {
+    const error = await expectHttpsError(callable(fns.submitPupilBatch, data), "invalid-argument", "validation");
+    expect(error.message).toBe(message);
+    expect(getDocument("usage/test-user")).toBeUndefined();
+  });
+
+  test("passes the caller's own uploads to jobs by reference", async () => {
+    addStorageObject("pupilUploads/test-user/trial.mp4", VIDEO_BYTES);
+
+    const { jobIds } = await submit({ items: [{ video_input: "pupilUploads/test-user/trial.mp4" }] });
+    expect(getDocument(`pupilJobs/${jobIds[0]}`)).toMatchObject({
+      videoInput: "gs://test-project.appspot.com/pupilUploads/test-user/trial.mp4",
+      stagedInput: false
+    });
+
+    await runJob(jobIds[0]);
+    expect(getDocument(`pupilJobs/${jobIds[0]}`).status).toBe("done");
+    expect(lastMediaInput()).toBe(VIDEO_DATA_URL);
+  });
+
+  test("rejects other users' uploads", async () => {
+    addStorageObject("pupilUploads/other-user/trial.mp4", VIDEO_BYTES);
+
+    const error = await expectHttpsError(
+      callable(fns.submitPupilBatch, { items: [{ video_input: "pupilUploads/other-user/trial.mp4" }] }),
+      "invalid-argument",
+      "validation"
+    );
+    expect(error.message).toBe("Storage references must point to your own uploads under pupilUploads/<uid>/");
+  });
+
+  test("leaves no batch, jobs or staged videos behind when the batch cannot be created", async () => {
+    failTransactionsWriting("pupilBatches");
+
+    await expectHttpsError(callable(fns.submitPupilBatch, { items: trials(2) }), "internal", "internal");
+    expect(listDocuments("pupilBatches")).toEqual([]);
+    expect(listDocuments("pupilJobs")).toEqual([]);
+    expect(listStorageObjects("pupilJobs/")).toEqual([]);
+  });
+
+  test("only shows callers their own batches", async () => {
+    const { batchId } = await submit({ items: trials(1) });
+
+    await expectHttpsError(callable(fns.getPupilBatchStatus, { batchId }, "someone-else"), "not-found", "not-found");
+  });
+});
+
+describe("analysis history", () => {
+  const analyze = async (data = {}) => (await callable(fns.generatePupilAnalysis, { video_input: VIDEO_DATA_URL, ...data })).data;
+
+  test("saves completed analyses with their parameters, plot and series", async () => {
+    const { analysisId } = await analyze({ tv_model: "ResNet50" });
+
+    const { data } = await callable(fns.getAnalysis, { analysisId });
+
+    expect(data).toMatchObject({
+      analysisId,
+      params: { pupil_selection: "both", tv_model: "ResNet50", blink_detection: true },
+      summary: "Mean diameter: 3.3mm",
+      plotUrl: expect.stringMatching(REHOSTED_PLOT_URL),
+      stats: { frameCount: 3, blinkCount: 1 }
+    });
+    expect(Date.parse(data.createdAt)).not.toBeNaN();
+    expect(data.pupilData).toMatchObject({ schemaVersion: "1.2", stats: { frameCount: 3 } });
+    expect(data.pupilData.frames).toHaveLength(3);
+  });
+
+  test("keeps the series out of the Firestore document", async () => {
+    const { analysisId } = await analyze();
+    const stored = getDocument(`analyses/${analysisId}`);
+
+    expect(stored.series.frames).toBeUndefined();
+    expect(stored.seriesPath).toBe(`analyses/test-user/${analysisId}/series.json`);
+  });
+
+  test("lists analyses newest first, one page at a time", async () => {
+    const ids = [];
+    for (let i = 0; i < 3; i++) {
+      ids.push((await analyze()).analysisId);
+    }
+
+    const first = (await callable(fns.listAnalyses, { pageSize: 2 })).data;
+    expect(first.analyses.map((analysis) => analysis.analysisId)).toEqual([ids[2], ids[1]]);
+    expect(first.analyses[0].pupilData).toBeUndefined();
+    expect(first.nextPageToken).toBe(ids[1]);
+
+    const second = (await callable(fns.listAnalyses, { pageSize: 2, pageToken: first.nextPageToken })).data;
+    expect(second.analyses.map((analysis) => analysis.analysisId)).toEqual([ids[0]]);
+    expect(second.nextPageToken).toBeNull();
+  });
+
+  test("only shows callers their own analyses", async () => {
+    const { analysisId } = await analyze();
+
+    const { data } = await callable(fns.listAnalyses, {}, "someone-else");
+    expect(data.analyses).toEqual([]);
+
+    await expectHttpsError(callable(fns.getAnalysis, { analysisId }, "someone-else"), "not-found", "not-found");
+    await expectHttpsError(callable(fns.deleteAnalysis, { analysisId }, "someone-else"), "not-found", "not-found");
+    await expectHttpsError(callable(fns.listAnalyses, { pageToken: analysisId }, "someone-else"), "not-found", "not-found");
+  });
+
+  test("copies the plot so it outlives the Space's copy", async () => {
+    const { analysisId } = await analyze();
+    const stored = getDocument(`analyses/${analysisId}`);
+
+    expect(stored.plotPath).toBe(`analyses/test-user/${analysisId}/plot.png`);
+    expect(getStorageObject(stored.plotPath)).toEqual({ buffer: PLOT_BYTES, contentType: "image/png" });
+
+    fakeGradio.reset();
+    const { data } = await callable(fns.getAnalysis, { analysisId });
+    expect(data.plotUrl).toMatch(REHOSTED_PLOT_URL);
+  });
+
+  test("signs plot URLs for url_ttl_seconds", async () => {
+    const expiresIn = (url) => Number(new URL(url).searchParams.get("expires")) - Date.now();
+
+    const { analysisId, analysisUrl } = await analyze({ url_ttl_seconds: 600 });
+    expect(expiresIn(analysisUrl)).toBeGreaterThan(590 * 1000);
+    expect(expiresIn(analysisUrl)).toBeLessThanOrEqual(600 * 1000);
+
+    const { data } = await callable(fns.getAnalysis, { analysisId, url_ttl_seconds: 24 * 60 * 60 });
+    expect(expiresIn(data.plotUrl)).toBeGreaterThan(23 * 60 * 60 * 1000);
+
+    const error = await expectHttpsError(callable(fns.listAnalyses, { url_ttl_seconds: 8 * 24 * 60 * 60 }), "invalid-argument", "validation");
+    expect(error.message).toBe("url_ttl_seconds must be a whole number between 1 and 604800");
+  });
+
+  test("keeps the Space's plot URL when the plot cannot be copied", async () => {
+    global.fetch.mockResolvedValue(new Response("gone", { status: 404, statusText: "Not Found" }));
+
+    const { analysisId, analysisUrl } = await analyze();
+
+    expect(analysisUrl).toBe(PLOT.url);
+    expect(getDocument(`analyses/${analysisId}`).plotPath).toBeNull();
+  });
+
+  test("deletes an analysis and its series and plot", async () => {
+    const { analysisId } = await analyze();
+    const { seriesPath, plotPath } = getDocument(`analyses/${analysisId}`);
+    expect(getStorageObject(seriesPath)).toBeDefined();
+
+    await expect(callable(fns.deleteAnalysis, { analysisId })).resolves.toEqual({ success: true });
+
+    expect(getDocument(`analyses/${analysisId}`)).toBeUndefined();
+    expect(getStorageObject(seriesPath)).toBeUndefined();
+    expect(getStorageObject(plotPath)).toBeUndefined();
+    await expectHttpsError(callable(fns.getAnalysis, { analysisId }), "not-found", "not-found");
+  });
+
+  test.each([
+    [{ pageSize: 0 }, "pageSize must be a whole number between 1 and 50"],
+    [{ pageSize: 51 }, "pageSize must be a whole number between 1 and 50"],
+    [{ pageSize: "10" }, "pageSize must be a whole number between 1 and 50"]
+  ])("rejects list options %j", async (data, message) => {
+    const error = await expectHttpsError(callable(fns.listAnalyses, data), "invalid-argument", "validation");
+    expect(error.message).toBe(message);
+  });
+
+  test("requires an analysisId", async () => {
+    await expectHttpsError(callable(fns.getAnalysis, {}), "invalid-argument", "validation");
+  });
+});
+
+describe.each([
+  ["generateTTSHttp", { text_input: "" }],
+  ["generatePupilAnalysisHttp", {}],
+  ["testPupilSenseHttp", null]
+])("%s", (name, invalidBody) => {
+  test("answers CORS preflight requests", async () => {
+    const res = await runHttp(fns[name], { method: "OPTIONS" });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.ended).toBe(true);
+    expect(res.headers).toEqual({
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+      "Access-Control-Allow-Headers": "Content-Type, Authorization, X-API-Key, X-Firebase-AppCheck"
+    });
+  });
+
+  test("rejects methods other than POST", async () => {
+    const res = await runHttp(fns[name], { method: "GET" });
+
+    expect(res.statusCode).toBe(405);
+    expect(res.body).toEqual({ error: "Method not allowed" });
+    expect(res.headers["Access-Control-Allow-Origin"]).toBe("*");
+  });
+
+  if (invalidBody) {
+    test("responds 400 to invalid bodies", async () => {
+      const res = await runHttp(fns[name], { body: invalidBody });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body).toMatchObject({ success: false, type: "validation", retryable: false });
+    });
+  }
+});
+
+describe("generateTTSHttp", () => {
+  test("returns the audio as JSON", async () => {
+    const res = await runHttp(fns.generateTTSHttp, { body: { text_input: "Look at the dot" } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({
+      success: true,
+      audioUrl: expect.stringMatching(/\/ttsCache\/[0-9a-f]{64}\.wav\?expires=/),
+      metadata: { text: "Look at the dot", cache: { hit: false } }
+    });
+  });
+});
+
+describe("generatePupilAnalysisHttp", () => {
+  test("returns the analysis as JSON", async () => {
+    const res = await runHttp(fns.generatePupilAnalysisHttp, { body: { video_input: VIDEO_DATA_URL } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.success).toBe(true);
+    expect(res.body.data.analysisUrl).toMatch(/\/plot\.png\?expires=/);
+  });
+
+  test("maps Space errors to HTTP status codes", async () => {
+    fakeGradio.failWith(PUPIL_ENDPOINT, "Queue is full");
+
+    const res = await runHttp(fns.generatePupilAnalysisHttp, { body: { video_input: VIDEO_DATA_URL } });
+
+    expect(res.statusCode).toBe(429);
+    expect(res.body).toMatchObject({ success: false, type: "queue-full", retryable: true });
+  });
+});
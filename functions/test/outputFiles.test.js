@@ -0,0 +1,82 @@
+jest.mock("firebase-admin/storage", () => require("./helpers/firebaseAdmin").storageModule);
+
+const {getUrlTtlSeconds, downloadOutputFile, rehostOutputFile, signOutputUrl} = require("../src/outputFiles");
+const {getStorageObject, resetStorage} = require("./helpers/firebaseAdmin");
+const fakeGradio = require("./helpers/fakeGradio");
+
+const AUDIO = { url: "https://space.test/file=/tmp/audio.wav", path: "/tmp/audio.wav", mime_type: "audio/wav" };
+const AUDIO_BYTES = Buffer.from("RIFF fake wav");
+
+beforeEach(() => {
+  resetStorage();
+  fakeGradio.reset();
+  jest.spyOn(global, "fetch").mockImplementation(fakeGradio.fetchFile);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("getUrlTtlSeconds", () => {
+  test("defaults to an hour", () => {
+    expect(getUrlTtlSeconds(undefined)).toBe(3600);
+    expect(getUrlTtlSeconds(null)).toBe(3600);
+  });
+
+  test.each([0, -5, 1.5, "600", 7 * 24 * 60 * 60 + 1])("rejects %j", (value) => {
+    expect(() => getUrlTtlSeconds(value)).toThrow(expect.objectContaining({
+      type: "validation",
+      message: "url_ttl_seconds must be a whole number between 1 and 604800"
+    }));
+  });
+});
+
+describe("downloadOutputFile", () => {
+  test("accepts FileData objects and plain URLs", async () => {
+    fakeGradio.serveFile(AUDIO.url, AUDIO_BYTES, "audio/wav; charset=binary");
+
+    await expect(downloadOutputFile(AUDIO, { source: "Chatterbox" })).resolves.toEqual({ buffer: AUDIO_BYTES, contentType: "audio/wav" });
+    await expect(downloadOutputFile(AUDIO.url, { source: "Chatterbox" })).resolves.toMatchObject({ contentType: "audio/wav" });
+  });
+
+  test("falls back to the FileData type, then the given one", async () => {
+    global.fetch.mockImplementation(async () => new Response(AUDIO_BYTES, { headers: { "content-type": "" } }));
+
+    await expect(downloadOutputFile(AUDIO, { source: "Chatterbox" })).resolves.toMatchObject({ contentType: "audio/wav" });
+    await expect(downloadOutputFile("https://space.test/file=plot", { source: "PupilSense", fallbackType: "image/png" }))
+      .resolves.toMatchObject({ contentType: "image/png" });
+  });
+
+  test("rejects outputs that only have a local path", async () => {
+    await expect(downloadOutputFile({ path: "/tmp/audio.wav" }, { source: "Chatterbox" }))
+      .rejects.toMatchObject({ type: "upstream-format", message: "Chatterbox returned a file without a download URL" });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test("reports expired files as an unavailable Space", async () => {
+    await expect(downloadOutputFile(AUDIO, { source: "Chatterbox" }))
+      .rejects.toMatchObject({ type: "space-unavailable", message: "Failed to download Chatterbox output: 404 Not Found" });
+  });
+});
+
+describe("rehostOutputFile", () => {
+  test("stores the file under the base path with an extension for its type", async () => {
+    fakeGradio.serveFile(AUDIO.url, AUDIO_BYTES, "audio/wav");
+
+    const stored = await rehostOutputFile(AUDIO, "outputs/user-1/speech", { source: "Chatterbox", uid: "user-1" });
+
+    expect(stored).toEqual({ storagePath: "outputs/user-1/speech.wav", contentType: "audio/wav" });
+    expect(getStorageObject("outputs/user-1/speech.wav")).toEqual({ buffer: AUDIO_BYTES, contentType: "audio/wav" });
+  });
+});
+
+describe("signOutputUrl", () => {
+  test("signs read URLs for the requested lifetime", async () => {
+    jest.spyOn(Date, "now").mockReturnValue(1000);
+
+    await expect(signOutputUrl("outputs/speech.wav", 60))
+      .resolves.toBe("https://storage.test/test-project.appspot.com/outputs/speech.wav?expires=61000");
+    await expect(signOutputUrl("outputs/speech.wav"))
+      .resolves.toBe("https://storage.test/test-project.appspot.com/outputs/speech.wav?expires=3601000");
+  });
+});
@@ -0,0 +1,126 @@
+const {getStimulusOnset, computePlrMetrics} = require("../src/plr");
+
+// Synthetic light reflex: flat baseline, linear constriction after the latency,
+// a short plateau, then linear re-dilation back to baseline
+const CURVE = {
+  stimulusOnset: 2,
+  baseline: 6,
+  amplitude: 2,
+  latency: 0.25,
+  constrictionSeconds: 0.4,
+  plateauSeconds: 0.2,
+  recoverySeconds: 2
+};
+
+const diameterAt = (t, curve = CURVE) => {
+  const start = curve.stimulusOnset + curve.latency;
+  const peak = start + curve.constrictionSeconds;
+  const recoveryStart = peak + curve.plateauSeconds;
+
+  if (t <= start) {
+    return curve.baseline;
+  }
+  if (t <= peak) {
+    return curve.baseline - curve.amplitude * (t - start) / curve.constrictionSeconds;
+  }
+  if (t <= recoveryStart) {
+    return curve.baseline - curve.amplitude;
+  }
+  return Math.min(curve.baseline, curve.baseline - curve.amplitude + curve.amplitude * (t - recoveryStart) / curve.recoverySeconds);
+};
+
+const buildSeries = (fps, durationSeconds, curve = CURVE) => {
+  const frames = Array.from({ length: Math.round(durationSeconds * fps) + 1 }, (_, frame) => {
+    const diameter = diameterAt(frame / fps, curve);
+    return { frame, timestamp: frame / fps, leftDiameter: diameter, rightDiameter: diameter - 0.1, confidence: 1, blink: false };
+  });
+  return { schemaVersion: "1.0", units: "mm", fps, frames, stats: {} };
+};
+
+describe("getStimulusOnset", () => {
+  test("is optional", () => {
+    expect(getStimulusOnset(undefined)).toBeNull();
+    expect(getStimulusOnset(null)).toBeNull();
+    expect(getStimulusOnset(0)).toBe(0);
+    expect(getStimulusOnset(1.5)).toBe(1.5);
+  });
+
+  test.each([-1, "2", NaN, Infinity])("rejects %p", (value) => {
+    expect(() => getStimulusOnset(value)).toThrow(expect.objectContaining({
+      type: "validation",
+      message: "stimulus_onset must be a number of seconds from the start of the recording"
+    }));
+  });
+});
+
+describe("computePlrMetrics", () => {
+  test("recovers the parameters of a synthetic curve", () => {
+    const plr = computePlrMetrics(buildSeries(100, 6), CURVE.stimulusOnset);
+    const { left } = plr;
+
+    expect(plr).toMatchObject({ stimulusOnset: 2, units: "mm" });
+    expect(left.baselineDiameter).toBeCloseTo(6);
+    expect(left.minDiameter).toBeCloseTo(4);
+    expect(left.constrictionAmplitude).toBeCloseTo(2);
+    // Latency is measured to 5% of the amplitude, 5% into the constriction
+    expect(left.latency).toBeCloseTo(CURVE.latency + 0.05 * CURVE.constrictionSeconds, 3);
+    expect(left.maxConstrictionVelocity).toBeCloseTo(CURVE.amplitude / CURVE.constrictionSeconds);
+    // The minimum is first reached at the start of the plateau
+    expect(left.recoveryTime).toBeCloseTo(CURVE.plateauSeconds + 0.75 * CURVE.recoverySeconds, 3);
+    expect(left.redilationVelocity).toBeCloseTo(CURVE.amplitude / CURVE.recoverySeconds);
+    expect(plr.right.baselineDiameter).toBeCloseTo(5.9);
+  });
+
+  test("interpolates between frames at low frame rates", () => {
+    const { left } = computePlrMetrics(buildSeries(30, 6), CURVE.stimulusOnset);
+
+    expect(left.latency).toBeCloseTo(0.27, 2);
+    expect(left.recoveryTime).toBeCloseTo(1.7, 1);
+    expect(left.maxConstrictionVelocity).toBeCloseTo(5, 0);
+  });
+
+  test("ignores blinks", () => {
+    const series = buildSeries(100, 6);
+    // A blink in the middle of the recovery reads as a dip to nothing
+    for (const frame of series.frames.slice(400, 410)) {
+      Object.assign(frame, { leftDiameter: 0.5, blink: true });
+    }
+
+    const { left } = computePlrMetrics(series, CURVE.stimulusOnset);
+
+    expect(left.minDiameter).toBeCloseTo(4);
+    expect(left.recoveryTime).toBeCloseTo(1.7, 3);
+  });
+
+  test("leaves recovery empty when the pupil does not re-dilate in the recording", () => {
+    const { left } = computePlrMetrics(buildSeries(100, 3.5), CURVE.stimulusOnset);
+
+    expect(left.latency).toBeCloseTo(0.27, 3);
+    expect(left.recoveryTime).toBeNull();
+    expect(left.redilationVelocity).toBeCloseTo(1);
+  });
+
+  test("reports no timing without a constriction", () => {
+    const flat = buildSeries(30, 4, { ...CURVE, amplitude: 0 });
+
+    expect(computePlrMetrics(flat, 2).left).toEqual({
+      baselineDiameter: 6,
+      minDiameter: 6,
+      constrictionAmplitude: 0,
+      latency: null,
+      maxConstrictionVelocity: null,
+      recoveryTime: null,
+      redilationVelocity: null
+    });
+  });
+
+  test("needs samples before and after the stimulus", () => {
+    const series = buildSeries(30, 6);
+    series.frames.forEach((frame) => { frame.rightDiameter = null; });
+
+    expect(computePlrMetrics(series, 0).left).toBeNull();
+    expect(computePlrMetrics(series, 10).left).toBeNull();
+    expect(computePlrMetrics(series, 2).right).toBeNull();
+    expect(computePlrMetrics(null, 2)).toBeNull();
+  });
+});
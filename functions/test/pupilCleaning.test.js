@@ -0,0 +1,167 @@
+const {getCleaningOptions, cleanPupilSeries} = require("../src/pupilCleaning");
+
+// 16 fps keeps every timestamp exact, so padding and gap limits fall on frames
+const FPS = 16;
+
+const buildSeries = (count, diameterAt = () => 4) => {
+  const frames = Array.from({ length: count }, (_, frame) => {
+    const diameter = diameterAt(frame / FPS, frame);
+    return { frame, timestamp: frame / FPS, leftDiameter: diameter, rightDiameter: diameter, confidence: 1, blink: false };
+  });
+  return { schemaVersion: "1.1", units: "mm", fps: FPS, frames, stats: {} };
+};
+
+const blinkAt = (series, ...indices) => {
+  for (const index of indices) {
+    Object.assign(series.frames[index], { leftDiameter: null, rightDiameter: null, blink: true });
+  }
+  return series;
+};
+
+const clean = (series, options = {}) => cleanPupilSeries(series, getCleaningOptions(options));
+
+describe("getCleaningOptions", () => {
+  test("is off unless asked for", () => {
+    expect(getCleaningOptions(undefined)).toBeNull();
+    expect(getCleaningOptions(false)).toBeNull();
+  });
+
+  test("fills in the defaults", () => {
+    expect(getCleaningOptions(true)).toEqual({
+      blink_padding_ms: 100,
+      min_diameter: 1.5,
+      max_diameter: 9,
+      max_velocity: 10,
+      interpolation: "linear",
+      max_gap_ms: 500,
+      smoothing: "none",
+      smoothing_window: 5,
+      max_rejected_percent: 50
+    });
+    expect(getCleaningOptions({ interpolation: "cubic", max_gap_ms: 250 })).toMatchObject({ interpolation: "cubic", max_gap_ms: 250, blink_padding_ms: 100 });
+  });
+
+  test.each([
+    ["a string", "yes", "cleaning must be true or an object of cleaning options"],
+    ["unknown options", { padding: 50 }, "Unknown cleaning option: padding"],
+    ["unknown methods", { interpolation: "spline" }, "cleaning.interpolation must be one of linear, cubic, none"],
+    ["values out of range", { blink_padding_ms: -1 }, "cleaning.blink_padding_ms must be a number between 0 and 1000"],
+    ["even windows", { smoothing_window: 4 }, "cleaning.smoothing_window must be an odd whole number between 3 and 51"],
+    ["an empty diameter range", { min_diameter: 5, max_diameter: 5 }, "cleaning.min_diameter must be less than cleaning.max_diameter"]
+  ])("rejects %s", (label, value, message) => {
+    expect(() => getCleaningOptions(value)).toThrow(expect.objectContaining({ type: "validation", message }));
+  });
+});
+
+describe("cleanPupilSeries", () => {
+  test("removes blinks with their padding and fills the gap", () => {
+    const series = blinkAt(buildSeries(160), 32, 33);
+
+    const cleaned = clean(series, { blink_padding_ms: 125 });
+
+    expect(cleaned.frames.slice(29, 37).map((frame) => frame.leftStatus)).toEqual([
+      "valid", "interpolated", "interpolated", "interpolated", "interpolated", "interpolated", "interpolated", "valid"
+    ]);
+    expect(cleaned.frames[32]).toMatchObject({ leftDiameter: 4, blink: true });
+    expect(cleaned.cleaning.left).toEqual({
+      rejected: { missing: 0, blink: 2, padding: 4, range: 0, velocity: 0 },
+      rejectedPercent: 100 * 6 / 160,
+      interpolatedFrames: 6,
+      usable: true
+    });
+    expect(cleaned.stats.blinkCount).toBe(1);
+    // The input series is left alone
+    expect(series.frames[30]).not.toHaveProperty("leftStatus");
+  });
+
+  test("rejects diameters outside the plausible range", () => {
+    const series = buildSeries(32, (t, frame) => (frame === 10 ? 12 : 4));
+
+    const cleaned = clean(series, { interpolation: "none", max_velocity: 1000 });
+
+    expect(cleaned.frames[10]).toMatchObject({ leftDiameter: null, leftStatus: "rejected", leftRawDiameter: 12 });
+    expect(cleaned.frames[11]).toMatchObject({ leftDiameter: 4, leftRawDiameter: 4 });
+    expect(cleaned.cleaning.left.rejected.range).toBe(1);
+    expect(cleaned.stats.left.max).toBe(4);
+  });
+
+  test("rejects both sides of an impossible jump", () => {
+    // A 1mm spike in one frame is 16mm/s; the slow drift is well under the limit
+    const series = buildSeries(80, (t, frame) => 4 + 0.1 * t + (frame === 50 ? 1 : 0));
+
+    const cleaned = clean(series);
+
+    expect(cleaned.frames.slice(48, 53).map((frame) => frame.leftStatus)).toEqual(["valid", "interpolated", "interpolated", "interpolated", "valid"]);
+    expect(cleaned.frames[50].leftDiameter).toBeCloseTo(4 + 0.1 * 50 / FPS);
+    expect(cleaned.cleaning.left.rejected.velocity).toBe(3);
+  });
+
+  test("follows curved traces more closely with cubic interpolation", () => {
+    const diameterAt = (t) => 4 + Math.sin(2 * t);
+    const gap = Array.from({ length: 6 }, (_, i) => 20 + i);
+    const series = buildSeries(64, (t, frame) => (gap.includes(frame) ? null : diameterAt(t)));
+    const maxError = (cleaned) => Math.max(...gap.map((i) => Math.abs(cleaned.frames[i].leftDiameter - diameterAt(i / FPS))));
+
+    const linear = clean(series);
+    const cubic = clean(series, { interpolation: "cubic" });
+
+    expect(cubic.frames[22].leftStatus).toBe("interpolated");
+    expect(cubic.cleaning.left.rejected.missing).toBe(6);
+    expect(maxError(cubic)).toBeLessThan(0.01);
+    expect(maxError(cubic)).toBeLessThan(maxError(linear) / 5);
+  });
+
+  test("leaves long gaps and the ends of the recording empty", () => {
+    const series = blinkAt(buildSeries(64), 0, 1, ...Array.from({ length: 12 }, (_, i) => 20 + i));
+
+    const cleaned = clean(series, { blink_padding_ms: 0 });
+
+    expect(cleaned.frames[0]).toMatchObject({ leftDiameter: null, leftStatus: "rejected" });
+    expect(cleaned.frames[25]).toMatchObject({ leftDiameter: null, leftStatus: "rejected" });
+    expect(cleaned.cleaning.left.interpolatedFrames).toBe(0);
+  });
+
+  test.each([
+    ["moving_average", 4.1],
+    ["median", 4]
+  ])("smooths with a %s filter without reaching across gaps", (smoothing, expected) => {
+    // 4, 4, 4.3, 4, 4, ... : one small bump every 8 frames
+    const series = buildSeries(40, (t, frame) => (frame % 8 === 2 ? 4.3 : 4));
+    series.frames[20].leftDiameter = null;
+
+    const cleaned = clean(series, { smoothing, smoothing_window: 3, interpolation: "none" });
+
+    expect(cleaned.frames[2].leftDiameter).toBeCloseTo(expected);
+    expect(cleaned.frames[21].leftDiameter).toBe(4);
+    expect(cleaned.frames[20].leftDiameter).toBeNull();
+  });
+
+  test("flags the trial unusable when too much is rejected", () => {
+    const series = blinkAt(buildSeries(32), ...Array.from({ length: 12 }, (_, i) => i));
+
+    const cleaned = clean(series, { max_rejected_percent: 40 });
+
+    expect(cleaned.cleaning.left).toMatchObject({ rejectedPercent: 100 * 13 / 32, usable: false });
+    expect(cleaned.cleaning.usable).toBe(false);
+    expect(clean(series, { max_rejected_percent: 50 }).cleaning.usable).toBe(true);
+  });
+
+  test("skips eyes the Space did not measure", () => {
+    const series = buildSeries(32);
+    series.frames.forEach((frame) => { frame.rightDiameter = null; });
+
+    const cleaned = clean(series);
+
+    expect(cleaned.cleaning.right).toBeNull();
+    expect(cleaned.cleaning.usable).toBe(true);
+    expect(cleaned.frames[0]).toMatchObject({ rightDiameter: null, rightStatus: "missing" });
+  });
+
+  test("returns series without timestamps as they are", () => {
+    const series = buildSeries(8);
+    series.frames[3].timestamp = null;
+
+    expect(clean(series)).toBe(series);
+    expect(cleanPupilSeries(null, getCleaningOptions(true))).toBeNull();
+  });
+});
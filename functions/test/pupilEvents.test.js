@@ -0,0 +1,68 @@
+const {getEvents, segmentEventResponses} = require("../src/pupilEvents");
+
+// 10 fps: 4mm at rest, dilating by 0.5mm for a second after each prompt
+const FPS = 10;
+const PROMPTS = [1, 4];
+
+const buildSeries = (seconds) => {
+  const frames = Array.from({ length: seconds * FPS }, (_, frame) => {
+    const t = frame / FPS;
+    const evoked = PROMPTS.some((onset) => t >= onset + 0.5 && t < onset + 1.5);
+    const diameter = evoked ? 4.5 : 4;
+    return { frame, timestamp: t, leftDiameter: diameter, rightDiameter: null, confidence: 1, blink: false };
+  });
+  return { schemaVersion: "1.1", units: "mm", fps: FPS, frames, stats: {} };
+};
+
+describe("getEvents", () => {
+  test("is optional and defaults labels to null", () => {
+    expect(getEvents(undefined)).toBeNull();
+    expect(getEvents([{ time: 0 }, { time: 2.5, label: "Count backwards" }])).toEqual([
+      { time: 0, label: null },
+      { time: 2.5, label: "Count backwards" }
+    ]);
+  });
+
+  test.each([
+    ["a non-list", { time: 1 }, "events must be a list of { time, label } markers"],
+    ["negative times", [{ time: -1 }], "events[0].time must be a number of seconds from the start of the recording"],
+    ["missing times", [{ time: 1 }, { label: "x" }], "events[1].time must be a number of seconds from the start of the recording"],
+    ["long labels", [{ time: 1, label: "x".repeat(101) }], "events[0].label must be a string of 100 characters or less"],
+    ["events out of order", [{ time: 2 }, { time: 1 }], "events must be in increasing time order"],
+    ["too many events", Array.from({ length: 201 }, (_, i) => ({ time: i })), "At most 200 events can be given"]
+  ])("rejects %s", (label, value, message) => {
+    expect(() => getEvents(value)).toThrow(expect.objectContaining({ type: "validation", message }));
+  });
+});
+
+describe("segmentEventResponses", () => {
+  test("measures each response against the half second before its event", () => {
+    const [first, second] = segmentEventResponses(buildSeries(20), getEvents([
+      { time: 1, label: "Prompt 1" },
+      { time: 4, label: "Prompt 2" }
+    ]));
+
+    expect(first).toMatchObject({ index: 0, label: "Prompt 1", time: 1, endTime: 4, startIndex: 10, endIndex: 39, right: null });
+    expect(first.left).toEqual({
+      baselineDiameter: 4,
+      meanChange: expect.closeTo(0.5 / 3),
+      peakChange: 0.5,
+      peakLatency: expect.closeTo(0.5),
+      validSamples: 30
+    });
+    // The last response stops after the longest window
+    expect(second).toMatchObject({ time: 4, endTime: 14, startIndex: 40, endIndex: 139 });
+    expect(second.left.peakChange).toBe(0.5);
+  });
+
+  test("skips blinks and leaves out events without data", () => {
+    const series = buildSeries(5);
+    series.frames[15] = { ...series.frames[15], leftDiameter: 9, blink: true };
+
+    const [early, late] = segmentEventResponses(series, getEvents([{ time: 1 }, { time: 30 }]));
+
+    expect(early.left.peakChange).toBe(0.5);
+    expect(late).toMatchObject({ startIndex: null, endIndex: null, left: null, right: null });
+    expect(segmentEventResponses(null, [])).toBeNull();
+  });
+});
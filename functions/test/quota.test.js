@@ -0,0 +1,148 @@
+jest.mock("firebase-admin/firestore", () => require("./helpers/firebaseAdmin").firestoreModule);
+
+const {getQuotaLimits, consumeQuota, recordVideoSeconds, getUsage} = require("../src/quota");
+const {resetFirestore, getDocument, setDocument} = require("./helpers/firebaseAdmin");
+
+// 2026-03-14T09:26:30Z, half way through a minute
+const NOW = Date.parse("2026-03-14T09:26:30Z");
+const MINUTE = 60 * 1000;
+
+beforeEach(() => {
+  resetFirestore();
+});
+
+afterEach(() => {
+  delete process.env.ML_QUOTAS;
+});
+
+describe("getQuotaLimits", () => {
+  test("gives API key clients their own tier", () => {
+    expect(getQuotaLimits("user-1").requestsPerMinute).toBe(5);
+    expect(getQuotaLimits("api-key:lab-server").requestsPerMinute).toBe(30);
+  });
+
+  test("applies ML_QUOTAS, then per-caller overrides", () => {
+    process.env.ML_QUOTAS = JSON.stringify({ user: { requestsPerDay: 50 } });
+
+    expect(getQuotaLimits("user-1")).toEqual({ requestsPerMinute: 5, requestsPerDay: 50, videoSecondsPerDay: 1800 });
+    expect(getQuotaLimits("user-1", { requestsPerDay: 500 }).requestsPerDay).toBe(500);
+    expect(getQuotaLimits("api-key:lab-server").requestsPerDay).toBe(2000);
+  });
+
+  test("reports malformed ML_QUOTAS", () => {
+    process.env.ML_QUOTAS = "{";
+    expect(() => getQuotaLimits("user-1")).toThrow(/^Invalid ML_QUOTAS/);
+  });
+});
+
+describe("consumeQuota", () => {
+  const consumeTimes = async (count, options = {}) => {
+    for (let i = 0; i < count; i++) {
+      await consumeQuota("user-1", { now: NOW, ...options });
+    }
+  };
+
+  test("counts requests per minute and per day", async () => {
+    const usage = await consumeQuota("user-1", { now: NOW });
+
+    expect(usage.minute).toEqual({ requests: 1, remaining: 4, resetsAt: "2026-03-14T09:27:00.000Z" });
+    expect(usage.day).toMatchObject({ requests: 1, remaining: 99, resetsAt: "2026-03-15T00:00:00.000Z" });
+    expect(getDocument("usage/user-1")).toEqual({
+      minute: { window: Math.floor(NOW / MINUTE), requests: 1 },
+      day: { window: "2026-03-14", requests: 1, videoSeconds: 0 }
+    });
+  });
+
+  test("refuses requests over the minute limit until the next minute", async () => {
+    await consumeTimes(5);
+
+    await expect(consumeQuota("user-1", { now: NOW })).rejects.toMatchObject({
+      type: "quota-exceeded",
+      httpStatus: 429,
+      details: { quota: "requestsPerMinute", limit: 5, retryAfterSeconds: 30 }
+    });
+    await expect(consumeQuota("user-1", { now: NOW + 30 * 1000 })).resolves.toMatchObject({ minute: { requests: 1 } });
+  });
+
+  test("refuses requests over the day limit until midnight UTC", async () => {
+    process.env.ML_QUOTAS = JSON.stringify({ user: { requestsPerDay: 2 } });
+    await consumeTimes(2);
+
+    const error = await consumeQuota("user-1", { now: NOW }).catch((e) => e);
+
+    expect(error.details).toEqual({ quota: "requestsPerDay", limit: 2, retryAfterSeconds: 52410 });
+    expect(error.message).toBe("Quota exceeded (requestsPerDay: 2), try again in 52410s");
+  });
+
+  test("counts batches once per minute and per analysis per day", async () => {
+    process.env.ML_QUOTAS = JSON.stringify({ user: { requestsPerDay: 10 } });
+
+    const usage = await consumeQuota("user-1", { now: NOW, requests: 8 });
+    expect(usage.minute.requests).toBe(1);
+    expect(usage.day.requests).toBe(8);
+
+    await expect(consumeQuota("user-1", { now: NOW, requests: 3 })).rejects.toMatchObject({
+      details: { quota: "requestsPerDay", limit: 10 }
+    });
+    await expect(consumeQuota("user-1", { now: NOW, requests: 2 })).resolves.toMatchObject({ day: { remaining: 0 } });
+  });
+
+  test("does not count refused requests", async () => {
+    await consumeTimes(5);
+    await consumeQuota("user-1", { now: NOW }).catch(() => {});
+
+    expect(getDocument("usage/user-1").day.requests).toBe(5);
+  });
+
+  test("refuses video once the day's seconds are spent, but not other calls", async () => {
+    setDocument("usage/user-1", { day: { window: "2026-03-14", requests: 0, videoSeconds: 1800 } });
+
+    await expect(consumeQuota("user-1", { now: NOW, video: true })).rejects.toMatchObject({
+      details: { quota: "videoSecondsPerDay", limit: 1800 }
+    });
+    await expect(consumeQuota("user-1", { now: NOW })).resolves.toBeDefined();
+  });
+
+  test("honours limits stored on the usage document", async () => {
+    setDocument("usage/user-1", { limits: { requestsPerMinute: 1 } });
+    await consumeTimes(1);
+
+    await expect(consumeQuota("user-1", { now: NOW })).rejects.toMatchObject({ details: { quota: "requestsPerMinute", limit: 1 } });
+    expect(getDocument("usage/user-1").limits).toEqual({ requestsPerMinute: 1 });
+  });
+});
+
+describe("recordVideoSeconds", () => {
+  test("adds to today's total and starts over the next day", async () => {
+    await consumeQuota("user-1", { now: NOW });
+    await recordVideoSeconds("user-1", 90, { now: NOW });
+    await recordVideoSeconds("user-1", 30, { now: NOW });
+
+    expect(getDocument("usage/user-1").day).toEqual({ window: "2026-03-14", requests: 1, videoSeconds: 120 });
+
+    await recordVideoSeconds("user-1", 10, { now: NOW + 24 * 60 * MINUTE });
+    expect(getDocument("usage/user-1").day).toEqual({ window: "2026-03-15", requests: 0, videoSeconds: 10 });
+  });
+});
+
+describe("getUsage", () => {
+  test("reports a full quota for new callers without writing", async () => {
+    const usage = await getUsage("api-key:lab-server", { now: NOW });
+
+    expect(usage.limits).toEqual({ requestsPerMinute: 30, requestsPerDay: 2000, videoSecondsPerDay: 36000 });
+    expect(usage.day).toMatchObject({ remaining: 2000, videoSecondsRemaining: 36000 });
+    expect(getDocument("usage/api-key:lab-server")).toBeUndefined();
+  });
+
+  test("ignores counters from past windows", async () => {
+    await consumeQuota("user-1", { now: NOW });
+    await recordVideoSeconds("user-1", 600, { now: NOW });
+
+    const later = await getUsage("user-1", { now: NOW + MINUTE });
+    expect(later.minute).toMatchObject({ requests: 0, remaining: 5 });
+    expect(later.day).toMatchObject({ requests: 1, videoSeconds: 600, videoSecondsRemaining: 1200 });
+
+    const tomorrow = await getUsage("user-1", { now: NOW + 24 * 60 * MINUTE });
+    expect(tomorrow.day).toMatchObject({ requests: 0, videoSeconds: 0 });
+  });
+});
@@ -0,0 +1,172 @@
+const {setGradioClient} = require("../src/spaceCall");
+const {getProvider, applyInputSchema, predictWithProvider} = require("../src/providers");
+const {ValidationError} = require("../src/errors");
+const fakeGradio = require("./helpers/fakeGradio");
+
+const FAKE_SOURCE = "http://fake-space.test";
+
+beforeAll(() => {
+  setGradioClient(fakeGradio.FakeGradioClient);
+});
+
+afterAll(() => {
+  setGradioClient(null);
+});
+
+beforeEach(() => {
+  fakeGradio.reset();
+  process.env.ML_PROVIDER_OVERRIDES = JSON.stringify({
+    chatterbox: { source: FAKE_SOURCE, callOptions: { retries: 0 } },
+    pupillometry: { source: FAKE_SOURCE, callOptions: { retries: 0 } }
+  });
+});
+
+afterEach(() => {
+  delete process.env.ML_PROVIDER_OVERRIDES;
+});
+
+describe("getProvider", () => {
+  test("applies source, endpoint and callOptions overrides", () => {
+    process.env.ML_PROVIDER_OVERRIDES = JSON.stringify({
+      pupillometry: { source: "my-org/fork", endpoint: "/predict", callOptions: { timeoutMs: 1000 } }
+    });
+
+    const provider = getProvider("pupillometry");
+    expect(provider.source).toBe("my-org/fork");
+    expect(provider.endpoint).toBe("/predict");
+    expect(provider.callOptions.timeoutMs).toBe(1000);
+  });
+
+  test("rejects unknown providers", () => {
+    expect(() => getProvider("nope")).toThrow("Unknown ML provider: nope");
+  });
+
+  test("rejects malformed overrides", () => {
+    process.env.ML_PROVIDER_OVERRIDES = "{not json";
+    expect(() => getProvider("chatterbox")).toThrow(/Invalid ML_PROVIDER_OVERRIDES/);
+  });
+});
+
+describe("applyInputSchema", () => {
+  const chatterbox = () => getProvider("chatterbox");
+
+  test("fills in defaults and drops unknown fields", () => {
+    expect(applyInputSchema(chatterbox(), { text_input: "Hello", extra: true })).toEqual({
+      text_input: "Hello",
+      audio_prompt_path_input: null,
+      exaggeration_input: 0.5,
+      temperature_input: 0.8,
+      seed_num_input: 0,
+      cfgw_input: 0.5
+    });
+  });
+
+  test.each([
+    [{}, "Missing required field: text_input"],
+    [{ text_input: 42 }, "Invalid text_input: expected string"],
+    [{ text_input: "Hi", exaggeration_input: "loud" }, "Invalid exaggeration_input: expected number"],
+    [{ text_input: "x".repeat(301) }, "text_input must be 300 characters or less"]
+  ])("rejects %j", (inputs, message) => {
+    expect(() => applyInputSchema(chatterbox(), inputs)).toThrow(ValidationError);
+    expect(() => applyInputSchema(chatterbox(), inputs)).toThrow(message);
+  });
+
+  test("accepts Blobs, Buffers and strings as files", () => {
+    const pupillometry = getProvider("pupillometry");
+
+    for (const media of [new Blob(["video"]), Buffer.from("video"), "data:video/mp4;base64,AAAA"]) {
+      expect(applyInputSchema(pupillometry, { media_input: media }).media_input).toBe(media);
+    }
+  });
+});
+
+describe("output normalization", () => {
+  test.each([
+    ["a URL string", "https://space/file=audio.wav", "https://space/file=audio.wav"],
+    ["FileData with a url", { url: "https://space/file=a.wav", path: "/tmp/a.wav" }, "https://space/file=a.wav"],
+    ["FileData with only a path", { path: "/tmp/a.wav" }, "/tmp/a.wav"]
+  ])("chatterbox reads %s", async (label, output, audioUrl) => {
+    fakeGradio.respondWith("/generate_tts_audio", [output]);
+    await expect(predictWithProvider("chatterbox", { text_input: "Hi" })).resolves.toEqual({ audioUrl });
+  });
+
+  test.each([
+    [[null], "No audio data received from Chatterbox API"],
+    [[{ unexpected: true }], "Invalid audio data format received from Chatterbox API"]
+  ])("chatterbox rejects %j as upstream-format", async (output, message) => {
+    fakeGradio.respondWith("/generate_tts_audio", output);
+    await expect(predictWithProvider("chatterbox", { text_input: "Hi" })).rejects.toMatchObject({
+      type: "upstream-format",
+      message
+    });
+  });
+
+  test("pupillometry maps [plot, summary, series]", async () => {
+    const plot = { url: "https://space/file=plot.png", path: "/tmp/plot.png" };
+    const series = { url: "https://space/file=series.csv" };
+    fakeGradio.respondWith("/process_media_unified", [plot, "Mean: 3.4mm", series]);
+
+    await expect(predictWithProvider("pupillometry", { media_input: "data:video/mp4;base64,AAAA" })).resolves.toEqual({
+      analysisUrl: plot.url,
+      summary: "Mean: 3.4mm",
+      results: [plot, "Mean: 3.4mm", series],
+      seriesFile: series
+    });
+  });
+
+  test("pupillometry falls back for object output", async () => {
+    fakeGradio.respondWith("/process_media_unified", { image: "https://space/plot.png", description: "Done" });
+
+    await expect(predictWithProvider("pupillometry", { media_input: "data:video/mp4;base64,AAAA" })).resolves.toMatchObject({
+      analysisUrl: "https://space/plot.png",
+      summary: "Done",
+      seriesFile: null
+    });
+  });
+
+  test("sends the validated payload to the provider endpoint", async () => {
+    fakeGradio.respondWith("/process_media_unified", [{ url: "plot" }, "ok"]);
+    await predictWithProvider("pupillometry", { media_input: "data:video/mp4;base64,AAAA", tv_model: "ResNet50" });
+
+    expect(fakeGradio.calls).toEqual([{
+      endpoint: "/process_media_unified",
+      payload: {
+        media_input: "data:video/mp4;base64,AAAA",
+        pupil_selection: "both",
+        tv_model: "ResNet50",
+        blink_detection: true
+      }
+    }]);
+  });
+
+  test("reports empty results as upstream-format", async () => {
+    fakeGradio.respondWith("/process_media_unified", null);
+
+    await expect(predictWithProvider("pupillometry", { media_input: "data:video/mp4;base64,AAAA" })).rejects.toMatchObject({
+      type: "upstream-format"
+    });
+  });
+});
+
+describe("progress events", () => {
+  test("relays queue position and progress", async () => {
+    fakeGradio.respondWith("/process_media_unified", [{ url: "plot" }, "ok"], {
+      events: [
+        { stage: "pending", position: 2, size: 5, eta: 12.4 },
+        { stage: "pending", original_msg: "process_starts", position: 0, eta: 8 },
+        { stage: "pending", progress_data: [{ progress: 0.5, index: null, length: null, unit: "steps", desc: "Frames" }] }
+      ]
+    });
+
+    const progress = [];
+    await predictWithProvider("pupillometry", { media_input: "data:video/mp4;base64,AAAA" }, {
+      onProgress: (update) => progress.push(update)
+    });
+
+    expect(progress).toEqual([
+      { stage: "queued", queuePosition: 2, queueSize: 5, etaSeconds: 12, progress: null, description: null },
+      { stage: "processing", queuePosition: null, queueSize: null, etaSeconds: 8, progress: null, description: null },
+      { stage: "processing", queuePosition: null, queueSize: null, etaSeconds: null, progress: 0.5, description: "Frames" }
+    ]);
+  });
+});
@@ -0,0 +1,11 @@
+/**
+ * Silence the structured logger; tests assert on behavior, not log output
+ */
+jest.mock("firebase-functions/logger", () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  log: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  write: jest.fn()
+}));
@@ -0,0 +1,168 @@
+const {callSpace, connectSpace, setGradioClient} = require("../src/spaceCall");
+const {SpaceUnavailableError, UpstreamFormatError} = require("../src/errors");
+const fakeGradio = require("./helpers/fakeGradio");
+
+const URL_SOURCE = "http://fake-space.test";
+
+// Millisecond timings so retries and waits do not slow the suite down
+const FAST = { baseDelayMs: 1, maxDelayMs: 2, wakePollMs: 1, wakeTimeoutMs: 1000, timeoutMs: 200 };
+
+const failTimes = (count, message, result = "ok") => {
+  let calls = 0;
+  return jest.fn(async () => {
+    calls++;
+    if (calls <= count) {
+      throw new Error(message);
+    }
+    return result;
+  });
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("callSpace", () => {
+  test("returns the first successful result", async () => {
+    const operation = jest.fn(async () => "ok");
+
+    await expect(callSpace(URL_SOURCE, operation, FAST)).resolves.toBe("ok");
+    expect(operation).toHaveBeenCalledTimes(1);
+    expect(operation).toHaveBeenCalledWith(expect.any(AbortSignal), 1);
+  });
+
+  test("retries retryable errors up to the retry budget", async () => {
+    const operation = failTimes(2, "Queue is full");
+
+    await expect(callSpace(URL_SOURCE, operation, { ...FAST, retries: 2 })).resolves.toBe("ok");
+    expect(operation).toHaveBeenCalledTimes(3);
+  });
+
+  test("gives up once the retry budget is spent", async () => {
+    const operation = failTimes(5, "Queue is full");
+
+    await expect(callSpace(URL_SOURCE, operation, { ...FAST, retries: 1 })).rejects.toMatchObject({ type: "queue-full" });
+    expect(operation).toHaveBeenCalledTimes(2);
+  });
+
+  test("does not retry errors that are not retryable", async () => {
+    const operation = jest.fn(async () => {
+      throw new UpstreamFormatError("weird output");
+    });
+
+    await expect(callSpace(URL_SOURCE, operation, FAST)).rejects.toBeInstanceOf(UpstreamFormatError);
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  test("times out slow attempts", async () => {
+    const operation = () => new Promise(() => {});
+
+    await expect(callSpace(URL_SOURCE, operation, { ...FAST, retries: 0, timeoutMs: 20 })).rejects.toMatchObject({
+      type: "timeout",
+      message: `${URL_SOURCE} did not respond within 0.02s`
+    });
+  });
+
+  test("aborts the attempt signal on timeout", async () => {
+    let attemptSignal;
+    const operation = (signal) => {
+      attemptSignal = signal;
+      return new Promise(() => {});
+    };
+
+    await expect(callSpace(URL_SOURCE, operation, { ...FAST, retries: 0, timeoutMs: 20 })).rejects.toMatchObject({ type: "timeout" });
+    expect(attemptSignal.aborted).toBe(true);
+  });
+
+  test("does not retry timeouts when retryTimeouts is off", async () => {
+    const operation = jest.fn(() => new Promise(() => {}));
+
+    await expect(callSpace(URL_SOURCE, operation, { ...FAST, retries: 2, timeoutMs: 20, retryTimeouts: false })).rejects.toMatchObject({ type: "timeout" });
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  test("cuts the attempt short at the deadline", async () => {
+    const operation = () => new Promise(() => {});
+    const startedAt = Date.now();
+
+    await expect(callSpace(URL_SOURCE, operation, { ...FAST, retries: 0, timeoutMs: 5000, deadline: Date.now() + 30 })).rejects.toMatchObject({ type: "timeout" });
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+  });
+
+  test("does not retry or wait past the deadline", async () => {
+    const retried = failTimes(1, "Queue is full");
+    const waking = failTimes(1, "fetch failed");
+
+    await expect(callSpace(URL_SOURCE, retried, { ...FAST, baseDelayMs: 100, maxDelayMs: 100, deadline: Date.now() + 40 })).rejects.toMatchObject({ type: "queue-full" });
+    await expect(callSpace(URL_SOURCE, waking, { ...FAST, wakePollMs: 100, deadline: Date.now() + 40 })).rejects.toBeInstanceOf(SpaceUnavailableError);
+    expect(retried).toHaveBeenCalledTimes(1);
+    expect(waking).toHaveBeenCalledTimes(1);
+  });
+
+  test("does not call once the deadline has passed", async () => {
+    const operation = jest.fn(async () => "ok");
+
+    await expect(callSpace(URL_SOURCE, operation, { ...FAST, deadline: Date.now() - 1 })).rejects.toMatchObject({ type: "timeout" });
+    expect(operation).not.toHaveBeenCalled();
+  });
+
+  test("stops when the caller aborts", async () => {
+    const controller = new AbortController();
+    const operation = () => new Promise(() => {});
+    const call = callSpace(URL_SOURCE, operation, { ...FAST, signal: controller.signal });
+
+    controller.abort();
+    await expect(call).rejects.toMatchObject({ type: "cancelled" });
+  });
+
+  test("waits for URL sources to come up without using retries", async () => {
+    const operation = failTimes(3, "fetch failed");
+
+    await expect(callSpace(URL_SOURCE, operation, { ...FAST, retries: 0 })).resolves.toBe("ok");
+    expect(operation).toHaveBeenCalledTimes(4);
+  });
+
+  test("stops waiting after wakeTimeoutMs", async () => {
+    const operation = failTimes(Infinity, "fetch failed");
+
+    await expect(callSpace(URL_SOURCE, operation, { ...FAST, retries: 0, wakePollMs: 10, wakeTimeoutMs: 40 })).rejects.toBeInstanceOf(SpaceUnavailableError);
+  });
+
+  test("waits while a Hub Space is sleeping", async () => {
+    const fetchSpy = jest.spyOn(global, "fetch").mockResolvedValue(new Response(JSON.stringify({ stage: "APP_STARTING" })));
+    const operation = failTimes(1, "Could not resolve app config");
+
+    await expect(callSpace("owner/space", operation, { ...FAST, retries: 0 })).resolves.toBe("ok");
+    expect(fetchSpy).toHaveBeenCalledWith("https://huggingface.co/api/spaces/owner/space/runtime");
+  });
+
+  test("fails fast when a Hub Space is paused", async () => {
+    jest.spyOn(global, "fetch").mockResolvedValue(new Response(JSON.stringify({ stage: "PAUSED" })));
+    const operation = failTimes(1, "Could not resolve app config");
+
+    await expect(callSpace("owner/space", operation, FAST)).rejects.toThrow("owner/space is not running (PAUSED)");
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("connectSpace", () => {
+  beforeAll(() => {
+    setGradioClient(fakeGradio.FakeGradioClient);
+  });
+
+  afterAll(() => {
+    setGradioClient(null);
+  });
+
+  beforeEach(() => {
+    fakeGradio.reset();
+  });
+
+  test("retries connections through callSpace", async () => {
+    fakeGradio.failConnect("Could not resolve app config", "Could not resolve app config");
+
+    const client = await connectSpace(URL_SOURCE, FAST);
+    expect(client).toBeInstanceOf(fakeGradio.FakeGradioClient);
+    expect(client.source).toBe(URL_SOURCE);
+  });
+});
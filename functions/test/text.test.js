@@ -0,0 +1,58 @@
+const {splitTextIntoChunks} = require("../src/text");
+
+const texts = (chunks) => chunks.map((chunk) => chunk.text);
+
+describe("splitTextIntoChunks", () => {
+  test("keeps short text in one chunk", () => {
+    expect(splitTextIntoChunks("Look at the dot. Keep still.", 300)).toEqual([
+      { text: "Look at the dot. Keep still.", paragraphStart: true }
+    ]);
+  });
+
+  test("splits at sentence boundaries and packs sentences up to the limit", () => {
+    const chunks = splitTextIntoChunks("One two three. Four five six! Seven eight nine? Ten.", 30);
+
+    expect(texts(chunks)).toEqual(["One two three. Four five six!", "Seven eight nine? Ten."]);
+    expect(chunks.map((chunk) => chunk.paragraphStart)).toEqual([true, false]);
+  });
+
+  test("keeps decimals and closing quotes with their sentence", () => {
+    const chunks = splitTextIntoChunks('The pupil was 3.5 mm wide. She said "stop." Then it shrank.', 40);
+
+    expect(texts(chunks)).toEqual(["The pupil was 3.5 mm wide.", 'She said "stop." Then it shrank.']);
+  });
+
+  test("breaks sentences longer than the limit at clauses, then spaces, then hard cuts", () => {
+    expect(texts(splitTextIntoChunks("First clause here, second clause here; third part", 20)))
+      .toEqual(["First clause here,", "second clause here;", "third part"]);
+    expect(texts(splitTextIntoChunks("alpha beta gamma delta epsilon", 12)))
+      .toEqual(["alpha beta", "gamma delta", "epsilon"]);
+    expect(texts(splitTextIntoChunks("x".repeat(25), 10)))
+      .toEqual(["x".repeat(10), "x".repeat(10), "x".repeat(5)]);
+  });
+
+  test("never returns a chunk longer than the limit", () => {
+    const text = "Keep your eyes on the cross, please. ".repeat(20) + "word ".repeat(100);
+
+    for (const chunk of splitTextIntoChunks(text, 50)) {
+      expect(chunk.text.length).toBeLessThanOrEqual(50);
+    }
+  });
+
+  test("starts a new chunk at every paragraph and marks it", () => {
+    const chunks = splitTextIntoChunks("First paragraph.\nStill first.\n\n  \nSecond paragraph. More text here.", 30);
+
+    expect(chunks).toEqual([
+      { text: "First paragraph. Still first.", paragraphStart: true },
+      { text: "Second paragraph.", paragraphStart: true },
+      { text: "More text here.", paragraphStart: false }
+    ]);
+  });
+
+  test("ignores empty paragraphs and collapses whitespace", () => {
+    expect(splitTextIntoChunks("\n\n  Hello   there.\t\n\n\n", 300)).toEqual([
+      { text: "Hello there.", paragraphStart: true }
+    ]);
+    expect(splitTextIntoChunks("   ", 300)).toEqual([]);
+  });
+});
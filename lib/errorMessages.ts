@@ -0,0 +1,58 @@
+import { FunctionsError } from 'firebase/functions';
+
+// Matches the `type` values in functions/src/errors.js
+export type MLErrorType =
+  | 'validation'
+  | 'unauthenticated'
+  | 'not-found'
+  | 'space-unavailable'
+  | 'queue-full'
+  | 'quota-exceeded'
+  | 'timeout'
+  | 'upstream-format'
+  | 'internal';
+
+const ERROR_MESSAGES: Record<MLErrorType, string> = {
+  'validation': 'The request was invalid.',
+  'unauthenticated': 'Could not verify this app. Please restart it and try again.',
+  'not-found': 'The requested item could not be found.',
+  'space-unavailable': 'The analysis service is starting up. Please try again in a minute.',
+  'queue-full': 'The analysis service is busy. Please try again shortly.',
+  'quota-exceeded': 'You have reached your usage limit.',
+  'timeout': 'The analysis service took too long to respond. Please try again.',
+  'upstream-format': 'The analysis service returned an unexpected response. Please try again later.',
+  'internal': 'Something went wrong on our side. Please try again.',
+};
+
+/**
+ * User-facing message for an error type reported by the functions
+ * Validation and not-found messages from the server are specific, so they are shown as-is.
+ */
+export const getErrorMessage = (type?: string | null, serverMessage?: string | null): string => {
+  if ((type === 'validation' || type === 'not-found') && serverMessage) {
+    return serverMessage;
+  }
+  return ERROR_MESSAGES[type as MLErrorType] || serverMessage || ERROR_MESSAGES.internal;
+};
+
+// "45 seconds", "3 minutes", "2 hours"
+const formatWait = (seconds: number): string => {
+  const [value, unit] = seconds < 60 ? [seconds, 'second'] :
+    seconds < 3600 ? [Math.ceil(seconds / 60), 'minute'] :
+    [Math.ceil(seconds / 3600), 'hour'];
+  return `${value} ${unit}${value === 1 ? '' : 's'}`;
+};
+
+/**
+ * User-facing message for an error thrown by a callable
+ */
+export const describeFunctionsError = (error: unknown): string => {
+  if (error instanceof FunctionsError) {
+    const details = error.details as { type?: string; retryAfterSeconds?: number } | undefined;
+    // Missing App Check tokens are rejected by the callable itself, without details
+    const type = details?.type || (error.code === 'functions/unauthenticated' ? 'unauthenticated' : undefined);
+    const message = getErrorMessage(type, error.message);
+    return details?.retryAfterSeconds ? `${message} Try again in ${formatWait(details.retryAfterSeconds)}.` : message;
+  }
+  return error instanceof Error ? error.message : ERROR_MESSAGES.internal;
+};
@@ -1,5 +1,9 @@
+import { Platform } from 'react-native';
 import { initializeApp } from 'firebase/app';
+import { initializeAppCheck, CustomProvider, ReCaptchaEnterpriseProvider } from 'firebase/app-check';
+import { getAuth, connectAuthEmulator, signInAnonymously } from 'firebase/auth';
 import { getFunctions, connectFunctionsEmulator, httpsCallable } from 'firebase/functions';
+import { getStorage, connectStorageEmulator, ref, uploadBytes } from 'firebase/storage';
 
 // Firebase configuration from google-services.json
 const firebaseConfig = {
@@ -15,19 +19,112 @@ const firebaseConfig = {
 // Initialize Firebase
 const app = initializeApp(firebaseConfig);
 
+// App Check: the ML functions reject calls without a token unless the
+// deployment sets ML_ENFORCE_APP_CHECK=false. Development builds use a debug
+// token (register it in the Firebase console); the web build uses reCAPTCHA
+// Enterprise. Native attestation (Play Integrity / App Attest) needs a native
+// module, so release native builds skip App Check until one is added.
+const appCheckDebugToken = __DEV__ ? process.env.EXPO_PUBLIC_APPCHECK_DEBUG_TOKEN : undefined;
+if (appCheckDebugToken) {
+  globalThis.FIREBASE_APPCHECK_DEBUG_TOKEN = appCheckDebugToken;
+}
+
+const recaptchaSiteKey = process.env.EXPO_PUBLIC_RECAPTCHA_ENTERPRISE_SITE_KEY;
+if (Platform.OS === 'web' && recaptchaSiteKey) {
+  initializeAppCheck(app, { provider: new ReCaptchaEnterpriseProvider(recaptchaSiteKey), isTokenAutoRefreshEnabled: true });
+} else if (appCheckDebugToken) {
+  // The debug token replaces the provider's attestation
+  initializeAppCheck(app, {
+    provider: new CustomProvider({
+      getToken: () => Promise.reject(new Error('App Check debug token not accepted')),
+    }),
+    isTokenAutoRefreshEnabled: true,
+  });
+}
+
+// Initialize Auth - every ML function requires a signed-in user
+const auth = getAuth(app);
+
 // Initialize Functions
 const functions = getFunctions(app);
 
+// Initialize Storage
+const storage = getStorage(app);
+
 // Connect to Functions emulator in development (disabled - using deployed functions)
 // if (__DEV__) {
 //   // Use localhost for emulator
 //   connectFunctionsEmulator(functions, 'localhost', 5001);
 // }
 
+// Opt in to the local emulators (functions, firestore, storage) with
+// EXPO_PUBLIC_USE_FIREBASE_EMULATORS=true. Use 10.0.2.2 as the host on Android.
+if (__DEV__ && process.env.EXPO_PUBLIC_USE_FIREBASE_EMULATORS === 'true') {
+  const emulatorHost = process.env.EXPO_PUBLIC_FIREBASE_EMULATOR_HOST || 'localhost';
+  connectFunctionsEmulator(functions, emulatorHost, 5001);
+  connectStorageEmulator(storage, emulatorHost, 9199);
+  connectAuthEmulator(auth, `http://${emulatorHost}:9099`, { disableWarnings: true });
+}
+
+/**
+ * Make sure there is a signed-in user, signing in anonymously if needed
+ * Returns the current user.
+ */
+export const ensureSignedIn = async () => {
+  await auth.authStateReady();
+  if (auth.currentUser) {
+    return auth.currentUser;
+  }
+
+  const { user } = await signInAnonymously(auth);
+  return user;
+};
+
+// Callable reference that signs in before the first call
+const authenticatedCallable = (name) => {
+  const callable = httpsCallable(functions, name);
+  return async (data) => {
+    await ensureSignedIn();
+    return callable(data);
+  };
+};
+
 // Create callable function references
-export const generateTTS = httpsCallable(functions, 'generateTTS');
-export const generatePupilAnalysis = httpsCallable(functions, 'generatePupilAnalysis');
-export const testVideoUpload = httpsCallable(functions, 'testVideoUpload');
-export const testConnection = httpsCallable(functions, 'testConnection');
+export const generateTTS = authenticatedCallable('generateTTS');
+export const saveReferenceVoice = authenticatedCallable('saveReferenceVoice');
+export const invalidateTTSCache = authenticatedCallable('invalidateTTSCache');
+export const generatePupilAnalysis = authenticatedCallable('generatePupilAnalysis');
+export const generatePupilSequence = authenticatedCallable('generatePupilSequence');
+export const submitPupilAnalysis = authenticatedCallable('submitPupilAnalysis');
+export const getPupilAnalysisStatus = authenticatedCallable('getPupilAnalysisStatus');
+export const cancelPupilAnalysis = authenticatedCallable('cancelPupilAnalysis');
+export const submitPupilBatch = authenticatedCallable('submitPupilBatch');
+export const getPupilBatchStatus = authenticatedCallable('getPupilBatchStatus');
+export const testVideoUpload = authenticatedCallable('testVideoUpload');
+export const testConnection = authenticatedCallable('testConnection');
+export const getUsage = authenticatedCallable('getUsage');
+export const listAnalyses = authenticatedCallable('listAnalyses');
+export const getAnalysis = authenticatedCallable('getAnalysis');
+export const deleteAnalysis = authenticatedCallable('deleteAnalysis');
+
+/**
+ * Upload a local video or photo to Cloud Storage so it can be passed to the
+ * analysis functions by reference instead of as a base64 payload.
+ * Uploads go under the user's own pupilUploads/{uid}/ folder.
+ * Returns the gs:// URI of the uploaded object.
+ */
+export const uploadVideoForAnalysis = async (fileUri, mimeType) => {
+  const user = await ensureSignedIn();
+  const extension = fileUri.split('.').pop()?.toLowerCase() || 'mp4';
+  const videoRef = ref(storage, `pupilUploads/${user.uid}/${Date.now()}-${Math.random().toString(36).slice(2, 10)}.${extension}`);
+
+  // fetch() on a local file URI yields a natively backed Blob, so the video
+  // is never loaded into JS memory as a string
+  const response = await fetch(fileUri);
+  const blob = await response.blob();
+
+  await uploadBytes(videoRef, blob, { contentType: mimeType, customMetadata: { uid: user.uid } });
+  return videoRef.toString();
+};
 
-export { app, functions };
+export { app, auth, functions, storage };
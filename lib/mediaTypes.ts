@@ -0,0 +1,16 @@
+const MIME_TYPES_BY_EXTENSION: Record<string, string> = {
+  webm: 'video/webm',
+  mov: 'video/quicktime',
+  avi: 'video/x-msvideo',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+};
+
+/**
+ * Content type of a local media file, from its extension
+ * Cameras record .mp4 on Android and .mov on iOS; anything unknown is sent as mp4.
+ */
+export const getMimeType = (uri: string): string =>
+  MIME_TYPES_BY_EXTENSION[uri.split('.').pop()?.toLowerCase() || ''] || 'video/mp4';
@@ -0,0 +1,230 @@
+/**
+ * Pupil analysis response types
+ * Mirrors functions/schemas/pupil-series.v1.schema.json
+ */
+
+export interface PupilFrame {
+  frame: number;
+  /** Seconds from the start of the video */
+  timestamp: number | null;
+  leftDiameter: number | null;
+  rightDiameter: number | null;
+  confidence: number | null;
+  blink: boolean;
+  /** Set on cleaned series */
+  leftStatus?: SampleStatus;
+  rightStatus?: SampleStatus;
+  /** Set on cleaned series: the diameters before cleaning */
+  leftRawDiameter?: number | null;
+  rightRawDiameter?: number | null;
+}
+
+export type SampleStatus = 'valid' | 'interpolated' | 'rejected' | 'missing';
+
+export interface EyeCleaningReport {
+  /** Frames left without a diameter before interpolation, by reason */
+  rejected: Record<'missing' | 'blink' | 'padding' | 'range' | 'velocity', number>;
+  rejectedPercent: number;
+  interpolatedFrames: number;
+  usable: boolean;
+}
+
+/** Artifact rejection settings; every field is optional when sent */
+export interface CleaningOptions {
+  blink_padding_ms: number;
+  min_diameter: number;
+  max_diameter: number;
+  max_velocity: number;
+  interpolation: 'linear' | 'cubic' | 'none';
+  max_gap_ms: number;
+  smoothing: 'none' | 'moving_average' | 'median';
+  smoothing_window: number;
+  max_rejected_percent: number;
+}
+
+export interface CleaningReport {
+  options: CleaningOptions;
+  left: EyeCleaningReport | null;
+  right: EyeCleaningReport | null;
+  /** False when a measured eye is over `max_rejected_percent` */
+  usable: boolean;
+}
+
+export interface PupilEyeStats {
+  mean: number;
+  sd: number;
+  min: number;
+  max: number;
+  validSamples: number;
+}
+
+export interface PupilSeriesStats {
+  frameCount: number;
+  durationSeconds: number | null;
+  left: PupilEyeStats | null;
+  right: PupilEyeStats | null;
+  blinkCount: number;
+}
+
+export interface PupilSeries {
+  schemaVersion: string;
+  units: string;
+  fps: number | null;
+  frames: PupilFrame[];
+  stats: PupilSeriesStats;
+  /** Present when the analysis was run with `cleaning` */
+  cleaning?: CleaningReport;
+}
+
+/** Pupillary light reflex parameters of one eye; times in seconds, velocities in units per second */
+export interface PlrEyeMetrics {
+  baselineDiameter: number;
+  minDiameter: number;
+  constrictionAmplitude: number;
+  /** null without a constriction */
+  latency: number | null;
+  maxConstrictionVelocity: number | null;
+  /** Time to 75% recovery; null when the recording ends first */
+  recoveryTime: number | null;
+  redilationVelocity: number | null;
+}
+
+/** `plr` of an analysis run with `stimulus_onset` */
+export interface PlrMetrics {
+  stimulusOnset: number;
+  units: string;
+  left: PlrEyeMetrics | null;
+  right: PlrEyeMetrics | null;
+}
+
+/** A stimulus marker sent with a recording, in seconds from its start */
+export interface EventMarker {
+  time: number;
+  label?: string | null;
+}
+
+/** One eye's response to an event, relative to the diameter just before it */
+export interface EyeEventResponse {
+  baselineDiameter: number;
+  meanChange: number;
+  peakChange: number;
+  /** Seconds from the event to the largest diameter */
+  peakLatency: number;
+  validSamples: number;
+}
+
+/** `eventResponses` item: the series between one event and the next */
+export interface EventResponse {
+  index: number;
+  label: string | null;
+  time: number;
+  endTime: number;
+  /** Inclusive range into `pupilData.frames`, null when no frame falls in the window */
+  startIndex: number | null;
+  endIndex: number | null;
+  left: EyeEventResponse | null;
+  right: EyeEventResponse | null;
+}
+
+/** Queue / progress update relayed from the Space (job `progress` field, SSE `progress` event) */
+export interface AnalysisProgress {
+  stage: 'queued' | 'processing';
+  queuePosition: number | null;
+  queueSize: number | null;
+  etaSeconds: number | null;
+  /** 0-1, null when the Space does not report progress */
+  progress: number | null;
+  description: string | null;
+}
+
+/** Options an analysis was run with */
+export interface AnalysisParams {
+  pupil_selection: string;
+  tv_model: string;
+  blink_detection: boolean;
+  /** Set on jobs submitted with a stimulus time */
+  stimulus_onset?: number;
+  cleaning?: CleaningOptions;
+  events?: EventMarker[];
+}
+
+/** A saved analysis as listed by `listAnalyses` (no per-frame series) */
+export interface SavedAnalysisSummary {
+  analysisId: string;
+  params: AnalysisParams;
+  summary: string;
+  plotUrl: string | null;
+  stats: PupilSeriesStats | null;
+  metadata: {
+    timestamp: string;
+    processingTime?: number;
+    workingEndpoint?: string;
+  };
+  /** ISO timestamp */
+  createdAt: string | null;
+}
+
+/** A saved analysis from `getAnalysis`, including the series */
+/** One photo of a `generatePupilSequence` result; diameters are null when the eye was not measured */
+export interface SequenceImageResult {
+  index: number;
+  /** Seconds since the first photo */
+  timestamp: number;
+  analysisUrl: string | null;
+  summary: string | null;
+  leftDiameter: number | null;
+  rightDiameter: number | null;
+  blink: boolean;
+}
+
+export interface SavedAnalysis extends SavedAnalysisSummary {
+  pupilData: PupilSeries | null;
+  /** Per-photo plots of a saved sequence */
+  images: (Omit<SequenceImageResult, 'analysisUrl'> & { plotUrl: string | null })[] | null;
+  plr: PlrMetrics | null;
+  eventResponses: EventResponse[] | null;
+}
+
+export type BatchItemStatus = 'pending' | 'queued' | 'processing' | 'done' | 'failed' | 'cancelled';
+
+/** One video of a batch as reported by `getPupilBatchStatus` */
+export interface PupilBatchItem {
+  index: number;
+  label: string | null;
+  jobId: string;
+  params: AnalysisParams;
+  /** 'pending' until a concurrency slot frees up */
+  status: BatchItemStatus;
+  progress: AnalysisProgress | null;
+  /** Same shape as the `data` of a generatePupilAnalysis response */
+  result: {
+    analysisUrl?: string;
+    analysisId?: string | null;
+    summary: string;
+    pupilData: PupilSeries | null;
+  } | null;
+  error: string | null;
+  errorType: string | null;
+}
+
+/** Cross-trial statistics over the batch's completed videos; eye stats are over per-trial means */
+export interface PupilBatchSummary {
+  trialCount: number;
+  left: PupilEyeStats | null;
+  right: PupilEyeStats | null;
+  blinkCount: number;
+  blinksPerTrial: PupilEyeStats | null;
+  durationSeconds: number | null;
+}
+
+export interface PupilBatch {
+  batchId: string;
+  status: 'processing' | 'done';
+  itemCount: number;
+  counts: Record<BatchItemStatus, number>;
+  items: PupilBatchItem[];
+  summary: PupilBatchSummary;
+  /** ISO timestamps */
+  createdAt: string | null;
+  updatedAt: string | null;
+}
@@ -0,0 +1,28 @@
+/**
+ * Quota usage returned by the getUsage function
+ * Mirrors functions/src/quota.js
+ */
+
+export interface QuotaLimits {
+  requestsPerMinute: number;
+  requestsPerDay: number;
+  videoSecondsPerDay: number;
+}
+
+export interface Usage {
+  limits: QuotaLimits;
+  minute: {
+    requests: number;
+    remaining: number;
+    /** ISO timestamp */
+    resetsAt: string;
+  };
+  day: {
+    requests: number;
+    remaining: number;
+    videoSeconds: number;
+    videoSecondsRemaining: number;
+    /** ISO timestamp, midnight UTC */
+    resetsAt: string;
+  };
+}